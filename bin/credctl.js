@@ -0,0 +1,11 @@
+#!/usr/bin/env -S node --disable-warning=MODULE_TYPELESS_PACKAGE_JSON
+/**
+ * credctl — command-line tool for the credential lifecycle.
+ * Run `credctl --help` (or `npm run credctl -- --help`) for usage.
+ */
+
+import { runCli } from '../lib/credctl/cli.js';
+
+runCli(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,43 @@
+#!/usr/bin/env -S node --disable-warning=MODULE_TYPELESS_PACKAGE_JSON
+/**
+ * Event indexer: backfills the contract events into INDEX_FILE, then follows new blocks.
+ * Uses the same network and address settings as credctl (see lib/credctl/config.js).
+ *
+ * Environment: INDEX_FILE (default credential-index.json), START_BLOCK (default 0),
+ * POLL_INTERVAL in ms (default 2000), CONFIRMATIONS (default 0).
+ */
+
+import { ethers } from 'ethers';
+import { resolveNetwork, resolveAddresses } from '../lib/credctl/config.js';
+import { getContracts } from '../lib/credctl/contracts.js';
+import { openIndexDatabase } from '../lib/indexer/database.js';
+import { createIndexer, DEFAULT_POLL_INTERVAL } from '../lib/indexer/indexer.js';
+
+const DEFAULT_INDEX_FILE = 'credential-index.json';
+
+const network = resolveNetwork();
+const provider = new ethers.JsonRpcProvider(network.rpcUrl);
+const database = await openIndexDatabase({ file: process.env.INDEX_FILE || DEFAULT_INDEX_FILE });
+const indexer = createIndexer({
+  ...getContracts(resolveAddresses({}, network.name), provider),
+  database,
+  startBlock: Number(process.env.START_BLOCK || 0),
+  confirmations: Number(process.env.CONFIRMATIONS || 0)
+});
+
+const report = ({ fromBlock, toBlock, events, rolledBack }) => {
+  if (rolledBack > 0) console.log(`Reorg: dropped ${rolledBack} events`);
+  console.log(`Indexed blocks ${fromBlock}-${toBlock}: ${events} events`);
+};
+
+const follower = indexer.follow({
+  interval: Number(process.env.POLL_INTERVAL || DEFAULT_POLL_INTERVAL),
+  onSync: report,
+  onError: (error) => console.error(`Sync failed: ${error.shortMessage || error.message}`)
+});
+console.log(`Indexing ${network.name} into ${database.file}`);
+
+process.on('SIGINT', async () => {
+  await follower.stop();
+  provider.destroy();
+});
@@ -0,0 +1,38 @@
+#!/usr/bin/env -S node --disable-warning=MODULE_TYPELESS_PACKAGE_JSON
+/**
+ * Meta-transaction relayer: submits signed requests through the DIDRegistry's trusted forwarder
+ * and pays their gas. Uses the same network, address and key settings as credctl (see
+ * lib/credctl/config.js); the key's account must hold ETH.
+ *
+ * Environment: PORT (default 3001), RELAY_QUOTA requests per identity (default 20),
+ * RELAY_QUOTA_WINDOW in seconds (default 86400), RELAY_MAX_GAS per request (default 500000).
+ */
+
+import { ethers } from 'ethers';
+import { resolveNetwork, resolveAddresses, loadSigner } from '../lib/credctl/config.js';
+import { getContracts, getForwarder } from '../lib/credctl/contracts.js';
+import { DEFAULT_PORT, DEFAULT_QUOTA, DEFAULT_MAX_GAS, createRelayer, createRelayerServer } from '../lib/relayer.js';
+
+const network = resolveNetwork();
+const provider = new ethers.JsonRpcProvider(network.rpcUrl);
+const signer = await loadSigner({}, provider);
+if (!signer) {
+  console.error('No relayer key: set CREDCTL_PRIVATE_KEY, or CREDCTL_KEYSTORE with CREDCTL_KEYSTORE_PASSWORD');
+  process.exit(1);
+}
+
+const contracts = getContracts(resolveAddresses({}, network.name), provider);
+const relayer = createRelayer({
+  ...contracts,
+  forwarder: await getForwarder(contracts.registry, new ethers.NonceManager(signer)),
+  quota: {
+    limit: Number(process.env.RELAY_QUOTA || DEFAULT_QUOTA.limit),
+    windowSeconds: Number(process.env.RELAY_QUOTA_WINDOW || DEFAULT_QUOTA.windowSeconds)
+  },
+  maxGas: BigInt(process.env.RELAY_MAX_GAS || DEFAULT_MAX_GAS)
+});
+const port = Number(process.env.PORT || DEFAULT_PORT);
+
+createRelayerServer(relayer).listen(port, async () => {
+  console.log(`Relayer on http://localhost:${port} (network: ${network.name}, paying from ${await signer.getAddress()})`);
+});
@@ -0,0 +1,30 @@
+#!/usr/bin/env -S node --disable-warning=MODULE_TYPELESS_PACKAGE_JSON
+/**
+ * HTTP verification service over the deployed contracts.
+ * Uses the same network and address settings as credctl (see lib/credctl/config.js);
+ * PORT sets the listening port (default 3000). With INDEX_FILE set, the service also
+ * runs the event indexer and answers GET /credentials queries from it.
+ */
+
+import { ethers } from 'ethers';
+import { resolveNetwork, resolveAddresses } from '../lib/credctl/config.js';
+import { getContracts } from '../lib/credctl/contracts.js';
+import { openIndexDatabase } from '../lib/indexer/database.js';
+import { createIndexer } from '../lib/indexer/indexer.js';
+import { DEFAULT_PORT, createVerificationService, createVerificationServer } from '../lib/verificationService.js';
+
+const network = resolveNetwork();
+const provider = new ethers.JsonRpcProvider(network.rpcUrl);
+const contracts = getContracts(resolveAddresses({}, network.name), provider);
+const port = Number(process.env.PORT || DEFAULT_PORT);
+
+let index = null;
+if (process.env.INDEX_FILE) {
+  index = await openIndexDatabase({ file: process.env.INDEX_FILE });
+  createIndexer({ ...contracts, database: index, startBlock: Number(process.env.START_BLOCK || 0) })
+    .follow({ onError: (error) => console.error(`Index sync failed: ${error.shortMessage || error.message}`) });
+}
+
+createVerificationServer(createVerificationService({ ...contracts, index })).listen(port, () => {
+  console.log(`Verification service on http://localhost:${port} (network: ${network.name})`);
+});
@@ -4,17 +4,179 @@ pragma solidity ^0.8.19;
 // Import Hardhat's console.log for debugging (optional)
 import "hardhat/console.sol";
 
+/**
+ * @notice Implemented by CredentialStatus, so the DIDRegistry can let a Student's issuing University recover it.
+ */
+interface ICredentialIssuers {
+    function hasIssuedTo(address _issuer, address _holder) external view returns (bool);
+}
+
+/**
+ * @notice ecrecover for 65-byte signatures, shared by CredentialStatus and TrustedForwarder.
+ */
+library SignatureRecovery {
+    /**
+     * @notice Recovers the signer of a digest with ecrecover.
+     * @dev Rejects malformed and malleable (high-s) signatures by returning address(0).
+     */
+    function recover(bytes32 _digest, bytes memory _signature) internal pure returns (address) {
+        if (_signature.length != 65) {
+            return address(0);
+        }
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 0x20))
+            s := mload(add(_signature, 0x40))
+            v := byte(0, mload(add(_signature, 0x60)))
+        }
+
+        if (v < 27) {
+            v += 27;
+        }
+        if (v != 27 && v != 28) {
+            return address(0);
+        }
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) {
+            return address(0);
+        }
+
+        return ecrecover(_digest, v, r, s);
+    }
+}
+
+/**
+ * @title TrustedForwarder
+ * @notice Executes EIP-712 signed requests on behalf of their signers (ERC-2771), so Students and
+ * Employers can register and verify without holding ETH: a relayer (lib/relayer.js) submits the
+ * request and pays the gas.
+ * @dev Appends the signer's address to the forwarded calldata; DIDRegistry and CredentialStatus read it
+ * from there when the DIDRegistry names this contract as its trusted forwarder. Each signer's requests
+ * carry consecutive nonces, so a request runs at most once and in order.
+ */
+contract TrustedForwarder {
+    // Struct of a signed meta-transaction request
+    struct ForwardRequest {
+        address from;     // The signer, to whom the call is attributed
+        address to;       // The target contract
+        uint256 value;    // Wei sent with the call (paid by the relayer)
+        uint256 gas;      // Gas forwarded to the target
+        uint256 nonce;    // Must equal nonces[from]
+        uint64 deadline;  // Last timestamp the request may run at (0 = no deadline)
+        bytes data;       // The calldata for the target
+    }
+
+    // Next nonce of each signer
+    mapping(address => uint256) public nonces;
+
+    // EIP-712 domain and struct type hashes for forward requests
+    bytes32 public constant EIP712_DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant FORWARD_REQUEST_TYPEHASH = keccak256("ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint64 deadline,bytes data)");
+    string public constant EIP712_NAME = "TrustedForwarder";
+    string public constant EIP712_VERSION = "1";
+
+    // Event emitted for every executed request
+    event RequestExecuted(address indexed from, address indexed to, uint256 nonce, address indexed relayer);
+
+    /**
+     * @notice EIP-712 domain separator, bound to this chain and this contract.
+     * @return The domain separator hash.
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            EIP712_DOMAIN_TYPEHASH,
+            keccak256(bytes(EIP712_NAME)),
+            keccak256(bytes(EIP712_VERSION)),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    /**
+     * @notice Computes the EIP-712 digest a signer signs for a request.
+     * @param _request The request.
+     * @return The typed-data digest.
+     */
+    function hashRequest(ForwardRequest calldata _request) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            FORWARD_REQUEST_TYPEHASH,
+            _request.from,
+            _request.to,
+            _request.value,
+            _request.gas,
+            _request.nonce,
+            _request.deadline,
+            keccak256(_request.data)
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    /**
+     * @notice Checks that a request is signed by its sender, carries the sender's next nonce and has not expired.
+     * @param _request The request.
+     * @param _signature The sender's 65-byte EIP-712 signature.
+     * @return true if execute would run the request.
+     */
+    function verify(ForwardRequest calldata _request, bytes calldata _signature) public view returns (bool) {
+        return nonces[_request.from] == _request.nonce
+            && (_request.deadline == 0 || block.timestamp <= _request.deadline)
+            && SignatureRecovery.recover(hashRequest(_request), _signature) == _request.from;
+    }
+
+    /**
+     * @notice Runs a signed request, attributing the call to its signer.
+     * @dev Reverts with the target's revert reason if the call fails, leaving the nonce unused.
+     * @param _request The request.
+     * @param _signature The sender's 65-byte EIP-712 signature.
+     * @return The target's return data.
+     */
+    function execute(ForwardRequest calldata _request, bytes calldata _signature) public payable returns (bytes memory) {
+        require(SignatureRecovery.recover(hashRequest(_request), _signature) == _request.from, "TrustedForwarder: Signature does not match request");
+        require(nonces[_request.from] == _request.nonce, "TrustedForwarder: Invalid nonce");
+        require(_request.deadline == 0 || block.timestamp <= _request.deadline, "TrustedForwarder: Request expired");
+        require(msg.value == _request.value, "TrustedForwarder: Value does not match request");
+
+        nonces[_request.from] = _request.nonce + 1;
+        (bool success, bytes memory result) = _request.to.call{gas: _request.gas, value: _request.value}(
+            abi.encodePacked(_request.data, _request.from)
+        );
+
+        // The relayer must not be able to make the call fail by sending too little gas (EIP-150 keeps back 1/64)
+        require(gasleft() > _request.gas / 63, "TrustedForwarder: Insufficient gas for request");
+        if (!success) {
+            assembly {
+                revert(add(result, 0x20), mload(result))
+            }
+        }
+
+        emit RequestExecuted(_request.from, _request.to, _request.nonce, msg.sender);
+        return result;
+    }
+}
+
 /**
  * @title DIDRegistry
  * @author Group 18
  * @notice Manages Decentralized Identifiers (DIDs) for all stakeholders.
  * This contract registers and stores the roles for Students, Universities,
  * and Employers, linking their wallet address to a role.
+ * @dev Anyone can register as a Student or Employer. A University registration stays
+ * Pending until accreditors approve it; only accredited Universities can issue credentials.
+ * Registered identities can publish DID document attributes (keys, service endpoints), which
+ * lib/didResolver.js turns into a W3C DID Document.
+ * An identity is named by the address that registered it, but can rotate the account that controls
+ * it (changeController) or be recovered by its guardians. Contracts act for identityOf(msg.sender).
+ * Calls through the trusted forwarder (ERC-2771 meta-transactions) act for the request's signer.
  */
 contract DIDRegistry {
     // Enum to define the roles of participants in the system
     enum Role { None, Student, University, Employer }
 
+    // Enum to define the accreditation status of a University
+    enum AccreditationStatus { None, Pending, Accredited, Suspended, Revoked }
+
     // Struct to store information about a registered identity
     struct Identity {
         address walletAddress; // The user's public key address
@@ -22,32 +184,157 @@ contract DIDRegistry {
         bool isRegistered;     // Flag to check if the identity is registered
     }
 
+    // Struct to record one accreditation decision about a University
+    struct AccreditationChange {
+        AccreditationStatus status; // The status the University moved to
+        address changedBy;          // The accreditor (or the University itself, for its registration)
+        uint256 timestamp;          // When the change was made
+        string reasonURI;           // Optional link to the decision record
+    }
+
+    // Struct to store a recovery by an issuing University, waiting out its challenge period
+    struct PendingRecovery {
+        address newController; // The account that will control the identity
+        address approver;      // The University that started the recovery
+        uint256 executableAt;  // When completeRecovery can move control
+        uint256 round;         // The recovery round it belongs to (stale once the controller or guardians change)
+    }
+
+    // Struct to store one DID document attribute (e.g., "did/svc/VerificationService" => URL)
+    struct Attribute {
+        bytes32 name;  // Attribute name, UTF-8 padded to 32 bytes
+        string value;  // Attribute value (URL, key, ...)
+    }
+
     // Mapping from a user's wallet address to their Identity info
     mapping(address => Identity) public identities;
 
+    // DID document attributes per identity, and each attribute's position + 1 (0 = not set)
+    mapping(address => Attribute[]) private attributes;
+    mapping(address => mapping(bytes32 => uint256)) private attributePositions;
+
+    // The account controlling each identity (unset = the identity's own address), and the identity
+    // each rotated-in controller acts for
+    mapping(address => address) private controllers;
+    mapping(address => address) private controlledIdentities;
+
+    // Guardians who can recover an identity, and how many of them must approve the same new controller
+    mapping(address => address[]) private guardians;
+    mapping(address => uint256) public recoveryThreshold;
+
+    // Recovery approvals per keccak256(identity, round, new controller); every key change starts a new round
+    mapping(address => uint256) private recoveryRounds;
+    mapping(bytes32 => address[]) private recoveryApprovals;
+
+    // Students without guardians who let the Universities that issued to them start a recovery, and the
+    // recovery each has waiting; the current controller can cancel it during the challenge period
+    uint256 public constant RECOVERY_CHALLENGE_PERIOD = 3 days;
+    mapping(address => bool) public issuerRecoveryEnabled;
+    mapping(address => PendingRecovery) private pendingRecoveries;
+
+    // The CredentialStatus contract, asked whether a University issued credentials to a Student it recovers.
+    // Set once, since it decides who can start a recovery
+    address public credentialStatus;
+
+    // The TrustedForwarder whose calls act for the signer it appends to the calldata (address(0) = none);
+    // CredentialStatus and CredentialAccess trust the same forwarder. Set once, since it can act as anyone
+    address public trustedForwarder;
+
+    // Governance: the admin manages the accreditor set; accreditors approve Universities
+    address public admin;
+    mapping(address => bool) public isAccreditor;
+    uint256 public accreditorCount;
+    uint256 public accreditationThreshold; // Approvals needed to accredit a University
+
+    // Current accreditation status, decision history (oldest first) and open approvals per University
+    mapping(address => AccreditationStatus) public accreditationStatus;
+    mapping(address => AccreditationChange[]) private accreditationHistory;
+    mapping(address => address[]) private pendingApprovals;
+
     // Event emitted when a new identity is registered
     event IdentityRegistered(address indexed userAddress, Role indexed role);
 
+    // Events emitted when an identity sets or removes a DID document attribute
+    event DIDAttributeChanged(address indexed identity, bytes32 indexed name, string value);
+    event DIDAttributeRemoved(address indexed identity, bytes32 indexed name);
+
+    // Events emitted on key rotation and recovery
+    event ControllerChanged(address indexed identity, address indexed previousController, address indexed newController);
+    event GuardiansChanged(address indexed identity, address[] guardians, uint256 threshold);
+    event RecoveryApproved(address indexed identity, address indexed newController, address indexed approver, uint256 approvals);
+    event IssuerRecoveryChanged(address indexed identity, bool enabled);
+    event RecoveryScheduled(address indexed identity, address indexed newController, address indexed approver, uint256 executableAt);
+    event RecoveryCancelled(address indexed identity, address indexed newController);
+
+    // Events emitted on governance changes
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+    event AccreditorAdded(address indexed accreditor);
+    event AccreditorRemoved(address indexed accreditor);
+    event AccreditationThresholdChanged(uint256 threshold);
+    event CredentialStatusSet(address credentialStatus);
+    event TrustedForwarderSet(address trustedForwarder);
+
+    // Event emitted when an accreditor approves a University (approvals counts toward the threshold)
+    event UniversityApproved(address indexed university, address indexed accreditor, uint256 approvals);
+
+    // Event emitted on every accreditation status change
+    event AccreditationChanged(address indexed university, AccreditationStatus indexed status, address indexed changedBy, string reasonURI);
+
+    /**
+     * @notice Modifier to restrict function access to the governance admin.
+     */
+    modifier onlyAdmin() {
+        require(_msgSender() == admin, "DIDRegistry: Caller is not the admin");
+        _;
+    }
+
+    /**
+     * @notice Modifier to restrict function access to accreditors.
+     */
+    modifier onlyAccreditor() {
+        require(isAccreditor[_msgSender()], "DIDRegistry: Caller is not an accreditor");
+        _;
+    }
+
+    /**
+     * @notice Constructor: The deployer becomes the admin and the first accreditor (threshold 1).
+     */
+    constructor() {
+        admin = msg.sender;
+        emit AdminTransferred(address(0), msg.sender);
+        _addAccreditor(msg.sender);
+        accreditationThreshold = 1;
+        emit AccreditationThresholdChanged(1);
+    }
+
     /**
      * @notice Registers a new identity (Student, University, or Employer).
-     * @dev Only allows registration once per address.
+     * @dev Only allows registration once per address. Universities start out Pending accreditation.
+     * Can be called through the trusted forwarder, so a new Student or Employer needs no ETH.
      * @param _role The role to assign (1 for Student, 2 for University, 3 for Employer).
      */
     function registerIdentity(Role _role) public {
-        // Ensure the user is not already registered
-        require(!identities[msg.sender].isRegistered, "DIDRegistry: Address already registered");
+        address account = _msgSender();
+
+        // Ensure the user is not already registered, or controlling another identity
+        require(!identities[account].isRegistered, "DIDRegistry: Address already registered");
+        require(controlledIdentities[account] == address(0), "DIDRegistry: Address already controls an identity");
         // Ensure a valid role is provided
         require(_role != Role.None, "DIDRegistry: Invalid role");
 
         // Store the new identity
-        identities[msg.sender] = Identity({
-            walletAddress: msg.sender,
+        identities[account] = Identity({
+            walletAddress: account,
             role: _role,
             isRegistered: true
         });
 
         // Emit an event
-        emit IdentityRegistered(msg.sender, _role);
+        emit IdentityRegistered(account, _role);
+
+        if (_role == Role.University) {
+            _setAccreditation(account, AccreditationStatus.Pending, "");
+        }
     }
 
     /**
@@ -61,6 +348,7 @@ contract DIDRegistry {
 
     /**
      * @notice Checks if an address has a specific role.
+     * @dev A University has the role while Pending too; use isAccredited to check it may issue.
      * @param _userAddress The address to check.
      * @param _role The role to check for.
      * @return true if the user has the role, false otherwise.
@@ -68,6 +356,526 @@ contract DIDRegistry {
     function hasRole(address _userAddress, Role _role) public view returns (bool) {
         return identities[_userAddress].role == _role;
     }
+
+    // ============ DID Document Attributes ============
+
+    /**
+     * @notice Sets (adds or replaces) an attribute of the caller's DID document.
+     * @dev See lib/didResolver.js for the attribute names the resolver understands.
+     * @param _name The attribute name (e.g., "did/svc/VerificationService").
+     * @param _value The attribute value (e.g., "https://verify.example.edu").
+     */
+    function setAttribute(bytes32 _name, string memory _value) public {
+        address identity = _callerIdentity();
+        require(_name != bytes32(0), "DIDRegistry: Attribute name is empty");
+        require(bytes(_value).length > 0, "DIDRegistry: Attribute value is empty");
+
+        uint256 position = attributePositions[identity][_name];
+        if (position == 0) {
+            attributes[identity].push(Attribute({ name: _name, value: _value }));
+            attributePositions[identity][_name] = attributes[identity].length;
+        } else {
+            attributes[identity][position - 1].value = _value;
+        }
+        emit DIDAttributeChanged(identity, _name, _value);
+    }
+
+    /**
+     * @notice Removes an attribute from the caller's DID document.
+     * @param _name The attribute name.
+     */
+    function removeAttribute(bytes32 _name) public {
+        address identity = _callerIdentity();
+        uint256 position = attributePositions[identity][_name];
+        require(position != 0, "DIDRegistry: Attribute not set");
+
+        // Move the last attribute into the gap
+        Attribute[] storage list = attributes[identity];
+        Attribute storage last = list[list.length - 1];
+        if (position != list.length) {
+            list[position - 1] = last;
+            attributePositions[identity][last.name] = position;
+        }
+        list.pop();
+        delete attributePositions[identity][_name];
+        emit DIDAttributeRemoved(identity, _name);
+    }
+
+    /**
+     * @notice Get an identity's DID document attributes (unordered).
+     * @param _identity The identity's address.
+     * @return The list of attributes.
+     */
+    function getAttributes(address _identity) public view returns (Attribute[] memory) {
+        return attributes[_identity];
+    }
+
+    // ============ Key Rotation and Recovery ============
+
+    /**
+     * @notice Gets the identity an account acts for.
+     * @dev An identity's own address stops acting for it once control is rotated to another account.
+     * @param _account The account (e.g., the sender of a transaction).
+     * @return The identity the account controls, or address(0) if none.
+     */
+    function identityOf(address _account) public view returns (address) {
+        address identity = controlledIdentities[_account];
+        if (identity != address(0)) {
+            return identity;
+        }
+        if (identities[_account].isRegistered && controllers[_account] == address(0)) {
+            return _account;
+        }
+        return address(0);
+    }
+
+    /**
+     * @notice Gets the account currently controlling an identity.
+     * @param _identity The identity's address.
+     * @return The controller (the identity's own address until rotated), or address(0) if not registered.
+     */
+    function getController(address _identity) public view returns (address) {
+        if (!identities[_identity].isRegistered) {
+            return address(0);
+        }
+        address controller = controllers[_identity];
+        return controller == address(0) ? _identity : controller;
+    }
+
+    /**
+     * @notice Hands control of the caller's identity to another account (key rotation).
+     * @dev The identity keeps its address, role, attributes and credentials. The new controller
+     * must not be registered or control another identity (the identity's own address is allowed).
+     * @param _newController The account that will control the identity.
+     */
+    function changeController(address _newController) public {
+        _setController(_callerIdentity(), _newController);
+    }
+
+    /**
+     * @notice Sets who can recover the caller's identity if its controller key is lost.
+     * @dev Guardians can be any accounts, including other identities (e.g., the Student's University),
+     * which approve with whatever account controls them. An empty list disables guardian recovery.
+     * @param _guardians The guardian addresses.
+     * @param _threshold How many guardians must approve the same new controller (0 with no guardians).
+     */
+    function setGuardians(address[] memory _guardians, uint256 _threshold) public {
+        address identity = _callerIdentity();
+        require(
+            _guardians.length == 0 ? _threshold == 0 : _threshold > 0 && _threshold <= _guardians.length,
+            "DIDRegistry: Invalid threshold"
+        );
+        for (uint256 i = 0; i < _guardians.length; i++) {
+            require(_guardians[i] != address(0) && _guardians[i] != identity, "DIDRegistry: Invalid guardian");
+            for (uint256 j = 0; j < i; j++) {
+                require(_guardians[j] != _guardians[i], "DIDRegistry: Duplicate guardian");
+            }
+        }
+
+        guardians[identity] = _guardians;
+        recoveryThreshold[identity] = _threshold;
+        recoveryRounds[identity]++;
+        emit GuardiansChanged(identity, _guardians, _threshold);
+    }
+
+    /**
+     * @notice Lets (or stops letting) the Universities that issued the caller credentials start a recovery
+     * of the caller's identity while it has no guardians. Off until the Student opts in; opting out
+     * cancels a waiting recovery.
+     * @param _enabled Whether issuing Universities may start a recovery.
+     */
+    function setIssuerRecovery(bool _enabled) public {
+        address identity = _callerIdentity();
+        require(identities[identity].role == Role.Student, "DIDRegistry: Only Students use issuer recovery");
+        issuerRecoveryEnabled[identity] = _enabled;
+        if (!_enabled) {
+            delete pendingRecoveries[identity];
+        }
+        emit IssuerRecoveryChanged(identity, _enabled);
+    }
+
+    /**
+     * @notice Approves handing control of an identity to a new account.
+     * @dev Control moves once recoveryThreshold guardians approve the same new controller. A Student
+     * without guardians who opted in (setIssuerRecovery) can instead be recovered by an accredited
+     * University that issued it a credential: that starts a recovery the current controller can cancel
+     * for RECOVERY_CHALLENGE_PERIOD, after which completeRecovery moves control.
+     * Approvals lapse whenever the identity's controller or guardians change.
+     * @param _identity The identity to recover.
+     * @param _newController The account that will control it.
+     */
+    function approveRecovery(address _identity, address _newController) public {
+        require(identities[_identity].isRegistered, "DIDRegistry: Address not registered");
+        address caller = _msgSender();
+        address approver = _guardianFor(_identity, caller);
+        if (approver == address(0)) {
+            approver = identityOf(caller);
+            require(_canIssuerRecover(approver, _identity), "DIDRegistry: Caller cannot recover this identity");
+            require(!_isPendingRecoveryCurrent(_identity), "DIDRegistry: Recovery already pending");
+            uint256 executableAt = block.timestamp + RECOVERY_CHALLENGE_PERIOD;
+            pendingRecoveries[_identity] = PendingRecovery(_newController, approver, executableAt, recoveryRounds[_identity]);
+            emit RecoveryApproved(_identity, _newController, approver, 1);
+            emit RecoveryScheduled(_identity, _newController, approver, executableAt);
+            return;
+        }
+
+        address[] storage approvals = recoveryApprovals[_recoveryKey(_identity, _newController)];
+        for (uint256 i = 0; i < approvals.length; i++) {
+            require(approvals[i] != approver, "DIDRegistry: Already approved by this guardian");
+        }
+        approvals.push(approver);
+        emit RecoveryApproved(_identity, _newController, approver, approvals.length);
+
+        if (approvals.length >= recoveryThreshold[_identity]) {
+            _setController(_identity, _newController);
+        }
+    }
+
+    /**
+     * @notice Moves control once an issuing University's recovery has waited out its challenge period.
+     * @dev Anyone can call it (usually the new controller). The University must still be able to recover the identity.
+     * @param _identity The identity being recovered.
+     */
+    function completeRecovery(address _identity) public {
+        require(_isPendingRecoveryCurrent(_identity), "DIDRegistry: No pending recovery");
+        PendingRecovery memory pending = pendingRecoveries[_identity];
+        require(block.timestamp >= pending.executableAt, "DIDRegistry: Challenge period not over");
+        require(_canIssuerRecover(pending.approver, _identity), "DIDRegistry: Caller cannot recover this identity");
+        delete pendingRecoveries[_identity];
+        _setController(_identity, pending.newController);
+    }
+
+    /**
+     * @notice Cancels the recovery an issuing University started for the caller's identity.
+     */
+    function cancelRecovery() public {
+        address identity = _callerIdentity();
+        require(_isPendingRecoveryCurrent(identity), "DIDRegistry: No pending recovery");
+        address newController = pendingRecoveries[identity].newController;
+        delete pendingRecoveries[identity];
+        emit RecoveryCancelled(identity, newController);
+    }
+
+    /**
+     * @notice Gets the recovery an issuing University started for an identity.
+     * @param _identity The identity's address.
+     * @return newController The account that will control it (address(0) if none is pending).
+     * @return approver The University that started it.
+     * @return executableAt When completeRecovery can move control.
+     */
+    function getPendingRecovery(address _identity) public view returns (address newController, address approver, uint256 executableAt) {
+        if (!_isPendingRecoveryCurrent(_identity)) {
+            return (address(0), address(0), 0);
+        }
+        PendingRecovery storage pending = pendingRecoveries[_identity];
+        return (pending.newController, pending.approver, pending.executableAt);
+    }
+
+    /**
+     * @notice Gets an identity's guardians (see recoveryThreshold for how many must approve).
+     * @param _identity The identity's address.
+     * @return The guardian addresses.
+     */
+    function getGuardians(address _identity) public view returns (address[] memory) {
+        return guardians[_identity];
+    }
+
+    /**
+     * @notice Gets the guardians that have approved recovering an identity to a new controller.
+     * @param _identity The identity's address.
+     * @param _newController The proposed controller.
+     * @return The approving guardians (in the current round).
+     */
+    function getRecoveryApprovals(address _identity, address _newController) public view returns (address[] memory) {
+        return recoveryApprovals[_recoveryKey(_identity, _newController)];
+    }
+
+    /**
+     * @notice Links the CredentialStatus contract consulted for recovery by a Student's issuing University.
+     * @dev Can only be set once, at deployment, so the admin cannot later choose who counts as an issuer.
+     * @param _credentialStatus The CredentialStatus contract address.
+     */
+    function setCredentialStatus(address _credentialStatus) public onlyAdmin {
+        require(credentialStatus == address(0), "DIDRegistry: Credential status already set");
+        require(_credentialStatus.code.length > 0, "DIDRegistry: Credential status is not a contract");
+        credentialStatus = _credentialStatus;
+        emit CredentialStatusSet(_credentialStatus);
+    }
+
+    /**
+     * @notice Sets the meta-transaction forwarder trusted by this registry, CredentialStatus and CredentialAccess.
+     * @dev Can only be set once, at deployment: whatever the forwarder appends to the calldata is taken as the
+     * caller, so replacing it later would let the admin act as any identity.
+     * @param _forwarder The TrustedForwarder contract address.
+     */
+    function setTrustedForwarder(address _forwarder) public onlyAdmin {
+        require(trustedForwarder == address(0), "DIDRegistry: Trusted forwarder already set");
+        require(_forwarder.code.length > 0, "DIDRegistry: Forwarder is not a contract");
+        trustedForwarder = _forwarder;
+        emit TrustedForwarderSet(_forwarder);
+    }
+
+    /**
+     * @notice Checks whether calls from an address carry their signer at the end of the calldata (ERC-2771).
+     * @param _forwarder The address to check.
+     * @return true if it is the trusted forwarder.
+     */
+    function isTrustedForwarder(address _forwarder) public view returns (bool) {
+        return _forwarder != address(0) && _forwarder == trustedForwarder;
+    }
+
+    // The account calling: the signer for calls through the trusted forwarder, otherwise msg.sender
+    function _msgSender() internal view returns (address sender) {
+        if (msg.data.length >= 20 && isTrustedForwarder(msg.sender)) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+
+    function _callerIdentity() internal view returns (address) {
+        address identity = identityOf(_msgSender());
+        require(identity != address(0), "DIDRegistry: Address not registered");
+        return identity;
+    }
+
+    function _recoveryKey(address _identity, address _newController) internal view returns (bytes32) {
+        return keccak256(abi.encode(_identity, recoveryRounds[_identity], _newController));
+    }
+
+    // The guardian entry the account approves as, or address(0): the identity it currently controls, or
+    // the account itself unless that is a registered identity (whose rotated-out key approves nothing)
+    function _guardianFor(address _identity, address _account) internal view returns (address) {
+        address accountIdentity = identityOf(_account);
+        bool isPlainAccount = !identities[_account].isRegistered;
+        address[] storage list = guardians[_identity];
+        for (uint256 i = 0; i < list.length; i++) {
+            if ((accountIdentity != address(0) && list[i] == accountIdentity) || (isPlainAccount && list[i] == _account)) {
+                return list[i];
+            }
+        }
+        return address(0);
+    }
+
+    function _canIssuerRecover(address _university, address _student) internal view returns (bool) {
+        return guardians[_student].length == 0 && issuerRecoveryEnabled[_student] && _isIssuingUniversity(_university, _student);
+    }
+
+    function _isPendingRecoveryCurrent(address _identity) internal view returns (bool) {
+        PendingRecovery storage pending = pendingRecoveries[_identity];
+        return pending.newController != address(0) && pending.round == recoveryRounds[_identity];
+    }
+
+    function _isIssuingUniversity(address _university, address _student) internal view returns (bool) {
+        return identities[_student].role == Role.Student
+            && credentialStatus != address(0)
+            && isAccredited(_university)
+            && ICredentialIssuers(credentialStatus).hasIssuedTo(_university, _student);
+    }
+
+    function _setController(address _identity, address _newController) internal {
+        address previous = getController(_identity);
+        require(_newController != address(0) && _newController != previous, "DIDRegistry: Invalid controller");
+        require(
+            _newController == _identity || (!identities[_newController].isRegistered && controlledIdentities[_newController] == address(0)),
+            "DIDRegistry: Controller already in use"
+        );
+
+        delete controlledIdentities[previous];
+        if (_newController == _identity) {
+            delete controllers[_identity];
+        } else {
+            controllers[_identity] = _newController;
+            controlledIdentities[_newController] = _identity;
+        }
+        recoveryRounds[_identity]++;
+        emit ControllerChanged(_identity, previous, _newController);
+    }
+
+    // ============ Accreditation Governance ============
+
+    /**
+     * @notice Hands governance to a new admin (e.g., a multisig wallet).
+     * @param _newAdmin The new admin address.
+     */
+    function transferAdmin(address _newAdmin) public onlyAdmin {
+        require(_newAdmin != address(0), "DIDRegistry: Admin cannot be the zero address");
+        emit AdminTransferred(admin, _newAdmin);
+        admin = _newAdmin;
+    }
+
+    /**
+     * @notice Adds an accreditor.
+     * @param _accreditor The address to add.
+     */
+    function addAccreditor(address _accreditor) public onlyAdmin {
+        require(_accreditor != address(0), "DIDRegistry: Accreditor cannot be the zero address");
+        require(!isAccreditor[_accreditor], "DIDRegistry: Already an accreditor");
+        _addAccreditor(_accreditor);
+    }
+
+    /**
+     * @notice Removes an accreditor. Approvals it already gave stop counting.
+     * @param _accreditor The address to remove.
+     */
+    function removeAccreditor(address _accreditor) public onlyAdmin {
+        require(isAccreditor[_accreditor], "DIDRegistry: Not an accreditor");
+        require(accreditorCount > accreditationThreshold, "DIDRegistry: Too few accreditors left for the threshold");
+        isAccreditor[_accreditor] = false;
+        accreditorCount--;
+        emit AccreditorRemoved(_accreditor);
+    }
+
+    /**
+     * @notice Sets how many accreditors must approve a University.
+     * @param _threshold Number of approvals (1 to the number of accreditors).
+     */
+    function setAccreditationThreshold(uint256 _threshold) public onlyAdmin {
+        require(_threshold > 0 && _threshold <= accreditorCount, "DIDRegistry: Invalid threshold");
+        accreditationThreshold = _threshold;
+        emit AccreditationThresholdChanged(_threshold);
+    }
+
+    /**
+     * @notice Approves a Pending or Suspended University. It becomes Accredited once
+     * accreditationThreshold accreditors have approved it.
+     * @param _university The University's address.
+     * @param _reasonURI Optional link to the accreditation decision, recorded when the threshold is reached.
+     */
+    function approveUniversity(address _university, string memory _reasonURI) public onlyAccreditor {
+        AccreditationStatus status = accreditationStatus[_university];
+        require(
+            status == AccreditationStatus.Pending || status == AccreditationStatus.Suspended,
+            "DIDRegistry: University is not awaiting accreditation"
+        );
+
+        address accreditor = _msgSender();
+        address[] storage approvals = pendingApprovals[_university];
+        _dropRemovedAccreditors(approvals);
+        for (uint256 i = 0; i < approvals.length; i++) {
+            require(approvals[i] != accreditor, "DIDRegistry: Already approved by this accreditor");
+        }
+        approvals.push(accreditor);
+        emit UniversityApproved(_university, accreditor, approvals.length);
+
+        if (approvals.length >= accreditationThreshold) {
+            _setAccreditation(_university, AccreditationStatus.Accredited, _reasonURI);
+        }
+    }
+
+    /**
+     * @notice Suspends an Accredited University; it cannot issue until approved again.
+     * @dev Any single accreditor can suspend, so a compromised issuer can be stopped quickly.
+     * @param _university The University's address.
+     * @param _reasonURI Optional link to the decision record.
+     */
+    function suspendAccreditation(address _university, string memory _reasonURI) public onlyAccreditor {
+        require(accreditationStatus[_university] == AccreditationStatus.Accredited, "DIDRegistry: University is not accredited");
+        _setAccreditation(_university, AccreditationStatus.Suspended, _reasonURI);
+    }
+
+    /**
+     * @notice Withdraws a University's accreditation for good (Pending, Accredited or Suspended).
+     * @param _university The University's address.
+     * @param _reasonURI Optional link to the decision record.
+     */
+    function revokeAccreditation(address _university, string memory _reasonURI) public onlyAccreditor {
+        AccreditationStatus status = accreditationStatus[_university];
+        require(
+            status != AccreditationStatus.None && status != AccreditationStatus.Revoked,
+            "DIDRegistry: University has no accreditation to revoke"
+        );
+        _setAccreditation(_university, AccreditationStatus.Revoked, _reasonURI);
+    }
+
+    /**
+     * @notice Checks if an address is a currently accredited University.
+     * @param _university The address to check.
+     * @return true if the University is Accredited.
+     */
+    function isAccredited(address _university) public view returns (bool) {
+        return accreditationStatus[_university] == AccreditationStatus.Accredited;
+    }
+
+    /**
+     * @notice Checks if an address was an accredited University at a point in time.
+     * @param _university The address to check.
+     * @param _timestamp The Unix time to check (e.g., a credential's issueDate).
+     * @return true if the last accreditation change at or before _timestamp made it Accredited.
+     */
+    function wasAccreditedAt(address _university, uint256 _timestamp) public view returns (bool) {
+        AccreditationChange[] storage history = accreditationHistory[_university];
+        for (uint256 i = history.length; i > 0; i--) {
+            if (history[i - 1].timestamp <= _timestamp) {
+                return history[i - 1].status == AccreditationStatus.Accredited;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @notice Get every accreditation change of a University, oldest first.
+     * @param _university The University's address.
+     * @return The list of accreditation changes.
+     */
+    function getAccreditationHistory(address _university) public view returns (AccreditationChange[] memory) {
+        return accreditationHistory[_university];
+    }
+
+    /**
+     * @notice Approvals collected toward the University's next accreditation.
+     * @param _university The University's address.
+     * @return The current accreditors that have approved so far.
+     */
+    function getPendingApprovals(address _university) public view returns (address[] memory) {
+        address[] storage approvals = pendingApprovals[_university];
+        uint256 count = 0;
+        for (uint256 i = 0; i < approvals.length; i++) {
+            if (isAccreditor[approvals[i]]) count++;
+        }
+        address[] memory current = new address[](count);
+        count = 0;
+        for (uint256 i = 0; i < approvals.length; i++) {
+            if (isAccreditor[approvals[i]]) current[count++] = approvals[i];
+        }
+        return current;
+    }
+
+    // Removes the approvals of accreditors that have since been removed, keeping the order of the rest
+    function _dropRemovedAccreditors(address[] storage _approvals) internal {
+        uint256 kept = 0;
+        for (uint256 i = 0; i < _approvals.length; i++) {
+            if (isAccreditor[_approvals[i]]) {
+                _approvals[kept++] = _approvals[i];
+            }
+        }
+        while (_approvals.length > kept) {
+            _approvals.pop();
+        }
+    }
+
+    function _addAccreditor(address _accreditor) internal {
+        isAccreditor[_accreditor] = true;
+        accreditorCount++;
+        emit AccreditorAdded(_accreditor);
+    }
+
+    /**
+     * @dev Sets the status, starts a fresh approval round and records the change.
+     */
+    function _setAccreditation(address _university, AccreditationStatus _status, string memory _reasonURI) internal {
+        accreditationStatus[_university] = _status;
+        delete pendingApprovals[_university];
+        accreditationHistory[_university].push(AccreditationChange({
+            status: _status,
+            changedBy: _msgSender(),
+            timestamp: block.timestamp,
+            reasonURI: _reasonURI
+        }));
+        emit AccreditationChanged(_university, _status, _msgSender(), _reasonURI);
+    }
 }
 
 
@@ -76,13 +884,17 @@ contract DIDRegistry {
  * @author Group 18
  * @notice Manages the issuance, verification, and revocation of academic credentials.
  * This contract relies on DIDRegistry to authenticate issuers.
+ * @dev Issuers and holders are recorded as DIDRegistry identities, and callers act for
+ * didRegistry.identityOf(msg.sender), so credentials follow an identity through key rotation.
+ * Calls through the DIDRegistry's trusted forwarder act for the request's signer (e.g., gasless verifyCredentialData).
  */
 contract CredentialStatus {
     // Reference to the deployed DIDRegistry contract
     DIDRegistry public didRegistry;
 
-    // Enum to define the state of a credential
-    enum CredentialState { None, Valid, Revoked }
+    // Enum to define the state of a credential (Suspended is a hold that reinstateCredential lifts).
+    // Expired and NotYetValid are never stored: status queries derive them from the validity period.
+    enum CredentialState { None, Valid, Revoked, Suspended, Expired, NotYetValid }
 
     // Struct to store information about a credential
     struct Credential {
@@ -92,30 +904,123 @@ contract CredentialStatus {
         address issuer;         // The address of the University that issued it
         address holder;         // The address of the Student who owns it
         uint256 issueDate;      // Timestamp when the credential was issued
-        CredentialState state;  // Current status (Valid, Revoked)
+        CredentialState state;  // Current status (Valid, Revoked, Suspended)
+        uint64 validFrom;       // Start of validity (0 = from issuance)
+        uint64 validUntil;      // End of validity (0 = never expires)
+        address delegate;       // The University's delegate that issued it (address(0) if the University itself)
     }
 
     // Mapping from the unique credential hash to its Struct
     mapping(bytes32 => Credential) public credentials;
 
+    // Struct to record one status change of a credential
+    struct StatusChange {
+        CredentialState state;  // The state the credential moved to
+        uint16 reasonCode;      // Why (0 = unspecified; the codes are listed in lib/credentialTypes.js)
+        address changedBy;      // The issuer who made the change, or its delegate that acted
+        uint256 timestamp;      // When the change was made
+        string reasonURI;       // Optional link to the decision record
+    }
+
+    // Status changes after issuance, oldest first
+    mapping(bytes32 => StatusChange[]) private statusHistory;
+
+    // EIP-712 signature of the issuing University, for credentials issued via issueCredentialWithSignature
+    mapping(bytes32 => bytes) public issuerSignatures;
+
+    // Struct to store a batch of credentials committed under one Merkle root
+    struct CredentialBatch {
+        bytes32 merkleRoot;     // Root over keccak256(keccak256(abi.encode(credentialHash, holder))) leaves
+        string ipfsHash;        // IPFS CID of the batch manifest (optional)
+        bytes credentialSchema; // Metadata about credential type/schema, shared by the whole batch
+        address issuer;         // The address of the University that issued the batch
+        uint256 credentialCount; // Number of credentials in the batch
+        uint256 issueDate;      // Timestamp when the batch was issued
+    }
+
+    // Mapping from a batch's Merkle root to its Struct
+    mapping(bytes32 => CredentialBatch) public credentialBatches;
+
+    // Revoked credentials within a batch: Merkle root => credential hash => revoked
+    mapping(bytes32 => mapping(bytes32 => bool)) public batchRevocations;
+
+    // Issuer => holder => whether it issued the holder a credential (lets the DIDRegistry recover Students)
+    mapping(address => mapping(address => bool)) public hasIssuedTo;
+
+    // Scopes a University can grant a delegate (bit flags)
+    uint8 public constant SCOPE_ISSUE = 1;  // Issue and renew credentials
+    uint8 public constant SCOPE_REVOKE = 2; // Revoke, suspend and reinstate credentials
+
+    // Struct to store what a delegate (e.g., a registrar or department office) may do for its University
+    struct Delegation {
+        address university;        // The University identity the delegate acts for
+        uint8 scopes;              // SCOPE_ISSUE and/or SCOPE_REVOKE
+        uint64 validUntil;         // End of the authorization (0 = until removed)
+        bytes32[] credentialTypes; // keccak256 of the schema names it may act on (empty = all)
+    }
+
+    // Delegate address => its authorization (a delegate acts for one University at a time)
+    mapping(address => Delegation) private delegations;
+
+    // Struct to store a JSON Schema document a University published for its credentials
+    struct SchemaRecord {
+        string id;              // The schema ID (e.g., "bachelor-degree")
+        string version;         // The schema version (e.g., "1.0")
+        string uri;             // Where the document is stored (e.g., "ipfs://<CID>")
+        bytes32 documentHash;   // keccak256 of the document's canonical JSON
+        uint256 registeredAt;   // Timestamp when the schema was registered
+    }
+
+    // Issuer => keccak256("<id>@<version>") => its registered schema. A credential references one
+    // with schema metadata named "<id>@<version>", so the key equals credentialTypeOf(schema).
+    mapping(address => mapping(bytes32 => SchemaRecord)) private schemas;
+
+    // EIP-712 domain and struct type hashes for signed credential issuance
+    bytes32 public constant EIP712_DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant CREDENTIAL_ISSUANCE_TYPEHASH = keccak256("CredentialIssuance(address issuer,address holder,bytes32 credentialHash,string ipfsHash,bytes schema)");
+    string public constant EIP712_NAME = "CredentialStatus";
+    string public constant EIP712_VERSION = "1";
+
     // Event emitted when a new credential is issued
     event CredentialIssued(bytes32 indexed credentialHash, address indexed issuer, address indexed holder, string ipfsHash);
 
+    // Event emitted when a batch of credentials is issued under one Merkle root
+    event CredentialBatchIssued(bytes32 indexed merkleRoot, address indexed issuer, uint256 credentialCount, string ipfsHash);
+
     // Event emitted when a credential's status is revoked
     event CredentialRevoked(bytes32 indexed credentialHash, address indexed issuer);
 
+    // Event emitted when one credential of a batch is revoked
+    event BatchCredentialRevoked(bytes32 indexed merkleRoot, bytes32 indexed credentialHash, address indexed issuer);
+
+    // Event emitted when a credential is issued with a validity period, or renewed
+    event CredentialValiditySet(bytes32 indexed credentialHash, uint64 validFrom, uint64 validUntil);
+
+    // Event emitted on every status change (revocation, suspension, reinstatement)
+    event CredentialStatusChanged(bytes32 indexed credentialHash, CredentialState indexed state, uint16 reasonCode, string reasonURI, address indexed changedBy);
+
+    // Event emitted when a delegate issues a credential on its University's behalf (after CredentialIssued)
+    event CredentialIssuedByDelegate(bytes32 indexed credentialHash, address indexed issuer, address indexed delegate);
+
+    // Event emitted when a University authorizes a delegate or changes its authorization
+    event DelegateAuthorized(address indexed university, address indexed delegate, uint8 scopes, uint64 validUntil, bytes32[] credentialTypes);
+
+    // Event emitted when a University removes a delegate
+    event DelegateRemoved(address indexed university, address indexed delegate);
+
+    // Event emitted when a University registers a schema version
+    event SchemaRegistered(address indexed issuer, bytes32 indexed schemaKey, string id, string version, string uri, bytes32 documentHash);
+
     // Event emitted when a credential is verified
     event CredentialVerified(bytes32 indexed credentialHash, address indexed verifier, bool isValid);
 
     /**
-     * @notice Modifier to restrict function access to only addresses with the University role.
+     * @notice Modifier to restrict function access to Universities accredited in the DIDRegistry.
      */
     modifier onlyUniversity() {
-        bool isUniversity = didRegistry.hasRole(msg.sender, DIDRegistry.Role.University);
-        require(isUniversity, "CredentialStatus: Caller is not a registered University");
+        require(didRegistry.isAccredited(_callerIdentity()), "CredentialStatus: Caller is not an accredited University");
         _;
     }
-
     /**
      * @notice Constructor: Links this contract to the DIDRegistry.
      * @param _registryAddress The deployment address of the DIDRegistry contract.
@@ -125,78 +1030,555 @@ contract CredentialStatus {
         didRegistry = DIDRegistry(_registryAddress);
     }
 
+    // The account calling: the signer for calls through the DIDRegistry's trusted forwarder (ERC-2771), otherwise msg.sender
+    function _msgSender() internal view returns (address sender) {
+        if (msg.data.length >= 20 && didRegistry.isTrustedForwarder(msg.sender)) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+
+    // The DIDRegistry identity the caller controls (address(0) if none)
+    function _callerIdentity() internal view returns (address) {
+        return didRegistry.identityOf(_msgSender());
+    }
+
+    /**
+     * @dev The University the caller acts for, and the delegate if the caller is one. A delegate must
+     * hold _scope, be unexpired and be authorized for the schema's credential type. Returns
+     * address(0) for a caller that is neither an identity nor a delegate.
+     */
+    function _actingFor(uint8 _scope, bytes memory _schema) internal view returns (address university, address delegate) {
+        university = _callerIdentity();
+        address caller = _msgSender();
+        Delegation storage delegation = delegations[caller];
+        if (university != address(0) || delegation.university == address(0)) {
+            return (university, address(0));
+        }
+
+        require(delegation.scopes & _scope != 0, "CredentialStatus: Delegate lacks the required scope");
+        require(delegation.validUntil == 0 || block.timestamp < delegation.validUntil, "CredentialStatus: Delegation has expired");
+        if (delegation.credentialTypes.length > 0) {
+            bytes32 credentialType = credentialTypeOf(_schema);
+            bool authorized = false;
+            for (uint256 i = 0; i < delegation.credentialTypes.length && !authorized; i++) {
+                authorized = delegation.credentialTypes[i] == credentialType;
+            }
+            require(authorized, "CredentialStatus: Delegate is not authorized for this credential type");
+        }
+        return (delegation.university, caller);
+    }
+
+    /**
+     * @dev The accredited University issuing a credential of this schema, and the acting delegate if any.
+     */
+    function _issuingUniversity(bytes memory _schema) internal view returns (address university, address delegate) {
+        (university, delegate) = _actingFor(SCOPE_ISSUE, _schema);
+        require(didRegistry.isAccredited(university), "CredentialStatus: Caller is not an accredited University");
+    }
+
+    /**
+     * @notice The credential type of a schema: keccak256 of its name, the part before the first ';'.
+     * @param _schema Schema metadata as stored with a credential (e.g. "university-credential-v1;c14n=jcs").
+     * @return The credential type hash delegations are scoped by.
+     */
+    function credentialTypeOf(bytes memory _schema) public pure returns (bytes32) {
+        (bytes32 credentialType, ) = _schemaName(_schema);
+        return credentialType;
+    }
+
+    // keccak256 of the schema name (the part before the first ';'), and whether the name has the
+    // "<id>@<version>" form of a reference to a registered schema
+    function _schemaName(bytes memory _schema) internal pure returns (bytes32 nameHash, bool versioned) {
+        uint256 length = 0;
+        while (length < _schema.length && _schema[length] != ";") {
+            versioned = versioned || _schema[length] == "@";
+            length++;
+        }
+        bytes memory name = new bytes(length);
+        for (uint256 i = 0; i < length; i++) {
+            name[i] = _schema[i];
+        }
+        return (keccak256(name), versioned);
+    }
+
+    // Reverts if the schema metadata references a schema version the issuer has not registered.
+    // Schema names without a version (e.g., "university-credential-v1") are not checked.
+    function _requireRegisteredSchema(address _issuer, bytes memory _schema) internal view {
+        (bytes32 schemaKey, bool versioned) = _schemaName(_schema);
+        require(!versioned || schemas[_issuer][schemaKey].registeredAt != 0, "CredentialStatus: Schema is not registered by the issuer");
+    }
+
+    // Reverts unless the text is non-empty and free of the characters that delimit schema references
+    function _requireSchemaPart(string memory _part, string memory _error) internal pure {
+        bytes memory part = bytes(_part);
+        require(part.length > 0, _error);
+        for (uint256 i = 0; i < part.length; i++) {
+            require(part[i] != "@" && part[i] != ";", _error);
+        }
+    }
+
+    /**
+     * @notice Registers a version of a JSON Schema document for the calling University's credentials.
+     * @dev Credentials reference it with schema metadata named "<id>@<version>", e.g. "bachelor-degree@1.0;c14n=jcs".
+     * Only an accredited University can call this function (not its delegates). Versions are immutable:
+     * publish a new version to change a schema.
+     * @param _id The schema ID (no '@' or ';').
+     * @param _version The version (no '@' or ';').
+     * @param _uri Where the document is stored (e.g., "ipfs://<CID>").
+     * @param _documentHash keccak256 of the document's canonical JSON, so readers can check what they fetched.
+     */
+    function registerSchema(string memory _id, string memory _version, string memory _uri, bytes32 _documentHash) public onlyUniversity {
+        address issuer = _callerIdentity();
+        _requireSchemaPart(_id, "CredentialStatus: Invalid schema ID");
+        _requireSchemaPart(_version, "CredentialStatus: Invalid schema version");
+        require(bytes(_uri).length > 0 && _documentHash != bytes32(0), "CredentialStatus: Schema document is required");
+
+        bytes32 schemaKey = keccak256(abi.encodePacked(_id, "@", _version));
+        require(schemas[issuer][schemaKey].registeredAt == 0, "CredentialStatus: Schema version already registered");
+
+        schemas[issuer][schemaKey] = SchemaRecord({
+            id: _id,
+            version: _version,
+            uri: _uri,
+            documentHash: _documentHash,
+            registeredAt: block.timestamp
+        });
+
+        emit SchemaRegistered(issuer, schemaKey, _id, _version, _uri, _documentHash);
+    }
+
+    /**
+     * @notice Returns a schema version registered by an issuer.
+     * @param _issuer The University identity.
+     * @param _schemaKey keccak256("<id>@<version>"), i.e. credentialTypeOf a schema reference.
+     * @return The SchemaRecord struct (registeredAt is 0 if the issuer has not registered it).
+     */
+    function getSchema(address _issuer, bytes32 _schemaKey) public view returns (SchemaRecord memory) {
+        return schemas[_issuer][_schemaKey];
+    }
+
+    /**
+     * @notice Authorizes a delegate to issue and/or revoke credentials for the calling University, or
+     * replaces the authorization it already has.
+     * @dev Only an accredited University can call this function. Delegates are plain accounts: registered
+     * identities and the accounts controlling them cannot be delegates.
+     * @param _delegate The delegate's account (e.g., the registrar's office wallet).
+     * @param _scopes SCOPE_ISSUE, SCOPE_REVOKE or both.
+     * @param _validUntil End of the authorization as a Unix timestamp (0 = until removed).
+     * @param _credentialTypes credentialTypeOf the schemas it may act on (empty = all).
+     */
+    function authorizeDelegate(address _delegate, uint8 _scopes, uint64 _validUntil, bytes32[] memory _credentialTypes) public onlyUniversity {
+        address university = _callerIdentity();
+        require(_delegate != address(0), "CredentialStatus: Invalid delegate");
+        require(didRegistry.identityOf(_delegate) == address(0) && didRegistry.getController(_delegate) == address(0), "CredentialStatus: Delegate is a registered identity");
+        require(delegations[_delegate].university == address(0) || delegations[_delegate].university == university, "CredentialStatus: Delegate acts for another University");
+        require(_scopes != 0 && _scopes <= (SCOPE_ISSUE | SCOPE_REVOKE), "CredentialStatus: Invalid scopes");
+        require(_validUntil == 0 || _validUntil > block.timestamp, "CredentialStatus: Delegation has already expired");
+
+        delegations[_delegate] = Delegation({
+            university: university,
+            scopes: _scopes,
+            validUntil: _validUntil,
+            credentialTypes: _credentialTypes
+        });
+
+        emit DelegateAuthorized(university, _delegate, _scopes, _validUntil, _credentialTypes);
+    }
+
+    /**
+     * @notice Removes a delegate's authorization. Credentials it issued stay valid and stay under the
+     * University's control.
+     * @dev Only the University the delegate acts for can remove it (including while its accreditation is suspended).
+     * @param _delegate The delegate's account.
+     */
+    function removeDelegate(address _delegate) public {
+        address university = _callerIdentity();
+        require(university != address(0) && delegations[_delegate].university == university, "CredentialStatus: Not a delegate of the caller");
+
+        delete delegations[_delegate];
+
+        emit DelegateRemoved(university, _delegate);
+    }
+
+    /**
+     * @notice Returns a delegate's authorization.
+     * @param _delegate The delegate's account.
+     * @return The Delegation struct (university is address(0) for an account that is not a delegate).
+     */
+    function getDelegation(address _delegate) public view returns (Delegation memory) {
+        return delegations[_delegate];
+    }
+
     /**
      * @notice Issues a new academic credential with IPFS storage reference.
-     * @dev Only a registered University can call this function.
+     * @dev Only a registered University, or its delegate with SCOPE_ISSUE for this credential type, can call this function.
+     * @param _holder The wallet address of the Student.
+     * @param _credentialHash The unique cryptographic hash of the credential data.
+     * @param _ipfsHash The IPFS CID where the full credential blob is stored.
+     * @param _schema Optional schema metadata (e.g., credential type, or "<id>@<version>" of a schema the issuer registered).
+     */
+    function issueCredential(address _holder, bytes32 _credentialHash, string memory _ipfsHash, bytes memory _schema) public {
+        (address university, address delegate) = _issuingUniversity(_schema);
+        _issueCredential(university, delegate, _holder, _credentialHash, _ipfsHash, _schema, 0, 0);
+    }
+
+    /**
+     * @notice Issues a credential that is only valid within a time window (e.g., a licence or an enrollment letter).
+     * @dev Only a registered University, or its delegate with SCOPE_ISSUE for this credential type, can call
+     * this function. isCredentialValid is false outside the window.
      * @param _holder The wallet address of the Student.
      * @param _credentialHash The unique cryptographic hash of the credential data.
      * @param _ipfsHash The IPFS CID where the full credential blob is stored.
-     * @param _schema Optional schema metadata (e.g., credential type).
+     * @param _schema Optional schema metadata (e.g., credential type, or "<id>@<version>" of a schema the issuer registered).
+     * @param _validFrom Start of validity as a Unix timestamp (0 = from issuance).
+     * @param _validUntil End of validity as a Unix timestamp (0 = never expires).
+     */
+    function issueCredentialWithValidity(
+        address _holder,
+        bytes32 _credentialHash,
+        string memory _ipfsHash,
+        bytes memory _schema,
+        uint64 _validFrom,
+        uint64 _validUntil
+    ) public {
+        (address university, address delegate) = _issuingUniversity(_schema);
+        require(_validUntil == 0 || _validUntil > _validFrom, "CredentialStatus: Validity ends before it starts");
+        require(_validUntil == 0 || _validUntil > block.timestamp, "CredentialStatus: Validity period has already ended");
+
+        _issueCredential(university, delegate, _holder, _credentialHash, _ipfsHash, _schema, _validFrom, _validUntil);
+        emit CredentialValiditySet(_credentialHash, _validFrom, _validUntil);
+    }
+
+    /**
+     * @notice Extends a credential's validity without issuing a new hash (e.g., renewing a licence).
+     * @dev Only the original issuing University, or its delegate with SCOPE_ISSUE, can renew. Works on
+     * expired credentials, but not on revoked or suspended ones.
+     * @param _credentialHash The hash of the credential to renew.
+     * @param _validUntil The new end of validity (0 = never expires); must be later than the current one.
      */
-    function issueCredential(address _holder, bytes32 _credentialHash, string memory _ipfsHash, bytes memory _schema) public onlyUniversity {
+    function renewCredential(bytes32 _credentialHash, uint64 _validUntil) public {
+        Credential storage cred = credentials[_credentialHash];
+        require(cred.state == CredentialState.Valid, "CredentialStatus: Credential is not valid or does not exist");
+        (address university, ) = _actingFor(SCOPE_ISSUE, cred.credentialSchema);
+        require(cred.issuer == university, "CredentialStatus: Caller is not the original issuer");
+        require(cred.validUntil != 0, "CredentialStatus: Credential does not expire");
+        require(_validUntil == 0 || (_validUntil > cred.validUntil && _validUntil > block.timestamp), "CredentialStatus: Renewal must extend validity");
+
+        cred.validUntil = _validUntil;
+        emit CredentialValiditySet(_credentialHash, cred.validFrom, _validUntil);
+    }
+
+    /**
+     * @notice Issues a credential prepared and signed off-chain by a University (EIP-712).
+     * @dev Anyone can submit the transaction; the credential is attributed to the identity the recovered signer controls.
+     * Replay is impossible because a credential hash can only ever be issued once.
+     * @param _issuer The University that signed the issuance.
+     * @param _holder The wallet address of the Student.
+     * @param _credentialHash The unique cryptographic hash of the credential data.
+     * @param _ipfsHash The IPFS CID where the full credential blob is stored.
+     * @param _schema Optional schema metadata (e.g., credential type, or "<id>@<version>" of a schema the issuer registered).
+     * @param _signature The issuer's 65-byte EIP-712 signature over CredentialIssuance.
+     */
+    function issueCredentialWithSignature(
+        address _issuer,
+        address _holder,
+        bytes32 _credentialHash,
+        string memory _ipfsHash,
+        bytes memory _schema,
+        bytes memory _signature
+    ) public {
+        bytes32 digest = hashCredentialIssuance(_issuer, _holder, _credentialHash, _ipfsHash, _schema);
+        require(didRegistry.identityOf(SignatureRecovery.recover(digest, _signature)) == _issuer, "CredentialStatus: Invalid issuer signature");
+        require(didRegistry.isAccredited(_issuer), "CredentialStatus: Signer is not an accredited University");
+
+        _issueCredential(_issuer, address(0), _holder, _credentialHash, _ipfsHash, _schema, 0, 0);
+        issuerSignatures[_credentialHash] = _signature;
+    }
+
+    /**
+     * @notice Issues many credentials at once by committing to the Merkle root over their leaves.
+     * @dev Only a registered University can call this function (not its delegates). Each Student receives an inclusion
+     * proof for leaf = keccak256(keccak256(abi.encode(credentialHash, holder))), checked per credential
+     * by verifyBatchCredential and revokeBatchCredential.
+     * @param _merkleRoot The Merkle root over the batch's credential leaves.
+     * @param _credentialCount The number of credentials in the batch.
+     * @param _ipfsHash The IPFS CID of the batch manifest (optional).
+     * @param _schema Schema metadata shared by all credentials in the batch (a registered schema reference is checked).
+     */
+    function issueCredentialBatch(
+        bytes32 _merkleRoot,
+        uint256 _credentialCount,
+        string memory _ipfsHash,
+        bytes memory _schema
+    ) public onlyUniversity {
+        require(_merkleRoot != bytes32(0), "CredentialStatus: Invalid Merkle root");
+        require(_credentialCount > 0, "CredentialStatus: Batch is empty");
+        require(credentialBatches[_merkleRoot].issuer == address(0), "CredentialStatus: Batch already exists");
+        _requireRegisteredSchema(_callerIdentity(), _schema);
+
+        credentialBatches[_merkleRoot] = CredentialBatch({
+            merkleRoot: _merkleRoot,
+            ipfsHash: _ipfsHash,
+            credentialSchema: _schema,
+            issuer: _callerIdentity(),
+            credentialCount: _credentialCount,
+            issueDate: block.timestamp
+        });
+
+        emit CredentialBatchIssued(_merkleRoot, credentialBatches[_merkleRoot].issuer, _credentialCount, _ipfsHash);
+    }
+
+    /**
+     * @notice Stores a new credential after the caller has authenticated the issuer.
+     * @dev A zero _validFrom/_validUntil leaves that end of the validity period open; a zero _delegate
+     * means the University issued it itself.
+     */
+    function _issueCredential(
+        address _issuer,
+        address _delegate,
+        address _holder,
+        bytes32 _credentialHash,
+        string memory _ipfsHash,
+        bytes memory _schema,
+        uint64 _validFrom,
+        uint64 _validUntil
+    ) internal {
+        // Record the holder's identity, also when given an account it rotated to
+        address holder = didRegistry.identityOf(_holder);
+        if (holder == address(0)) {
+            holder = _holder;
+        }
+
         // Check that the holder is a registered Student
-        require(didRegistry.hasRole(_holder, DIDRegistry.Role.Student), "CredentialStatus: Holder is not a registered Student");
-        
+        require(didRegistry.hasRole(holder, DIDRegistry.Role.Student), "CredentialStatus: Holder is not a registered Student");
+
         // Ensure this credential hash hasn't been used
         require(credentials[_credentialHash].state == CredentialState.None, "CredentialStatus: Credential hash already exists");
 
+        // A reference to a registered schema must name one of the issuer's schemas
+        _requireRegisteredSchema(_issuer, _schema);
+
         // Store the new credential with IPFS reference
         credentials[_credentialHash] = Credential({
             credentialHash: _credentialHash,
             ipfsHash: _ipfsHash,
             credentialSchema: _schema,
-            issuer: msg.sender,
-            holder: _holder,
+            issuer: _issuer,
+            holder: holder,
             issueDate: block.timestamp,
-            state: CredentialState.Valid
+            state: CredentialState.Valid,
+            validFrom: _validFrom,
+            validUntil: _validUntil,
+            delegate: _delegate
         });
+        hasIssuedTo[_issuer][holder] = true;
 
         // Emit the issuance event with IPFS hash
-        emit CredentialIssued(_credentialHash, msg.sender, _holder, _ipfsHash);
+        emit CredentialIssued(_credentialHash, _issuer, holder, _ipfsHash);
+        if (_delegate != address(0)) {
+            emit CredentialIssuedByDelegate(_credentialHash, _issuer, _delegate);
+        }
+    }
+
+    /**
+     * @notice EIP-712 domain separator, bound to this chain and this contract.
+     * @return The domain separator hash.
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            EIP712_DOMAIN_TYPEHASH,
+            keccak256(bytes(EIP712_NAME)),
+            keccak256(bytes(EIP712_VERSION)),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    /**
+     * @notice Computes the EIP-712 digest an issuer signs for a credential issuance.
+     * @return The typed-data digest.
+     */
+    function hashCredentialIssuance(address _issuer, address _holder, bytes32 _credentialHash, string memory _ipfsHash, bytes memory _schema) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            CREDENTIAL_ISSUANCE_TYPEHASH,
+            _issuer,
+            _holder,
+            _credentialHash,
+            keccak256(bytes(_ipfsHash)),
+            keccak256(_schema)
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    /**
+     * @notice Checks a signature against the stored credential record.
+     * @dev Works for any issued credential, whether or not it was issued with a signature.
+     * @param _credentialHash The credential hash.
+     * @param _signature A 65-byte EIP-712 signature.
+     * @return true if the signature was produced by the account now controlling the credential's issuer.
+     */
+    function isValidIssuerSignature(bytes32 _credentialHash, bytes memory _signature) public view returns (bool) {
+        Credential storage cred = credentials[_credentialHash];
+        if (cred.state == CredentialState.None) {
+            return false;
+        }
+        bytes32 digest = hashCredentialIssuance(cred.issuer, cred.holder, cred.credentialHash, cred.ipfsHash, cred.credentialSchema);
+        return didRegistry.identityOf(SignatureRecovery.recover(digest, _signature)) == cred.issuer;
     }
 
     /**
      * @notice Revokes an existing academic credential.
-     * @dev Only the original issuing University can revoke it.
+     * @dev Only the original issuing University, or its delegate with SCOPE_REVOKE, can revoke it. Records reason code 0 (unspecified).
      * @param _credentialHash The hash of the credential to revoke.
      */
     function revokeCredential(bytes32 _credentialHash) public {
-        // Check if the credential exists and is valid
+        revokeCredentialWithReason(_credentialHash, 0, "");
+    }
+
+    /**
+     * @notice Revokes a valid or suspended credential and records why. Revocation is final.
+     * @dev Only the original issuing University, or its delegate with SCOPE_REVOKE, can revoke it.
+     * @param _credentialHash The hash of the credential to revoke.
+     * @param _reasonCode The reason code (see lib/credentialTypes.js).
+     * @param _reasonURI Optional link to the decision record.
+     */
+    function revokeCredentialWithReason(bytes32 _credentialHash, uint16 _reasonCode, string memory _reasonURI) public {
+        CredentialState state = credentials[_credentialHash].state;
+        require(state == CredentialState.Valid || state == CredentialState.Suspended, "CredentialStatus: Credential is not valid or does not exist");
+
+        _changeStatus(_credentialHash, CredentialState.Revoked, _reasonCode, _reasonURI);
+
+        emit CredentialRevoked(_credentialHash, credentials[_credentialHash].issuer);
+    }
+
+    /**
+     * @notice Puts a valid credential on hold (e.g., during an academic-integrity investigation).
+     * @dev Only the original issuing University, or its delegate with SCOPE_REVOKE, can suspend it. isCredentialValid is false while suspended.
+     * @param _credentialHash The hash of the credential to suspend.
+     * @param _reasonCode The reason code (see lib/credentialTypes.js).
+     * @param _reasonURI Optional link to the decision record.
+     */
+    function suspendCredential(bytes32 _credentialHash, uint16 _reasonCode, string memory _reasonURI) public {
+        require(credentials[_credentialHash].state == CredentialState.Valid, "CredentialStatus: Credential is not valid or does not exist");
+        _changeStatus(_credentialHash, CredentialState.Suspended, _reasonCode, _reasonURI);
+    }
+
+    /**
+     * @notice Lifts a suspension, making the credential valid again.
+     * @dev Only the original issuing University, or its delegate with SCOPE_REVOKE, can reinstate it.
+     * @param _credentialHash The hash of the credential to reinstate.
+     * @param _reasonCode The reason code (see lib/credentialTypes.js).
+     * @param _reasonURI Optional link to the decision record.
+     */
+    function reinstateCredential(bytes32 _credentialHash, uint16 _reasonCode, string memory _reasonURI) public {
+        require(credentials[_credentialHash].state == CredentialState.Suspended, "CredentialStatus: Credential is not suspended");
+        _changeStatus(_credentialHash, CredentialState.Valid, _reasonCode, _reasonURI);
+    }
+
+    /**
+     * @dev Moves a credential to a new state and appends the change to its history. Callers check the transition.
+     */
+    function _changeStatus(bytes32 _credentialHash, CredentialState _state, uint16 _reasonCode, string memory _reasonURI) internal {
         Credential storage cred = credentials[_credentialHash];
-        require(cred.state == CredentialState.Valid, "CredentialStatus: Credential is not valid or does not exist");
-        
-        // Ensure only the original issuer can revoke it
-        require(cred.issuer == msg.sender, "CredentialStatus: Caller is not the original issuer");
 
-        // Update the state to Revoked
-        cred.state = CredentialState.Revoked;
+        // Ensure only the original issuer (or one of its delegates) can change the status
+        (address university, address delegate) = _actingFor(SCOPE_REVOKE, cred.credentialSchema);
+        require(cred.issuer == university, "CredentialStatus: Caller is not the original issuer");
+        address changedBy = delegate == address(0) ? university : delegate;
+
+        cred.state = _state;
+        statusHistory[_credentialHash].push(StatusChange({
+            state: _state,
+            reasonCode: _reasonCode,
+            changedBy: changedBy,
+            timestamp: block.timestamp,
+            reasonURI: _reasonURI
+        }));
 
-        // Emit the revocation event
-        emit CredentialRevoked(_credentialHash, msg.sender);
+        emit CredentialStatusChanged(_credentialHash, _state, _reasonCode, _reasonURI, changedBy);
+    }
+
+    /**
+     * @notice Returns every status change of a credential since issuance, oldest first.
+     * @param _credentialHash The hash of the credential.
+     * @return The status changes (empty for a credential that was never changed).
+     */
+    function getStatusHistory(bytes32 _credentialHash) public view returns (StatusChange[] memory) {
+        return statusHistory[_credentialHash];
+    }
+
+    /**
+     * @notice Revokes one credential of a batch, leaving the rest of the batch valid.
+     * @dev Only the University that issued the batch can revoke, and only in a batch that exists. Emits
+     * BatchCredentialRevoked: batch members have no per-credential record for CredentialRevoked to refer to.
+     * @param _merkleRoot The batch's Merkle root.
+     * @param _credentialHash The hash of the credential to revoke.
+     * @param _holder The Student the credential was issued to.
+     * @param _proof Sibling hashes from the credential's leaf up to the root.
+     */
+    function revokeBatchCredential(
+        bytes32 _merkleRoot,
+        bytes32 _credentialHash,
+        address _holder,
+        bytes32[] memory _proof
+    ) public {
+        address issuer = credentialBatches[_merkleRoot].issuer;
+        require(issuer != address(0), "CredentialStatus: Batch does not exist");
+        address caller = _callerIdentity();
+        require(caller != address(0), "CredentialStatus: Caller is not registered");
+        require(issuer == caller, "CredentialStatus: Caller is not the batch issuer");
+        require(_verifyMerkleProof(hashBatchLeaf(_credentialHash, _holder), _proof, _merkleRoot), "CredentialStatus: Credential is not in the batch");
+        require(!batchRevocations[_merkleRoot][_credentialHash], "CredentialStatus: Credential is not valid or does not exist");
+
+        batchRevocations[_merkleRoot][_credentialHash] = true;
+
+        emit BatchCredentialRevoked(_merkleRoot, _credentialHash, issuer);
     }
 
     /**
      * @notice Public function to check the status of a credential.
      * @dev Anyone (e.g., an Employer) can call this function.
      * @param _credentialHash The hash of the credential to verify.
-     * @return The current state (None, Valid, Revoked).
+     * @return The current state (None, Valid, Revoked, Suspended, Expired, NotYetValid).
      */
     function getCredentialStatus(bytes32 _credentialHash) public view returns (CredentialState) {
-        return credentials[_credentialHash].state;
+        return _effectiveState(credentials[_credentialHash]);
+    }
+
+    /**
+     * @dev The stored state, with Valid narrowed to Expired or NotYetValid outside the validity period.
+     */
+    function _effectiveState(Credential memory _cred) internal view returns (CredentialState) {
+        if (_cred.state != CredentialState.Valid) {
+            return _cred.state;
+        }
+        if (_cred.validUntil != 0 && block.timestamp >= _cred.validUntil) {
+            return CredentialState.Expired;
+        }
+        if (block.timestamp < _cred.validFrom) {
+            return CredentialState.NotYetValid;
+        }
+        return CredentialState.Valid;
     }
 
     /**
      * @notice A simple boolean check for verification.
      * @param _credentialHash The hash of the credential to verify.
-     * @return true if the credential's state is Valid, false otherwise.
+     * @return true if the credential is Valid and within its validity period, false otherwise.
      */
     function isCredentialValid(bytes32 _credentialHash) public view returns (bool) {
-        return credentials[_credentialHash].state == CredentialState.Valid;
+        return getCredentialStatus(_credentialHash) == CredentialState.Valid;
     }
 
     /**
      * @notice Verify a credential by recomputing hash from data and comparing with on-chain commitment.
-     * @dev Anyone (e.g., an Employer/Verifier) can call this function to verify a credential.
+     * @dev Anyone (e.g., an Employer/Verifier) can call this function to verify a credential, without an access
+     * grant: it only confirms data the Student handed over (see CredentialAccess).
+     * The plaintext is published in calldata, so prefer verifyCredentialCommitment for new credentials.
      * @param _credentialData The original credential data (plaintext or JSON).
      * @param _credentialHash The on-chain stored credential hash.
      * @return true if the recomputed hash matches the on-chain hash AND credential is Valid.
@@ -206,21 +1588,105 @@ contract CredentialStatus {
         bytes32 computedHash = keccak256(abi.encodePacked(_credentialData));
         
         // Check if computed hash matches on-chain hash and credential is valid
-        bool isValid = (computedHash == _credentialHash) && credentials[_credentialHash].state == CredentialState.Valid;
+        bool isValid = (computedHash == _credentialHash) && isCredentialValid(_credentialHash);
         
         // Emit verification event for audit trail (no PII)
-        emit CredentialVerified(_credentialHash, msg.sender, isValid);
+        emit CredentialVerified(_credentialHash, _msgSender(), isValid);
         
         return isValid;
     }
 
+    /**
+     * @notice Verify a salted credential commitment without revealing the credential data.
+     * @dev The credentialHash of a salted credential is keccak256(abi.encode(salt, dataHash)), where
+     * dataHash is the keccak256 of the canonical credential JSON. Call it as a view (eth_call):
+     * the verifier hashes the data locally, so no plaintext ever leaves the verifier.
+     * @param _credentialHash The on-chain credential hash (salted commitment).
+     * @param _dataHash keccak256 of the canonical credential JSON.
+     * @param _salt The per-credential salt held by the Student.
+     * @return true if the commitment matches AND the credential is Valid.
+     */
+    function verifyCredentialCommitment(
+        bytes32 _credentialHash,
+        bytes32 _dataHash,
+        bytes32 _salt
+    ) public view returns (bool) {
+        return keccak256(abi.encode(_salt, _dataHash)) == _credentialHash && isCredentialValid(_credentialHash);
+    }
+
+    /**
+     * @notice Verify one selectively disclosed field of a Merkle-committed credential.
+     * @dev The credentialHash of such a credential is the Merkle root over salted field leaves:
+     * leaf = keccak256(keccak256(abi.encode(salt, field, value))), parents hash sorted pairs.
+     * @param _credentialHash The on-chain credential hash (Merkle root).
+     * @param _field The field name (e.g. "degree").
+     * @param _value The field value as canonical JSON (e.g. "\"BSc\"" or "2024").
+     * @param _salt The per-field salt held by the Student.
+     * @param _proof Sibling hashes from the leaf up to the root.
+     * @return true if the field is part of the credential AND the credential is Valid.
+     */
+    function verifyDisclosedField(
+        bytes32 _credentialHash,
+        string memory _field,
+        string memory _value,
+        bytes32 _salt,
+        bytes32[] memory _proof
+    ) public view returns (bool) {
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(_salt, _field, _value))));
+        return _verifyMerkleProof(leaf, _proof, _credentialHash) && isCredentialValid(_credentialHash);
+    }
+
+    /**
+     * @notice Verify one credential of a batch against the batch's Merkle root.
+     * @param _merkleRoot The batch's Merkle root.
+     * @param _credentialHash The credential hash.
+     * @param _holder The Student the credential was issued to.
+     * @param _proof Sibling hashes from the credential's leaf up to the root.
+     * @return true if the credential is in the batch, the holder is a registered Student AND it is not revoked.
+     */
+    function verifyBatchCredential(
+        bytes32 _merkleRoot,
+        bytes32 _credentialHash,
+        address _holder,
+        bytes32[] memory _proof
+    ) public view returns (bool) {
+        return credentialBatches[_merkleRoot].issuer != address(0)
+            && !batchRevocations[_merkleRoot][_credentialHash]
+            && didRegistry.hasRole(_holder, DIDRegistry.Role.Student)
+            && _verifyMerkleProof(hashBatchLeaf(_credentialHash, _holder), _proof, _merkleRoot);
+    }
+
+    /**
+     * @notice Computes the Merkle leaf of a batch-issued credential.
+     * @return keccak256(keccak256(abi.encode(credentialHash, holder))).
+     */
+    function hashBatchLeaf(bytes32 _credentialHash, address _holder) public pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(_credentialHash, _holder))));
+    }
+
+    /**
+     * @notice Checks that a leaf is included under a Merkle root (sorted-pair hashing).
+     */
+    function _verifyMerkleProof(bytes32 _leaf, bytes32[] memory _proof, bytes32 _root) internal pure returns (bool) {
+        bytes32 computed = _leaf;
+        for (uint256 i = 0; i < _proof.length; i++) {
+            bytes32 sibling = _proof[i];
+            computed = computed < sibling
+                ? keccak256(abi.encodePacked(computed, sibling))
+                : keccak256(abi.encodePacked(sibling, computed));
+        }
+        return computed == _root;
+    }
+
     /**
      * @notice Get full credential metadata (IPFS hash, schema, issuer, dates).
      * @param _credentialHash The credential hash to retrieve.
      * @return The Credential struct with all metadata.
      */
     function getCredentialMetadata(bytes32 _credentialHash) public view returns (Credential memory) {
-        return credentials[_credentialHash];
+        Credential memory cred = credentials[_credentialHash];
+        cred.state = _effectiveState(cred);
+        return cred;
     }
 
     /**
@@ -232,3 +1698,260 @@ contract CredentialStatus {
         return credentials[_credentialHash].ipfsHash;
     }
 }
+
+/**
+ * @title CredentialAccess
+ * @notice Holder-controlled access to credentials. An Employer requests access to a Student's credential,
+ * the Student approves it until an expiry or denies it, and can revoke an approval at any time. Verifying
+ * through a grant ties the verification to the Student's consent and shows it to them.
+ * @dev CredentialStatus.verifyCredentialData and verifyCredentialCommitment stay open to anyone on purpose.
+ * They only confirm data the caller already has: the claims and, for a salted credential, the salt only the
+ * Student can give out. So handing them over is the Student's consent (share links, presentations). The
+ * commitment check is a view, which an eth_call can make as any account, so a grant check there would not
+ * hold. What a grant adds is the Student's say over who may verify, a record of each verification, and the
+ * release of an encrypted blob's key.
+ * Requesters and holders act for their DIDRegistry identities, like in CredentialStatus. An approval
+ * can release the key of an encrypted credential blob: the content key wrapped to the public key the
+ * Employer gave with its request (see lib/accessGrants.js). Kept out of CredentialStatus, which is close
+ * to the contract size limit.
+ */
+contract CredentialAccess {
+    // The contracts credentials and identities are read from
+    CredentialStatus public credentialStatus;
+    DIDRegistry public didRegistry;
+
+    // State of an access grant. Expired is never stored: it is derived from an approval's expiry.
+    enum GrantState { None, Pending, Approved, Denied, Revoked, Expired }
+
+    // Struct to store one access request and the holder's decision
+    struct AccessGrant {
+        bytes32 credentialHash;    // The credential access is requested to
+        address holder;            // The Student identity holding it
+        address requester;         // The Employer identity asking
+        GrantState state;          // Pending, then Approved or Denied; Approved grants can be Revoked
+        uint64 requestedAt;        // When access was requested
+        uint64 expiresAt;          // End of an approval (0 until approved)
+        string purpose;            // Why the Employer asks (e.g., "Background check for job #42")
+        bytes requesterPublicKey;  // The requester's 64-byte secp256k1 public key, to release keys to (optional)
+        bytes encryptedKey;        // The blob's content key wrapped to requesterPublicKey (empty if none released)
+    }
+
+    // Grant ID => grant (IDs start at 1)
+    mapping(uint256 => AccessGrant) private grants;
+    uint256 public grantCount;
+
+    // Credential hash => requester => its latest grant ID (0 = never requested)
+    mapping(bytes32 => mapping(address => uint256)) public latestGrant;
+
+    // Grant IDs by holder and by requester, oldest first
+    mapping(address => uint256[]) private holderGrants;
+    mapping(address => uint256[]) private requesterGrants;
+
+    // Event emitted when an Employer requests access to a credential
+    event AccessRequested(uint256 indexed grantId, bytes32 indexed credentialHash, address indexed holder, address requester, string purpose);
+
+    // Event emitted when the holder approves (or extends) a grant
+    event AccessApproved(uint256 indexed grantId, address indexed holder, address indexed requester, uint64 expiresAt, bool keyReleased);
+
+    // Event emitted when the holder denies a request
+    event AccessDenied(uint256 indexed grantId, address indexed holder, address indexed requester);
+
+    // Event emitted when the holder revokes an approval
+    event AccessRevoked(uint256 indexed grantId, address indexed holder, address indexed requester);
+
+    // Event emitted when a requester verifies a credential through its grant
+    event GrantedVerification(uint256 indexed grantId, bytes32 indexed credentialHash, address indexed requester, bool isValid);
+
+    /**
+     * @notice Constructor: Links this contract to CredentialStatus and its DIDRegistry.
+     * @param _credentialStatus The deployment address of the CredentialStatus contract.
+     */
+    constructor(address _credentialStatus) {
+        require(_credentialStatus != address(0), "CredentialAccess: Invalid CredentialStatus address");
+        credentialStatus = CredentialStatus(_credentialStatus);
+        didRegistry = credentialStatus.didRegistry();
+    }
+
+    // The account calling: the signer for calls through the DIDRegistry's trusted forwarder (ERC-2771), otherwise msg.sender
+    function _msgSender() internal view returns (address sender) {
+        if (msg.data.length >= 20 && didRegistry.isTrustedForwarder(msg.sender)) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+
+    // The DIDRegistry identity the caller controls (address(0) if none)
+    function _callerIdentity() internal view returns (address) {
+        return didRegistry.identityOf(_msgSender());
+    }
+
+    // A grant the caller holds the credential of
+    function _holderGrant(uint256 _grantId) internal view returns (AccessGrant storage grant) {
+        grant = grants[_grantId];
+        require(grant.state != GrantState.None, "CredentialAccess: Grant does not exist");
+        require(_callerIdentity() == grant.holder, "CredentialAccess: Caller is not the credential's holder");
+    }
+
+    /**
+     * @notice Requests access to a credential. Only registered Employers can call this function.
+     * @dev The public key is optional. When given, it must be the caller's own (its keccak256 is the
+     * caller's address), so the holder knows whom a released key is for.
+     * @param _credentialHash The credential.
+     * @param _purpose Why access is requested, shown to the holder.
+     * @param _publicKey The caller's uncompressed secp256k1 public key without the 0x04 prefix (64 bytes), or empty.
+     * @return grantId The new grant's ID.
+     */
+    function requestAccess(bytes32 _credentialHash, string memory _purpose, bytes memory _publicKey) public returns (uint256 grantId) {
+        address requester = _callerIdentity();
+        require(didRegistry.hasRole(requester, DIDRegistry.Role.Employer), "CredentialAccess: Caller is not a registered Employer");
+        address holder = credentialStatus.getCredentialMetadata(_credentialHash).holder;
+        require(holder != address(0), "CredentialAccess: Credential does not exist");
+        require(
+            _publicKey.length == 0 || (_publicKey.length == 64 && address(uint160(uint256(keccak256(_publicKey)))) == _msgSender()),
+            "CredentialAccess: Public key does not belong to the caller"
+        );
+        GrantState previous = getGrantState(latestGrant[_credentialHash][requester]);
+        require(previous != GrantState.Pending && previous != GrantState.Approved, "CredentialAccess: Access already requested");
+
+        grantId = ++grantCount;
+        grants[grantId] = AccessGrant({
+            credentialHash: _credentialHash,
+            holder: holder,
+            requester: requester,
+            state: GrantState.Pending,
+            requestedAt: uint64(block.timestamp),
+            expiresAt: 0,
+            purpose: _purpose,
+            requesterPublicKey: _publicKey,
+            encryptedKey: ""
+        });
+        latestGrant[_credentialHash][requester] = grantId;
+        holderGrants[holder].push(grantId);
+        requesterGrants[requester].push(grantId);
+
+        emit AccessRequested(grantId, _credentialHash, holder, requester, _purpose);
+    }
+
+    /**
+     * @notice Approves a pending request until an expiry, or changes the expiry of an active approval.
+     * @dev Only the credential's holder can call this function. A released key is public on-chain but
+     * only the requester's private key unwraps it; revoking later cannot take back a key already released.
+     * @param _grantId The grant.
+     * @param _expiresAt End of the approval as a Unix timestamp.
+     * @param _encryptedKey The blob's content key wrapped to the requester's public key, or empty.
+     */
+    function approveAccess(uint256 _grantId, uint64 _expiresAt, bytes memory _encryptedKey) public {
+        AccessGrant storage grant = _holderGrant(_grantId);
+        GrantState state = getGrantState(_grantId);
+        require(state == GrantState.Pending || state == GrantState.Approved, "CredentialAccess: Grant is not pending or active");
+        require(_expiresAt > block.timestamp, "CredentialAccess: Expiry must be in the future");
+        require(_encryptedKey.length == 0 || grant.requesterPublicKey.length > 0, "CredentialAccess: Requester gave no public key");
+
+        grant.state = GrantState.Approved;
+        grant.expiresAt = _expiresAt;
+        if (_encryptedKey.length > 0) {
+            grant.encryptedKey = _encryptedKey;
+        }
+
+        emit AccessApproved(_grantId, grant.holder, grant.requester, _expiresAt, grant.encryptedKey.length > 0);
+    }
+
+    /**
+     * @notice Denies a pending request. Only the credential's holder can call this function.
+     * @param _grantId The grant.
+     */
+    function denyAccess(uint256 _grantId) public {
+        AccessGrant storage grant = _holderGrant(_grantId);
+        require(grant.state == GrantState.Pending, "CredentialAccess: Grant is not pending");
+        grant.state = GrantState.Denied;
+        emit AccessDenied(_grantId, grant.holder, grant.requester);
+    }
+
+    /**
+     * @notice Revokes an active approval. Only the credential's holder can call this function.
+     * @param _grantId The grant.
+     */
+    function revokeAccess(uint256 _grantId) public {
+        AccessGrant storage grant = _holderGrant(_grantId);
+        require(getGrantState(_grantId) == GrantState.Approved, "CredentialAccess: Grant is not active");
+        grant.state = GrantState.Revoked;
+        delete grant.encryptedKey;
+        emit AccessRevoked(_grantId, grant.holder, grant.requester);
+    }
+
+    /**
+     * @notice Verifies a credential through an active grant, recording the verification for the holder.
+     * @dev Only the grant's requester can call this function. Like verifyCredentialCommitment, the
+     * data is hashed locally. Only salted credentials can be verified this way: the hash of an
+     * unsalted one is public, so matching it would record a verification without proving anything.
+     * @param _grantId The grant.
+     * @param _dataHash keccak256 of the canonical credential JSON.
+     * @param _salt The credential's salt.
+     * @return isValid true if the data matches the credential AND the credential is Valid.
+     */
+    function verifyWithGrant(uint256 _grantId, bytes32 _dataHash, bytes32 _salt) public returns (bool isValid) {
+        AccessGrant storage grant = grants[_grantId];
+        require(grant.state != GrantState.None && _callerIdentity() == grant.requester, "CredentialAccess: Caller is not the grant's requester");
+        require(getGrantState(_grantId) == GrantState.Approved, "CredentialAccess: Access is not granted");
+        require(_salt != bytes32(0), "CredentialAccess: Salt required");
+
+        isValid = credentialStatus.verifyCredentialCommitment(grant.credentialHash, _dataHash, _salt);
+
+        emit GrantedVerification(_grantId, grant.credentialHash, grant.requester, isValid);
+    }
+
+    /**
+     * @notice Gets a grant's state, with Expired for approvals past their expiry.
+     * @param _grantId The grant.
+     * @return The state (None for an unknown grant).
+     */
+    function getGrantState(uint256 _grantId) public view returns (GrantState) {
+        AccessGrant storage grant = grants[_grantId];
+        if (grant.state == GrantState.Approved && block.timestamp >= grant.expiresAt) {
+            return GrantState.Expired;
+        }
+        return grant.state;
+    }
+
+    /**
+     * @notice Gets a grant, with its effective state.
+     * @param _grantId The grant.
+     * @return The AccessGrant struct.
+     */
+    function getAccessGrant(uint256 _grantId) public view returns (AccessGrant memory) {
+        AccessGrant memory grant = grants[_grantId];
+        grant.state = getGrantState(_grantId);
+        return grant;
+    }
+
+    /**
+     * @notice Checks whether a requester currently has access to a credential.
+     * @param _credentialHash The credential.
+     * @param _requester The Employer identity.
+     * @return true if its latest grant for the credential is approved and unexpired.
+     */
+    function hasAccess(bytes32 _credentialHash, address _requester) public view returns (bool) {
+        return getGrantState(latestGrant[_credentialHash][_requester]) == GrantState.Approved;
+    }
+
+    /**
+     * @notice Gets the IDs of the grants requested from a holder, oldest first.
+     * @param _holder The Student identity.
+     * @return The grant IDs.
+     */
+    function getHolderGrants(address _holder) public view returns (uint256[] memory) {
+        return holderGrants[_holder];
+    }
+
+    /**
+     * @notice Gets the IDs of the grants a requester asked for, oldest first.
+     * @param _requester The Employer identity.
+     * @return The grant IDs.
+     */
+    function getRequesterGrants(address _requester) public view returns (uint256[] memory) {
+        return requesterGrants[_requester];
+    }
+}
@@ -1,121 +1,311 @@
 /**
  * Frontend logic for IPFS + Credential Verification
- * Demonstrates upload, verification, and retrieval from IPFS.
+ * Signs with an EIP-1193 browser wallet (or the local-node stand-in from lib/injectedProvider.js),
+ * stores credential blobs through the storage adapters, and issues and verifies against the
+ * deployed DIDRegistry and CredentialStatus contracts.
  */
 
-// Helper functions
-function $(id) { return document.getElementById(id); }
-
-// Mock credential helpers (for demo purposes; replace with lib imports in production)
-function computeHash(data) {
-  // Simple hash simulation (use ethers.keccak256 in production)
-  const str = typeof data === 'string' ? data : JSON.stringify(data);
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
+import { ethers } from 'ethers';
+import { canonicalize } from '../lib/canonicalJson.js';
+import { HashMethod, hashCredential, generateCredentialSalt, encodeCredentialSchema } from '../lib/cryptoHelper.js';
+import { roleName, stateName } from '../lib/credentialTypes.js';
+import { isEncryptedEnvelope } from '../lib/encryption.js';
+import { createIPFSStorage } from '../lib/storage/ipfsStorage.js';
+import { createMemoryStorage } from '../lib/storage/memoryStorage.js';
+import { $, showStatus, showResult, errorMessage, createWallet, listNodeAccounts, runTransaction } from './wallet.js';
+
+// Credentials issued here are salted commitments over RFC 8785 canonical JSON
+const CREDENTIAL_SCHEMA_NAME = 'university-credential-v1';
+
+const REGISTRY_ABI = [
+  "function registerIdentity(uint8 _role) public",
+  "function getRole(address _userAddress) public view returns (uint8)",
+  "function identityOf(address _account) public view returns (address)"
+];
+
+const CREDENTIALS_ABI = [
+  "function didRegistry() public view returns (address)",
+  "function issueCredential(address _holder, bytes32 _credentialHash, string memory _ipfsHash, bytes memory _schema) public",
+  "function getCredentialStatus(bytes32 _credentialHash) public view returns (uint8)",
+  "function verifyCredentialCommitment(bytes32 _credentialHash, bytes32 _dataHash, bytes32 _salt) public view returns (bool)",
+  "function getCredentialMetadata(bytes32 _credentialHash) public view returns (tuple(bytes32 credentialHash, string ipfsHash, bytes credentialSchema, address issuer, address holder, uint256 issueDate, uint8 state, uint64 validFrom, uint64 validUntil, address delegate))"
+];
+
+const ACTION_BUTTONS = ['registerBtn', 'issueBtn', 'verifyBtn', 'retrieveBtn'];
+
+// Connection state
+let wallet = null;      // The EIP-1193 provider
+let provider = null;    // ethers.BrowserProvider over it
+let signer = null;
+let registry = null;
+let credentials = null;
+let storage = null;
+
+function requireConnection() {
+  if (!signer) {
+    throw new Error('Connect a wallet first');
   }
-  return '0x' + Math.abs(hash).toString(16).padStart(64, '0');
 }
 
-function initIPFSUI() {
-  // Config button
-  $('configBtn').addEventListener('click', () => {
-    const contractAddr = $('contractAddr').value;
-    const registryAddr = $('registryAddr').value;
-    if (!contractAddr || !registryAddr) {
-      $('configResult').innerText = 'Please provide both contract addresses';
-    } else {
-      $('configResult').innerText = `Loaded: ${contractAddr.slice(0, 10)}... | ${registryAddr.slice(0, 10)}...`;
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+}
+
+async function describeAccount() {
+  const { chainId } = await provider.getNetwork();
+  const identity = await registry.identityOf(signer.address);
+  const role = identity === ethers.ZeroAddress ? 'not registered' : roleName(await registry.getRole(identity));
+  return [
+    `Account: ${signer.address}`,
+    `Role: ${role}${identity !== ethers.ZeroAddress && identity !== signer.address ? ` (controls ${identity})` : ''}`,
+    `Chain ID: ${chainId}`,
+    `DIDRegistry: ${await registry.getAddress()}`,
+    `CredentialStatus: ${await credentials.getAddress()}`,
+    `Storage: ${storage.name}${storage.url ? ` (${storage.url})` : ''}`
+  ].join('\n');
+}
+
+async function useAccount(address) {
+  signer = await provider.getSigner(address);
+  registry = registry.connect(signer);
+  credentials = credentials.connect(signer);
+  showResult('configResult', await describeAccount());
+}
+
+async function connect() {
+  try {
+    const contractAddr = $('contractAddr').value.trim();
+    if (!ethers.isAddress(contractAddr)) {
+      throw new Error('Enter the CredentialStatus contract address');
     }
-  });
-
-  // Register button
-  $('registerBtn').addEventListener('click', () => {
-    const role = $('roleSelect').value;
-    const roles = ['', 'Student', 'University', 'Employer'];
-    $('registerResult').innerText = `Demo: registered as ${roles[role]}`;
-  });
-
-  // Issue credential button
-  $('issueBtn').addEventListener('click', () => {
-    const holder = $('holderAddress').value || '(demo)';
-    const data = $('credentialData').value || '{}';
-    
-    try {
-      const parsed = JSON.parse(data);
-      const hash = computeHash(data);
-      
-      // Simulate IPFS upload
-      const ipfsHash = 'Qm' + Math.random().toString(36).substring(7);
-      
-      $('issueResult').innerText = `
-✓ Credential issued
-- Hash: ${hash}
-- IPFS: ${ipfsHash}
-- Holder: ${holder}
-- To: Store this hash on-chain via smart contract
-      `.trim();
-    } catch (e) {
-      $('issueResult').innerText = `Error: Invalid JSON. ${e.message}`;
+    showStatus('configStatus', '🔄 Connecting to the wallet...', 'loading');
+
+    if (wallet) {
+      wallet.removeListener('accountsChanged', onAccountsChanged);
     }
-  });
-
-  // Verify credential button
-  $('verifyBtn').addEventListener('click', () => {
-    const hash = $('verifyHash').value;
-    const data = $('verifyData').value;
-    
-    if (!hash && !data) {
-      $('verifyResult').innerText = 'Provide either hash or credential data';
-      return;
+    wallet = createWallet($('walletSelect').value, {
+      rpcUrl: $('rpcUrl').value.trim(),
+      privateKey: $('standInPrivateKey').value.trim()
+    });
+    provider = new ethers.BrowserProvider(wallet);
+    const [account] = await wallet.request({ method: 'eth_requestAccounts' });
+
+    credentials = new ethers.Contract(contractAddr, CREDENTIALS_ABI, provider);
+    if ((await provider.getCode(contractAddr)) === '0x') {
+      throw new Error(`No contract at ${contractAddr} on this chain; check the address and the wallet's network`);
+    }
+    const registryAddr = $('registryAddr').value.trim() || await credentials.didRegistry();
+    $('registryAddr').value = registryAddr;
+    registry = new ethers.Contract(registryAddr, REGISTRY_ABI, provider);
+
+    storage = $('storageSelect').value === 'ipfs'
+      ? createIPFSStorage({ url: $('ipfsUrl').value.trim() })
+      : createMemoryStorage();
+
+    await populateAccounts(ethers.getAddress(account));
+    wallet.on('accountsChanged', onAccountsChanged);
+    if (!wallet.isStandIn) {
+      // Contracts and chain ID are per network: start over on another one
+      wallet.on('chainChanged', () => location.reload());
     }
 
-    let result = '';
+    await useAccount(account);
+    ACTION_BUTTONS.forEach((id) => { $(id).disabled = false; });
+    showStatus('configStatus', `✅ Connected${wallet.isStandIn ? ' through the local node stand-in' : ''}`, 'success');
+  } catch (error) {
+    ACTION_BUTTONS.forEach((id) => { $(id).disabled = true; });
+    signer = null;
+    showStatus('configStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+function onAccountsChanged(accounts) {
+  if (accounts.length > 0) {
+    useAccount(accounts[0]).catch((error) => showStatus('configStatus', `❌ ${errorMessage(error)}`, 'error'));
+  }
+}
+
+// The stand-in (without a private key) lists the node's unlocked accounts, as a wallet's account menu would
+async function populateAccounts(current) {
+  const switchable = wallet.isStandIn && !$('standInPrivateKey').value.trim();
+  $('accountFields').style.display = switchable ? 'block' : 'none';
+  if (!switchable) return;
+
+  const nodeAccounts = await listNodeAccounts($('rpcUrl').value.trim());
+  $('accountSelect').innerHTML = nodeAccounts
+    .map((address, index) => `<option value="${address}">#${index} ${address}</option>`)
+    .join('');
+  $('accountSelect').value = current;
+}
+
+async function register() {
+  try {
+    requireConnection();
+    const role = Number($('roleSelect').value);
+    const receipt = await runTransaction('registerStatus', `Registering as ${roleName(role)}`, () => registry.registerIdentity(role));
+    if (receipt) {
+      showResult('registerResult', `Transaction: ${receipt.hash}\n\n${await describeAccount()}`);
+      showResult('configResult', await describeAccount());
+    }
+  } catch (error) {
+    showStatus('registerStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+async function issue() {
+  try {
+    requireConnection();
+    const holder = $('holderAddress').value.trim();
+    if (!ethers.isAddress(holder)) {
+      throw new Error('Enter the holder (Student) address');
+    }
+    const claims = parseJson($('credentialData').value || '{}');
+
+    const salt = generateCredentialSalt();
+    const credentialHash = hashCredential(claims, HashMethod.SALTED, salt);
+
+    showStatus('issueStatus', `📤 Uploading the credential to ${storage.name} storage...`, 'loading');
+    const cid = await storage.add(canonicalize(claims));
+
+    const receipt = await runTransaction('issueStatus', 'Issuing the credential', () => credentials.issueCredential(
+      holder,
+      credentialHash,
+      cid,
+      encodeCredentialSchema(CREDENTIAL_SCHEMA_NAME, HashMethod.SALTED)
+    ));
+    if (!receipt) return;
+
+    $('verifyHash').value = credentialHash;
+    $('ipfsHash').value = cid;
+    showResult('issueResult', [
+      'Credential issued',
+      `- Hash: ${credentialHash}`,
+      `- Salt: ${salt} (give to the holder; never publish it)`,
+      `- CID: ${cid}`,
+      `- Holder: ${holder}`,
+      `- Transaction: ${receipt.hash}`
+    ].join('\n'));
+  } catch (error) {
+    showStatus('issueStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+// View calls only: the credential data never leaves the page, only its hash and the salt
+async function verify() {
+  try {
+    requireConnection();
+    let credentialHash = $('verifyHash').value.trim();
+    const data = $('verifyData').value.trim();
+    const salt = $('verifySalt').value.trim();
+    if (!credentialHash && !data) {
+      throw new Error('Provide either the credential hash or the credential data');
+    }
+    showStatus('verifyStatus', '🔄 Checking the credential on-chain...', 'loading');
+
+    const lines = [];
+    let dataMatches = null;
     if (data) {
-      try {
-        const parsed = JSON.parse(data);
-        const computedHash = computeHash(data);
-        result = `
-✓ Credential verified (demo)
-- Data: ${JSON.stringify(parsed, null, 2)}
-- Computed Hash: ${computedHash}
-- Status: VALID (on-chain verification would check issuer signature and revocation status)
-        `.trim();
-      } catch (e) {
-        result = `Error: Invalid JSON. ${e.message}`;
+      if (!ethers.isHexString(salt, 32)) {
+        throw new Error('Provide the 32-byte salt shared by the holder');
       }
-    } else {
-      result = `
-Verification for hash: ${hash}
-(In production, would query smart contract for on-chain status)
-- Status: UNKNOWN (connect to blockchain to verify)
-      `.trim();
+      const claims = parseJson(data);
+      const commitment = hashCredential(claims, HashMethod.SALTED, salt);
+      if (credentialHash && credentialHash.toLowerCase() !== commitment.toLowerCase()) {
+        lines.push(`Computed hash ${commitment} does not match the given hash: wrong data or salt`);
+      }
+      credentialHash = credentialHash || commitment;
+      const dataHash = ethers.keccak256(ethers.toUtf8Bytes(canonicalize(claims)));
+      dataMatches = await credentials.verifyCredentialCommitment(credentialHash, dataHash, salt);
+      lines.push(`Data: ${JSON.stringify(claims, null, 2)}`, `Data hash: ${dataHash}`);
+    }
+    if (!ethers.isHexString(credentialHash, 32)) {
+      throw new Error('The credential hash must be 32 bytes (0x + 64 hex digits)');
     }
 
-    $('verifyResult').innerText = result;
-  });
-
-  // Retrieve from IPFS button
-  $('retrieveBtn').addEventListener('click', () => {
-    const ipfsHash = $('ipfsHash').value;
-    if (!ipfsHash) {
-      $('retrievedData').innerText = 'Please provide IPFS hash';
+    const metadata = await credentials.getCredentialMetadata(credentialHash);
+    if (metadata.holder === ethers.ZeroAddress) {
+      showStatus('verifyStatus', '❌ No credential with this hash on-chain', 'error');
+      showResult('verifyResult', [`Credential hash: ${credentialHash}`, ...lines].join('\n'));
       return;
     }
+    const state = stateName(await credentials.getCredentialStatus(credentialHash));
+    const isValid = state === 'Valid' && dataMatches !== false;
+
+    lines.unshift(
+      `Credential hash: ${credentialHash}`,
+      `Status: ${state}`,
+      `Data matches: ${dataMatches === null ? '— (no data given; status check only)' : dataMatches ? 'yes' : 'no'}`,
+      `Issuer: ${metadata.issuer}`,
+      `Holder: ${metadata.holder}`,
+      `Issued: ${new Date(Number(metadata.issueDate) * 1000).toISOString()}`,
+      `CID: ${metadata.ipfsHash}`
+    );
+    showStatus('verifyStatus', isValid ? '✅ Credential verified' : '❌ Credential did not verify', isValid ? 'success' : 'error');
+    showResult('verifyResult', lines.join('\n'));
+  } catch (error) {
+    showStatus('verifyStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+async function retrieve() {
+  try {
+    requireConnection();
+    const cid = $('ipfsHash').value.trim();
+    if (!cid) {
+      throw new Error('Please provide the IPFS hash (CID)');
+    }
+    showStatus('retrieveStatus', `🔄 Reading ${cid} from ${storage.name} storage...`, 'loading');
+
+    const text = new TextDecoder().decode(await storage.cat(cid));
+    let content;
+    try {
+      content = JSON.parse(text);
+    } catch (error) {
+      content = null;
+    }
+
+    if (content && isEncryptedEnvelope(content)) {
+      showStatus('retrieveStatus', '🔒 Retrieved an encrypted credential: only its recipients can decrypt it', 'success');
+      $('retrievedData').textContent = `Recipients:\n${content.recipients.map((recipient) => `- ${recipient.address}`).join('\n')}`;
+    } else {
+      showStatus('retrieveStatus', '✅ Retrieved', 'success');
+      $('retrievedData').textContent = content ? JSON.stringify(content, null, 2) : text;
+    }
+    $('retrieveResult').style.display = 'block';
+  } catch (error) {
+    showStatus('retrieveStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+function showWalletFields() {
+  $('standInFields').style.display = $('walletSelect').value === 'standin' ? 'block' : 'none';
+  $('ipfsUrl').style.display = $('storageSelect').value === 'ipfs' ? 'block' : 'none';
+}
+
+function initIPFSUI() {
+  // Without an injected wallet, default to the stand-in
+  if (!window.ethereum) {
+    $('walletSelect').value = 'standin';
+  }
+  showWalletFields();
+  $('walletSelect').addEventListener('change', showWalletFields);
+  $('storageSelect').addEventListener('change', showWalletFields);
+  $('accountSelect').addEventListener('change', () => wallet.selectAccount($('accountSelect').value));
 
-    // Simulate IPFS retrieval (in production, use actual IPFS client)
-    const mockData = {
-      degree: 'Bachelor of Science in Computer Science',
-      university: 'MIT',
-      year: 2024,
-      gpa: 3.8,
-      issuer: '0x5FbDB2315678afecb367f032d93F642f64180aa3'
-    };
-
-    $('retrievedData').innerText = JSON.stringify(mockData, null, 2);
-  });
+  $('configBtn').addEventListener('click', connect);
+  $('registerBtn').addEventListener('click', register);
+  $('issueBtn').addEventListener('click', issue);
+  $('verifyBtn').addEventListener('click', verify);
+  $('retrieveBtn').addEventListener('click', retrieve);
 }
 
-window.addEventListener('load', initIPFSUI);
+initIPFSUI();
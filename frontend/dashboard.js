@@ -0,0 +1,596 @@
+/**
+ * Role Dashboards
+ * Connects a wallet (see wallet.js), looks up the role of the identity the account controls,
+ * and shows that role's dashboard:
+ *   - University: the credentials it issued, with search, issuing, and revoking, suspending or
+ *     reinstating with a reason;
+ *   - Student: the credentials it holds, their status and verification history, and the
+ *     Employers' access requests;
+ *   - Employer: a full verification report for a pasted or uploaded credential.
+ * Listing and reports come from lib/dashboards.js.
+ */
+
+import { ethers } from 'ethers';
+import { canonicalize } from '../lib/canonicalJson.js';
+import { HashMethod, hashCredential, generateCredentialSalt, encodeCredentialSchema } from '../lib/cryptoHelper.js';
+import { REASON_CODES, roleName, toUnixSeconds } from '../lib/credentialTypes.js';
+import { addressToDid, didToAddress } from '../lib/did.js';
+import { listAccessGrants } from '../lib/accessGrants.js';
+import {
+  resolveDashboard,
+  listCredentials,
+  searchCredentials,
+  getCredentialHistory,
+  verifyCredentialDocument
+} from '../lib/dashboards.js';
+import { createIPFSStorage } from '../lib/storage/ipfsStorage.js';
+import { createMemoryStorage } from '../lib/storage/memoryStorage.js';
+import { $, showStatus, showResult, errorMessage, createWallet, listNodeAccounts, runTransaction } from './wallet.js';
+
+// Credentials issued here are salted commitments over RFC 8785 canonical JSON
+const CREDENTIAL_SCHEMA_NAME = 'university-credential-v1';
+
+const REGISTRY_ABI = [
+  "function registerIdentity(uint8 _role) public",
+  "function getRole(address _userAddress) public view returns (uint8)",
+  "function identityOf(address _account) public view returns (address)",
+  "function hasRole(address _userAddress, uint8 _role) public view returns (bool)",
+  "function isAccredited(address _university) public view returns (bool)",
+  "function wasAccreditedAt(address _university, uint256 _timestamp) public view returns (bool)"
+];
+
+const CREDENTIALS_ABI = [
+  "function didRegistry() public view returns (address)",
+  "function issueCredential(address _holder, bytes32 _credentialHash, string memory _ipfsHash, bytes memory _schema) public",
+  "function issueCredentialWithValidity(address _holder, bytes32 _credentialHash, string memory _ipfsHash, bytes memory _schema, uint64 _validFrom, uint64 _validUntil) public",
+  "function revokeCredentialWithReason(bytes32 _credentialHash, uint16 _reasonCode, string _reasonURI) public",
+  "function suspendCredential(bytes32 _credentialHash, uint16 _reasonCode, string _reasonURI) public",
+  "function reinstateCredential(bytes32 _credentialHash, uint16 _reasonCode, string _reasonURI) public",
+  "function getStatusHistory(bytes32 _credentialHash) public view returns (tuple(uint8 state, uint16 reasonCode, address changedBy, uint256 timestamp, string reasonURI)[])",
+  "function getCredentialStatus(bytes32 _credentialHash) public view returns (uint8)",
+  "function getCredentialMetadata(bytes32 _credentialHash) public view returns (tuple(bytes32 credentialHash, string ipfsHash, bytes credentialSchema, address issuer, address holder, uint256 issueDate, uint8 state, uint64 validFrom, uint64 validUntil, address delegate))",
+  "event CredentialIssued(bytes32 indexed credentialHash, address indexed issuer, address indexed holder, string ipfsHash)",
+  "event CredentialVerified(bytes32 indexed credentialHash, address indexed verifier, bool isValid)"
+];
+
+const ACCESS_ABI = [
+  "function approveAccess(uint256 _grantId, uint64 _expiresAt, bytes _encryptedKey) public",
+  "function denyAccess(uint256 _grantId) public",
+  "function revokeAccess(uint256 _grantId) public",
+  "function getAccessGrant(uint256 _grantId) public view returns (tuple(bytes32 credentialHash, address holder, address requester, uint8 state, uint64 requestedAt, uint64 expiresAt, string purpose, bytes requesterPublicKey, bytes encryptedKey))",
+  "function getHolderGrants(address _holder) public view returns (uint256[])",
+  "event GrantedVerification(uint256 indexed grantId, bytes32 indexed credentialHash, address indexed requester, bool isValid)"
+];
+
+const STATUS_METHODS = {
+  revoke: { method: 'revokeCredentialWithReason', label: 'Revoking' },
+  suspend: { method: 'suspendCredential', label: 'Suspending' },
+  reinstate: { method: 'reinstateCredential', label: 'Reinstating' }
+};
+
+const CHECK_LABELS = {
+  structureValid: 'Verifiable Credential well-formed',
+  hashValid: 'Claims match the credential hash',
+  proofValid: 'Issuer signature',
+  chainMatches: 'Chain and contract',
+  found: 'Credential on-chain',
+  cidMatches: 'Storage CID',
+  dataValid: 'Shared data matches hash',
+  onChainValid: 'Status valid',
+  issuerRegistered: 'Issuer is a University',
+  issuerAccreditedAtIssue: 'Issuer accredited at issue',
+  issuerAccredited: 'Issuer accredited now'
+};
+
+const DOCUMENT_FORMATS = { link: 'Share link', vc: 'Verifiable Credential', json: 'Credential JSON' };
+
+// Connection state
+let wallet = null;      // The EIP-1193 provider
+let provider = null;    // ethers.BrowserProvider over it
+let signer = null;
+let registry = null;
+let credentials = null;
+let access = null;      // CredentialAccess, if its address was given
+let chainId = null;
+let session = null;     // From resolveDashboard: { account, identity, role, dashboard }
+let issued = [];        // The University's credentials, from listCredentials
+
+function fromBlock() {
+  return Number($('fromBlock').value) || 0;
+}
+
+function did(address) {
+  return address ? addressToDid(address, chainId) : '-';
+}
+
+function shortHash(hash) {
+  return `${hash.slice(0, 10)}…${hash.slice(-6)}`;
+}
+
+function day(iso) {
+  return iso ? iso.slice(0, 10) : '-';
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+}
+
+function cell(content, title) {
+  const td = document.createElement('td');
+  if (content instanceof Node) {
+    td.appendChild(content);
+  } else {
+    td.textContent = content;
+  }
+  if (title) td.title = title;
+  return td;
+}
+
+function tableRow(cells, onClick) {
+  const tr = document.createElement('tr');
+  tr.append(...cells.map((content) => (content instanceof HTMLTableCellElement ? content : cell(content))));
+  if (onClick) {
+    tr.className = 'selectable';
+    tr.addEventListener('click', () => {
+      tr.parentElement.querySelectorAll('tr.selected').forEach((row) => row.classList.remove('selected'));
+      tr.classList.add('selected');
+      onClick();
+    });
+  }
+  return tr;
+}
+
+function emptyRow(columns, text) {
+  const td = cell(text);
+  td.colSpan = columns;
+  td.className = 'muted';
+  const tr = document.createElement('tr');
+  tr.appendChild(td);
+  return tr;
+}
+
+function button(text, onClick) {
+  const element = document.createElement('button');
+  element.className = 'small';
+  element.textContent = text;
+  element.addEventListener('click', onClick);
+  return element;
+}
+
+// CONNECTION
+
+async function describeAccount() {
+  const lines = [
+    `Account: ${session.account}`,
+    `Identity: ${session.identity ? did(session.identity) : 'not registered'}${session.identity && session.identity !== session.account ? ' (controlled by this account)' : ''}`,
+    `Role: ${session.role}`,
+    `Chain ID: ${chainId}`,
+    `DIDRegistry: ${await registry.getAddress()}`,
+    `CredentialStatus: ${await credentials.getAddress()}`
+  ];
+  if (access) lines.push(`CredentialAccess: ${await access.getAddress()}`);
+  if (session.role === 'University') {
+    lines.push(`Accredited: ${(await registry.isAccredited(session.identity)) ? 'yes' : 'no (cannot issue)'}`);
+  }
+  return lines.join('\n');
+}
+
+function showDashboard() {
+  document.querySelectorAll('.dashboard').forEach((element) => { element.style.display = 'none'; });
+  const loaders = {
+    university: () => loadIssued(),
+    student: () => Promise.all([loadHeld(), loadGrants()]),
+    employer: () => Promise.resolve()
+  };
+  if (!session.dashboard) {
+    $('registerDashboard').style.display = 'block';
+    return Promise.resolve();
+  }
+  $(`${session.dashboard}Dashboard`).style.display = 'block';
+  return loaders[session.dashboard]();
+}
+
+async function useAccount(address) {
+  signer = await provider.getSigner(address);
+  registry = registry.connect(signer);
+  credentials = credentials.connect(signer);
+  access = access && access.connect(signer);
+  session = await resolveDashboard({ registry, account: signer.address });
+  showResult('configResult', await describeAccount());
+  $('historyCard').style.display = 'none';
+  $('reportCard').style.display = 'none';
+  await showDashboard();
+}
+
+async function connect() {
+  try {
+    const contractAddr = $('contractAddr').value.trim();
+    const accessAddr = $('accessAddr').value.trim();
+    if (!ethers.isAddress(contractAddr)) {
+      throw new Error('Enter the CredentialStatus contract address');
+    }
+    if (accessAddr && !ethers.isAddress(accessAddr)) {
+      throw new Error('The CredentialAccess address is not an address; leave it empty to skip access grants');
+    }
+    showStatus('configStatus', '🔄 Connecting to the wallet...', 'loading');
+
+    if (wallet) {
+      wallet.removeListener('accountsChanged', onAccountsChanged);
+    }
+    wallet = createWallet($('walletSelect').value, {
+      rpcUrl: $('rpcUrl').value.trim(),
+      privateKey: $('standInPrivateKey').value.trim()
+    });
+    provider = new ethers.BrowserProvider(wallet);
+    const [account] = await wallet.request({ method: 'eth_requestAccounts' });
+    chainId = (await provider.getNetwork()).chainId;
+
+    credentials = new ethers.Contract(contractAddr, CREDENTIALS_ABI, provider);
+    if ((await provider.getCode(contractAddr)) === '0x') {
+      throw new Error(`No contract at ${contractAddr} on this chain; check the address and the wallet's network`);
+    }
+    const registryAddr = $('registryAddr').value.trim() || await credentials.didRegistry();
+    $('registryAddr').value = registryAddr;
+    registry = new ethers.Contract(registryAddr, REGISTRY_ABI, provider);
+    access = accessAddr ? new ethers.Contract(accessAddr, ACCESS_ABI, provider) : null;
+
+    await populateAccounts(ethers.getAddress(account));
+    wallet.on('accountsChanged', onAccountsChanged);
+    if (!wallet.isStandIn) {
+      // Contracts and chain ID are per network: start over on another one
+      wallet.on('chainChanged', () => location.reload());
+    }
+
+    await useAccount(account);
+    showStatus('configStatus', `✅ Connected${wallet.isStandIn ? ' through the local node stand-in' : ''}`, 'success');
+  } catch (error) {
+    signer = null;
+    document.querySelectorAll('.dashboard').forEach((element) => { element.style.display = 'none'; });
+    showStatus('configStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+function onAccountsChanged(accounts) {
+  if (accounts.length > 0) {
+    useAccount(accounts[0]).catch((error) => showStatus('configStatus', `❌ ${errorMessage(error)}`, 'error'));
+  }
+}
+
+// The stand-in (without a private key) lists the node's unlocked accounts, as a wallet's account menu would
+async function populateAccounts(current) {
+  const switchable = wallet.isStandIn && !$('standInPrivateKey').value.trim();
+  $('accountFields').style.display = switchable ? 'block' : 'none';
+  if (!switchable) return;
+
+  const nodeAccounts = await listNodeAccounts($('rpcUrl').value.trim());
+  $('accountSelect').innerHTML = nodeAccounts
+    .map((address, index) => `<option value="${address}">#${index} ${address}</option>`)
+    .join('');
+  $('accountSelect').value = current;
+}
+
+async function register() {
+  try {
+    const role = Number($('roleSelect').value);
+    const receipt = await runTransaction('registerStatus', `Registering as ${roleName(role)}`, () => registry.registerIdentity(role));
+    if (receipt) {
+      await useAccount(signer.address);
+    }
+  } catch (error) {
+    showStatus('registerStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+// UNIVERSITY DASHBOARD
+
+async function loadIssued() {
+  try {
+    showStatus('issuedStatus', '🔄 Reading issued credentials...', 'loading');
+    issued = await listCredentials({ credentials, issuer: session.identity, fromBlock: fromBlock() });
+    renderIssued();
+    $('issuedStatus').className = 'status';
+  } catch (error) {
+    showStatus('issuedStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+function renderIssued() {
+  const matches = searchCredentials(issued, $('issuedSearch').value);
+  const counts = issued.reduce((totals, record) => ({ ...totals, [record.state]: (totals[record.state] || 0) + 1 }), {});
+  $('issuedSummary').textContent = issued.length === 0
+    ? 'No credentials issued yet.'
+    : `${issued.length} issued (${Object.entries(counts).map(([state, count]) => `${count} ${state}`).join(', ')}); ${matches.length} shown`;
+
+  $('issuedTable').replaceChildren(...(matches.length > 0
+    ? matches.map((record) => tableRow([
+      cell(shortHash(record.credentialHash), record.credentialHash),
+      cell(did(record.holder)),
+      record.state,
+      day(record.issuedAt),
+      day(record.validUntil),
+      cell(record.ipfsHash || '-')
+    ], () => { $('statusHash').value = record.credentialHash; }))
+    : [emptyRow(6, issued.length > 0 ? 'No credential matches the search' : 'Nothing to show')]));
+}
+
+async function issue() {
+  try {
+    const holderInput = $('holderAddress').value.trim();
+    const holder = holderInput.startsWith('did:') ? didToAddress(holderInput) : holderInput;
+    if (!ethers.isAddress(holder)) {
+      throw new Error('Enter the holder (Student) address or DID');
+    }
+    const claims = parseJson($('credentialData').value || '{}');
+    const validUntil = $('validUntil').value ? toUnixSeconds($('validUntil').value, 'valid until') : 0;
+
+    const salt = generateCredentialSalt();
+    const credentialHash = hashCredential(claims, HashMethod.SALTED, salt);
+    const schema = encodeCredentialSchema(CREDENTIAL_SCHEMA_NAME, HashMethod.SALTED);
+
+    const storage = $('storageSelect').value === 'ipfs'
+      ? createIPFSStorage({ url: $('ipfsUrl').value.trim() })
+      : createMemoryStorage();
+    showStatus('issueStatus', `📤 Uploading the credential to ${storage.name} storage...`, 'loading');
+    const cid = await storage.add(canonicalize(claims));
+
+    const receipt = await runTransaction('issueStatus', 'Issuing the credential', () => (validUntil
+      ? credentials.issueCredentialWithValidity(holder, credentialHash, cid, schema, 0, validUntil)
+      : credentials.issueCredential(holder, credentialHash, cid, schema)));
+    if (!receipt) return;
+
+    showResult('issueResult', [
+      'Credential issued',
+      `- Hash: ${credentialHash}`,
+      `- Salt: ${salt} (give to the holder; never publish it)`,
+      `- CID: ${cid}`,
+      `- Holder: ${did(holder)}`,
+      `- Transaction: ${receipt.hash}`
+    ].join('\n'));
+    await loadIssued();
+  } catch (error) {
+    showStatus('issueStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+async function changeStatus() {
+  try {
+    const credentialHash = $('statusHash').value.trim();
+    if (!ethers.isHexString(credentialHash, 32)) {
+      throw new Error('Select a credential or enter its 32-byte hash');
+    }
+    const { method, label } = STATUS_METHODS[$('statusAction').value];
+    const reasonCode = Number($('statusReason').value);
+    const reasonUri = $('statusReasonUri').value.trim();
+
+    const receipt = await runTransaction('changeStatus', `${label} ${shortHash(credentialHash)} (${REASON_CODES[reasonCode]})`,
+      () => credentials[method](credentialHash, reasonCode, reasonUri));
+    if (receipt) {
+      await loadIssued();
+    }
+  } catch (error) {
+    showStatus('changeStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+// STUDENT DASHBOARD
+
+async function loadHeld() {
+  try {
+    showStatus('heldStatus', '🔄 Reading your credentials...', 'loading');
+    const held = await listCredentials({ credentials, holder: session.identity, fromBlock: fromBlock() });
+    $('heldSummary').textContent = held.length === 0
+      ? 'No credentials have been issued to you yet.'
+      : `${held.length} credential${held.length === 1 ? '' : 's'}; select one for its history.`;
+    $('heldTable').replaceChildren(...(held.length > 0
+      ? held.map((record) => tableRow([
+        cell(shortHash(record.credentialHash), record.credentialHash),
+        cell(did(record.issuer)),
+        record.state,
+        day(record.issuedAt),
+        day(record.validUntil)
+      ], () => showHistory(record.credentialHash)))
+      : [emptyRow(5, 'Nothing to show')]));
+    $('heldStatus').className = 'status';
+  } catch (error) {
+    showStatus('heldStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+function renderHistory(history, statusTableId, verificationTableId) {
+  $(statusTableId).replaceChildren(...(history.statusChanges.length > 0
+    ? history.statusChanges.map((change) => tableRow([
+      change.timestamp,
+      change.state,
+      `${change.reason}${change.reasonURI ? ` (${change.reasonURI})` : ''}`,
+      cell(did(change.changedBy))
+    ]))
+    : [emptyRow(4, 'Unchanged since issuance')]));
+
+  $(verificationTableId).replaceChildren(...(history.verifications.length > 0
+    ? history.verifications.map((verification) => tableRow([
+      verification.verifiedAt,
+      cell(did(verification.verifier)),
+      verification.isValid ? '✅ valid' : '❌ invalid',
+      verification.grantId === null ? 'CredentialStatus' : `Access grant #${verification.grantId}`
+    ]))
+    : [emptyRow(4, 'No on-chain verifications yet')]));
+}
+
+async function showHistory(credentialHash) {
+  try {
+    const history = await getCredentialHistory({ credentials, access, credentialHash, fromBlock: fromBlock() });
+    $('historyTitle').textContent = credentialHash;
+    renderHistory(history, 'statusHistoryTable', 'verificationTable');
+    $('historyCard').style.display = 'block';
+  } catch (error) {
+    showStatus('heldStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+async function loadGrants() {
+  $('grantsCard').style.display = access ? 'block' : 'none';
+  if (!access) return;
+  try {
+    const { pending, active, closed } = await listAccessGrants({ access, holder: session.identity });
+    const actions = {
+      Pending: (grant) => [button('Approve', () => decide('approve', grant.grantId)), button('Deny', () => decide('deny', grant.grantId))],
+      Approved: (grant) => [button('Revoke', () => decide('revoke', grant.grantId))]
+    };
+    const grants = [...pending, ...active, ...closed];
+    $('grantsTable').replaceChildren(...(grants.length > 0
+      ? grants.map((grant) => {
+        const controls = document.createElement('div');
+        controls.append(...(actions[grant.state] ? actions[grant.state](grant) : []));
+        return tableRow([
+          `#${grant.grantId}`,
+          cell(did(grant.requester)),
+          cell(shortHash(grant.credentialHash), grant.credentialHash),
+          grant.purpose || '-',
+          grant.state === 'Approved' ? `Approved until ${day(grant.expiresAt)}` : grant.state,
+          cell(controls)
+        ]);
+      })
+      : [emptyRow(6, 'No access requests')]));
+  } catch (error) {
+    showStatus('grantsStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+async function decide(action, grantId) {
+  try {
+    let receipt;
+    if (action === 'approve') {
+      if (!$('grantExpiry').value) {
+        throw new Error('Choose the date the approval ends');
+      }
+      const expiresAt = toUnixSeconds($('grantExpiry').value, 'expiry');
+      receipt = await runTransaction('grantsStatus', `Approving grant #${grantId}`, () => access.approveAccess(grantId, expiresAt, '0x'));
+    } else if (action === 'deny') {
+      receipt = await runTransaction('grantsStatus', `Denying grant #${grantId}`, () => access.denyAccess(grantId));
+    } else {
+      receipt = await runTransaction('grantsStatus', `Revoking grant #${grantId}`, () => access.revokeAccess(grantId));
+    }
+    if (receipt) {
+      await loadGrants();
+    }
+  } catch (error) {
+    showStatus('grantsStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+// EMPLOYER DASHBOARD
+
+function checkText(value) {
+  if (value === null) return '— not shared';
+  return value ? '✅ yes' : '❌ no';
+}
+
+function renderReport(report) {
+  const verdict = $('verdict');
+  verdict.textContent = report.isValid ? '✅ Credential verified' : '❌ Credential did not verify';
+  verdict.className = `verdict ${report.isValid ? 'valid' : 'invalid'}`;
+
+  $('checksTable').replaceChildren(
+    tableRow(['Given as', DOCUMENT_FORMATS[report.format]]),
+    tableRow(['Credential hash', report.credentialHash || '-']),
+    tableRow(['Chain ID', report.chainId === null ? '-' : String(report.chainId)]),
+    tableRow(['Issuer', report.issuer ? addressToDid(report.issuer, report.chainId) : '-']),
+    tableRow(['Holder', report.holder ? addressToDid(report.holder, report.chainId) : '-']),
+    tableRow(['State', report.state || '-']),
+    tableRow(['Valid until', report.validUntil || (report.checks.found ? 'Never expires' : '-')]),
+    tableRow(['Storage CID', report.cid || '-']),
+    ...Object.entries(CHECK_LABELS)
+      .filter(([name]) => name in report.checks)
+      .map(([name, label]) => tableRow([label, checkText(report.checks[name])]))
+  );
+
+  const claims = report.claims || {};
+  $('claimsTable').replaceChildren(...(Object.keys(claims).length > 0
+    ? Object.entries(claims).map(([name, value]) => tableRow([name, typeof value === 'string' ? value : JSON.stringify(value)]))
+    : [tableRow(['-', 'No claims given (status check only)'])]));
+
+  $('reasonsBox').style.display = report.reasons.length > 0 ? 'block' : 'none';
+  $('reasonsList').replaceChildren(...report.reasons.map((reason) => {
+    const li = document.createElement('li');
+    li.textContent = reason;
+    return li;
+  }));
+}
+
+async function verifyDocument() {
+  try {
+    const text = $('documentInput').value.trim();
+    if (!text) {
+      throw new Error('Paste a credential or load it from a file');
+    }
+    showStatus('verifyStatus', '🔄 Checking the credential on-chain...', 'loading');
+
+    const report = await verifyCredentialDocument(text, { credentials, registry });
+    renderReport(report);
+    // History is only meaningful for a credential on the connected contracts
+    const history = report.checks.found
+      ? await getCredentialHistory({ credentials, access, credentialHash: report.credentialHash, fromBlock: fromBlock() })
+      : { statusChanges: [], verifications: [] };
+    renderHistory(history, 'reportStatusTable', 'reportVerificationTable');
+    $('reportCard').style.display = 'block';
+    showStatus('verifyStatus', report.isValid ? '✅ Verified' : '❌ Not verified', report.isValid ? 'success' : 'error');
+  } catch (error) {
+    $('reportCard').style.display = 'none';
+    showStatus('verifyStatus', `❌ ${errorMessage(error)}`, 'error');
+    console.error(error);
+  }
+}
+
+async function loadDocumentFile() {
+  const [file] = $('documentFile').files;
+  if (file) {
+    $('documentInput').value = await file.text();
+    await verifyDocument();
+  }
+}
+
+// SETUP
+
+function showWalletFields() {
+  $('standInFields').style.display = $('walletSelect').value === 'standin' ? 'block' : 'none';
+  $('ipfsUrl').style.display = $('storageSelect').value === 'ipfs' ? 'block' : 'none';
+}
+
+function initDashboard() {
+  // Without an injected wallet, default to the stand-in
+  if (!window.ethereum) {
+    $('walletSelect').value = 'standin';
+  }
+  showWalletFields();
+  $('statusReason').innerHTML = REASON_CODES.map((name, code) => `<option value="${code}">${name}</option>`).join('');
+
+  $('walletSelect').addEventListener('change', showWalletFields);
+  $('storageSelect').addEventListener('change', showWalletFields);
+  $('accountSelect').addEventListener('change', () => wallet.selectAccount($('accountSelect').value));
+
+  $('connectBtn').addEventListener('click', connect);
+  $('registerBtn').addEventListener('click', register);
+  $('refreshIssuedBtn').addEventListener('click', loadIssued);
+  $('issuedSearch').addEventListener('input', renderIssued);
+  $('issueBtn').addEventListener('click', issue);
+  $('changeStatusBtn').addEventListener('click', changeStatus);
+  $('refreshHeldBtn').addEventListener('click', () => Promise.all([loadHeld(), loadGrants()]));
+  $('refreshGrantsBtn').addEventListener('click', loadGrants);
+  $('verifyDocumentBtn').addEventListener('click', verifyDocument);
+  $('documentFile').addEventListener('change', loadDocumentFile);
+}
+
+initDashboard();
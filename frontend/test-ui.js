@@ -10,28 +10,56 @@ if (typeof ethers === 'undefined') {
   alert('ethers.js failed to load. Please refresh the page and check your internet connection.');
 }
 
+// Credential data is hashed as RFC 8785 canonical JSON (window.canonicalize, loaded from
+// lib/canonicalJson.js by test-ui.html) and committed with a random salt kept by the Student,
+// so the on-chain hash cannot be brute-forced. The schema marker records that for verifiers.
+const CREDENTIAL_SCHEMA = "university-credential-v1;c14n=jcs;commitment=salted";
+
 // Global state
 let provider, owner, university, student, employer;
-let registry, credentials;
+let registry, credentials, access, chainId, resolver;
 let currentCredentialHash = null;
 
 // Contract ABIs (minimal required functions)
 const REGISTRY_ABI = [
   "function registerIdentity(uint8 _role) public",
   "function getRole(address _userAddress) public view returns (uint8)",
-  "function hasRole(address _userAddress, uint8 _role) public view returns (bool)"
+  "function hasRole(address _userAddress, uint8 _role) public view returns (bool)",
+  "function approveUniversity(address _university, string _reasonURI) public",
+  "function accreditationStatus(address _university) public view returns (uint8)",
+  "function identities(address) public view returns (address walletAddress, uint8 role, bool isRegistered)",
+  "function getAttributes(address _identity) public view returns (tuple(bytes32 name, string value)[])",
+  "function getController(address _identity) public view returns (address)"
 ];
 
 const CREDENTIALS_ABI = [
   "function issueCredential(address _holder, bytes32 _credentialHash, string memory _ipfsHash, bytes memory _schema) public",
+  "function issueCredentialWithValidity(address _holder, bytes32 _credentialHash, string memory _ipfsHash, bytes memory _schema, uint64 _validFrom, uint64 _validUntil) public",
   "function revokeCredential(bytes32 _credentialHash) public",
+  "function revokeCredentialWithReason(bytes32 _credentialHash, uint16 _reasonCode, string _reasonURI) public",
+  "function suspendCredential(bytes32 _credentialHash, uint16 _reasonCode, string _reasonURI) public",
+  "function reinstateCredential(bytes32 _credentialHash, uint16 _reasonCode, string _reasonURI) public",
+  "function getStatusHistory(bytes32 _credentialHash) public view returns (tuple(uint8 state, uint16 reasonCode, address changedBy, uint256 timestamp, string reasonURI)[])",
   "function getCredentialStatus(bytes32 _credentialHash) public view returns (uint8)",
   "function isCredentialValid(bytes32 _credentialHash) public view returns (bool)",
-  "function verifyCredentialData(string memory _credentialData, bytes32 _credentialHash) public returns (bool)",
-  "function getCredentialMetadata(bytes32 _credentialHash) public view returns (tuple(bytes32 credentialHash, string ipfsHash, bytes credentialSchema, address issuer, address holder, uint256 issueDate, uint8 state))",
+  "function verifyCredentialCommitment(bytes32 _credentialHash, bytes32 _dataHash, bytes32 _salt) public view returns (bool)",
+  "function getCredentialMetadata(bytes32 _credentialHash) public view returns (tuple(bytes32 credentialHash, string ipfsHash, bytes credentialSchema, address issuer, address holder, uint256 issueDate, uint8 state, uint64 validFrom, uint64 validUntil, address delegate))",
   "function getCredentialIPFSHash(bytes32 _credentialHash) public view returns (string memory)"
 ];
 
+const ACCESS_ABI = [
+  "function requestAccess(bytes32 _credentialHash, string _purpose, bytes _publicKey) public returns (uint256 grantId)",
+  "function approveAccess(uint256 _grantId, uint64 _expiresAt, bytes _encryptedKey) public",
+  "function denyAccess(uint256 _grantId) public",
+  "function revokeAccess(uint256 _grantId) public",
+  "function verifyWithGrant(uint256 _grantId, bytes32 _dataHash, bytes32 _salt) public returns (bool isValid)",
+  "function getAccessGrant(uint256 _grantId) public view returns (tuple(bytes32 credentialHash, address holder, address requester, uint8 state, uint64 requestedAt, uint64 expiresAt, string purpose, bytes requesterPublicKey, bytes encryptedKey))",
+  "function getHolderGrants(address _holder) public view returns (uint256[])",
+  "function getRequesterGrants(address _requester) public view returns (uint256[])",
+  "event AccessRequested(uint256 indexed grantId, bytes32 indexed credentialHash, address indexed holder, address requester, string purpose)",
+  "event GrantedVerification(uint256 indexed grantId, bytes32 indexed credentialHash, address indexed requester, bool isValid)"
+];
+
 // Helper functions
 function $(id) {
   return document.getElementById(id);
@@ -54,6 +82,29 @@ function hideOutput(elementId) {
   element.style.display = "none";
 }
 
+// Show an address as its DID (window.addressToDid and window.didResolver come from
+// lib/did.js and lib/didResolver.js), with the role its DID Document resolves to
+async function showIdentity(elementId, address) {
+  const did = addressToDid(address, chainId);
+  const { didDocument } = await resolver.resolve(did);
+  const element = $(elementId);
+  element.title = address;
+  if (!didDocument) {
+    element.textContent = `${did} (not registered)`;
+  } else {
+    const services = (didDocument.service || []).map(service => service.type);
+    const details = [didDocument.role, didDocument.accreditation, ...services].filter(Boolean);
+    element.textContent = `${did} (${details.join(", ")})`;
+  }
+}
+
+async function refreshAccounts() {
+  await showIdentity("ownerAddr", owner);
+  await showIdentity("universityAddr", university);
+  await showIdentity("studentAddr", student);
+  await showIdentity("employerAddr", employer);
+}
+
 function setButtonsEnabled(enabled) {
   const buttons = [
     "registerUniversityBtn",
@@ -65,6 +116,15 @@ function setButtonsEnabled(enabled) {
     "statusBtn",
     "verifyBtn",
     "ipfsHashBtn",
+    "shareBtn",
+    "requestAccessBtn",
+    "listGrantsBtn",
+    "approveAccessBtn",
+    "denyAccessBtn",
+    "revokeAccessBtn",
+    "grantVerifyBtn",
+    "suspendBtn",
+    "reinstateBtn",
     "revokeBtn",
     "revokeCheckBtn",
     "errorBtn"
@@ -85,6 +145,7 @@ async function connectToNetwork() {
     const rpcUrl = $("rpcUrl").value;
     const registryAddr = $("registryAddress").value;
     const credentialsAddr = $("credentialsAddress").value;
+    const accessAddr = $("accessAddress").value.trim();
 
     if (!registryAddr || !credentialsAddr) {
       showStatus("connectionStatus", "❌ Please provide both contract addresses", "error");
@@ -112,6 +173,9 @@ async function connectToNetwork() {
     // Attach to contracts using provider (read-only first)
     registry = new ethers.Contract(registryAddr, REGISTRY_ABI, provider);
     credentials = new ethers.Contract(credentialsAddr, CREDENTIALS_ABI, provider);
+    access = accessAddr ? new ethers.Contract(accessAddr, ACCESS_ABI, provider) : null;
+    chainId = (await provider.getNetwork()).chainId;
+    resolver = didResolver.createDidResolver({ registry, chainId });
 
     // Display connection info
     showStatus(
@@ -124,19 +188,21 @@ async function connectToNetwork() {
     $("accountsContainer").style.display = "block";
     $("accountsPlaceholder").style.display = "none";
 
-    $("ownerAddr").textContent = owner;
-    $("universityAddr").textContent = university;
-    $("studentAddr").textContent = student;
-    $("employerAddr").textContent = employer;
+    await refreshAccounts();
 
     $("studentAddressField").value = student;
 
+    // Reason codes for Step 8
+    $("reasonCodeSelect").innerHTML = credentialTypes.REASON_CODES
+      .map((name, code) => `<option value="${code}">${code} - ${name}</option>`)
+      .join("");
+
     // Enable buttons
     setButtonsEnabled(true);
 
     showOutput(
       "networkOutput",
-      `Connected to: ${rpcUrl}\nRegistry: ${registryAddr}\nCredentials: ${credentialsAddr}\n\nReady to run test scenario!`
+      `Connected to: ${rpcUrl}\nRegistry: ${registryAddr}\nCredentials: ${credentialsAddr}\nAccess Grants: ${accessAddr || "not configured"}\n\nReady to run test scenario!`
     );
   } catch (error) {
     showStatus("connectionStatus", `❌ ${error.message}`, "error");
@@ -154,8 +220,15 @@ async function registerUniversity() {
     const tx = await registryWithSigner.registerIdentity(2);
     await tx.wait();
 
-    showStatus("registerStatus", "✅ University registered!", "success");
-    showOutput("registerOutput", `Transaction: ${tx.hash}`);
+    // The deployer (owner) is the first accreditor; a University can only issue once accredited
+    const accreditor = registry.connect(await provider.getSigner(owner));
+    const approval = await accreditor.approveUniversity(university, "");
+    await approval.wait();
+    const accreditation = credentialTypes.accreditationName(await registry.accreditationStatus(university));
+
+    await refreshAccounts();
+    showStatus("registerStatus", `✅ University registered and ${accreditation.toLowerCase()}!`, "success");
+    showOutput("registerOutput", `Registration: ${tx.hash}\nAccreditation (by owner): ${approval.hash}`);
   } catch (error) {
     showStatus("registerStatus", `❌ ${error.reason || error.message}`, "error");
     console.error(error);
@@ -171,6 +244,7 @@ async function registerStudent() {
     const tx = await registryWithSigner.registerIdentity(1);
     await tx.wait();
 
+    await refreshAccounts();
     showStatus("registerStatus", "✅ Student registered!", "success");
     showOutput("registerOutput", `Transaction: ${tx.hash}`);
   } catch (error) {
@@ -188,6 +262,7 @@ async function registerEmployer() {
     const tx = await registryWithSigner.registerIdentity(3);
     await tx.wait();
 
+    await refreshAccounts();
     showStatus("registerStatus", "✅ Employer registered!", "success");
     showOutput("registerOutput", `Transaction: ${tx.hash}`);
   } catch (error) {
@@ -196,43 +271,49 @@ async function registerEmployer() {
   }
 }
 
+// Read the credential fields entered in Step 2
+function readCredentialFields() {
+  const degree = $("credentialDegree").value.trim();
+  const university = $("credentialUniversity").value.trim();
+  const year = parseInt($("credentialYear").value) || 2024;
+  const gpa = parseFloat($("credentialGPA").value) || 3.8;
+  const honors = $("credentialHonors").value.trim();
+
+  if (!degree || !university || !honors) {
+    throw new Error("Degree, University, and Honors are required");
+  }
+
+  return { degree, university, year, gpa, honors };
+}
+
+// keccak256(abi.encode(salt, dataHash)), as in CredentialStatus.verifyCredentialCommitment
+function computeSaltedCommitment(dataHash, salt) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "bytes32"], [salt, dataHash]));
+}
+
 // STEP 2: CREATE & HASH CREDENTIAL
 async function createAndHashCredential() {
   try {
     showStatus("hashStatus", "🔄 Creating credential hash...", "loading");
 
-    // Get individual credential fields
-    const degree = $("credentialDegree").value.trim();
-    const university = $("credentialUniversity").value.trim();
-    const year = parseInt($("credentialYear").value) || 2024;
-    const gpa = parseFloat($("credentialGPA").value) || 3.8;
-    const honors = $("credentialHonors").value.trim();
-
-    // Validate inputs
-    if (!degree || !university || !honors) {
-      throw new Error("Degree, University, and Honors are required");
-    }
-
     // Build credential object
-    const credentialObj = {
-      degree,
-      university,
-      year,
-      gpa,
-      honors
-    };
+    const credentialObj = readCredentialFields();
 
-    // Convert to JSON string
-    const credentialData = JSON.stringify(credentialObj);
+    // Convert to canonical JSON string (independent of key order and whitespace)
+    const credentialData = canonicalize(credentialObj);
+    const dataHash = ethers.keccak256(ethers.toUtf8Bytes(credentialData));
 
-    // Compute keccak256 hash
-    currentCredentialHash = ethers.keccak256(ethers.toUtf8Bytes(credentialData));
+    // Fresh 32-byte salt for this credential; the Student keeps it and shares it with verifiers
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    currentCredentialHash = computeSaltedCommitment(dataHash, salt);
 
     // Update UI
     $("credentialHashField").value = currentCredentialHash;
+    $("credentialSaltField").value = salt;
+    $("verifySaltInput").value = salt;
 
     showStatus("hashStatus", "✅ Credential hash created!", "success");
-    showOutput("hashOutput", `Credential Data:\n${JSON.stringify(credentialObj, null, 2)}\n\nHash (keccak256):\n${currentCredentialHash}`);
+    showOutput("hashOutput", `Credential Data:\n${JSON.stringify(credentialObj, null, 2)}\n\nCanonical JSON (RFC 8785):\n${credentialData}\n\nData Hash (keccak256):\n${dataHash}\n\nSalt (give to the Student, never publish):\n${salt}\n\nCommitment (keccak256(salt, dataHash)):\n${currentCredentialHash}`);
   } catch (error) {
     showStatus("hashStatus", `❌ ${error.message}`, "error");
     console.error(error);
@@ -250,22 +331,23 @@ async function issueCredential() {
 
     const holderAddress = $("studentAddressField").value;
     const ipfsHash = $("ipfsHashInput").value;
-    const schema = ethers.toUtf8Bytes("university-credential-v1");
+    const schema = ethers.toUtf8Bytes(CREDENTIAL_SCHEMA);
+    const validUntil = $("validUntilInput").value
+      ? credentialTypes.toUnixSeconds(new Date($("validUntilInput").value), "valid-until date")
+      : 0;
 
     const signer = await provider.getSigner(university);
     const credentialsWithSigner = credentials.connect(signer);
-    const tx = await credentialsWithSigner.issueCredential(
-      holderAddress,
-      currentCredentialHash,
-      ipfsHash,
-      schema
-    );
+    const tx = validUntil
+      ? await credentialsWithSigner.issueCredentialWithValidity(holderAddress, currentCredentialHash, ipfsHash, schema, 0, validUntil)
+      : await credentialsWithSigner.issueCredential(holderAddress, currentCredentialHash, ipfsHash, schema);
     await tx.wait();
 
+    const { validUntil: expires } = credentialTypes.formatValidity({ validFrom: 0, validUntil });
     showStatus("issueStatus", "✅ Credential issued!", "success");
     showOutput(
       "issueOutput",
-      `Transaction: ${tx.hash}\n\nCredential Hash: ${currentCredentialHash}\nHolder: ${holderAddress}\nIPFS: ${ipfsHash}`
+      `Transaction: ${tx.hash}\n\nCredential Hash: ${currentCredentialHash}\nHolder: ${holderAddress}\nIPFS: ${ipfsHash}\nValid Until: ${expires || "never expires"}`
     );
   } catch (error) {
     showStatus("issueStatus", `❌ ${error.reason || error.message}`, "error");
@@ -285,11 +367,13 @@ async function retrieveMetadata() {
     const metadata = await credentials.getCredentialMetadata(currentCredentialHash);
 
     // Display metadata table
-    $("metadataIssuer").textContent = metadata.issuer;
-    $("metadataHolder").textContent = metadata.holder;
+    await showIdentity("metadataIssuer", metadata.issuer);
+    $("metadataDelegate").textContent = metadata.delegate === ethers.ZeroAddress ? "- (the University itself)" : metadata.delegate;
+    await showIdentity("metadataHolder", metadata.holder);
     $("metadataIPFS").textContent = metadata.ipfsHash;
     $("metadataDate").textContent = new Date(Number(metadata.issueDate) * 1000).toISOString();
-    $("metadataState").textContent = metadata.state === 1n ? "Valid" : "Revoked";
+    $("metadataValidUntil").textContent = credentialTypes.formatValidity(metadata).validUntil || "Never expires";
+    $("metadataState").textContent = credentialTypes.stateName(metadata.state);
 
     $("metadataTable").style.display = "table";
     showStatus("metadataStatus", "✅ Metadata retrieved!", "success");
@@ -306,11 +390,12 @@ async function checkCredentialStatus() {
       throw new Error("Issue credential first (Step 3)");
     }
 
+    const state = await credentials.getCredentialStatus(currentCredentialHash);
     const isValid = await credentials.isCredentialValid(currentCredentialHash);
     const $output = $("statusOutput");
     $output.style.display = "block";
-    $output.classList.remove("revoked");
-    $("statusResult").textContent = isValid ? "✅ VALID" : "❌ REVOKED";
+    $output.classList.toggle("revoked", !isValid);
+    $("statusResult").textContent = `${isValid ? "✅" : "❌"} ${credentialTypes.stateName(state).toUpperCase()}`;
 
     showStatus("statusOutput", "✅ Status retrieved!", "success");
   } catch (error) {
@@ -329,37 +414,20 @@ async function verifyCredential() {
     showStatus("verifyStatus", "🔄 Verifying credential...", "loading");
 
     // Build credential data from the same fields used in Step 2
-    const degree = $("credentialDegree").value.trim();
-    const university = $("credentialUniversity").value.trim();
-    const year = parseInt($("credentialYear").value) || 2024;
-    const gpa = parseFloat($("credentialGPA").value) || 3.8;
-    const honors = $("credentialHonors").value.trim();
-
-    const credentialObj = {
-      degree,
-      university,
-      year,
-      gpa,
-      honors
-    };
-
-    const credentialData = JSON.stringify(credentialObj);
-    
-    const signer = await provider.getSigner(employer);
-    const credentialsWithSigner = credentials.connect(signer);
-    const tx = await credentialsWithSigner.verifyCredentialData(
-      credentialData,
-      currentCredentialHash
-    );
-    await tx.wait();
+    const credentialObj = readCredentialFields();
+    const salt = $("verifySaltInput").value.trim();
+    if (!ethers.isHexString(salt, 32)) {
+      throw new Error("Enter the 32-byte salt provided by the Student");
+    }
 
-    // Check if verification succeeded
-    const isValid = await credentials.isCredentialValid(currentCredentialHash);
+    // Hash locally: only the data hash and salt reach the node, and only in a view call
+    const dataHash = ethers.keccak256(ethers.toUtf8Bytes(canonicalize(credentialObj)));
+    const isValid = await credentials.verifyCredentialCommitment(currentCredentialHash, dataHash, salt);
 
-    showStatus("verifyStatus", "✅ Credential verified!", "success");
+    showStatus("verifyStatus", isValid ? "✅ Credential verified!" : "❌ Credential did not verify", isValid ? "success" : "error");
     showOutput(
       "verifyOutput",
-      `Verification by: ${employer}\nTransaction: ${tx.hash}\nResult: ${isValid ? "VALID ✅" : "INVALID ❌"}\n\nEmit Event: CredentialVerified (no PII logged)`
+      `Verification by: ${employer}\nData Hash: ${dataHash}\nResult: ${isValid ? "VALID ✅" : "INVALID ❌"}\n\nView call only: no transaction, no credential data on-chain`
     );
   } catch (error) {
     showStatus("verifyStatus", `❌ ${error.reason || error.message}`, "error");
@@ -389,40 +457,210 @@ async function retrieveIPFSHash() {
   }
 }
 
-// STEP 8: REVOKE CREDENTIAL
-async function revokeCredential() {
+// SHARE FOR VERIFICATION
+// window.shareLink and window.qrCode come from lib/shareLink.js and lib/qrCode.js
+async function shareCredential() {
+  try {
+    if (!currentCredentialHash) {
+      throw new Error("Issue credential first (Step 3)");
+    }
+
+    const link = shareLink.createShareLink({
+      chainId,
+      credentialStatus: await credentials.getAddress(),
+      credentialHash: currentCredentialHash,
+      cid: (await credentials.getCredentialIPFSHash(currentCredentialHash)) || undefined,
+      claims: readCredentialFields(),
+      salt: $("credentialSaltField").value
+    }, new URL("verify.html", location.href).href);
+
+    const qr = qrCode.createQrCode(link, { errorCorrection: "L" });
+    $("shareQr").innerHTML = qrCode.qrCodeToSvg(qr, { moduleSize: 3 });
+    $("shareQr").style.display = "block";
+
+    showStatus("shareStatus", "✅ Verification link created!", "success");
+    showOutput("shareOutput", `${link}\n\nQR Code: version ${qr.version} (${qr.size}x${qr.size}), error correction ${qr.errorCorrection}`);
+  } catch (error) {
+    showStatus("shareStatus", `❌ ${error.message}`, "error");
+    console.error(error);
+  }
+}
+
+// ACCESS GRANTS
+// window.accessGrants comes from lib/accessGrants.js
+function requireAccessContract() {
+  if (!access) {
+    throw new Error("Enter the CredentialAccess address and reconnect");
+  }
+  if (!currentCredentialHash) {
+    throw new Error("Issue credential first (Step 3)");
+  }
+}
+
+function readGrantId() {
+  const grantId = Number($("accessGrantIdInput").value);
+  if (!Number.isInteger(grantId) || grantId < 1) {
+    throw new Error("Enter a grant ID (request access first)");
+  }
+  return grantId;
+}
+
+function describeGrant(grant) {
+  const expiry = grant.expiresAt ? `, until ${grant.expiresAt}` : "";
+  return `#${grant.grantId} ${grant.state}${expiry}: ${grant.requester}${grant.purpose ? ` (${grant.purpose})` : ""}`;
+}
+
+async function requestCredentialAccess() {
+  try {
+    requireAccessContract();
+    showStatus("accessStatus", "🔄 Requesting access...", "loading");
+
+    const { grantId, transactionHash } = await accessGrants.requestAccess({
+      access: access.connect(await provider.getSigner(employer)),
+      credentialHash: currentCredentialHash,
+      purpose: $("accessPurposeInput").value.trim()
+    });
+    $("accessGrantIdInput").value = grantId;
+
+    showStatus("accessStatus", `✅ Access requested (grant #${grantId})`, "success");
+    showOutput("accessOutput", `Transaction: ${transactionHash}\nRequester: ${employer}\n\nEmit Event: AccessRequested`);
+  } catch (error) {
+    showStatus("accessStatus", `❌ ${error.reason || error.message}`, "error");
+    console.error(error);
+  }
+}
+
+async function listCredentialGrants() {
+  try {
+    requireAccessContract();
+    showStatus("accessStatus", "🔄 Loading grants...", "loading");
+
+    const { pending, active, closed } = await accessGrants.listAccessGrants({ access, holder: student });
+    const section = (title, grants) => `${title}:\n${grants.length ? grants.map(describeGrant).join("\n") : "(none)"}`;
+
+    showStatus("accessStatus", `✅ ${pending.length} pending, ${active.length} active`, "success");
+    showOutput("accessOutput", [section("Pending", pending), section("Active", active), section("Past", closed)].join("\n\n"));
+  } catch (error) {
+    showStatus("accessStatus", `❌ ${error.reason || error.message}`, "error");
+    console.error(error);
+  }
+}
+
+const ACCESS_ACTIONS = {
+  approve: { progress: "Approving", done: "approved", events: "AccessApproved" },
+  deny: { progress: "Denying", done: "denied", events: "AccessDenied" },
+  revoke: { progress: "Revoking", done: "revoked", events: "AccessRevoked" }
+};
+
+async function decideAccess(action) {
+  try {
+    requireAccessContract();
+    const grantId = readGrantId();
+    const { progress, done, events } = ACCESS_ACTIONS[action];
+    showStatus("accessStatus", `🔄 ${progress} grant #${grantId}...`, "loading");
+
+    const accessWithSigner = access.connect(await provider.getSigner(student));
+    let result;
+    if (action === "approve") {
+      const expiry = $("accessExpiryInput").value;
+      if (!expiry) {
+        throw new Error("Choose when the approval ends");
+      }
+      result = await accessGrants.approveAccess({ access: accessWithSigner, grantId, expiresAt: new Date(expiry) });
+    } else {
+      result = await accessGrants[`${action}Access`]({ access: accessWithSigner, grantId });
+    }
+
+    showStatus("accessStatus", `✅ Grant #${grantId} ${done}!`, "success");
+    showOutput("accessOutput", `Transaction: ${result.transactionHash}\n\nEmit Event: ${events}`);
+  } catch (error) {
+    showStatus("accessStatus", `❌ ${error.reason || error.message}`, "error");
+    console.error(error);
+  }
+}
+
+async function verifyThroughGrant() {
+  try {
+    requireAccessContract();
+    const grantId = readGrantId();
+    const salt = $("verifySaltInput").value.trim();
+    if (!ethers.isHexString(salt, 32)) {
+      throw new Error("Enter the 32-byte salt provided by the Student (Step 6)");
+    }
+    showStatus("accessStatus", `🔄 Verifying through grant #${grantId}...`, "loading");
+
+    const { isValid, transactionHash } = await accessGrants.verifyWithGrant({
+      access: access.connect(await provider.getSigner(employer)),
+      grantId,
+      claims: readCredentialFields(),
+      salt
+    });
+
+    showStatus("accessStatus", isValid ? "✅ Credential verified through the grant!" : "❌ Credential did not verify", isValid ? "success" : "error");
+    showOutput("accessOutput", `Transaction: ${transactionHash}\nResult: ${isValid ? "VALID ✅" : "INVALID ❌"}\n\nEmit Event: GrantedVerification (visible to the Student)`);
+  } catch (error) {
+    showStatus("accessStatus", `❌ ${error.reason || error.message}`, "error");
+    console.error(error);
+  }
+}
+
+// STEP 8: SUSPEND, REINSTATE OR REVOKE CREDENTIAL
+const STATUS_ACTIONS = {
+  suspend: { method: "suspendCredential", progress: "Suspending", done: "suspended", events: "CredentialStatusChanged" },
+  reinstate: { method: "reinstateCredential", progress: "Reinstating", done: "reinstated", events: "CredentialStatusChanged" },
+  revoke: { method: "revokeCredentialWithReason", progress: "Revoking", done: "revoked", events: "CredentialStatusChanged, CredentialRevoked" }
+};
+
+async function changeCredentialStatus(action) {
   try {
     if (!currentCredentialHash) {
       throw new Error("Issue credential first (Step 3)");
     }
 
-    showStatus("revokeStatus", "🔄 Revoking credential...", "loading");
+    const { method, progress, done, events } = STATUS_ACTIONS[action];
+    const reasonCode = Number($("reasonCodeSelect").value || 0);
+    const reasonURI = $("reasonUriInput").value.trim();
+    showStatus("revokeStatus", `🔄 ${progress} credential...`, "loading");
 
     const signer = await provider.getSigner(university);
     const credentialsWithSigner = credentials.connect(signer);
-    const tx = await credentialsWithSigner.revokeCredential(currentCredentialHash);
+    const tx = await credentialsWithSigner[method](currentCredentialHash, reasonCode, reasonURI);
     await tx.wait();
 
-    showStatus("revokeStatus", "✅ Credential revoked!", "success");
-    showOutput("revokeOutput", `Transaction: ${tx.hash}\n\nEmit Event: CredentialRevoked`);
+    showStatus("revokeStatus", `✅ Credential ${done}!`, "success");
+    showOutput(
+      "revokeOutput",
+      `Transaction: ${tx.hash}\nReason: ${credentialTypes.reasonName(reasonCode)}${reasonURI ? ` (${reasonURI})` : ""}\n\nEmit Event: ${events}`
+    );
   } catch (error) {
     showStatus("revokeStatus", `❌ ${error.reason || error.message}`, "error");
     console.error(error);
   }
 }
 
-// STEP 9: CHECK STATUS AFTER REVOKE
+// STEP 9: CHECK STATUS AND HISTORY AFTER A CHANGE
 async function checkStatusAfterRevoke() {
   try {
     if (!currentCredentialHash) {
       throw new Error("Issue credential first (Step 3)");
     }
 
+    const state = await credentials.getCredentialStatus(currentCredentialHash);
     const isValid = await credentials.isCredentialValid(currentCredentialHash);
     const $output = $("revokeCheckOutput");
     $output.style.display = "block";
-    $output.classList.add("revoked");
-    $("revokeCheckResult").textContent = isValid ? "VALID" : "REVOKED ✓";
+    $output.classList.toggle("revoked", !isValid);
+    $("revokeCheckResult").textContent = `${credentialTypes.stateName(state).toUpperCase()} (isCredentialValid: ${isValid})`;
+
+    const history = (await credentials.getStatusHistory(currentCredentialHash)).map(credentialTypes.formatStatusChange);
+    showOutput(
+      "statusHistoryOutput",
+      history.length === 0
+        ? "No status changes since issuance"
+        : history
+          .map((change) => `${change.timestamp}  ${change.state}  ${change.reason}${change.reasonURI ? `  ${change.reasonURI}` : ""}`)
+          .join("\n")
+    );
   } catch (error) {
     console.error(error);
   }
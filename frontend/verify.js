@@ -0,0 +1,178 @@
+/**
+ * Verifier Page JavaScript
+ * Decodes a share link (lib/shareLink.js) from the URL fragment, a pasted link or a scanned
+ * QR code, and verifies the credential against the contracts it names. Runs automatically
+ * when the page is opened from a link.
+ */
+
+import { ethers } from 'ethers';
+import { parseShareLink, verifySharedCredential } from '../lib/shareLink.js';
+import { addressToDid } from '../lib/did.js';
+
+const REGISTRY_ABI = [
+  "function hasRole(address _userAddress, uint8 _role) public view returns (bool)",
+  "function isAccredited(address _university) public view returns (bool)",
+  "function wasAccreditedAt(address _university, uint256 _timestamp) public view returns (bool)"
+];
+
+const CREDENTIALS_ABI = [
+  "function didRegistry() public view returns (address)",
+  "function getCredentialMetadata(bytes32 _credentialHash) public view returns (tuple(bytes32 credentialHash, string ipfsHash, bytes credentialSchema, address issuer, address holder, uint256 issueDate, uint8 state, uint64 validFrom, uint64 validUntil, address delegate))"
+];
+
+const CHECK_LABELS = {
+  chainMatches: "Chain and contract",
+  found: "Credential on-chain",
+  cidMatches: "Storage CID",
+  dataValid: "Shared data matches hash",
+  onChainValid: "Status valid",
+  issuerRegistered: "Issuer is a University",
+  issuerAccreditedAtIssue: "Issuer accredited at issue",
+  issuerAccredited: "Issuer accredited now"
+};
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function showStatus(message, type) {
+  const element = $("verifyStatus");
+  element.textContent = message;
+  element.className = `status show ${type}`;
+}
+
+function row(label, value) {
+  const tr = document.createElement("tr");
+  for (const text of [label, value]) {
+    const td = document.createElement("td");
+    td.textContent = text;
+    tr.appendChild(td);
+  }
+  return tr;
+}
+
+function checkText(value) {
+  if (value === null) return "— not shared";
+  return value ? "✅ yes" : "❌ no";
+}
+
+function renderReport(payload, report) {
+  $("resultCard").style.display = "block";
+  const verdict = $("verdict");
+  verdict.textContent = report.isValid ? "✅ Credential verified" : "❌ Credential did not verify";
+  verdict.className = `verdict ${report.isValid ? "valid" : "invalid"}`;
+
+  const checks = $("checksTable");
+  checks.replaceChildren(
+    row("Credential hash", report.credentialHash),
+    row("Chain ID", String(payload.chainId)),
+    row("Issuer", report.issuer ? addressToDid(report.issuer, payload.chainId) : "-"),
+    row("Holder", report.holder ? addressToDid(report.holder, payload.chainId) : "-"),
+    row("State", report.state || "-"),
+    row("Valid until", report.validUntil || (report.checks.found ? "Never expires" : "-")),
+    row("Storage CID", payload.cid || "-"),
+    ...Object.entries(CHECK_LABELS).map(([name, label]) => row(label, checkText(report.checks[name])))
+  );
+
+  const claims = report.claims || {};
+  $("claimsTable").replaceChildren(
+    ...(Object.keys(claims).length > 0
+      ? Object.entries(claims).map(([name, value]) => row(name, typeof value === "string" ? value : JSON.stringify(value)))
+      : [row("-", "No claims in this link (status check only)")])
+  );
+
+  $("reasonsBox").style.display = report.reasons.length > 0 ? "block" : "none";
+  $("reasonsList").replaceChildren(...report.reasons.map((reason) => {
+    const li = document.createElement("li");
+    li.textContent = reason;
+    return li;
+  }));
+}
+
+async function verifyLink(link) {
+  try {
+    const payload = parseShareLink(link);
+    showStatus("🔄 Checking the credential on-chain...", "loading");
+
+    const provider = new ethers.JsonRpcProvider($("rpcUrl").value.trim(), undefined, { staticNetwork: true });
+    const credentials = new ethers.Contract(payload.credentialStatus, CREDENTIALS_ABI, provider);
+    const registry = new ethers.Contract(await credentials.didRegistry(), REGISTRY_ABI, provider);
+
+    const report = await verifySharedCredential(payload, { credentials, registry });
+    renderReport(payload, report);
+    showStatus(report.isValid ? "✅ Verified" : "❌ Not verified", report.isValid ? "success" : "error");
+  } catch (error) {
+    $("resultCard").style.display = "none";
+    showStatus(`❌ ${error.shortMessage || error.message}`, "error");
+    console.error(error);
+  }
+}
+
+// QR codes are read with the browser's BarcodeDetector (Chromium-based browsers); elsewhere, paste the link
+async function detectQrCode(source) {
+  const detector = new BarcodeDetector({ formats: ["qr_code"] });
+  const [code] = await detector.detect(source);
+  return code ? code.rawValue : null;
+}
+
+async function scanImage(file) {
+  try {
+    const found = await detectQrCode(await createImageBitmap(file));
+    if (!found) {
+      throw new Error("No QR code found in the image");
+    }
+    $("linkInput").value = found;
+    await verifyLink(found);
+  } catch (error) {
+    showStatus(`❌ ${error.message}`, "error");
+  }
+}
+
+async function scanCamera() {
+  const video = $("cameraPreview");
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } });
+    video.srcObject = stream;
+    video.style.display = "block";
+    await video.play();
+    showStatus("📷 Point the camera at a verification QR code...", "loading");
+
+    let found = null;
+    while (!found && video.srcObject) {
+      found = await detectQrCode(video);
+      if (!found) await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+    $("linkInput").value = found;
+    await verifyLink(found);
+  } catch (error) {
+    showStatus(`❌ ${error.message}`, "error");
+  } finally {
+    if (stream) stream.getTracks().forEach((track) => track.stop());
+    video.srcObject = null;
+    video.style.display = "none";
+  }
+}
+
+$("verifyBtn").addEventListener("click", () => verifyLink($("linkInput").value));
+$("scanImageBtn").addEventListener("click", () => $("qrImageInput").click());
+$("qrImageInput").addEventListener("change", (event) => {
+  if (event.target.files[0]) scanImage(event.target.files[0]);
+});
+$("scanCameraBtn").addEventListener("click", scanCamera);
+
+if (!("BarcodeDetector" in window)) {
+  $("scanImageBtn").disabled = true;
+  $("scanCameraBtn").disabled = true;
+  $("scanImageBtn").title = $("scanCameraBtn").title = "This browser cannot read QR codes; paste the link instead";
+}
+
+// Opened from a link: verify straight away
+function verifyFromLocation() {
+  if (location.hash.length > 1) {
+    $("linkInput").value = location.href;
+    verifyLink(location.href);
+  }
+}
+window.addEventListener("hashchange", verifyFromLocation);
+verifyFromLocation();
@@ -0,0 +1,86 @@
+/**
+ * Wallet helpers shared by the frontend pages (ipfs-ui.html, dashboard.html): connecting an
+ * EIP-1193 browser wallet or the local-node stand-in from lib/injectedProvider.js, listing the
+ * node's accounts, status boxes, and reporting a transaction's lifecycle.
+ */
+
+import { ethers } from 'ethers';
+import { createInjectedProvider } from '../lib/injectedProvider.js';
+
+export function $(id) { return document.getElementById(id); }
+
+export function showStatus(elementId, message, type) {
+  const element = $(elementId);
+  element.textContent = message;
+  element.className = `status show ${type}`;
+}
+
+export function showResult(elementId, text) {
+  const element = $(elementId);
+  element.textContent = text;
+  element.style.display = 'block';
+}
+
+export function errorMessage(error) {
+  return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * The EIP-1193 provider to sign with.
+ * @param {string} kind - 'injected' (window.ethereum) or 'standin'.
+ * @param {object} [options] - For the stand-in: { rpcUrl, privateKey }.
+ * @returns {object} The provider.
+ */
+export function createWallet(kind, { rpcUrl, privateKey } = {}) {
+  if (kind === 'injected') {
+    if (!window.ethereum) {
+      throw new Error('No browser wallet found; install one or choose the local node stand-in');
+    }
+    return window.ethereum;
+  }
+  return createInjectedProvider({ url: rpcUrl, privateKey: privateKey || undefined });
+}
+
+/**
+ * The node's unlocked accounts, as a wallet's account menu would list them for the stand-in.
+ * @param {string} rpcUrl - The node's JSON-RPC URL.
+ * @returns {Promise<string[]>} Checksummed addresses.
+ */
+export async function listNodeAccounts(rpcUrl) {
+  const node = new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true });
+  try {
+    return (await node.send('eth_accounts', [])).map((address) => ethers.getAddress(address));
+  } finally {
+    node.destroy();
+  }
+}
+
+/**
+ * Send a transaction and report each stage of its lifecycle in a status box: waiting for the
+ * wallet, submitted, mined (or rejected / reverted).
+ * @param {string} statusId - The status element.
+ * @param {string} label - What the transaction does, e.g. "Registering as Student".
+ * @param {Function} send - Sends the transaction and resolves with its response.
+ * @returns {Promise<object|null>} The receipt, or null if the transaction was rejected in the wallet.
+ */
+export async function runTransaction(statusId, label, send) {
+  showStatus(statusId, `🦊 ${label}: confirm the transaction in your wallet...`, 'loading');
+  let tx;
+  try {
+    tx = await send();
+  } catch (error) {
+    if (error.code === 'ACTION_REJECTED' || (error.info && error.info.error && error.info.error.code === 4001)) {
+      showStatus(statusId, `✋ ${label}: rejected in the wallet, nothing was sent`, 'error');
+      return null;
+    }
+    if (error.code === 'CALL_EXCEPTION') {
+      throw new Error(`${label} would revert, so nothing was sent: ${errorMessage(error)}`);
+    }
+    throw error;
+  }
+
+  showStatus(statusId, `⏳ ${label}: submitted ${tx.hash}, waiting to be mined...`, 'loading');
+  const receipt = await tx.wait();
+  showStatus(statusId, `✅ ${label}: confirmed in block ${receipt.blockNumber} (gas used ${receipt.gasUsed})`, 'success');
+  return receipt;
+}
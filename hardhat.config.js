@@ -3,7 +3,13 @@ import "hardhat-gas-reporter"; // Import the gas reporter plugin
 
 /** @type import('hardhat/config').HardhatUserConfig */
 const config = {
-  solidity: "0.8.19",
+  solidity: {
+    version: "0.8.19",
+    // The optimizer keeps CredentialStatus and DIDRegistry under the 24 KB contract size limit
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
   networks: {
     localhost: {
       url: "http://127.0.0.1:8545",
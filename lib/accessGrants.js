@@ -0,0 +1,246 @@
+/**
+ * Access Grants Module
+ * Helpers for the CredentialAccess contract: an Employer requests access to a Student's credential,
+ * the Student approves it until an expiry, denies it or later revokes it, and the Employer verifies
+ * through its grant, so the Student sees who verified and when.
+ *
+ * For an encrypted blob (see encryption.js), approving can release the blob's content key to the
+ * Employer: the Student wraps it to the public key the Employer sent with its request, and the
+ * 93-byte result (compressed ephemeral public key, IV, wrapped key) is stored with the grant. Only
+ * the Employer's private key unwraps it. Revoking deletes the stored key, but an Employer that
+ * already read it keeps it.
+ *
+ * The Student dashboard (frontend/dashboard.js) lists the requests for its credentials with listAccessGrants.
+ */
+
+import { ethers } from 'ethers';
+import { canonicalize } from './canonicalJson.js';
+import { KEY_WRAP_ALGORITHM, wrapKeyForRecipient, decryptCredential } from './encryption.js';
+import { accessGrantStateName, toUnixSeconds } from './credentialTypes.js';
+
+// Compressed ephemeral public key, AES-GCM IV, and the 32-byte content key with its 16-byte tag
+const KEY_GRANT_PARTS = { ephemeralPublicKey: 33, iv: 12, wrappedKey: 48 };
+
+function eventArgs(access, receipt, name) {
+  for (const log of receipt.logs) {
+    const parsed = access.interface.parseLog(log);
+    if (parsed && parsed.name === name) {
+      return parsed.args;
+    }
+  }
+  throw new Error(`Transaction ${receipt.hash} emitted no ${name} event`);
+}
+
+/**
+ * Encode a public key the way CredentialAccess.requestAccess expects it.
+ * @param {string} publicKey - A secp256k1 public key: compressed, uncompressed, or the raw 64 bytes.
+ * @returns {string} The uncompressed key without its 0x04 prefix (64 bytes, hex).
+ */
+export function encodeRequesterPublicKey(publicKey) {
+  const key = ethers.dataLength(publicKey) === 64 ? ethers.concat(['0x04', publicKey]) : publicKey;
+  return ethers.dataSlice(ethers.SigningKey.computePublicKey(key, false), 1);
+}
+
+/**
+ * Encode a wrapped content key (a recipient entry from wrapKeyForRecipient) for a grant.
+ * @param {object} recipient - { ephemeralPublicKey, iv, wrappedKey }.
+ * @returns {string} The 93-byte encoding (hex).
+ */
+export function encodeKeyGrant(recipient) {
+  const parts = Object.entries(KEY_GRANT_PARTS).map(([name, length]) => {
+    if (ethers.dataLength(recipient[name]) !== length) {
+      throw new Error(`Invalid wrapped key: ${name} must be ${length} bytes`);
+    }
+    return recipient[name];
+  });
+  return ethers.concat(parts);
+}
+
+/**
+ * Decode a grant's released key into an envelope recipient entry.
+ * @param {string} encryptedKey - The grant's encryptedKey.
+ * @param {string} address - The requester's account (the entry's recipient).
+ * @returns {object} { address, algorithm, ephemeralPublicKey, iv, wrappedKey }.
+ * @throws {Error} If the encoding has the wrong length.
+ */
+export function decodeKeyGrant(encryptedKey, address) {
+  const total = Object.values(KEY_GRANT_PARTS).reduce((sum, length) => sum + length, 0);
+  if (ethers.dataLength(encryptedKey) !== total) {
+    throw new Error(`Invalid released key: expected ${total} bytes, got ${ethers.dataLength(encryptedKey)}`);
+  }
+  const entry = { address, algorithm: KEY_WRAP_ALGORITHM };
+  let offset = 0;
+  for (const [name, length] of Object.entries(KEY_GRANT_PARTS)) {
+    entry[name] = ethers.dataSlice(encryptedKey, offset, offset + length);
+    offset += length;
+  }
+  return entry;
+}
+
+/**
+ * Readable form of a CredentialAccess.AccessGrant returned by getAccessGrant.
+ * @param {object} grant - The on-chain grant.
+ * @param {number|bigint} grantId - Its ID.
+ * @returns {object} { grantId, credentialHash, holder, requester, state, requestedAt, expiresAt (ISO or null),
+ *   purpose, requesterPublicKey, encryptedKey (null if none), keyReleased }.
+ */
+export function formatAccessGrant(grant, grantId) {
+  const publicKey = ethers.hexlify(grant.requesterPublicKey);
+  const encryptedKey = ethers.hexlify(grant.encryptedKey);
+  return {
+    grantId: Number(grantId),
+    credentialHash: grant.credentialHash,
+    holder: grant.holder,
+    requester: grant.requester,
+    state: accessGrantStateName(grant.state),
+    requestedAt: new Date(Number(grant.requestedAt) * 1000).toISOString(),
+    expiresAt: grant.expiresAt > 0n ? new Date(Number(grant.expiresAt) * 1000).toISOString() : null,
+    purpose: grant.purpose,
+    requesterPublicKey: publicKey === '0x' ? null : publicKey,
+    encryptedKey: encryptedKey === '0x' ? null : encryptedKey,
+    keyReleased: encryptedKey !== '0x'
+  };
+}
+
+/**
+ * Request access to a credential (as a registered Employer).
+ * @param {object} params
+ * @param {object} params.access - CredentialAccess contract instance connected to the Employer.
+ * @param {string} params.credentialHash - The credential.
+ * @param {string} [params.purpose] - Why access is requested, shown to the Student.
+ * @param {string} [params.publicKey] - The Employer's public key, for the Student to release an encrypted blob's key to.
+ * @returns {Promise<object>} { grantId, holder, transactionHash }.
+ */
+export async function requestAccess({ access, credentialHash, purpose = '', publicKey }) {
+  const tx = await access.requestAccess(credentialHash, purpose, publicKey ? encodeRequesterPublicKey(publicKey) : '0x');
+  const args = eventArgs(access, await tx.wait(), 'AccessRequested');
+  return { grantId: Number(args.grantId), holder: args.holder, transactionHash: tx.hash };
+}
+
+/**
+ * Approve a request (as the Student holding the credential), releasing the blob's key if it is encrypted.
+ * @param {object} params
+ * @param {object} params.access - CredentialAccess contract instance connected to the Student.
+ * @param {number} params.grantId - The grant.
+ * @param {string|number|Date} params.expiresAt - End of the approval (ISO date, Unix seconds or Date).
+ * @param {object} [params.envelope] - The credential's encrypted blob (parsed JSON), to release its key.
+ * @param {object|string} [params.wallet] - The Student's wallet, SigningKey or private key (a recipient of the envelope).
+ * @returns {Promise<object>} { grantId, expiresAt (Unix seconds), keyReleased, transactionHash }.
+ * @throws {Error} If a key is to be released but the Employer sent no public key.
+ */
+export async function approveAccess({ access, grantId, expiresAt, envelope, wallet }) {
+  const expiry = toUnixSeconds(expiresAt, 'expiry');
+  let encryptedKey = '0x';
+  if (envelope) {
+    const grant = await access.getAccessGrant(grantId);
+    if (ethers.dataLength(grant.requesterPublicKey) === 0) {
+      throw new Error(`Grant ${grantId}: the requester sent no public key to release the credential key to`);
+    }
+    const publicKey = ethers.concat(['0x04', grant.requesterPublicKey]);
+    encryptedKey = encodeKeyGrant(await wrapKeyForRecipient(envelope, wallet, publicKey));
+  }
+
+  const tx = await access.approveAccess(grantId, expiry, encryptedKey);
+  await tx.wait();
+  return { grantId: Number(grantId), expiresAt: expiry, keyReleased: encryptedKey !== '0x', transactionHash: tx.hash };
+}
+
+/**
+ * Deny a pending request (as the Student holding the credential).
+ * @param {object} params
+ * @param {object} params.access - CredentialAccess contract instance connected to the Student.
+ * @param {number} params.grantId - The grant.
+ * @returns {Promise<object>} { grantId, transactionHash }.
+ */
+export async function denyAccess({ access, grantId }) {
+  const tx = await access.denyAccess(grantId);
+  await tx.wait();
+  return { grantId: Number(grantId), transactionHash: tx.hash };
+}
+
+/**
+ * Revoke an active approval (as the Student holding the credential). A released key is deleted from the grant.
+ * @param {object} params
+ * @param {object} params.access - CredentialAccess contract instance connected to the Student.
+ * @param {number} params.grantId - The grant.
+ * @returns {Promise<object>} { grantId, transactionHash }.
+ */
+export async function revokeAccess({ access, grantId }) {
+  const tx = await access.revokeAccess(grantId);
+  await tx.wait();
+  return { grantId: Number(grantId), transactionHash: tx.hash };
+}
+
+/**
+ * List a Student's or Employer's grants, grouped for display.
+ * @param {object} params
+ * @param {object} params.access - CredentialAccess contract instance.
+ * @param {string} [params.holder] - The Student identity (grants requested from it).
+ * @param {string} [params.requester] - The Employer identity (grants it requested).
+ * @returns {Promise<object>} { pending, active, closed }: formatAccessGrant entries, newest first.
+ */
+export async function listAccessGrants({ access, holder, requester }) {
+  const ids = holder ? await access.getHolderGrants(holder) : await access.getRequesterGrants(requester);
+  const grants = [];
+  for (const id of [...ids].reverse()) {
+    grants.push(formatAccessGrant(await access.getAccessGrant(id), id));
+  }
+  return {
+    pending: grants.filter((grant) => grant.state === 'Pending'),
+    active: grants.filter((grant) => grant.state === 'Approved'),
+    closed: grants.filter((grant) => grant.state !== 'Pending' && grant.state !== 'Approved')
+  };
+}
+
+/**
+ * Verify a salted credential through an active grant (as its Employer). The claims are hashed
+ * locally: only the data hash and salt are sent.
+ * @param {object} params
+ * @param {object} params.access - CredentialAccess contract instance connected to the Employer.
+ * @param {number} params.grantId - The grant.
+ * @param {object|string} params.claims - The credential data (object or canonical JSON).
+ * @param {string} params.salt - The credential's salt.
+ * @returns {Promise<object>} { grantId, isValid, transactionHash }.
+ * @throws {Error} If no salt is given: unsalted credentials cannot be verified through a grant.
+ */
+export async function verifyWithGrant({ access, grantId, claims, salt }) {
+  if (!salt || !ethers.isHexString(salt, 32) || salt === ethers.ZeroHash) {
+    throw new Error('Verifying through a grant needs the credential\'s 32-byte salt; unsalted credentials cannot be');
+  }
+  const dataHash = ethers.keccak256(ethers.toUtf8Bytes(typeof claims === 'string' ? claims : canonicalize(claims)));
+  const tx = await access.verifyWithGrant(grantId, dataHash, salt);
+  const args = eventArgs(access, await tx.wait(), 'GrantedVerification');
+  return { grantId: Number(grantId), isValid: args.isValid, transactionHash: tx.hash };
+}
+
+/**
+ * Decrypt a credential blob with the key a Student released through a grant.
+ * @param {object} params
+ * @param {object} params.envelope - The encrypted blob (parsed JSON).
+ * @param {object} params.grant - The grant (from getAccessGrant or formatAccessGrant).
+ * @param {object|string} params.wallet - The Employer's wallet, SigningKey or private key.
+ * @returns {Promise<Uint8Array>} The plaintext bytes.
+ * @throws {Error} If no key was released (or it was revoked), or the wallet is not the requester's.
+ */
+export async function decryptWithGrant({ envelope, grant, wallet }) {
+  const encryptedKey = grant.encryptedKey ? ethers.hexlify(grant.encryptedKey) : '0x';
+  if (encryptedKey === '0x') {
+    throw new Error('No credential key has been released through this grant');
+  }
+  const address = ethers.computeAddress(ethers.concat(['0x04', grant.requesterPublicKey]));
+  return decryptCredential({ ...envelope, recipients: [decodeKeyGrant(encryptedKey, address)] }, wallet);
+}
+
+export default {
+  encodeRequesterPublicKey,
+  encodeKeyGrant,
+  decodeKeyGrant,
+  formatAccessGrant,
+  requestAccess,
+  approveAccess,
+  denyAccess,
+  revokeAccess,
+  listAccessGrants,
+  verifyWithGrant,
+  decryptWithGrant
+};
@@ -0,0 +1,88 @@
+/**
+ * Batch Issuance Module
+ * Commits a whole graduating class under one Merkle root, issued in a single
+ * CredentialStatus.issueCredentialBatch transaction. Each Student receives an
+ * inclusion proof for their own credential.
+ *
+ * Leaf for a credential:  keccak256(keccak256(abi.encode(bytes32 credentialHash, address holder)))
+ * matching CredentialStatus.hashBatchLeaf. The tree is the sorted-pair tree of merkle.js.
+ */
+
+import { ethers } from 'ethers';
+import { buildMerkleTree, getMerkleProof, verifyMerkleProof } from './merkle.js';
+
+/**
+ * Compute the Merkle leaf for one batch-issued credential.
+ * @param {object} entry - { credentialHash, holder }.
+ * @returns {string} The leaf hash.
+ */
+export function hashBatchLeaf({ credentialHash, holder }) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(['bytes32', 'address'], [credentialHash, holder]);
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+/**
+ * Build a credential batch.
+ * @param {object[]} entries - [{ credentialHash, holder }], one per Student.
+ * @returns {object} { root, credentialCount, credentials: [{ credentialHash, holder, proof }], tree }.
+ * @throws {Error} If the batch is empty or a credential hash appears twice.
+ */
+export function buildCredentialBatch(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('A credential batch needs at least one credential');
+  }
+
+  const seen = new Set();
+  for (const { credentialHash } of entries) {
+    const key = credentialHash.toLowerCase();
+    if (seen.has(key)) {
+      throw new Error(`Duplicate credential hash in batch: ${credentialHash}`);
+    }
+    seen.add(key);
+  }
+
+  const tree = buildMerkleTree(entries.map(hashBatchLeaf));
+  const credentials = entries.map(({ credentialHash, holder }, index) => ({
+    credentialHash,
+    holder: ethers.getAddress(holder),
+    proof: getMerkleProof(tree, index)
+  }));
+
+  return {
+    root: tree.root,
+    credentialCount: entries.length,
+    credentials,
+    tree
+  };
+}
+
+/**
+ * Get a Student's batch receipt: what they need to prove their credential later.
+ * @param {object} batch - A batch from buildCredentialBatch.
+ * @param {string} credentialHash - The Student's credential hash.
+ * @returns {object} { merkleRoot, credentialHash, holder, proof }.
+ */
+export function getBatchReceipt(batch, credentialHash) {
+  const credential = batch.credentials.find((c) => c.credentialHash.toLowerCase() === credentialHash.toLowerCase());
+  if (!credential) {
+    throw new Error(`Credential not in batch: ${credentialHash}`);
+  }
+  return { merkleRoot: batch.root, ...credential };
+}
+
+/**
+ * Check a batch receipt off-chain. On-chain status is not checked;
+ * use CredentialStatus.verifyBatchCredential for that.
+ * @param {object} receipt - A receipt from getBatchReceipt.
+ * @returns {boolean} True if the credential is included under receipt.merkleRoot.
+ */
+export function verifyBatchReceipt(receipt) {
+  return verifyMerkleProof(hashBatchLeaf(receipt), receipt.proof, receipt.merkleRoot);
+}
+
+export default {
+  hashBatchLeaf,
+  buildCredentialBatch,
+  getBatchReceipt,
+  verifyBatchReceipt
+};
@@ -0,0 +1,460 @@
+/**
+ * Bulk Issuance Module
+ * Issues one credential per row of a registrar office's CSV export. Each row is validated,
+ * hashed, stored and issued in its own CredentialStatus transaction (unlike batchIssuance.js,
+ * which commits a whole class under one Merkle root), and the run ends with a receipt per row.
+ *
+ * Columns: holder (the Student's address) is required; validFrom and validUntil (ISO date or
+ * Unix seconds) are optional; every other non-empty cell is a claim. Cells are kept as strings
+ * unless the registered schema types the column as number, integer, boolean, array or object.
+ * With a holderPublicKey column, each row's blob is encrypted to its own holder (plus any
+ * encryptTo keys, e.g. the registrar's); encryptTo alone encrypts to the registrar only.
+ *
+ * Runs are resumable: a checkpoint file records each row's salt, CID and transaction as it
+ * progresses, so a rerun skips issued rows, waits for transactions still pending and reuses
+ * salts instead of issuing a row twice under a new hash. Transactions are sent back to back
+ * with locally tracked nonces (re-read from the node after a failed send), up to maxPending
+ * unconfirmed at once. Storage and RPC errors are retried with exponential backoff; reverts
+ * are final and recorded on the row.
+ */
+
+import fs from 'fs/promises';
+import { ethers } from 'ethers';
+import { canonicalize, HashMethod } from './canonicalJson.js';
+import { generateCredentialSalt, hashCredential, encodeCredentialSchema } from './cryptoHelper.js';
+import { uploadCredentialToIPFS } from './ipfsHelper.js';
+import { toUnixSeconds } from './credentialTypes.js';
+import { validateAgainstSchema, formatValidationErrors } from './jsonSchema.js';
+import { computeCID } from './storage/cid.js';
+import { parseCsv, formatCsv } from './csv.js';
+
+export const RESERVED_COLUMNS = ['holder', 'holderPublicKey', 'validFrom', 'validUntil'];
+export const RECEIPT_COLUMNS = [
+  'line', 'holder', 'status', 'credentialHash', 'salt', 'cid', 'transactionHash', 'nonce', 'blockNumber', 'gasUsed', 'attempts', 'error'
+];
+export const CHECKPOINT_VERSION = 1;
+export const DEFAULT_RETRIES = 3;
+export const DEFAULT_RETRY_DELAY_MS = 1000;
+export const DEFAULT_MAX_PENDING = 8;
+
+const NUMBER = /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/;
+
+// A CSV cell as the type the schema gives its column; left as a string (for validation to report) if it does not convert
+function coerceCell(value, property = {}) {
+  const types = [].concat(property.type || []);
+  if ((types.includes('number') || types.includes('integer')) && NUMBER.test(value)) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if (types.includes('array') || types.includes('object')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+}
+
+// A row's holderPublicKey cell, which must be the key of the row's holder
+function parseHolderPublicKey(value, holder) {
+  if (!value) {
+    throw new Error('holderPublicKey is empty');
+  }
+  let address;
+  try {
+    address = ethers.computeAddress(value);
+  } catch (error) {
+    throw new Error(`holderPublicKey is not a secp256k1 public key: "${value}"`);
+  }
+  if (address !== holder) {
+    throw new Error(`holderPublicKey belongs to ${address}, not to the holder`);
+  }
+  return value;
+}
+
+/**
+ * Read a registrar CSV into issuance rows, validating each one.
+ * Invalid rows are returned with an error rather than thrown, so one bad row does not stop a run.
+ * @param {string} text - The CSV text.
+ * @param {object} [options]
+ * @param {object} [options.schemaDocument] - JSON Schema of a registered schema to type and validate claims with.
+ * @returns {object[]} [{ line, holder, holderPublicKey, claims, validFrom, validUntil, error }], error null for
+ *   valid rows and holderPublicKey null without that column.
+ * @throws {Error} If the CSV is malformed or has no holder or claim columns.
+ */
+export function parseIssuanceCsv(text, { schemaDocument = null } = {}) {
+  const { header, records } = parseCsv(text);
+  if (!header.includes('holder')) {
+    throw new Error('CSV has no "holder" column');
+  }
+  if (header.every((column) => RESERVED_COLUMNS.includes(column))) {
+    throw new Error('CSV has no claim columns');
+  }
+
+  const properties = (schemaDocument && schemaDocument.properties) || {};
+  const seen = new Map();
+  return records.map(({ line, values }) => {
+    const row = { line, holder: values.holder.trim(), holderPublicKey: null, claims: {}, validFrom: 0, validUntil: 0, error: null };
+    try {
+      if (!ethers.isAddress(row.holder)) {
+        throw new Error(`holder is not an address: "${row.holder}"`);
+      }
+      row.holder = ethers.getAddress(row.holder);
+      if (header.includes('holderPublicKey')) {
+        row.holderPublicKey = parseHolderPublicKey(values.holderPublicKey.trim(), row.holder);
+      }
+
+      for (const [column, cell] of Object.entries(values)) {
+        const value = cell.trim();
+        if (!RESERVED_COLUMNS.includes(column) && value !== '') {
+          row.claims[column] = coerceCell(value, properties[column]);
+        }
+      }
+      if (Object.keys(row.claims).length === 0) {
+        throw new Error('row has no claims');
+      }
+      for (const column of ['validFrom', 'validUntil']) {
+        if (values[column] && values[column].trim()) {
+          row[column] = toUnixSeconds(values[column].trim(), column);
+        }
+      }
+
+      if (schemaDocument) {
+        const { valid, errors } = validateAgainstSchema(schemaDocument, row.claims);
+        if (!valid) {
+          throw new Error(formatValidationErrors(errors).join('; '));
+        }
+      }
+
+      // Salting would issue an identical row twice under different hashes
+      const key = canonicalize({ holder: row.holder, claims: row.claims });
+      if (seen.has(key)) {
+        throw new Error(`duplicate of line ${seen.get(key)}`);
+      }
+      seen.set(key, line);
+    } catch (error) {
+      row.error = error.message;
+    }
+    return row;
+  });
+}
+
+/**
+ * Identify a bulk run, so a checkpoint is only resumed for the same input.
+ * @param {object} params - { rows, schema, method, credentialStatus, chainId, encryptTo }.
+ * @returns {string} keccak256 of the canonical run description.
+ */
+export function fingerprintIssuance({ rows, schema, method, credentialStatus, chainId, encryptTo = [] }) {
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalize({
+    rows: rows.map(({ line, holder, holderPublicKey, claims, validFrom, validUntil }) => (
+      { line, holder, ...(holderPublicKey ? { holderPublicKey } : {}), claims, validFrom, validUntil }
+    )),
+    schema,
+    method,
+    credentialStatus: credentialStatus.toLowerCase(),
+    chainId: String(chainId),
+    encryptTo
+  })));
+}
+
+async function loadCheckpoint(file, fingerprint) {
+  let state;
+  try {
+    state = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { version: CHECKPOINT_VERSION, fingerprint, rows: {} };
+    }
+    throw new Error(`Cannot read checkpoint ${file}: ${error.message}`);
+  }
+  if (state.version !== CHECKPOINT_VERSION || state.fingerprint !== fingerprint) {
+    throw new Error(`Checkpoint ${file} is for a different run (the CSV, schema, contract or options changed); move it away to start over`);
+  }
+  return state;
+}
+
+// Writes are queued so confirmations landing together never interleave; each replaces the file atomically
+function createCheckpointWriter(file, state) {
+  let queue = Promise.resolve();
+  return () => {
+    queue = queue.then(async () => {
+      const temporary = `${file}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify(state, null, 2));
+      await fs.rename(temporary, file);
+    });
+    return queue;
+  };
+}
+
+function isRevert(error) {
+  return error.code === 'CALL_EXCEPTION' || /revert/i.test(error.message || '');
+}
+
+function errorMessage(error) {
+  return error.reason || error.shortMessage || error.message;
+}
+
+async function withRetries(task, { retries, retryDelayMs }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (isRevert(error) || attempt > retries) {
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, retryDelayMs * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+function issueCall(credentials, row, credentialHash, cid, encodedSchema) {
+  return row.validFrom || row.validUntil
+    ? { method: credentials.issueCredentialWithValidity, args: [row.holder, credentialHash, cid, encodedSchema, row.validFrom, row.validUntil] }
+    : { method: credentials.issueCredential, args: [row.holder, credentialHash, cid, encodedSchema] };
+}
+
+// The row's credential is already on-chain (e.g. a resent transaction lost the race to the original)
+async function isIssued(credentials, entry) {
+  const metadata = await credentials.getCredentialMetadata(entry.credentialHash);
+  return metadata.state !== 0n && metadata.holder === entry.holder && metadata.ipfsHash === entry.cid;
+}
+
+/**
+ * Issue every valid row, resuming from a checkpoint.
+ * @param {object} params
+ * @param {object[]} params.rows - From parseIssuanceCsv.
+ * @param {object} params.credentials - CredentialStatus contract instance connected to the issuing signer.
+ * @param {object} params.storage - Storage adapter for the credential blobs.
+ * @param {string} params.schema - Schema name, e.g. "bachelor-degree@1.0".
+ * @param {string} [params.method=HashMethod.SALTED] - HashMethod.SALTED or HashMethod.JCS.
+ * @param {string[]} [params.encryptTo] - Public keys to encrypt every blob to, besides the row's holderPublicKey
+ *   (without that column, holders cannot decrypt their blobs: the keys are for registrar escrow).
+ * @param {string} [params.checkpointFile] - Where to record progress (none: the run cannot be resumed).
+ * @param {number} [params.retries=3] - Retries per row for storage and RPC errors.
+ * @param {number} [params.retryDelayMs=1000] - First retry delay, doubled on each retry.
+ * @param {number} [params.maxPending=8] - Transactions left unconfirmed before waiting.
+ * @param {function} [params.onRow] - Called with each receipt as its row is issued, fails or is found invalid.
+ * @param {object} [params.logger] - Where storage uploads are logged (see ipfsHelper.js).
+ * @returns {Promise<object>} { receipts, summary: { rows, issued, alreadyIssued, invalid, failed, gasUsed } },
+ *   one receipt per row with the RECEIPT_COLUMNS fields and status issued, failed or invalid.
+ * @throws {Error} If the checkpoint is for a different run, or onRow throws (the checkpoint keeps the progress).
+ */
+export async function runBulkIssuance({
+  rows,
+  credentials,
+  storage,
+  schema,
+  method = HashMethod.SALTED,
+  encryptTo = [],
+  checkpointFile = null,
+  retries = DEFAULT_RETRIES,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  maxPending = DEFAULT_MAX_PENDING,
+  onRow,
+  logger
+}) {
+  const signer = credentials.runner;
+  const account = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+  const fingerprint = fingerprintIssuance({
+    rows, schema, method, credentialStatus: await credentials.getAddress(), chainId, encryptTo
+  });
+  const checkpoint = checkpointFile
+    ? await loadCheckpoint(checkpointFile, fingerprint)
+    : { version: CHECKPOINT_VERSION, fingerprint, rows: {} };
+  const save = checkpointFile ? createCheckpointWriter(checkpointFile, checkpoint) : async () => {};
+  const alreadyIssued = new Set(Object.values(checkpoint.rows).filter((entry) => entry.status === 'issued').map((entry) => entry.line));
+  const encodedSchema = encodeCredentialSchema(schema, method);
+  const retry = { retries, retryDelayMs };
+
+  let nonce = null;
+  let aborted = null;
+  const pending = [];
+
+  // A throwing onRow stops the run after the transactions already sent are confirmed
+  const notify = async (entry) => {
+    try {
+      if (onRow) await onRow(entry);
+    } catch (error) {
+      aborted = aborted || error;
+    }
+  };
+  const finish = async (entry, changes) => {
+    Object.assign(entry, changes);
+    await save();
+    await notify(entry);
+  };
+  const fail = async (entry, error) => {
+    if (isRevert(error) && entry.transactionHash && await isIssued(credentials, entry)) {
+      return finish(entry, { status: 'issued', error: null });
+    }
+    return finish(entry, { status: 'failed', error: errorMessage(error) });
+  };
+  const track = async (transaction, entry) => {
+    pending.push(transaction.wait()
+      .then((receipt) => finish(entry, { status: 'issued', blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() }))
+      .catch((error) => fail(entry, error))
+      .catch((error) => { aborted = aborted || error; }));
+    if (pending.length >= maxPending) {
+      await pending.shift();
+    }
+  };
+
+  for (const row of rows) {
+    if (aborted) break;
+    if (row.error) {
+      await notify({ line: row.line, holder: row.holder, status: 'invalid', error: row.error });
+      continue;
+    }
+
+    const entry = checkpoint.rows[row.line] || (checkpoint.rows[row.line] = { line: row.line, holder: row.holder, status: 'pending' });
+    if (entry.status === 'issued') continue;
+    if (entry.status === 'sent') {
+      const transaction = await signer.provider.getTransaction(entry.transactionHash);
+      if (transaction) {
+        await track(transaction, entry);
+        continue;
+      }
+      // Dropped before it was mined: send it again (the same hash, so it cannot be issued twice)
+    }
+
+    try {
+      if (!entry.credentialHash) {
+        entry.salt = method === HashMethod.SALTED ? generateCredentialSalt() : null;
+        entry.credentialHash = hashCredential(row.claims, method, entry.salt);
+      }
+      if (!entry.cid) {
+        const recipients = row.holderPublicKey ? [row.holderPublicKey, ...encryptTo] : encryptTo;
+        entry.cid = await withRetries(
+          () => uploadCredentialToIPFS(row.claims, storage, recipients.length > 0 ? { recipients, logger } : { logger }),
+          retry
+        );
+        await save();
+      }
+
+      const call = issueCall(credentials, row, entry.credentialHash, entry.cid, encodedSchema);
+      const transaction = await withRetries(async (attempt) => {
+        entry.attempts = attempt;
+        const gasLimit = await call.method.estimateGas(...call.args);
+        if (nonce === null) {
+          nonce = await signer.provider.getTransactionCount(account, 'pending');
+        }
+        try {
+          const sent = await call.method(...call.args, { nonce, gasLimit });
+          nonce++;
+          return sent;
+        } catch (error) {
+          nonce = null;
+          throw error;
+        }
+      }, retry);
+
+      Object.assign(entry, { status: 'sent', transactionHash: transaction.hash, nonce: transaction.nonce, error: null });
+      await save();
+      await track(transaction, entry);
+    } catch (error) {
+      await fail(entry, error).catch((failure) => { aborted = aborted || failure; });
+    }
+  }
+
+  await Promise.all(pending);
+  await save();
+  if (aborted) {
+    throw aborted;
+  }
+
+  const receipts = rows.map((row) => (row.error
+    ? { line: row.line, holder: row.holder, status: 'invalid', error: row.error }
+    : checkpoint.rows[row.line]));
+  const count = (status) => receipts.filter((receipt) => receipt.status === status).length;
+  return {
+    receipts,
+    summary: {
+      rows: rows.length,
+      issued: count('issued') - alreadyIssued.size,
+      alreadyIssued: alreadyIssued.size,
+      invalid: count('invalid'),
+      failed: count('failed'),
+      gasUsed: receipts.reduce((total, receipt) => (
+        alreadyIssued.has(receipt.line) || !receipt.gasUsed ? total : total + BigInt(receipt.gasUsed)
+      ), 0n)
+    }
+  };
+}
+
+/**
+ * Estimate the gas a bulk run would use, without storing or issuing anything.
+ * Each valid row is hashed with a fresh salt and its claims' CID, and its issue call is estimated
+ * as the signer, so rows that would revert (e.g. the holder is not a registered Student) show up too.
+ * @param {object} params - { rows, credentials, schema, method } as for runBulkIssuance.
+ * @returns {Promise<object>} { estimates: [{ line, holder, status: 'ready'|'invalid'|'failed', estimatedGas, error }],
+ *   summary: { rows, ready, invalid, failed, estimatedGas, gasPrice, estimatedCost } } (bigint wei amounts).
+ */
+export async function estimateBulkIssuance({ rows, credentials, schema, method = HashMethod.SALTED }) {
+  const encodedSchema = encodeCredentialSchema(schema, method);
+  const estimates = [];
+  let estimatedGas = 0n;
+
+  for (const row of rows) {
+    if (row.error) {
+      estimates.push({ line: row.line, holder: row.holder, status: 'invalid', estimatedGas: null, error: row.error });
+      continue;
+    }
+    const credentialHash = hashCredential(row.claims, method, method === HashMethod.SALTED ? generateCredentialSalt() : null);
+    const call = issueCall(credentials, row, credentialHash, await computeCID(canonicalize(row.claims)), encodedSchema);
+    try {
+      const gas = await call.method.estimateGas(...call.args);
+      estimatedGas += gas;
+      estimates.push({ line: row.line, holder: row.holder, status: 'ready', estimatedGas: gas.toString(), error: null });
+    } catch (error) {
+      if (!isRevert(error)) throw error;
+      estimates.push({ line: row.line, holder: row.holder, status: 'failed', estimatedGas: null, error: errorMessage(error) });
+    }
+  }
+
+  const fees = await credentials.runner.provider.getFeeData();
+  const gasPrice = fees.maxFeePerGas ?? fees.gasPrice ?? 0n;
+  const count = (status) => estimates.filter((estimate) => estimate.status === status).length;
+  return {
+    estimates,
+    summary: {
+      rows: rows.length,
+      ready: count('ready'),
+      invalid: count('invalid'),
+      failed: count('failed'),
+      estimatedGas,
+      gasPrice,
+      estimatedCost: estimatedGas * gasPrice
+    }
+  };
+}
+
+/**
+ * Format receipts for the registrar.
+ * @param {object[]} receipts - From runBulkIssuance.
+ * @param {string} [format='csv'] - 'csv' or 'json'.
+ * @returns {string} The receipts file contents.
+ */
+export function formatReceipts(receipts, format = 'csv') {
+  if (format === 'json') {
+    return `${JSON.stringify(receipts, null, 2)}\n`;
+  }
+  return formatCsv(receipts, RECEIPT_COLUMNS);
+}
+
+export default {
+  RESERVED_COLUMNS,
+  RECEIPT_COLUMNS,
+  CHECKPOINT_VERSION,
+  DEFAULT_RETRIES,
+  DEFAULT_RETRY_DELAY_MS,
+  DEFAULT_MAX_PENDING,
+  parseIssuanceCsv,
+  fingerprintIssuance,
+  runBulkIssuance,
+  estimateBulkIssuance,
+  formatReceipts
+};
@@ -0,0 +1,178 @@
+/**
+ * Canonical JSON Module
+ * Implements the JSON Canonicalization Scheme (JCS, RFC 8785) so the same credential
+ * always serializes to the same bytes, whatever its key order, number format or whitespace.
+ *
+ * This module has no dependencies so it can be loaded directly by the browser UIs.
+ */
+
+// Hashing methods. The method used for a credential is recorded in its schema bytes.
+export const HashMethod = {
+  LEGACY: 'legacy', // keccak256 of JSON.stringify output (original behaviour)
+  JCS: 'jcs',       // keccak256 of RFC 8785 canonical JSON
+  SALTED: 'salted', // keccak256(abi.encode(salt, keccak256(canonical JSON))) with a secret per-credential salt
+  MERKLE: 'merkle'  // Merkle root over salted, canonically encoded fields (see selectiveDisclosure.js)
+};
+
+// Marker appended to the credential schema string for JCS-hashed credentials,
+// e.g. "university-credential-v1;c14n=jcs". Schemas without it are legacy.
+export const JCS_SCHEMA_MARKER = ';c14n=jcs';
+
+// Marker for salted commitments, e.g. "university-credential-v1;c14n=jcs;commitment=salted".
+export const SALTED_SCHEMA_MARKER = ';c14n=jcs;commitment=salted';
+
+// Marker for Merkle-committed credentials, e.g. "university-credential-v1;c14n=jcs;commitment=merkle".
+export const MERKLE_SCHEMA_MARKER = ';c14n=jcs;commitment=merkle';
+
+const SCHEMA_MARKERS = {
+  [HashMethod.LEGACY]: '',
+  [HashMethod.JCS]: JCS_SCHEMA_MARKER,
+  [HashMethod.SALTED]: SALTED_SCHEMA_MARKER,
+  [HashMethod.MERKLE]: MERKLE_SCHEMA_MARKER
+};
+
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:^|[^\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+function serializeString(value) {
+  if (LONE_SURROGATE.test(value)) {
+    throw new Error('Canonical JSON: strings must be valid Unicode (lone surrogate found)');
+  }
+  // JSON.stringify applies exactly the escaping rules of RFC 8785 section 3.2.2.2
+  return JSON.stringify(value);
+}
+
+function serializeNumber(value) {
+  if (!Number.isFinite(value)) {
+    throw new Error(`Canonical JSON: ${value} is not a valid JSON number`);
+  }
+  // ECMAScript Number-to-String is the number format mandated by RFC 8785 section 3.2.2.3
+  return JSON.stringify(value);
+}
+
+function serializeValue(value) {
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+    value = value.toJSON();
+  }
+
+  if (value === null) {
+    return 'null';
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'number':
+      return serializeNumber(value);
+    case 'string':
+      return serializeString(value);
+    case 'object':
+      break;
+    default:
+      throw new Error(`Canonical JSON: cannot serialize value of type ${typeof value}`);
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map((item) =>
+      item === undefined || typeof item === 'function' ? 'null' : serializeValue(item)
+    );
+    return `[${items.join(',')}]`;
+  }
+
+  // Properties are sorted by their UTF-16 code units, which is JavaScript's default string order
+  const members = Object.keys(value)
+    .filter((key) => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort()
+    .map((key) => `${serializeString(key)}:${serializeValue(value[key])}`);
+  return `{${members.join(',')}}`;
+}
+
+/**
+ * Serialize a JSON value in RFC 8785 canonical form.
+ * @param {*} value - Any JSON-compatible value (objects, arrays, strings, numbers, booleans, null).
+ * @returns {string} The canonical JSON string.
+ * @throws {Error} If the value contains non-finite numbers, lone surrogates or non-JSON types.
+ */
+export function canonicalize(value) {
+  return serializeValue(value);
+}
+
+/**
+ * Serialize credential data for hashing with the given method.
+ * For HashMethod.SALTED this is the canonical JSON whose hash is then salted.
+ * @param {string|object} credentialData - The credential data (JSON string or object).
+ * @param {string} [method=HashMethod.JCS] - HashMethod.JCS, HashMethod.SALTED or HashMethod.LEGACY.
+ * @returns {string} The exact string that is hashed.
+ */
+export function serializeCredential(credentialData, method = HashMethod.JCS) {
+  switch (method) {
+    case HashMethod.LEGACY:
+      return typeof credentialData === 'string'
+        ? credentialData
+        : JSON.stringify(credentialData);
+    case HashMethod.JCS:
+    case HashMethod.SALTED: {
+      const value = typeof credentialData === 'string'
+        ? JSON.parse(credentialData)
+        : credentialData;
+      return canonicalize(value);
+    }
+    case HashMethod.MERKLE:
+      throw new Error('Merkle-committed credentials are hashed per field; use selectiveDisclosure.buildCredentialTree');
+    default:
+      throw new Error(`Unknown hash method: ${method}`);
+  }
+}
+
+/**
+ * Build the schema string recorded on-chain for a credential.
+ * @param {string} schemaName - The schema name (e.g. "university-credential-v1").
+ * @param {string} [method=HashMethod.JCS] - The hashing method used for the credential.
+ * @returns {string} The schema string, with the method marker when applicable.
+ */
+export function formatCredentialSchema(schemaName, method = HashMethod.JCS) {
+  if (!(method in SCHEMA_MARKERS)) {
+    throw new Error(`Unknown hash method: ${method}`);
+  }
+  return `${schemaName}${SCHEMA_MARKERS[method]}`;
+}
+
+/**
+ * Split an on-chain schema string into its name and hashing method.
+ * @param {string} schema - The schema string (decoded from credentialSchema bytes).
+ * @returns {object} { name, method }.
+ */
+export function parseCredentialSchema(schema) {
+  const [name, ...params] = typeof schema === 'string' ? schema.split(';') : [''];
+
+  let method = HashMethod.LEGACY;
+  if (params.includes('commitment=merkle')) {
+    method = HashMethod.MERKLE;
+  } else if (params.includes('commitment=salted')) {
+    method = HashMethod.SALTED;
+  } else if (params.includes('c14n=jcs')) {
+    method = HashMethod.JCS;
+  }
+
+  return { name, method };
+}
+
+/**
+ * Determine the hashing method from an on-chain schema string.
+ * @param {string} schema - The schema string (decoded from credentialSchema bytes).
+ * @returns {string} The HashMethod recorded by the schema markers (LEGACY if none).
+ */
+export function getHashMethodFromSchema(schema) {
+  return parseCredentialSchema(schema).method;
+}
+
+export default {
+  HashMethod,
+  JCS_SCHEMA_MARKER,
+  SALTED_SCHEMA_MARKER,
+  MERKLE_SCHEMA_MARKER,
+  canonicalize,
+  serializeCredential,
+  formatCredentialSchema,
+  parseCredentialSchema,
+  getHashMethodFromSchema
+};
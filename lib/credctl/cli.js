@@ -0,0 +1,287 @@
+/**
+ * credctl Command Line
+ * Parses arguments, builds the command context and prints results as text or JSON.
+ */
+
+import { parseArgs } from 'util';
+import { ethers } from 'ethers';
+import { COMMANDS } from './commands.js';
+import { resolveNetwork, loadSigner, resolveAddresses, resolveStorage, resolveVerifyUrl } from './config.js';
+
+export const USAGE = `Usage: credctl <command> [arguments] [options]
+
+Commands:
+  deploy                                  Deploy DIDRegistry, CredentialStatus and TrustedForwarder
+  register <student|university|employer>  Register the signer's identity
+  accredit <address>                      Approve a University (accreditors only)
+  suspend-accreditation <address>         Suspend a University's accreditation (accreditors only)
+  revoke-accreditation <address>          Withdraw a University's accreditation (accreditors only)
+  accreditation <address>                 Show a University's accreditation status and history
+  resolve <address|did>                   Show the DID Document of a registered identity
+  set-attribute <name> <value>            Publish a DID Document attribute, e.g. did/svc/VerificationService
+  remove-attribute <name>                 Remove a DID Document attribute
+  rotate-key <address>                    Hand control of the signer's identity to another account
+  set-guardians <address,...>             Choose who can recover the signer's identity
+  recover <address|did> <newController>   Approve recovering an identity (guardians, or its issuing University)
+  issuer-recovery <on|off>                Let the Universities that issued to the signer's Student identity
+                                          start a recovery of it (off by default)
+  cancel-recovery                         Cancel a recovery a University scheduled for the signer's identity
+  complete-recovery <address|did>         Make a University's scheduled recovery once its challenge period is over
+  delegate <address> --scopes <issue,revoke>
+                                          Let an account issue/revoke for the signer's University
+  undelegate <address>                    Remove one of the signer's University's delegates
+  delegation <address>                    Show what an account may do as a delegate
+  register-schema <schema.json> <id>@<version>
+                                          Publish a JSON Schema for the signer's University's credentials
+  schema <id>@<version>                   Show a registered schema and its document
+  issue <file.json> --holder <address>    Store, hash and issue a credential
+  issue-csv <file.csv>                    Issue a credential per row of a registrar CSV (resumable)
+  revoke <credentialHash>                 Revoke a credential for good (issuer only)
+  suspend <credentialHash>                Put a credential on hold (issuer only)
+  reinstate <credentialHash>              Lift a suspension (issuer only)
+  renew <credentialHash> --valid-until <date>
+                                          Extend a credential's validity (issuer only)
+  status <credentialHash>                 Show a credential's on-chain state
+  verify <file.json> <credentialHash>     Check a credential file against the chain
+  show <credentialHash>                   Show a credential's on-chain metadata
+  fetch <credentialHash|cid>              Fetch (and decrypt) a credential blob
+  share <credentialHash>                  Create a verification link (and QR code) for a credential
+
+Options:
+  --network <name>         localhost (default) or sepolia
+  --rpc-url <url>          RPC endpoint (overrides --network's URL)
+  --keystore <file>        Encrypted JSON keystore (password in CREDCTL_KEYSTORE_PASSWORD)
+  --registry <address>     DIDRegistry address (default: deployments/<network>.json)
+  --credentials <address>  CredentialStatus address (default: deployments/<network>.json)
+  --deployments <dir>      Where deploy records addresses (default: deployments)
+  --storage <type>         filesystem (default) or ipfs
+  --storage-dir <dir>      Blob directory for filesystem storage (default: credential-store)
+  --ipfs-url <url>         IPFS HTTP API for --storage ipfs (default: IPFS_API_URL)
+  --schema <name>          issue/issue-csv: schema name, or <id>@<version> of a registered schema to validate
+                           against (default: university-credential-v1)
+  --issuer <address>       schema: the University that registered it (default: the signer's)
+  --unsalted               issue/issue-csv: hash without a salt (not recommended)
+  --encrypt-to <publicKey> issue/issue-csv: encrypt the blob to this key (repeatable)
+  --valid-from <date>      issue: start of validity (ISO date or Unix seconds; default: now)
+  --valid-until <date>     issue/renew/delegate: end of validity (default: never expires)
+  --reason <name|code>     revoke/suspend/reinstate: reason, e.g. AcademicMisconduct (default: Unspecified)
+  --reason-uri <uri>       revoke/suspend/reinstate and accreditation changes: link to the decision record
+  --threshold <n>          set-guardians: approvals needed to recover (default: all guardians)
+  --scopes <scope,...>     delegate: issue and/or revoke
+  --types <schema,...>     delegate/delegation: schema names the delegate may act on (default: all)
+  --checkpoint <file>      issue-csv: progress file to resume from (default: <file.csv>.checkpoint.json)
+  --receipts <file>        issue-csv: per-row receipts, .csv or .json (default: <file>.receipts.csv)
+  --retries <n>            issue-csv: retries per row for storage and RPC errors (default: 3)
+  --dry-run                issue-csv: validate rows and estimate gas without issuing
+  --salt <salt>            verify/share: the holder's salt for salted credentials
+  --file <file.json>       share: include the credential's claims in the link
+  --disclosure <file>      share: include the fields of a Merkle disclosure instead
+  --verify-url <url>       share: verifier page the link opens (default: CREDCTL_VERIFY_URL, or
+                           frontend/verify.html on http://localhost:8000)
+  --qr                     share: also print the link as a QR code
+  --out <file>             fetch: write the blob to a file
+  --json                   Print machine-readable JSON
+  -h, --help               Show this help
+
+Keys come from CREDCTL_PRIVATE_KEY, or from a keystore via --keystore / CREDCTL_KEYSTORE.`;
+
+const OPTIONS = {
+  network: { type: 'string' },
+  'rpc-url': { type: 'string' },
+  keystore: { type: 'string' },
+  registry: { type: 'string' },
+  credentials: { type: 'string' },
+  deployments: { type: 'string' },
+  storage: { type: 'string' },
+  'storage-dir': { type: 'string' },
+  'ipfs-url': { type: 'string' },
+  holder: { type: 'string' },
+  issuer: { type: 'string' },
+  schema: { type: 'string' },
+  unsalted: { type: 'boolean' },
+  'encrypt-to': { type: 'string', multiple: true },
+  'valid-from': { type: 'string' },
+  'valid-until': { type: 'string' },
+  reason: { type: 'string' },
+  'reason-uri': { type: 'string' },
+  threshold: { type: 'string' },
+  scopes: { type: 'string' },
+  types: { type: 'string' },
+  checkpoint: { type: 'string' },
+  receipts: { type: 'string' },
+  retries: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  salt: { type: 'string' },
+  file: { type: 'string' },
+  disclosure: { type: 'string' },
+  'verify-url': { type: 'string' },
+  qr: { type: 'boolean' },
+  out: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Parse a credctl command line.
+ * @param {string[]} argv - Arguments after the program name.
+ * @returns {object} { command, args, options } where args are the command's named arguments.
+ * @throws {Error} On unknown options or commands.
+ */
+export function parseCommandLine(argv) {
+  const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, first, second] = positionals;
+
+  if (options.help || !command) {
+    return { command: 'help', args: {}, options };
+  }
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+
+  const statusChange = { hash: first, reason: options.reason, reasonUri: options['reason-uri'] };
+  const accreditationChange = { address: first, reasonUri: options['reason-uri'] };
+  const args = {
+    deploy: {},
+    register: { role: first },
+    accredit: accreditationChange,
+    'suspend-accreditation': accreditationChange,
+    'revoke-accreditation': accreditationChange,
+    accreditation: { address: first },
+    resolve: { ref: first },
+    'set-attribute': { name: first, value: second },
+    'remove-attribute': { name: first },
+    'rotate-key': { controller: first },
+    'set-guardians': { guardians: first, threshold: options.threshold },
+    recover: { identity: first, controller: second },
+    'issuer-recovery': { setting: first },
+    'cancel-recovery': {},
+    'complete-recovery': { identity: first },
+    delegate: { delegate: first, scopes: options.scopes, types: options.types, validUntil: options['valid-until'] },
+    undelegate: { delegate: first },
+    delegation: { delegate: first, types: options.types },
+    'register-schema': { file: first, reference: second },
+    schema: { reference: first, issuer: options.issuer },
+    issue: {
+      file: first,
+      holder: options.holder,
+      schema: options.schema,
+      unsalted: Boolean(options.unsalted),
+      encryptTo: options['encrypt-to'] || [],
+      validFrom: options['valid-from'],
+      validUntil: options['valid-until']
+    },
+    'issue-csv': {
+      file: first,
+      schema: options.schema,
+      unsalted: Boolean(options.unsalted),
+      encryptTo: options['encrypt-to'] || [],
+      checkpoint: options.checkpoint,
+      receipts: options.receipts,
+      retries: options.retries,
+      dryRun: Boolean(options['dry-run'])
+    },
+    revoke: statusChange,
+    suspend: statusChange,
+    reinstate: statusChange,
+    renew: { hash: first, validUntil: options['valid-until'] },
+    status: { hash: first },
+    verify: { file: first, hash: second, salt: options.salt },
+    show: { hash: first },
+    fetch: { ref: first, out: options.out },
+    share: { hash: first, file: options.file, salt: options.salt, disclosure: options.disclosure, qr: Boolean(options.qr) }
+  }[command];
+
+  return { command, args, options };
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '-';
+  if (typeof value === 'object') return JSON.stringify(value);
+  // Multi-line text (e.g. a QR code) starts on its own line so it stays aligned
+  if (typeof value === 'string' && value.includes('\n')) return `\n${value}`;
+  return String(value);
+}
+
+/**
+ * Format a command result as human-readable text.
+ * @param {object} result - A command result.
+ * @returns {string} One "key: value" line per field (a fetched blob is printed as-is).
+ */
+export function formatResult(result) {
+  if (typeof result.data === 'string') {
+    return result.data;
+  }
+  const width = Math.max(...Object.keys(result).map((key) => key.length));
+  return Object.entries(result)
+    .map(([key, value]) => `${`${key}:`.padEnd(width + 2)}${formatValue(value)}`)
+    .join('\n');
+}
+
+/**
+ * Build the command context from options and the environment.
+ * @param {object} options - Parsed options.
+ * @param {object} env - Environment variables.
+ * @returns {Promise<object>} The context (see commands.js).
+ */
+export async function createContext(options, env) {
+  const network = resolveNetwork({ network: options.network, rpcUrl: options['rpc-url'] }, env);
+  const provider = new ethers.JsonRpcProvider(network.rpcUrl);
+
+  return {
+    network,
+    provider,
+    signer: await loadSigner({ keystore: options.keystore }, provider, env),
+    addresses: resolveAddresses(
+      { registry: options.registry, credentials: options.credentials, deployments: options.deployments },
+      network.name,
+      env
+    ),
+    storage: resolveStorage({ storage: options.storage, storageDir: options['storage-dir'], ipfsUrl: options['ipfs-url'] }, env),
+    deployments: options.deployments,
+    verifyUrl: resolveVerifyUrl({ verifyUrl: options['verify-url'] }, env),
+    // Library progress messages go to stderr, so stdout carries only results
+    logger: { log: (...args) => console.error(...args), error: (...args) => console.error(...args) }
+  };
+}
+
+/**
+ * Run credctl.
+ * @param {string[]} argv - Arguments after the program name.
+ * @param {object} [io] - { env, stdout, stderr } (defaults to the process's).
+ * @returns {Promise<number>} The exit code.
+ */
+export async function runCli(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr } = {}) {
+  const json = argv.includes('--json');
+  let ctx = null;
+
+  try {
+    const { command, args, options } = parseCommandLine(argv);
+    if (command === 'help') {
+      stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+
+    ctx = await createContext(options, env);
+    const result = await COMMANDS[command](ctx, args);
+    stdout.write(`${json ? JSON.stringify(result, null, 2) : formatResult(result)}\n`);
+    return 0;
+  } catch (error) {
+    const message = error.reason || error.shortMessage || error.message;
+    if (json) {
+      stdout.write(`${JSON.stringify({ error: message }, null, 2)}\n`);
+    } else {
+      stderr.write(`credctl: ${message}\n`);
+    }
+    return 1;
+  } finally {
+    if (ctx) ctx.provider.destroy();
+  }
+}
+
+export default {
+  USAGE,
+  parseCommandLine,
+  formatResult,
+  createContext,
+  runCli
+};
@@ -0,0 +1,961 @@
+/**
+ * credctl Commands
+ * One function per subcommand. Each takes a context and the parsed arguments,
+ * and returns a plain JSON-serializable result (printed as text or with --json).
+ *
+ * Context: { network: { name }, provider, signer, addresses: { registry, credentials },
+ *            storage, deployments, verifyUrl, logger (for library progress messages; console if unset) }
+ */
+
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { formatCredentialSchema, parseCredentialSchema } from '../canonicalJson.js';
+import {
+  HashMethod,
+  generateCredentialSalt,
+  computeSaltedCommitment,
+  hashCredential,
+  encodeCredentialSchema
+} from '../cryptoHelper.js';
+import { uploadCredentialToIPFS, retrieveCredentialFromIPFS } from '../ipfsHelper.js';
+import {
+  roleFromName,
+  accreditationName,
+  stateName,
+  reasonCodeFromName,
+  reasonName,
+  formatStatusChange,
+  formatAccreditationChange,
+  formatValidity,
+  toUnixSeconds,
+  scopesFromNames,
+  credentialTypeHash,
+  formatDelegation
+} from '../credentialTypes.js';
+import { addressToDid, didToAddress } from '../did.js';
+import { createDidResolver, encodeAttributeName } from '../didResolver.js';
+import { parseSchemaReference, publishSchema, fetchSchema, assertValidCredentialData } from '../schemaRegistry.js';
+import { createShareLink } from '../shareLink.js';
+import {
+  DEFAULT_RETRIES,
+  parseIssuanceCsv,
+  runBulkIssuance,
+  estimateBulkIssuance,
+  formatReceipts
+} from '../bulkIssuance.js';
+import { createQrCode, qrCodeToText } from '../qrCode.js';
+import { deployContracts, getContracts } from './contracts.js';
+import { saveDeployment, DEFAULT_VERIFY_URL } from './config.js';
+
+export const DEFAULT_SCHEMA_NAME = 'university-credential-v1';
+
+function requireSigner(ctx) {
+  if (!ctx.signer) {
+    throw new Error('No signing key: set CREDCTL_PRIVATE_KEY, or CREDCTL_KEYSTORE / --keystore with CREDCTL_KEYSTORE_PASSWORD');
+  }
+  return ctx.signer;
+}
+
+function requireArg(value, usage) {
+  if (value === undefined || value === '') {
+    throw new Error(`Missing argument. Usage: credctl ${usage}`);
+  }
+  return value;
+}
+
+function requireHash(value, usage) {
+  requireArg(value, usage);
+  if (!ethers.isHexString(value, 32)) {
+    throw new Error(`Not a credential hash (32-byte hex): ${value}`);
+  }
+  return value;
+}
+
+function readCredentialFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read credential file ${file}: ${error.message}`);
+  }
+}
+
+function requireSchemaReference(value, usage) {
+  const reference = parseSchemaReference(requireArg(value, usage));
+  if (!reference) {
+    throw new Error(`Expected a schema reference <id>@<version>, got "${value}". Usage: credctl ${usage}`);
+  }
+  return reference;
+}
+
+// The University an account issues for: its own identity, or the University it is a delegate of
+async function issuingUniversityOf(ctx, account) {
+  const { registry, credentials } = getContracts(ctx.addresses, ctx.provider);
+  const identity = await registry.identityOf(account);
+  return identity !== ethers.ZeroAddress ? identity : (await credentials.getDelegation(account)).university;
+}
+
+// The document of a registered "<id>@<version>" schema the signer issues under; null for free-form names
+async function registeredSchemaDocument(ctx, signer, schema) {
+  const reference = parseSchemaReference(schema);
+  if (!reference) {
+    return null;
+  }
+  const university = await issuingUniversityOf(ctx, await signer.getAddress());
+  const { document } = await fetchSchema({
+    credentials: getContracts(ctx.addresses, ctx.provider).credentials,
+    storage: ctx.storage,
+    issuer: university,
+    reference: reference.reference
+  });
+  return document;
+}
+
+/**
+ * Deploy DIDRegistry, CredentialStatus, TrustedForwarder and CredentialAccess and record their addresses.
+ * @returns {Promise<object>} { network, chainId, DIDRegistry, CredentialStatus, TrustedForwarder, CredentialAccess, deploymentFile }.
+ */
+export async function deploy(ctx) {
+  const signer = requireSigner(ctx);
+  const { registry, credentials, forwarder, access } = await deployContracts(signer);
+  const { chainId } = await ctx.provider.getNetwork();
+
+  const deployment = {
+    chainId: Number(chainId),
+    DIDRegistry: await registry.getAddress(),
+    CredentialStatus: await credentials.getAddress(),
+    TrustedForwarder: await forwarder.getAddress(),
+    CredentialAccess: await access.getAddress(),
+    deployedAt: new Date().toISOString()
+  };
+  const deploymentFile = saveDeployment(ctx.network.name, deployment, ctx.deployments);
+
+  return { network: ctx.network.name, ...deployment, deploymentFile };
+}
+
+/**
+ * Register the signer's identity with a role.
+ * @param {object} args - { role: 'student' | 'university' | 'employer' }.
+ * @returns {Promise<object>} { address, role, transactionHash }.
+ */
+export async function register(ctx, { role }) {
+  const usage = 'register <student|university|employer>';
+  const roleId = roleFromName(requireArg(role, usage));
+  if (!roleId) {
+    throw new Error(`Unknown role "${role}". Usage: credctl ${usage}`);
+  }
+
+  const signer = requireSigner(ctx);
+  const { registry } = getContracts(ctx.addresses, signer);
+  const tx = await registry.registerIdentity(roleId);
+  await tx.wait();
+
+  const address = await signer.getAddress();
+  const result = { address, role: role.toLowerCase(), transactionHash: tx.hash };
+  if (role.toLowerCase() === 'university') {
+    // Universities can only issue once accreditors approve them (see accredit)
+    result.accreditation = accreditationName(await registry.accreditationStatus(address));
+  }
+  return result;
+}
+
+// Shared by accredit, suspend-accreditation and revoke-accreditation (accreditors only)
+async function changeAccreditation(ctx, { address, reasonUri = '' }, command, method) {
+  const usage = `${command} <universityAddress> [--reason-uri <uri>]`;
+  if (!address || !ethers.isAddress(address)) {
+    throw new Error(`Expected the University's address. Usage: credctl ${usage}`);
+  }
+  const { registry } = getContracts(ctx.addresses, requireSigner(ctx));
+  const tx = await registry[method](address, reasonUri);
+  await tx.wait();
+
+  return {
+    university: ethers.getAddress(address),
+    accreditation: accreditationName(await registry.accreditationStatus(address)),
+    approvals: (await registry.getPendingApprovals(address)).length,
+    threshold: Number(await registry.accreditationThreshold()),
+    transactionHash: tx.hash
+  };
+}
+
+/**
+ * Approve a Pending or Suspended University (as an accreditor). It becomes Accredited
+ * once enough accreditors have approved it.
+ * @param {object} args - { address, reasonUri }.
+ * @returns {Promise<object>} { university, accreditation, approvals, threshold, transactionHash }.
+ */
+export async function accredit(ctx, args) {
+  return changeAccreditation(ctx, args, 'accredit', 'approveUniversity');
+}
+
+/**
+ * Suspend a University's accreditation (as an accreditor) until it is approved again.
+ * @param {object} args - { address, reasonUri }.
+ * @returns {Promise<object>} { university, accreditation, approvals, threshold, transactionHash }.
+ */
+export async function suspendAccreditation(ctx, args) {
+  return changeAccreditation(ctx, args, 'suspend-accreditation', 'suspendAccreditation');
+}
+
+/**
+ * Withdraw a University's accreditation for good (as an accreditor).
+ * @param {object} args - { address, reasonUri }.
+ * @returns {Promise<object>} { university, accreditation, approvals, threshold, transactionHash }.
+ */
+export async function revokeAccreditation(ctx, args) {
+  return changeAccreditation(ctx, args, 'revoke-accreditation', 'revokeAccreditation');
+}
+
+/**
+ * Show a University's accreditation status and history.
+ * @param {object} args - { address }.
+ * @returns {Promise<object>} { university, accreditation, approvals, threshold, history }.
+ */
+export async function accreditation(ctx, { address }) {
+  if (!address || !ethers.isAddress(address)) {
+    throw new Error('Expected the University\'s address. Usage: credctl accreditation <universityAddress>');
+  }
+  const { registry } = getContracts(ctx.addresses, ctx.provider);
+  return {
+    university: ethers.getAddress(address),
+    accreditation: accreditationName(await registry.accreditationStatus(address)),
+    approvals: await registry.getPendingApprovals(address),
+    threshold: Number(await registry.accreditationThreshold()),
+    history: (await registry.getAccreditationHistory(address)).map(formatAccreditationChange)
+  };
+}
+
+/**
+ * Resolve a DID (or a registered address) to its DID Document.
+ * @param {object} args - { ref: did:unicred:... or an address }.
+ * @returns {Promise<object>} The DID Document.
+ */
+export async function resolve(ctx, { ref }) {
+  requireArg(ref, 'resolve <address|did>');
+  const { registry } = getContracts(ctx.addresses, ctx.provider);
+  const { chainId } = await ctx.provider.getNetwork();
+
+  const did = ethers.isAddress(ref) ? addressToDid(ref, chainId) : ref;
+  const { didResolutionMetadata, didDocument } = await createDidResolver({ registry, chainId }).resolve(did);
+  if (didResolutionMetadata.error) {
+    throw new Error(`Cannot resolve ${did} (${didResolutionMetadata.error}): ${didResolutionMetadata.message}`);
+  }
+  return didDocument;
+}
+
+/**
+ * Publish an attribute in the signer's DID Document, e.g. did/svc/VerificationService
+ * with a URL, replacing any earlier value.
+ * @param {object} args - { name, value }.
+ * @returns {Promise<object>} { did, name, value, transactionHash }.
+ */
+export async function setAttribute(ctx, { name, value }) {
+  const usage = 'set-attribute <name> <value>';
+  const encoded = encodeAttributeName(requireArg(name, usage));
+  requireArg(value, usage);
+
+  const signer = requireSigner(ctx);
+  const { registry } = getContracts(ctx.addresses, signer);
+  const tx = await registry.setAttribute(encoded, value);
+  await tx.wait();
+
+  const { chainId } = await ctx.provider.getNetwork();
+  return { did: addressToDid(await registry.identityOf(await signer.getAddress()), chainId), name, value, transactionHash: tx.hash };
+}
+
+/**
+ * Remove an attribute from the signer's DID Document.
+ * @param {object} args - { name }.
+ * @returns {Promise<object>} { did, name, transactionHash }.
+ */
+export async function removeAttribute(ctx, { name }) {
+  const encoded = encodeAttributeName(requireArg(name, 'remove-attribute <name>'));
+
+  const signer = requireSigner(ctx);
+  const { registry } = getContracts(ctx.addresses, signer);
+  const tx = await registry.removeAttribute(encoded);
+  await tx.wait();
+
+  const { chainId } = await ctx.provider.getNetwork();
+  return { did: addressToDid(await registry.identityOf(await signer.getAddress()), chainId), name, transactionHash: tx.hash };
+}
+
+// An identity given as an address or a did:unicred DID
+function identityAddress(ref, usage) {
+  requireArg(ref, usage);
+  return ref.startsWith('did:') ? didToAddress(ref) : ethers.getAddress(ref);
+}
+
+/**
+ * Hand control of the signer's identity to another account (key rotation). The identity keeps
+ * its address, DID, role and credentials; from now on only the new account can act for it.
+ * @param {object} args - { controller }.
+ * @returns {Promise<object>} { identity, previousController, controller, transactionHash }.
+ */
+export async function rotateKey(ctx, { controller }) {
+  const usage = 'rotate-key <newControllerAddress>';
+  if (!controller || !ethers.isAddress(controller)) {
+    throw new Error(`Expected the new controller's address. Usage: credctl ${usage}`);
+  }
+  const signer = requireSigner(ctx);
+  const { registry } = getContracts(ctx.addresses, signer);
+  const previousController = await signer.getAddress();
+  const identity = await registry.identityOf(previousController);
+  if (identity === ethers.ZeroAddress) {
+    throw new Error(`${previousController} does not control a registered identity`);
+  }
+
+  const tx = await registry.changeController(controller);
+  await tx.wait();
+  return { identity, previousController, controller: ethers.getAddress(controller), transactionHash: tx.hash };
+}
+
+/**
+ * Set who can recover the signer's identity, and how many of them must agree.
+ * @param {object} args - { guardians: comma-separated addresses (empty to disable), threshold }.
+ * @returns {Promise<object>} { identity, guardians, threshold, transactionHash }.
+ */
+export async function setGuardians(ctx, { guardians = '', threshold }) {
+  const list = guardians.split(',').map((guardian) => guardian.trim()).filter(Boolean);
+  const invalid = list.find((guardian) => !ethers.isAddress(guardian));
+  if (invalid) {
+    throw new Error(`Not a guardian address: ${invalid}. Usage: credctl set-guardians <address,...> --threshold <n>`);
+  }
+  const required = threshold === undefined ? list.length : Number(threshold);
+  if (!Number.isInteger(required)) {
+    throw new Error(`Invalid --threshold: ${threshold}`);
+  }
+
+  const signer = requireSigner(ctx);
+  const { registry } = getContracts(ctx.addresses, signer);
+  const tx = await registry.setGuardians(list, required);
+  await tx.wait();
+
+  return {
+    identity: await registry.identityOf(await signer.getAddress()),
+    guardians: list.map((guardian) => ethers.getAddress(guardian)),
+    threshold: required,
+    transactionHash: tx.hash
+  };
+}
+
+/**
+ * Approve recovering an identity to a new controller, as one of its guardians (or, for a Student
+ * without guardians who opted in, as a University that issued it a credential: that schedules the
+ * key change, which complete-recovery makes once the challenge period is over).
+ * @param {object} args - { identity: address or DID, controller }.
+ * @returns {Promise<object>} { identity, controller, approvals, threshold, recovered, recoverableAt (ISO date of a
+ *   scheduled recovery, or null), transactionHash }.
+ */
+export async function recover(ctx, { identity, controller }) {
+  const usage = 'recover <address|did> <newControllerAddress>';
+  const address = identityAddress(identity, usage);
+  if (!controller || !ethers.isAddress(controller)) {
+    throw new Error(`Expected the new controller's address. Usage: credctl ${usage}`);
+  }
+
+  const { registry } = getContracts(ctx.addresses, requireSigner(ctx));
+  const tx = await registry.approveRecovery(address, controller);
+  await tx.wait();
+
+  const current = await registry.getController(address);
+  const pending = await registry.getPendingRecovery(address);
+  return {
+    identity: address,
+    controller: current,
+    approvals: (await registry.getRecoveryApprovals(address, controller)).length,
+    threshold: Number(await registry.recoveryThreshold(address)),
+    recovered: current === ethers.getAddress(controller),
+    recoverableAt: pending.newController === ethers.ZeroAddress ? null : new Date(Number(pending.executableAt) * 1000).toISOString(),
+    transactionHash: tx.hash
+  };
+}
+
+/**
+ * Let (on) or stop letting (off) the Universities that issued the signer's Student identity credentials
+ * start a recovery of it while it has no guardians. Turning it off cancels a scheduled recovery.
+ * @param {object} args - { setting: 'on' or 'off' }.
+ * @returns {Promise<object>} { identity, issuerRecovery, transactionHash }.
+ */
+export async function issuerRecovery(ctx, { setting }) {
+  if (setting !== 'on' && setting !== 'off') {
+    throw new Error('Expected on or off. Usage: credctl issuer-recovery <on|off>');
+  }
+  const signer = requireSigner(ctx);
+  const { registry } = getContracts(ctx.addresses, signer);
+  const tx = await registry.setIssuerRecovery(setting === 'on');
+  await tx.wait();
+  return { identity: await registry.identityOf(await signer.getAddress()), issuerRecovery: setting === 'on', transactionHash: tx.hash };
+}
+
+/**
+ * Cancel the recovery an issuing University scheduled for the signer's identity.
+ * @returns {Promise<object>} { identity, cancelledController, transactionHash }.
+ */
+export async function cancelRecovery(ctx) {
+  const signer = requireSigner(ctx);
+  const { registry } = getContracts(ctx.addresses, signer);
+  const identity = await registry.identityOf(await signer.getAddress());
+  const { newController } = await registry.getPendingRecovery(identity);
+  const tx = await registry.cancelRecovery();
+  await tx.wait();
+  return { identity, cancelledController: newController, transactionHash: tx.hash };
+}
+
+/**
+ * Make the key change an issuing University scheduled, once its challenge period is over.
+ * @param {object} args - { identity: address or DID }.
+ * @returns {Promise<object>} { identity, controller, transactionHash }.
+ */
+export async function completeRecovery(ctx, { identity }) {
+  const address = identityAddress(identity, 'complete-recovery <address|did>');
+  const { registry } = getContracts(ctx.addresses, requireSigner(ctx));
+  const tx = await registry.completeRecovery(address);
+  await tx.wait();
+  return { identity: address, controller: await registry.getController(address), transactionHash: tx.hash };
+}
+
+/**
+ * Authorize an account to issue and/or revoke credentials for the signer's University, or replace
+ * its authorization. --types limits it to credentials of those schema names.
+ * @param {object} args - { delegate, scopes: comma-separated (issue, revoke), types: comma-separated schema names,
+ *   validUntil: ISO date or Unix seconds }.
+ * @returns {Promise<object>} { delegate, university, scopes, validUntil, credentialTypes, transactionHash }.
+ */
+export async function delegate(ctx, { delegate: account, scopes, types = '', validUntil }) {
+  const usage = 'delegate <address> --scopes <issue,revoke> [--types <schema,...>] [--valid-until <date>]';
+  if (!account || !ethers.isAddress(account)) {
+    throw new Error(`Expected the delegate's address. Usage: credctl ${usage}`);
+  }
+  const scopeFlags = scopesFromNames(requireArg(scopes, usage));
+  const schemaNames = types.split(',').map((type) => type.trim()).filter(Boolean);
+  const until = validUntil === undefined ? 0 : toUnixSeconds(validUntil, '--valid-until date');
+
+  const { credentials } = getContracts(ctx.addresses, requireSigner(ctx));
+  const tx = await credentials.authorizeDelegate(account, scopeFlags, until, schemaNames.map(credentialTypeHash));
+  await tx.wait();
+
+  return {
+    delegate: ethers.getAddress(account),
+    ...formatDelegation(await credentials.getDelegation(account), schemaNames),
+    transactionHash: tx.hash
+  };
+}
+
+/**
+ * Remove a delegate of the signer's University. Credentials it issued are unaffected.
+ * @param {object} args - { delegate }.
+ * @returns {Promise<object>} { delegate, removed, transactionHash }.
+ */
+export async function undelegate(ctx, { delegate: account }) {
+  const usage = 'undelegate <address>';
+  if (!account || !ethers.isAddress(account)) {
+    throw new Error(`Expected the delegate's address. Usage: credctl ${usage}`);
+  }
+  const { credentials } = getContracts(ctx.addresses, requireSigner(ctx));
+  const tx = await credentials.removeDelegate(account);
+  await tx.wait();
+
+  return { delegate: ethers.getAddress(account), removed: true, transactionHash: tx.hash };
+}
+
+/**
+ * Show what an account may do as a delegate.
+ * @param {object} args - { delegate, types: comma-separated schema names to show by name }.
+ * @returns {Promise<object>} { delegate, isDelegate, university, scopes, validUntil, credentialTypes }.
+ */
+export async function delegation(ctx, { delegate: account, types = '' }) {
+  const usage = 'delegation <address>';
+  if (!account || !ethers.isAddress(account)) {
+    throw new Error(`Expected the delegate's address. Usage: credctl ${usage}`);
+  }
+  const schemaNames = [DEFAULT_SCHEMA_NAME, ...types.split(',').map((type) => type.trim()).filter(Boolean)];
+  const { credentials } = getContracts(ctx.addresses, ctx.provider);
+  const formatted = formatDelegation(await credentials.getDelegation(account), schemaNames);
+
+  return { delegate: ethers.getAddress(account), isDelegate: formatted !== null, ...formatted };
+}
+
+/**
+ * Publish a JSON Schema document to storage and register it for the signer's University.
+ * @param {object} args - { file, reference: "<id>@<version>" }.
+ * @returns {Promise<object>} { id, version, reference, schemaKey, uri, documentHash, transactionHash }.
+ */
+export async function registerSchema(ctx, { file, reference }) {
+  const usage = 'register-schema <schema.json> <id>@<version>';
+  requireArg(file, usage);
+  const { id, version } = requireSchemaReference(reference, usage);
+
+  let document;
+  try {
+    document = JSON.parse(readCredentialFile(file));
+  } catch (error) {
+    throw new Error(`Schema file ${file} is not valid JSON: ${error.message}`);
+  }
+
+  const { credentials } = getContracts(ctx.addresses, requireSigner(ctx));
+  return publishSchema({ credentials, storage: ctx.storage, id, version, document });
+}
+
+/**
+ * Show a registered schema and its document (checked against the registered hash).
+ * @param {object} args - { reference: "<id>@<version>", issuer: the University (default: the signer's) }.
+ * @returns {Promise<object>} { issuer, id, version, reference, uri, documentHash, registeredAt, document }.
+ */
+export async function schema(ctx, { reference, issuer }) {
+  const usage = 'schema <id>@<version> [--issuer <address>]';
+  const parsed = requireSchemaReference(reference, usage);
+  let university = issuer;
+  if (university === undefined) {
+    university = await issuingUniversityOf(ctx, await requireSigner(ctx).getAddress());
+  } else if (!ethers.isAddress(university)) {
+    throw new Error(`--issuer must be the University's address. Usage: credctl ${usage}`);
+  }
+
+  const { credentials } = getContracts(ctx.addresses, ctx.provider);
+  const fetched = await fetchSchema({ credentials, storage: ctx.storage, issuer: university, reference: parsed.reference });
+  return { issuer: ethers.getAddress(university), ...fetched };
+}
+
+/**
+ * Issue a credential from a JSON file: store the blob, hash it and anchor the hash.
+ * Credentials are salted by default; the salt is returned and must be given to the holder.
+ * A --schema of the form <id>@<version> names a schema the University registered: the file is
+ * validated against it before anything is hashed or stored.
+ * With validFrom/validUntil (ISO dates or Unix seconds) the credential is only valid in that period.
+ * @param {object} args - { file, holder, schema, unsalted, encryptTo, validFrom, validUntil }.
+ * The signer may be a University or one of its delegates; the credential is issued in the University's name.
+ * @returns {Promise<object>} { credentialHash, salt, ipfsHash, holder, issuer, delegate, schema, validFrom, validUntil,
+ *   transactionHash }.
+ */
+export async function issue(ctx, {
+  file,
+  holder,
+  schema = DEFAULT_SCHEMA_NAME,
+  unsalted = false,
+  encryptTo = [],
+  validFrom,
+  validUntil
+}) {
+  const usage = 'issue <file.json> --holder <address> [--schema <name>] [--unsalted] [--encrypt-to <publicKey>]... '
+    + '[--valid-from <date>] [--valid-until <date>]';
+  requireArg(file, usage);
+  if (!holder || !ethers.isAddress(holder)) {
+    throw new Error(`--holder must be the Student's address. Usage: credctl ${usage}`);
+  }
+  const validity = {
+    validFrom: validFrom === undefined ? 0 : toUnixSeconds(validFrom, '--valid-from date'),
+    validUntil: validUntil === undefined ? 0 : toUnixSeconds(validUntil, '--valid-until date')
+  };
+
+  let credentialData;
+  try {
+    credentialData = JSON.parse(readCredentialFile(file));
+  } catch (error) {
+    throw new Error(`Credential file ${file} is not valid JSON: ${error.message}`);
+  }
+
+  const signer = requireSigner(ctx);
+  const document = await registeredSchemaDocument(ctx, signer, schema);
+  if (document) {
+    assertValidCredentialData(document, credentialData, parseSchemaReference(schema).reference);
+  }
+
+  const method = unsalted ? HashMethod.JCS : HashMethod.SALTED;
+  const salt = method === HashMethod.SALTED ? generateCredentialSalt() : null;
+  const credentialHash = hashCredential(credentialData, method, salt);
+
+  const ipfsHash = await uploadCredentialToIPFS(
+    credentialData,
+    ctx.storage,
+    encryptTo.length > 0 ? { recipients: encryptTo, logger: ctx.logger } : { logger: ctx.logger }
+  );
+
+  const { credentials } = getContracts(ctx.addresses, signer);
+  const encodedSchema = encodeCredentialSchema(schema, method);
+  const tx = validity.validFrom || validity.validUntil
+    ? await credentials.issueCredentialWithValidity(holder, credentialHash, ipfsHash, encodedSchema, validity.validFrom, validity.validUntil)
+    : await credentials.issueCredential(holder, credentialHash, ipfsHash, encodedSchema);
+  await tx.wait();
+  const metadata = await credentials.getCredentialMetadata(credentialHash);
+
+  return {
+    credentialHash,
+    salt,
+    ipfsHash,
+    encrypted: encryptTo.length > 0,
+    holder: ethers.getAddress(holder),
+    issuer: metadata.issuer,
+    delegate: metadata.delegate === ethers.ZeroAddress ? null : metadata.delegate,
+    schema: formatCredentialSchema(schema, method),
+    ...formatValidity(validity),
+    transactionHash: tx.hash
+  };
+}
+
+function rowProblems(rows) {
+  const problems = rows.filter((row) => row.error).map((row) => `line ${row.line}: ${row.error}`);
+  return problems.length > 0 ? problems.join('\n') : null;
+}
+
+/**
+ * Issue a credential for each row of a registrar CSV (see bulkIssuance.js), resuming from a checkpoint.
+ * With dryRun nothing is stored or sent: rows are only validated and their issue calls gas-estimated.
+ * @returns {Promise<object>} Row counts, gas used and the receipts and checkpoint files written;
+ *   with dryRun, the estimated gas and cost. Both list the rows that did not go through.
+ */
+export async function issueCsv(ctx, {
+  file,
+  schema = DEFAULT_SCHEMA_NAME,
+  unsalted = false,
+  encryptTo = [],
+  checkpoint,
+  receipts,
+  retries,
+  dryRun = false
+}) {
+  const usage = 'issue-csv <file.csv> [--schema <name>] [--unsalted] [--encrypt-to <publicKey>]... '
+    + '[--checkpoint <file>] [--receipts <file.csv|file.json>] [--retries <n>] [--dry-run]';
+  requireArg(file, usage);
+  const retryCount = retries === undefined ? DEFAULT_RETRIES : Number(retries);
+  if (!Number.isInteger(retryCount) || retryCount < 0) {
+    throw new Error(`--retries must be a whole number, got "${retries}"`);
+  }
+
+  const text = readCredentialFile(file);
+  const signer = requireSigner(ctx);
+  const rows = parseIssuanceCsv(text, { schemaDocument: await registeredSchemaDocument(ctx, signer, schema) });
+  const method = unsalted ? HashMethod.JCS : HashMethod.SALTED;
+  const { credentials } = getContracts(ctx.addresses, signer);
+
+  if (dryRun) {
+    const { estimates, summary } = await estimateBulkIssuance({ rows, credentials, schema, method });
+    return {
+      dryRun: true,
+      rows: summary.rows,
+      ready: summary.ready,
+      invalid: summary.invalid,
+      failed: summary.failed,
+      estimatedGas: summary.estimatedGas.toString(),
+      gasPrice: `${ethers.formatUnits(summary.gasPrice, 'gwei')} gwei`,
+      estimatedCost: `${ethers.formatEther(summary.estimatedCost)} ETH`,
+      problems: rowProblems(estimates)
+    };
+  }
+
+  const checkpointFile = checkpoint || `${file}.checkpoint.json`;
+  const receiptsFile = receipts || `${file.replace(/\.csv$/i, '')}.receipts.csv`;
+  const { receipts: rowReceipts, summary } = await runBulkIssuance({
+    rows, credentials, storage: ctx.storage, schema, method, encryptTo, checkpointFile, retries: retryCount, logger: ctx.logger
+  });
+  fs.writeFileSync(receiptsFile, formatReceipts(rowReceipts, receiptsFile.toLowerCase().endsWith('.json') ? 'json' : 'csv'));
+
+  return {
+    rows: summary.rows,
+    issued: summary.issued,
+    alreadyIssued: summary.alreadyIssued,
+    invalid: summary.invalid,
+    failed: summary.failed,
+    gasUsed: summary.gasUsed.toString(),
+    receipts: receiptsFile,
+    checkpoint: checkpointFile,
+    problems: rowProblems(rowReceipts)
+  };
+}
+
+// Shared by revoke, suspend and reinstate: all record a reason code and optional URI
+async function changeStatus(ctx, { hash, reason = 0, reasonUri = '' }, command, method, newState) {
+  requireHash(hash, `${command} <credentialHash> [--reason <name|code>] [--reason-uri <uri>]`);
+  const reasonCode = reasonCodeFromName(reason);
+  const { credentials } = getContracts(ctx.addresses, requireSigner(ctx));
+  const tx = await credentials[method](hash, reasonCode, reasonUri);
+  await tx.wait();
+
+  return {
+    credentialHash: hash,
+    state: newState,
+    reason: reasonName(reasonCode),
+    reasonURI: reasonUri || null,
+    transactionHash: tx.hash
+  };
+}
+
+/**
+ * Revoke a credential (as its issuer). Revocation is final.
+ * @param {object} args - { hash, reason, reasonUri }.
+ * @returns {Promise<object>} { credentialHash, state, reason, reasonURI, transactionHash }.
+ */
+export async function revoke(ctx, args) {
+  return changeStatus(ctx, args, 'revoke', 'revokeCredentialWithReason', 'Revoked');
+}
+
+/**
+ * Suspend a valid credential (as its issuer) until it is reinstated or revoked.
+ * @param {object} args - { hash, reason, reasonUri }.
+ * @returns {Promise<object>} { credentialHash, state, reason, reasonURI, transactionHash }.
+ */
+export async function suspend(ctx, args) {
+  return changeStatus(ctx, args, 'suspend', 'suspendCredential', 'Suspended');
+}
+
+/**
+ * Reinstate a suspended credential (as its issuer).
+ * @param {object} args - { hash, reason, reasonUri }.
+ * @returns {Promise<object>} { credentialHash, state, reason, reasonURI, transactionHash }.
+ */
+export async function reinstate(ctx, args) {
+  return changeStatus(ctx, args, 'reinstate', 'reinstateCredential', 'Valid');
+}
+
+/**
+ * Extend a credential's validity period (as its issuer), keeping its hash.
+ * @param {object} args - { hash, validUntil } (ISO date or Unix seconds; "never" removes the end date).
+ * @returns {Promise<object>} { credentialHash, validFrom, validUntil, state, transactionHash }.
+ */
+export async function renew(ctx, { hash, validUntil }) {
+  const usage = 'renew <credentialHash> --valid-until <date|never>';
+  requireHash(hash, usage);
+  requireArg(validUntil, usage);
+  const until = validUntil === 'never' ? 0 : toUnixSeconds(validUntil, '--valid-until date');
+
+  const { credentials } = getContracts(ctx.addresses, requireSigner(ctx));
+  const tx = await credentials.renewCredential(hash, until);
+  await tx.wait();
+
+  const metadata = await credentials.getCredentialMetadata(hash);
+  return { credentialHash: hash, ...formatValidity(metadata), state: stateName(metadata.state), transactionHash: tx.hash };
+}
+
+/**
+ * Read a credential's on-chain status.
+ * @param {object} args - { hash }.
+ * @returns {Promise<object>} { credentialHash, state, valid }.
+ */
+export async function status(ctx, { hash }) {
+  requireHash(hash, 'status <credentialHash>');
+  const { credentials } = getContracts(ctx.addresses, ctx.provider);
+  const state = await credentials.getCredentialStatus(hash);
+
+  return { credentialHash: hash, state: stateName(state), valid: Number(state) === 1 };
+}
+
+/**
+ * Verify a credential file against its on-chain hash. Hashing happens locally and
+ * only view calls are made, so no credential data leaves this machine.
+ * @param {object} args - { file, hash, salt }.
+ * @returns {Promise<object>} { credentialHash, valid, method, checks: { exists, hashMatches, onChainValid }, reasons }.
+ */
+export async function verify(ctx, { file, hash, salt }) {
+  const usage = 'verify <file.json> <credentialHash> [--salt <salt>]';
+  requireArg(file, usage);
+  requireHash(hash, usage);
+
+  const data = readCredentialFile(file);
+  const { registry, credentials } = getContracts(ctx.addresses, ctx.provider);
+  const metadata = await credentials.getCredentialMetadata(hash);
+
+  const result = {
+    credentialHash: hash,
+    valid: false,
+    method: null,
+    checks: {
+      exists: Number(metadata.state) !== 0,
+      hashMatches: false,
+      onChainValid: Number(metadata.state) === 1,
+      issuerAccreditedAtIssue: false,
+      issuerAccredited: false
+    },
+    reasons: []
+  };
+  if (!result.checks.exists) {
+    result.reasons.push('Credential not found on-chain');
+    return result;
+  }
+  result.checks.issuerAccreditedAtIssue = await registry.wasAccreditedAt(metadata.issuer, metadata.issueDate);
+  result.checks.issuerAccredited = await registry.isAccredited(metadata.issuer);
+
+  result.method = parseCredentialSchema(ethers.toUtf8String(metadata.credentialSchema)).method;
+  switch (result.method) {
+    case HashMethod.SALTED:
+      if (!salt || !ethers.isHexString(salt, 32)) {
+        result.reasons.push('Salted credential: pass the holder\'s salt with --salt');
+        break;
+      }
+      result.checks.hashMatches = computeSaltedCommitment(hashCredential(data, HashMethod.JCS), salt) === hash;
+      break;
+    case HashMethod.MERKLE:
+      result.reasons.push('Merkle-committed credential: verify disclosed fields with selectiveDisclosure.js');
+      break;
+    default:
+      result.checks.hashMatches = hashCredential(data, result.method) === hash;
+  }
+
+  if (!result.checks.hashMatches && result.reasons.length === 0) {
+    result.reasons.push('Credential data does not match the on-chain hash');
+  }
+  if (!result.checks.onChainValid) {
+    result.reasons.push(`Credential is ${stateName(metadata.state)}`);
+  }
+  if (!result.checks.issuerAccreditedAtIssue) {
+    result.reasons.push('Issuer was not an accredited University when the credential was issued');
+  }
+
+  result.valid = result.checks.hashMatches && result.checks.onChainValid && result.checks.issuerAccreditedAtIssue;
+  return result;
+}
+
+/**
+ * Show a credential's on-chain metadata and status history.
+ * @param {object} args - { hash }.
+ * @returns {Promise<object>} { credentialHash, issuer, delegate, holder, ipfsHash, schema, hashMethod, issueDate, validFrom,
+ *   validUntil, state, statusHistory }.
+ */
+export async function show(ctx, { hash }) {
+  requireHash(hash, 'show <credentialHash>');
+  const { credentials } = getContracts(ctx.addresses, ctx.provider);
+  const metadata = await credentials.getCredentialMetadata(hash);
+  if (Number(metadata.state) === 0) {
+    throw new Error(`Credential not found: ${hash}`);
+  }
+
+  const schema = ethers.toUtf8String(metadata.credentialSchema);
+  return {
+    credentialHash: metadata.credentialHash,
+    issuer: metadata.issuer,
+    delegate: metadata.delegate === ethers.ZeroAddress ? null : metadata.delegate,
+    holder: metadata.holder,
+    ipfsHash: metadata.ipfsHash,
+    schema,
+    hashMethod: parseCredentialSchema(schema).method,
+    issueDate: new Date(Number(metadata.issueDate) * 1000).toISOString(),
+    ...formatValidity(metadata),
+    state: stateName(metadata.state),
+    statusHistory: (await credentials.getStatusHistory(hash)).map(formatStatusChange)
+  };
+}
+
+/**
+ * Fetch a credential blob, by credential hash (looked up on-chain) or by CID.
+ * Encrypted blobs are decrypted with the configured key.
+ * @param {object} args - { ref, out }.
+ * @returns {Promise<object>} { cid, data } or { cid, file } when written to --out.
+ */
+export async function fetch(ctx, { ref, out }) {
+  requireArg(ref, 'fetch <credentialHash|cid> [--out <file>]');
+
+  let cid = ref;
+  if (ethers.isHexString(ref, 32)) {
+    const { credentials } = getContracts(ctx.addresses, ctx.provider);
+    cid = await credentials.getCredentialIPFSHash(ref);
+    if (!cid) {
+      throw new Error(`No blob recorded for credential ${ref}`);
+    }
+  }
+
+  const data = await retrieveCredentialFromIPFS(cid, ctx.storage, { wallet: ctx.signer || undefined, logger: ctx.logger });
+  if (out) {
+    fs.writeFileSync(out, data);
+    return { cid, file: out };
+  }
+  return { cid, data };
+}
+
+/**
+ * Create a verification link for a credential, optionally with a QR code for the terminal.
+ * The link carries the chain, contract, credential hash and storage CID, plus the claims (and salt)
+ * from --file or the fields of a Merkle disclosure, which are checked against the on-chain hash first.
+ * Without data the link only proves the credential's on-chain status.
+ * @param {object} args - { hash, file, salt, disclosure, qr }.
+ * @returns {Promise<object>} { credentialHash, link, payloadLength, qr? }.
+ */
+export async function share(ctx, { hash, file, salt, disclosure, qr = false }) {
+  const usage = 'share <credentialHash> [--file <file.json> [--salt <salt>] | --disclosure <disclosure.json>] [--qr]';
+  requireHash(hash, usage);
+  if (file && disclosure) {
+    throw new Error(`Share either a credential file or a disclosure, not both. Usage: credctl ${usage}`);
+  }
+
+  const { credentials } = getContracts(ctx.addresses, ctx.provider);
+  const metadata = await credentials.getCredentialMetadata(hash);
+  if (Number(metadata.state) === 0) {
+    throw new Error(`Credential not found: ${hash}`);
+  }
+  const method = parseCredentialSchema(ethers.toUtf8String(metadata.credentialSchema)).method;
+
+  const payload = {
+    chainId: (await ctx.provider.getNetwork()).chainId,
+    credentialStatus: await credentials.getAddress(),
+    credentialHash: metadata.credentialHash,
+    cid: metadata.ipfsHash || undefined
+  };
+
+  if (file) {
+    if (method === HashMethod.MERKLE) {
+      throw new Error('Merkle-committed credential: share selected fields with --disclosure');
+    }
+    if (method === HashMethod.SALTED && !ethers.isHexString(salt, 32)) {
+      throw new Error('Salted credential: pass the holder\'s salt with --salt');
+    }
+    const data = readCredentialFile(file);
+    if (hashCredential(data, method, method === HashMethod.SALTED ? salt : null) !== metadata.credentialHash) {
+      throw new Error(`${file} does not match the on-chain hash of ${hash}`);
+    }
+    payload.claims = JSON.parse(data);
+    if (method === HashMethod.SALTED) payload.salt = salt;
+  }
+
+  if (disclosure) {
+    let parsed;
+    try {
+      parsed = JSON.parse(readCredentialFile(disclosure));
+    } catch (error) {
+      throw new Error(`Disclosure file ${disclosure} is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(parsed.fields) || String(parsed.credentialHash).toLowerCase() !== metadata.credentialHash) {
+      throw new Error(`${disclosure} is not a disclosure of ${hash}`);
+    }
+    payload.disclosure = parsed.fields;
+  }
+
+  const link = createShareLink(payload, ctx.verifyUrl || DEFAULT_VERIFY_URL);
+  const result = { credentialHash: metadata.credentialHash, link, payloadLength: link.length - link.indexOf('#') - 1 };
+  if (qr) {
+    result.qr = qrCodeToText(createQrCode(link, { errorCorrection: 'L' }));
+  }
+  return result;
+}
+
+export const COMMANDS = {
+  deploy,
+  register,
+  accredit,
+  'suspend-accreditation': suspendAccreditation,
+  'revoke-accreditation': revokeAccreditation,
+  accreditation,
+  resolve,
+  'set-attribute': setAttribute,
+  'remove-attribute': removeAttribute,
+  'rotate-key': rotateKey,
+  'set-guardians': setGuardians,
+  recover,
+  'issuer-recovery': issuerRecovery,
+  'cancel-recovery': cancelRecovery,
+  'complete-recovery': completeRecovery,
+  delegate,
+  undelegate,
+  delegation,
+  'register-schema': registerSchema,
+  schema,
+  issue,
+  'issue-csv': issueCsv,
+  revoke,
+  suspend,
+  reinstate,
+  renew,
+  status,
+  verify,
+  show,
+  fetch,
+  share
+};
+
+export default COMMANDS;
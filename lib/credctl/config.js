@@ -0,0 +1,169 @@
+/**
+ * credctl Configuration
+ * Resolves the network, signing key, contract addresses and storage backend
+ * from command-line options and environment variables.
+ *
+ * Environment:
+ *   CREDCTL_NETWORK, CREDCTL_RPC_URL         Network name / RPC URL override
+ *   CREDCTL_PRIVATE_KEY                      Signing key (0x-prefixed hex)
+ *   CREDCTL_KEYSTORE, CREDCTL_KEYSTORE_PASSWORD  Encrypted JSON keystore and its password
+ *   CREDCTL_REGISTRY_ADDRESS, CREDCTL_CREDENTIALS_ADDRESS  Contract address overrides
+ *   IPFS_API_URL                             IPFS HTTP API for --storage ipfs
+ *   CREDCTL_VERIFY_URL                       Verifier page that share links point to
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { createStorage, DEFAULT_IPFS_URL } from '../storage/index.js';
+
+// Known networks. The RPC URL of a remote network comes from its environment variable.
+export const NETWORKS = {
+  localhost: { rpcUrl: 'http://127.0.0.1:8545' },
+  sepolia: { rpcUrlEnv: 'SEPOLIA_RPC_URL' }
+};
+
+export const DEFAULT_DEPLOYMENTS_DIR = 'deployments';
+export const DEFAULT_STORAGE_DIR = 'credential-store';
+
+// frontend/verify.html as served by `npx http-server . -p 8000` from the repository root
+export const DEFAULT_VERIFY_URL = 'http://localhost:8000/frontend/verify.html';
+
+/**
+ * Resolve the network name and RPC URL.
+ * @param {object} options - { network, rpcUrl } from the command line.
+ * @param {object} [env=process.env] - Environment variables.
+ * @returns {object} { name, rpcUrl }.
+ */
+export function resolveNetwork({ network, rpcUrl } = {}, env = process.env) {
+  const name = network || env.CREDCTL_NETWORK || 'localhost';
+  const url = rpcUrl || env.CREDCTL_RPC_URL;
+  if (url) {
+    return { name, rpcUrl: url };
+  }
+
+  const known = NETWORKS[name];
+  if (!known) {
+    throw new Error(`Unknown network "${name}"; pass --rpc-url or use one of: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+  const resolved = known.rpcUrl || env[known.rpcUrlEnv];
+  if (!resolved) {
+    throw new Error(`Network "${name}" needs ${known.rpcUrlEnv} to be set (or pass --rpc-url)`);
+  }
+  return { name, rpcUrl: resolved };
+}
+
+/**
+ * Load the signing wallet from a keystore file or a private key.
+ * @param {object} options - { keystore } from the command line.
+ * @param {object} provider - The ethers provider to connect the wallet to.
+ * @param {object} [env=process.env] - Environment variables.
+ * @returns {Promise<object|null>} The wallet, or null when no key is configured.
+ */
+export async function loadSigner({ keystore } = {}, provider, env = process.env) {
+  const keystorePath = keystore || env.CREDCTL_KEYSTORE;
+  if (keystorePath) {
+    const password = env.CREDCTL_KEYSTORE_PASSWORD;
+    if (password === undefined) {
+      throw new Error('CREDCTL_KEYSTORE_PASSWORD must be set to decrypt the keystore');
+    }
+    const json = fs.readFileSync(keystorePath, 'utf8');
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+    return wallet.connect(provider);
+  }
+
+  if (env.CREDCTL_PRIVATE_KEY) {
+    return new ethers.Wallet(env.CREDCTL_PRIVATE_KEY, provider);
+  }
+  return null;
+}
+
+/**
+ * Path of the deployment record for a network.
+ * @param {string} network - The network name.
+ * @param {string} [directory] - The deployments directory.
+ * @returns {string} The file path.
+ */
+export function deploymentPath(network, directory = DEFAULT_DEPLOYMENTS_DIR) {
+  return path.join(directory, `${network}.json`);
+}
+
+/**
+ * Read the contract addresses recorded by `credctl deploy`.
+ * @param {string} network - The network name.
+ * @param {string} [directory] - The deployments directory.
+ * @returns {object|null} { DIDRegistry, CredentialStatus, TrustedForwarder, CredentialAccess, chainId, deployedAt }, or null if none.
+ */
+export function loadDeployment(network, directory = DEFAULT_DEPLOYMENTS_DIR) {
+  const file = deploymentPath(network, directory);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Record the contract addresses of a deployment.
+ * @param {string} network - The network name.
+ * @param {object} deployment - { DIDRegistry, CredentialStatus, TrustedForwarder, CredentialAccess, chainId, deployedAt }.
+ * @param {string} [directory] - The deployments directory.
+ * @returns {string} The file written.
+ */
+export function saveDeployment(network, deployment, directory = DEFAULT_DEPLOYMENTS_DIR) {
+  const file = deploymentPath(network, directory);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(deployment, null, 2)}\n`);
+  return file;
+}
+
+/**
+ * Resolve the contract addresses: command line, then environment, then the deployment record.
+ * @param {object} options - { registry, credentials, deployments } from the command line.
+ * @param {string} network - The network name.
+ * @param {object} [env=process.env] - Environment variables.
+ * @returns {object} { registry, credentials } (either may be undefined).
+ */
+export function resolveAddresses({ registry, credentials, deployments } = {}, network, env = process.env) {
+  const recorded = loadDeployment(network, deployments) || {};
+  return {
+    registry: registry || env.CREDCTL_REGISTRY_ADDRESS || recorded.DIDRegistry,
+    credentials: credentials || env.CREDCTL_CREDENTIALS_ADDRESS || recorded.CredentialStatus
+  };
+}
+
+/**
+ * Create the storage adapter for credential blobs.
+ * @param {object} options - { storage, storageDir, ipfsUrl } from the command line.
+ * @param {object} [env=process.env] - Environment variables.
+ * @returns {object} The storage adapter.
+ */
+export function resolveStorage({ storage = 'filesystem', storageDir, ipfsUrl } = {}, env = process.env) {
+  if (storage === 'ipfs') {
+    return createStorage({ type: 'ipfs', url: ipfsUrl || env.IPFS_API_URL || DEFAULT_IPFS_URL });
+  }
+  if (storage === 'filesystem') {
+    return createStorage({ type: 'filesystem', directory: storageDir || DEFAULT_STORAGE_DIR });
+  }
+  throw new Error(`Unsupported storage for credctl: ${storage} (use ipfs or filesystem)`);
+}
+
+/**
+ * Resolve the verifier page that share links point to.
+ * @param {object} options - { verifyUrl } from the command line.
+ * @param {object} [env=process.env] - Environment variables.
+ * @returns {string} The page URL.
+ */
+export function resolveVerifyUrl({ verifyUrl } = {}, env = process.env) {
+  return verifyUrl || env.CREDCTL_VERIFY_URL || DEFAULT_VERIFY_URL;
+}
+
+export default {
+  NETWORKS,
+  resolveNetwork,
+  loadSigner,
+  loadDeployment,
+  saveDeployment,
+  resolveAddresses,
+  resolveStorage,
+  resolveVerifyUrl
+};
@@ -0,0 +1,124 @@
+/**
+ * credctl Contracts
+ * Loads the compiled contract artifacts (run `npm run compile` first) and
+ * binds them to addresses and a signer or provider. Artifacts compiled from
+ * other sources than those in contracts/ are refused rather than used.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+
+const PROJECT_ROOT = new URL('../../', import.meta.url);
+const ARTIFACTS_DIR = new URL('artifacts/contracts/DecentralizedCredentials.sol/', PROJECT_ROOT);
+
+// Build info file -> whether the sources it was compiled from are the current ones
+const currentBuilds = new Map();
+
+function isCurrentBuild(buildInfoFile) {
+  if (!currentBuilds.has(buildInfoFile)) {
+    const { input } = JSON.parse(fs.readFileSync(buildInfoFile, 'utf8'));
+    currentBuilds.set(buildInfoFile, Object.entries(input.sources)
+      .filter(([sourceName]) => sourceName.startsWith('contracts/'))
+      .every(([sourceName, { content }]) => {
+        const file = fileURLToPath(new URL(sourceName, PROJECT_ROOT));
+        return fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content;
+      }));
+  }
+  return currentBuilds.get(buildInfoFile);
+}
+
+/**
+ * Load a compiled contract artifact.
+ * @param {string} contractName - 'DIDRegistry', 'CredentialStatus', 'TrustedForwarder' or 'CredentialAccess'.
+ * @returns {object} The Hardhat artifact { abi, bytecode, ... }.
+ * @throws {Error} If the contract has not been compiled, or was compiled from sources that have changed since.
+ */
+export function loadArtifact(contractName) {
+  const file = fileURLToPath(new URL(`${contractName}.json`, ARTIFACTS_DIR));
+  const debugFile = fileURLToPath(new URL(`${contractName}.dbg.json`, ARTIFACTS_DIR));
+  if (!fs.existsSync(file) || !fs.existsSync(debugFile)) {
+    throw new Error(`Artifact for ${contractName} not found; run "npm run compile" first`);
+  }
+  const buildInfoFile = path.resolve(path.dirname(debugFile), JSON.parse(fs.readFileSync(debugFile, 'utf8')).buildInfo);
+  if (!fs.existsSync(buildInfoFile) || !isCurrentBuild(buildInfoFile)) {
+    throw new Error(`Artifact for ${contractName} does not match contracts/; run "npm run compile" first`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Deploy DIDRegistry, CredentialStatus, the TrustedForwarder for meta-transactions and
+ * CredentialAccess for holder-approved access grants, and link the registry to the first two.
+ * @param {object} signer - The deploying signer.
+ * @returns {Promise<object>} { registry, credentials, forwarder, access } contract instances.
+ */
+export async function deployContracts(signer) {
+  const registryArtifact = loadArtifact('DIDRegistry');
+  const credentialsArtifact = loadArtifact('CredentialStatus');
+
+  // Back-to-back transactions: track the nonce locally instead of re-querying the node
+  signer = new ethers.NonceManager(signer);
+
+  const registry = await new ethers.ContractFactory(registryArtifact.abi, registryArtifact.bytecode, signer).deploy();
+  await registry.waitForDeployment();
+
+  const credentials = await new ethers.ContractFactory(credentialsArtifact.abi, credentialsArtifact.bytecode, signer)
+    .deploy(await registry.getAddress());
+  await credentials.waitForDeployment();
+
+  const forwarderArtifact = loadArtifact('TrustedForwarder');
+  const forwarder = await new ethers.ContractFactory(forwarderArtifact.abi, forwarderArtifact.bytecode, signer).deploy();
+  await forwarder.waitForDeployment();
+
+  const accessArtifact = loadArtifact('CredentialAccess');
+  const access = await new ethers.ContractFactory(accessArtifact.abi, accessArtifact.bytecode, signer)
+    .deploy(await credentials.getAddress());
+  await access.waitForDeployment();
+
+  // Lets Universities recover the Students they issued credentials to
+  await (await registry.setCredentialStatus(await credentials.getAddress())).wait();
+  // Lets relayers submit signed requests for accounts without ETH
+  await (await registry.setTrustedForwarder(await forwarder.getAddress())).wait();
+
+  return { registry, credentials, forwarder, access };
+}
+
+/**
+ * Bind the deployed contracts.
+ * @param {object} addresses - { registry, credentials }.
+ * @param {object} runner - A signer (for transactions) or provider (for reads).
+ * @returns {object} { registry, credentials } contract instances.
+ */
+export function getContracts(addresses, runner) {
+  if (!addresses.registry || !addresses.credentials) {
+    throw new Error('Contract addresses unknown; run "credctl deploy" or pass --registry and --credentials');
+  }
+  return {
+    registry: new ethers.Contract(addresses.registry, loadArtifact('DIDRegistry').abi, runner),
+    credentials: new ethers.Contract(addresses.credentials, loadArtifact('CredentialStatus').abi, runner)
+  };
+}
+
+/**
+ * Bind the TrustedForwarder the DIDRegistry trusts.
+ * @param {object} registry - DIDRegistry contract instance.
+ * @param {object} runner - A signer (for transactions) or provider (for reads).
+ * @returns {Promise<object>} The TrustedForwarder contract instance.
+ * @throws {Error} If the registry has no trusted forwarder.
+ */
+export async function getForwarder(registry, runner) {
+  const address = await registry.trustedForwarder();
+  if (address === ethers.ZeroAddress) {
+    throw new Error('The DIDRegistry has no trusted forwarder; deploy one and call setTrustedForwarder');
+  }
+  return new ethers.Contract(address, loadArtifact('TrustedForwarder').abi, runner);
+}
+
+export default {
+  loadArtifact,
+  deployContracts,
+  getContracts,
+  getForwarder
+};
@@ -0,0 +1,253 @@
+/**
+ * Credential Types Module
+ * Names for the enums of DIDRegistry, CredentialStatus and CredentialAccess (roles, accreditation,
+ * credential and access grant states), for the status-change reason codes and for the delegate scopes,
+ * indexed by their on-chain values, so tools can print and parse them consistently.
+ */
+
+import { ethers } from 'ethers';
+
+// DIDRegistry.Role
+export const ROLE_NAMES = ['None', 'Student', 'University', 'Employer'];
+
+// DIDRegistry.AccreditationStatus
+export const ACCREDITATION_STATES = ['None', 'Pending', 'Accredited', 'Suspended', 'Revoked'];
+
+// CredentialStatus.CredentialState (Expired and NotYetValid come from the validity period)
+export const CREDENTIAL_STATES = ['None', 'Valid', 'Revoked', 'Suspended', 'Expired', 'NotYetValid'];
+
+// CredentialAccess.GrantState (Expired comes from an approval's expiry)
+export const ACCESS_GRANT_STATES = ['None', 'Pending', 'Approved', 'Denied', 'Revoked', 'Expired'];
+
+// Reason codes recorded with revocations, suspensions and reinstatements. The contract stores
+// the number only; codes past the end of this list are free for registrar-specific reasons.
+export const REASON_CODES = [
+  'Unspecified',
+  'IssuedInError',
+  'AcademicMisconduct',
+  'InvestigationPending',
+  'InvestigationCleared',
+  'Superseded',
+  'AdministrativeHold',
+  'HolderRequest'
+];
+
+// CredentialStatus.SCOPE_* flags a University grants its delegates
+export const DELEGATE_SCOPES = { issue: 1, revoke: 2 };
+
+/**
+ * Name of an on-chain DIDRegistry.Role value.
+ * @param {number|bigint} role - The role value.
+ * @returns {string} The role name (e.g. "University").
+ */
+export function roleName(role) {
+  return ROLE_NAMES[Number(role)] || `Unknown(${role})`;
+}
+
+/**
+ * On-chain DIDRegistry.Role value for a role name (case-insensitive).
+ * @param {string} name - The role name (e.g. "student").
+ * @returns {number|undefined} The role value, or undefined for unknown names and "None".
+ */
+export function roleFromName(name) {
+  const index = ROLE_NAMES.findIndex((role) => role.toLowerCase() === String(name).toLowerCase());
+  return index > 0 ? index : undefined;
+}
+
+/**
+ * Name of an on-chain DIDRegistry.AccreditationStatus value.
+ * @param {number|bigint} status - The accreditation status value.
+ * @returns {string} The status name (e.g. "Accredited").
+ */
+export function accreditationName(status) {
+  return ACCREDITATION_STATES[Number(status)] || `Unknown(${status})`;
+}
+
+/**
+ * Name of an on-chain CredentialStatus.CredentialState value.
+ * @param {number|bigint} state - The state value.
+ * @returns {string} The state name (e.g. "Valid").
+ */
+export function stateName(state) {
+  return CREDENTIAL_STATES[Number(state)] || `Unknown(${state})`;
+}
+
+/**
+ * Name of an on-chain CredentialAccess.GrantState value.
+ * @param {number|bigint} state - The grant state value.
+ * @returns {string} The state name (e.g. "Approved").
+ */
+export function accessGrantStateName(state) {
+  return ACCESS_GRANT_STATES[Number(state)] || `Unknown(${state})`;
+}
+
+/**
+ * Name of a status-change reason code.
+ * @param {number|bigint} code - The reason code.
+ * @returns {string} The reason name (e.g. "AcademicMisconduct"), or "Custom(<code>)".
+ */
+export function reasonName(code) {
+  return REASON_CODES[Number(code)] || `Custom(${code})`;
+}
+
+/**
+ * Reason code for a reason name (case-insensitive) or a numeric code.
+ * @param {string|number} reason - The reason name or code.
+ * @returns {number} The reason code (uint16).
+ * @throws {Error} For unknown names and out-of-range numbers.
+ */
+export function reasonCodeFromName(reason) {
+  if (/^\d+$/.test(String(reason))) {
+    const code = Number(reason);
+    if (code > 0xffff) {
+      throw new Error(`Reason code out of range (0-65535): ${reason}`);
+    }
+    return code;
+  }
+  const index = REASON_CODES.findIndex((name) => name.toLowerCase() === String(reason).toLowerCase());
+  if (index < 0) {
+    throw new Error(`Unknown reason "${reason}"; use a code or one of: ${REASON_CODES.join(', ')}`);
+  }
+  return index;
+}
+
+/**
+ * Readable form of a CredentialStatus.StatusChange returned by getStatusHistory.
+ * @param {object} change - The on-chain status change.
+ * @returns {object} { state, reasonCode, reason, reasonURI, changedBy, timestamp (ISO) }.
+ */
+export function formatStatusChange(change) {
+  return {
+    state: stateName(change.state),
+    reasonCode: Number(change.reasonCode),
+    reason: reasonName(change.reasonCode),
+    reasonURI: change.reasonURI || null,
+    changedBy: change.changedBy,
+    timestamp: new Date(Number(change.timestamp) * 1000).toISOString()
+  };
+}
+
+/**
+ * Readable form of a DIDRegistry.AccreditationChange returned by getAccreditationHistory.
+ * @param {object} change - The on-chain accreditation change.
+ * @returns {object} { status, changedBy, timestamp (ISO), reasonURI }.
+ */
+export function formatAccreditationChange(change) {
+  return {
+    status: accreditationName(change.status),
+    changedBy: change.changedBy,
+    timestamp: new Date(Number(change.timestamp) * 1000).toISOString(),
+    reasonURI: change.reasonURI || null
+  };
+}
+
+/**
+ * Readable validity period of a credential from getCredentialMetadata.
+ * @param {object} metadata - The on-chain credential (validFrom, validUntil in Unix seconds; 0 = open).
+ * @returns {object} { validFrom, validUntil } as ISO strings, null for an open end.
+ */
+export function formatValidity(metadata) {
+  const toISO = (seconds) => (Number(seconds) === 0 ? null : new Date(Number(seconds) * 1000).toISOString());
+  return { validFrom: toISO(metadata.validFrom), validUntil: toISO(metadata.validUntil) };
+}
+
+/**
+ * Unix time in seconds for a validity bound given as an ISO date or as seconds.
+ * @param {string|number|Date} value - The date ("2028-06-30", "2028-06-30T00:00:00Z") or Unix seconds.
+ * @param {string} [name='date'] - Name used in error messages.
+ * @returns {number} Unix seconds.
+ * @throws {Error} For unparseable dates and dates before 1970.
+ */
+export function toUnixSeconds(value, name = 'date') {
+  const seconds = /^\d+$/.test(String(value))
+    ? Number(value)
+    : Math.floor((value instanceof Date ? value.getTime() : Date.parse(value)) / 1000);
+  if (!Number.isSafeInteger(seconds) || seconds < 0) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return seconds;
+}
+
+/**
+ * CredentialStatus scope flags for a list of scope names (case-insensitive).
+ * @param {string|string[]} names - e.g. "issue,revoke" or ['issue'].
+ * @returns {number} The scopes bitmask for authorizeDelegate.
+ * @throws {Error} For an empty list or an unknown scope.
+ */
+export function scopesFromNames(names) {
+  const list = (Array.isArray(names) ? names : String(names || '').split(','))
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  if (list.length === 0) {
+    throw new Error(`No scopes given; expected one or more of: ${Object.keys(DELEGATE_SCOPES).join(', ')}`);
+  }
+  return list.reduce((scopes, name) => {
+    if (!(name in DELEGATE_SCOPES)) {
+      throw new Error(`Unknown scope "${name}"; expected one of: ${Object.keys(DELEGATE_SCOPES).join(', ')}`);
+    }
+    return scopes | DELEGATE_SCOPES[name];
+  }, 0);
+}
+
+/**
+ * Names of the scopes set in an on-chain scopes bitmask.
+ * @param {number|bigint} scopes - The bitmask.
+ * @returns {string[]} e.g. ['issue', 'revoke'].
+ */
+export function scopeNames(scopes) {
+  return Object.keys(DELEGATE_SCOPES).filter((name) => (Number(scopes) & DELEGATE_SCOPES[name]) !== 0);
+}
+
+/**
+ * Credential type a delegation is scoped by, as CredentialStatus.credentialTypeOf computes it:
+ * keccak256 of the schema name (the part of the schema string before the first ';').
+ * @param {string} schema - A schema name or on-chain schema string (e.g. "university-credential-v1;c14n=jcs").
+ * @returns {string} The bytes32 credential type.
+ */
+export function credentialTypeHash(schema) {
+  return ethers.id(schema.split(';')[0]);
+}
+
+/**
+ * Readable form of a CredentialStatus.Delegation returned by getDelegation.
+ * @param {object} delegation - The on-chain delegation.
+ * @param {string[]} [schemaNames] - Schema names to show instead of the matching credential type hashes.
+ * @returns {object|null} { university, scopes, validUntil (ISO or null), credentialTypes (empty = all) },
+ *   or null for an account that is not a delegate.
+ */
+export function formatDelegation(delegation, schemaNames = []) {
+  if (delegation.university === ethers.ZeroAddress) {
+    return null;
+  }
+  const names = new Map(schemaNames.map((name) => [credentialTypeHash(name), name]));
+  return {
+    university: delegation.university,
+    scopes: scopeNames(delegation.scopes),
+    validUntil: formatValidity({ validFrom: 0, validUntil: delegation.validUntil }).validUntil,
+    credentialTypes: [...delegation.credentialTypes].map((type) => names.get(type) || type)
+  };
+}
+
+export default {
+  ROLE_NAMES,
+  ACCREDITATION_STATES,
+  CREDENTIAL_STATES,
+  ACCESS_GRANT_STATES,
+  REASON_CODES,
+  DELEGATE_SCOPES,
+  roleName,
+  roleFromName,
+  accreditationName,
+  stateName,
+  accessGrantStateName,
+  reasonName,
+  reasonCodeFromName,
+  formatStatusChange,
+  formatAccreditationChange,
+  formatValidity,
+  toUnixSeconds,
+  scopesFromNames,
+  scopeNames,
+  credentialTypeHash,
+  formatDelegation
+};
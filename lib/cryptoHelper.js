@@ -1,26 +1,35 @@
 /**
  * Cryptography Helper Module
  * Provides utilities for signing and verifying credentials.
+ * Signing and verification results are logged to options.logger ({ log, error }); nothing is
+ * logged without one.
  */
 
 import { ethers } from 'ethers';
+import { HashMethod, serializeCredential, formatCredentialSchema, getHashMethodFromSchema } from './canonicalJson.js';
+
+export { HashMethod };
+
+const SILENT = { log() {}, error() {} };
 
 /**
  * Sign credential data with a private key.
  * @param {string} credentialData - The credential data (JSON string or plaintext).
  * @param {string} privateKey - The private key (0x-prefixed hex string).
+ * @param {object} [options]
+ * @param {object} [options.logger] - Where the result and errors are logged.
  * @returns {string} The signature (hex string).
  */
-export function signCredential(credentialData, privateKey) {
+export function signCredential(credentialData, privateKey, { logger = SILENT } = {}) {
   try {
     const wallet = new ethers.Wallet(privateKey);
     const messageHash = ethers.hashMessage(credentialData);
     const signature = wallet.signingKey.sign(messageHash).serialized;
     
-    console.log(`Credential signed. Signature: ${signature}`);
+    logger.log(`Credential signed. Signature: ${signature}`);
     return signature;
   } catch (error) {
-    console.error('Error signing credential:', error);
+    logger.error('Error signing credential:', error);
     throw error;
   }
 }
@@ -30,37 +39,173 @@ export function signCredential(credentialData, privateKey) {
  * @param {string} credentialData - The original credential data.
  * @param {string} signature - The signature (hex string).
  * @param {string} signerAddress - The expected signer's Ethereum address.
+ * @param {object} [options]
+ * @param {object} [options.logger] - Where the result and errors are logged.
  * @returns {boolean} True if signature is valid, false otherwise.
  */
-export function verifyCredentialSignature(credentialData, signature, signerAddress) {
+export function verifyCredentialSignature(credentialData, signature, signerAddress, { logger = SILENT } = {}) {
   try {
     const messageHash = ethers.hashMessage(credentialData);
     const recoveredAddress = ethers.recoverAddress(messageHash, signature);
     
     const isValid = recoveredAddress.toLowerCase() === signerAddress.toLowerCase();
-    console.log(`Signature verification: ${isValid ? 'VALID' : 'INVALID'}`);
+    logger.log(`Signature verification: ${isValid ? 'VALID' : 'INVALID'}`);
+    return isValid;
+  } catch (error) {
+    logger.error('Error verifying signature:', error);
+    return false;
+  }
+}
+
+// EIP-712 types for a credential issuance, mirroring CredentialStatus.CREDENTIAL_ISSUANCE_TYPEHASH
+export const CREDENTIAL_ISSUANCE_TYPES = {
+  CredentialIssuance: [
+    { name: 'issuer', type: 'address' },
+    { name: 'holder', type: 'address' },
+    { name: 'credentialHash', type: 'bytes32' },
+    { name: 'ipfsHash', type: 'string' },
+    { name: 'schema', type: 'bytes' }
+  ]
+};
+
+/**
+ * Build the EIP-712 domain for a deployed CredentialStatus contract.
+ * @param {number|bigint} chainId - The chain ID the contract is deployed on.
+ * @param {string} credentialStatusAddress - The CredentialStatus contract address.
+ * @returns {object} The EIP-712 domain.
+ */
+export function getCredentialDomain(chainId, credentialStatusAddress) {
+  return {
+    name: 'CredentialStatus',
+    version: '1',
+    chainId,
+    verifyingContract: credentialStatusAddress
+  };
+}
+
+/**
+ * Sign a credential issuance as EIP-712 typed data. The signature can be submitted by
+ * anyone through CredentialStatus.issueCredentialWithSignature.
+ * @param {object} issuance - { issuer, holder, credentialHash, ipfsHash, schema }.
+ * @param {string} privateKey - The issuer's private key (0x-prefixed hex string).
+ * @param {object} domain - The EIP-712 domain (see getCredentialDomain).
+ * @param {object} [options]
+ * @param {object} [options.logger] - Where the result and errors are logged.
+ * @returns {string} The signature (hex string).
+ */
+export function signCredentialIssuance(issuance, privateKey, domain, { logger = SILENT } = {}) {
+  try {
+    const wallet = new ethers.Wallet(privateKey);
+    const digest = ethers.TypedDataEncoder.hash(domain, CREDENTIAL_ISSUANCE_TYPES, issuance);
+    const signature = wallet.signingKey.sign(digest).serialized;
+
+    logger.log(`Credential issuance signed (EIP-712). Signature: ${signature}`);
+    return signature;
+  } catch (error) {
+    logger.error('Error signing credential issuance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Verify an EIP-712 credential issuance signature.
+ * @param {object} issuance - { issuer, holder, credentialHash, ipfsHash, schema }.
+ * @param {string} signature - The signature (hex string).
+ * @param {object} domain - The EIP-712 domain (see getCredentialDomain).
+ * @param {object} [options]
+ * @param {object} [options.logger] - Where the result and errors are logged.
+ * @returns {boolean} True if the signature was produced by issuance.issuer.
+ */
+export function verifyCredentialIssuanceSignature(issuance, signature, domain, { logger = SILENT } = {}) {
+  try {
+    const recoveredAddress = ethers.verifyTypedData(domain, CREDENTIAL_ISSUANCE_TYPES, issuance, signature);
+
+    const isValid = recoveredAddress.toLowerCase() === issuance.issuer.toLowerCase();
+    logger.log(`Issuance signature verification: ${isValid ? 'VALID' : 'INVALID'}`);
     return isValid;
   } catch (error) {
-    console.error('Error verifying signature:', error);
+    logger.error('Error verifying issuance signature:', error);
     return false;
   }
 }
 
+/**
+ * Generate a fresh high-entropy salt for a salted credential commitment.
+ * The salt is given to the holder with the credential and is never published on-chain.
+ * @returns {string} A random 32-byte salt (0x-prefixed hex string).
+ */
+export function generateCredentialSalt() {
+  return ethers.hexlify(ethers.randomBytes(32));
+}
+
+/**
+ * Commit to a credential data hash with a salt, matching CredentialStatus.verifyCredentialCommitment.
+ * @param {string} dataHash - keccak256 of the canonical credential JSON (hashCredential with HashMethod.JCS).
+ * @param {string} salt - The holder's 32-byte salt.
+ * @returns {string} keccak256(abi.encode(salt, dataHash)).
+ */
+export function computeSaltedCommitment(dataHash, salt) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['bytes32', 'bytes32'], [salt, dataHash]));
+}
+
+// Strings hash as given, as they did before canonicalization; objects hash as canonical JSON
+function defaultHashMethod(credentialData) {
+  return typeof credentialData === 'string' ? HashMethod.LEGACY : HashMethod.JCS;
+}
+
 /**
  * Compute hash of credential data (deterministic, for on-chain comparison).
+ * With HashMethod.JCS (the default for objects) the data is canonicalized first, so key
+ * order, number format and whitespace do not affect the hash. HashMethod.LEGACY (the
+ * default for strings) hashes the string as given, like CredentialStatus.verifyCredentialData
+ * and credentials issued before canonicalization was introduced; pass HashMethod.JCS to
+ * canonicalize a JSON string.
+ * With HashMethod.SALTED the canonical hash is committed with the holder's salt, so
+ * guessable claims (university, year, GPA) cannot be brute-forced from the on-chain hash.
  * @param {string|object} credentialData - The credential data.
+ * @param {string} [method] - The hashing method (LEGACY for strings, JCS for objects by default).
+ * @param {string} [salt] - The 32-byte salt, required for HashMethod.SALTED.
  * @returns {string} The keccak256 hash (0x-prefixed hex string).
  */
-export function hashCredential(credentialData) {
-  const dataString = typeof credentialData === 'string' 
-    ? credentialData 
-    : JSON.stringify(credentialData);
-  
-  return ethers.keccak256(ethers.toUtf8Bytes(dataString));
+export function hashCredential(credentialData, method = defaultHashMethod(credentialData), salt = null) {
+  const dataString = serializeCredential(credentialData, method);
+  const dataHash = ethers.keccak256(ethers.toUtf8Bytes(dataString));
+
+  if (method !== HashMethod.SALTED) {
+    return dataHash;
+  }
+  if (!salt || ethers.dataLength(salt) !== 32) {
+    throw new Error('Salted credentials need the 32-byte salt held by the holder');
+  }
+  return computeSaltedCommitment(dataHash, salt);
+}
+
+/**
+ * Encode the schema bytes passed to issueCredential, including the hashing method marker.
+ * @param {string} schemaName - The schema name (e.g. "university-credential-v1").
+ * @param {string} [method=HashMethod.JCS] - The hashing method used for the credential.
+ * @returns {Uint8Array} The schema bytes.
+ */
+export function encodeCredentialSchema(schemaName, method = HashMethod.JCS) {
+  return ethers.toUtf8Bytes(formatCredentialSchema(schemaName, method));
+}
+
+/**
+ * Read the hashing method from on-chain schema bytes (getCredentialMetadata().credentialSchema).
+ * @param {string|Uint8Array} schemaBytes - The schema bytes (hex string or bytes).
+ * @returns {string} The HashMethod recorded by the schema (LEGACY if none).
+ */
+export function getHashMethod(schemaBytes) {
+  try {
+    return getHashMethodFromSchema(ethers.toUtf8String(schemaBytes));
+  } catch (error) {
+    return HashMethod.LEGACY;
+  }
 }
 
 /**
  * Create a credential object with metadata.
+ * For the W3C Verifiable Credential form, see verifiableCredential.fromLegacyCredential.
  * @param {object} credentialData - The credential data (e.g., { degree: "BSc", university: "MIT" }).
  * @param {string} holderAddress - The holder's Ethereum address.
  * @param {string} issuerAddress - The issuer's Ethereum address.
@@ -84,9 +229,11 @@ export function createCredential(credentialData, holderAddress, issuerAddress) {
  * @param {string} signature - The issuer's signature.
  * @param {string} issuerAddress - The issuer's address.
  * @param {string} expectedHash - The on-chain hash (from CredentialStatus contract).
+ * @param {string} [method] - The hashing method (see getHashMethod; by default as for hashCredential).
+ * @param {string} [salt] - The holder's salt, required for HashMethod.SALTED.
  * @returns {object} Verification result { isValid, signatures, hash, reasons }.
  */
-export function verifyCompleteCredential(credentialData, signature, issuerAddress, expectedHash) {
+export function verifyCompleteCredential(credentialData, signature, issuerAddress, expectedHash, method = defaultHashMethod(credentialData), salt = null) {
   const result = {
     isValid: false,
     checks: {
@@ -102,10 +249,15 @@ export function verifyCompleteCredential(credentialData, signature, issuerAddres
   if (!sigValid) result.reasons.push('Signature verification failed');
 
   // Check hash
-  const computedHash = hashCredential(credentialData);
-  const hashValid = computedHash.toLowerCase() === expectedHash.toLowerCase();
+  let computedHash = null;
+  try {
+    computedHash = hashCredential(credentialData, method, salt);
+  } catch (error) {
+    result.reasons.push(`Credential data could not be canonicalized: ${error.message}`);
+  }
+  const hashValid = computedHash !== null && computedHash.toLowerCase() === expectedHash.toLowerCase();
   result.checks.hashValid = hashValid;
-  if (!hashValid) result.reasons.push('Credential data hash does not match on-chain hash');
+  if (computedHash !== null && !hashValid) result.reasons.push('Credential data hash does not match on-chain hash');
 
   // Overall validity
   result.isValid = sigValid && hashValid;
@@ -114,9 +266,17 @@ export function verifyCompleteCredential(credentialData, signature, issuerAddres
 }
 
 export default {
+  HashMethod,
   signCredential,
   verifyCredentialSignature,
+  getCredentialDomain,
+  signCredentialIssuance,
+  verifyCredentialIssuanceSignature,
+  generateCredentialSalt,
+  computeSaltedCommitment,
   hashCredential,
+  encodeCredentialSchema,
+  getHashMethod,
   createCredential,
   verifyCompleteCredential
 };
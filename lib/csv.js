@@ -0,0 +1,104 @@
+/**
+ * CSV Module
+ * Reads and writes RFC 4180 CSV: comma-separated fields, optionally double-quoted, with
+ * "" for a quote inside a quoted field and line breaks allowed inside quotes. The first
+ * row is the header. Used for registrar exports (bulkIssuance.js) and issuance receipts.
+ */
+
+/**
+ * Parse CSV text into records keyed by the header row.
+ * Blank lines are skipped and a leading byte order mark is ignored.
+ * @param {string} text - The CSV text.
+ * @returns {object} { header: string[], records: [{ line, values: { column: value } }] },
+ *   where line is the 1-based line the record starts on.
+ * @throws {Error} On an empty file, an unterminated quote, a duplicate column or a row with the wrong number of fields.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`CSV line ${rowLine}: unterminated quoted field`);
+  }
+  endRow();
+
+  if (rows.length === 0) {
+    throw new Error('CSV has no header row');
+  }
+  const [{ fields: header }, ...body] = rows;
+  const names = header.map((name) => name.trim());
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate !== undefined) {
+    throw new Error(`CSV header repeats the column "${duplicate}"`);
+  }
+
+  const records = body.map((row) => {
+    if (row.fields.length !== names.length) {
+      throw new Error(`CSV line ${row.line}: expected ${names.length} fields, got ${row.fields.length}`);
+    }
+    return { line: row.line, values: Object.fromEntries(names.map((name, index) => [name, row.fields[index]])) };
+  });
+  return { header: names, records };
+}
+
+function formatField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format records as CSV.
+ * @param {object[]} records - Objects to write, one per row.
+ * @param {string[]} columns - The columns to write, in order (also the header).
+ * @returns {string} The CSV text; null and undefined are written as empty fields.
+ */
+export function formatCsv(records, columns) {
+  const lines = [columns, ...records.map((record) => columns.map((column) => record[column]))];
+  return `${lines.map((fields) => fields.map(formatField).join(',')).join('\n')}\n`;
+}
+
+export default {
+  parseCsv,
+  formatCsv
+};
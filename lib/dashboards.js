@@ -0,0 +1,262 @@
+/**
+ * Dashboards Module
+ * Data behind the role dashboards (frontend/dashboard.html): which dashboard a connected
+ * account gets from its identity's DIDRegistry role, the credentials a University issued or a
+ * Student holds, a credential's status and verification history, and the report an Employer
+ * gets for a credential it was given.
+ *
+ * There are no on-chain lists of credentials, so they are read from the CredentialStatus events,
+ * the same events lib/indexer follows. Credentials issued in a Merkle batch are not announced
+ * one by one and are not listed. Everything here is read-only.
+ */
+
+import { ethers } from 'ethers';
+import { roleName, stateName, formatStatusChange, formatValidity } from './credentialTypes.js';
+import { parseShareLink, verifySharedCredential } from './shareLink.js';
+import { verifyVerifiableCredential, toCommitment } from './verifiableCredential.js';
+import { parseDid } from './did.js';
+
+// The dashboard shown for each DIDRegistry role
+export const DASHBOARDS = {
+  University: 'university',
+  Student: 'student',
+  Employer: 'employer'
+};
+
+// Block times, fetched once per block
+function blockTimes(provider) {
+  const cache = new Map();
+  return async (blockNumber) => {
+    if (!cache.has(blockNumber)) {
+      cache.set(blockNumber, provider.getBlock(blockNumber)
+        .then((block) => new Date(block.timestamp * 1000).toISOString()));
+    }
+    return cache.get(blockNumber);
+  };
+}
+
+function providerOf(contract) {
+  return contract.runner.provider || contract.runner;
+}
+
+function parseJsonInput(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a share link or JSON credential: ${error.message}`);
+  }
+}
+
+/**
+ * Find the dashboard for a connected account, from the role of the identity it controls.
+ * @param {object} params
+ * @param {object} params.registry - DIDRegistry contract instance.
+ * @param {string} params.account - The connected account.
+ * @returns {Promise<object>} { account, identity (null if unregistered), role, dashboard ('university', 'student',
+ *   'employer', or null if unregistered) }.
+ */
+export async function resolveDashboard({ registry, account }) {
+  const identity = await registry.identityOf(account);
+  if (identity === ethers.ZeroAddress) {
+    return { account: ethers.getAddress(account), identity: null, role: roleName(0), dashboard: null };
+  }
+  const role = roleName(await registry.getRole(identity));
+  return { account: ethers.getAddress(account), identity, role, dashboard: DASHBOARDS[role] || null };
+}
+
+/**
+ * List the credentials issued by a University or held by a Student, newest first.
+ * @param {object} params
+ * @param {object} params.credentials - CredentialStatus contract instance.
+ * @param {string} [params.issuer] - The University identity.
+ * @param {string} [params.holder] - The Student identity.
+ * @param {number} [params.fromBlock=0] - First block to search (the deployment block).
+ * @returns {Promise<object[]>} { credentialHash, issuer, delegate, holder, ipfsHash, state, issuedAt, validFrom,
+ *   validUntil, blockNumber, transactionHash }, with the state as of now (Expired and NotYetValid included).
+ * @throws {Error} If neither issuer nor holder is given.
+ */
+export async function listCredentials({ credentials, issuer, holder, fromBlock = 0 }) {
+  if (!issuer && !holder) {
+    throw new Error('List credentials by issuer or by holder');
+  }
+  const events = await credentials.queryFilter(
+    credentials.filters.CredentialIssued(null, issuer || null, holder || null),
+    fromBlock
+  );
+  const timeOf = blockTimes(providerOf(credentials));
+
+  const records = [];
+  for (const event of [...events].reverse()) {
+    const { credentialHash } = event.args;
+    const metadata = await credentials.getCredentialMetadata(credentialHash);
+    records.push({
+      credentialHash,
+      issuer: metadata.issuer,
+      delegate: metadata.delegate === ethers.ZeroAddress ? null : metadata.delegate,
+      holder: metadata.holder,
+      ipfsHash: metadata.ipfsHash,
+      state: stateName(await credentials.getCredentialStatus(credentialHash)),
+      issuedAt: await timeOf(event.blockNumber),
+      ...formatValidity(metadata),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash
+    });
+  }
+  return records;
+}
+
+/**
+ * Filter listed credentials by a search text: part of a hash, holder, issuer or CID, a state
+ * name, or a holder's or issuer's DID (case-insensitive).
+ * @param {object[]} records - From listCredentials.
+ * @param {string} query - The search text; empty matches everything.
+ * @returns {object[]} The matching records, in their order.
+ */
+export function searchCredentials(records, query) {
+  let text = String(query || '').trim().toLowerCase();
+  if (!text) return records;
+  if (text.startsWith('did:')) {
+    // A partly typed DID matches nothing until it parses
+    try {
+      text = parseDid(text).address.toLowerCase();
+    } catch (error) {
+      return [];
+    }
+  }
+  return records.filter((record) => [
+    record.credentialHash,
+    record.holder,
+    record.issuer,
+    record.delegate,
+    record.ipfsHash,
+    record.state
+  ].some((value) => value && value.toLowerCase().includes(text)));
+}
+
+/**
+ * A credential's status changes and the verifications recorded for it, oldest first. Only
+ * verifications made on-chain are recorded: through CredentialStatus.verifyCredentialData, or
+ * through an access grant when a CredentialAccess contract is given. View calls leave no trace.
+ * @param {object} params
+ * @param {object} params.credentials - CredentialStatus contract instance.
+ * @param {object} [params.access] - CredentialAccess contract instance.
+ * @param {string} params.credentialHash - The credential.
+ * @param {number} [params.fromBlock=0] - First block to search for verifications.
+ * @returns {Promise<object>} { statusChanges (formatStatusChange entries), verifications: { verifier, isValid,
+ *   grantId (null when not through a grant), verifiedAt, transactionHash } }.
+ */
+export async function getCredentialHistory({ credentials, access, credentialHash, fromBlock = 0 }) {
+  const statusChanges = (await credentials.getStatusHistory(credentialHash)).map(formatStatusChange);
+
+  const direct = (await credentials.queryFilter(credentials.filters.CredentialVerified(credentialHash), fromBlock))
+    .map((event) => ({ event, verifier: event.args.verifier, grantId: null }));
+  const granted = access
+    ? (await access.queryFilter(access.filters.GrantedVerification(null, credentialHash), fromBlock))
+      .map((event) => ({ event, verifier: event.args.requester, grantId: Number(event.args.grantId) }))
+    : [];
+
+  const timeOf = blockTimes(providerOf(credentials));
+  const verifications = [];
+  for (const { event, verifier, grantId } of [...direct, ...granted]
+    .sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.index - b.event.index)) {
+    verifications.push({
+      verifier,
+      isValid: event.args.isValid,
+      grantId,
+      verifiedAt: await timeOf(event.blockNumber),
+      transactionHash: event.transactionHash
+    });
+  }
+  return { statusChanges, verifications };
+}
+
+/**
+ * Verify a credential as given to an Employer, pasted or from a file, and report on every check.
+ * Accepted forms:
+ *   - a share link or its payload (see shareLink.js);
+ *   - a Verifiable Credential (JSON), whose issuer proof is also checked;
+ *   - credential JSON { credentialHash, claims?, salt?, cid? } for the connected contracts, as
+ *     credctl issue and the bulk issuance receipts give the holder.
+ * @param {string|object} input - The credential, as text or parsed JSON.
+ * @param {object} contracts
+ * @param {object} contracts.credentials - CredentialStatus contract instance.
+ * @param {object} contracts.registry - DIDRegistry contract instance.
+ * @returns {Promise<object>} The verifySharedCredential report, plus { format ('link', 'vc' or 'json'), chainId,
+ *   cid }; for a Verifiable Credential, checks also has structureValid, hashValid and proofValid.
+ * @throws {Error} If the input is none of the accepted forms.
+ */
+export async function verifyCredentialDocument(input, { credentials, registry }) {
+  const text = typeof input === 'string' ? input.trim() : null;
+  if (text !== null && !text.startsWith('{')) {
+    const payload = parseShareLink(text);
+    const report = await verifySharedCredential(payload, { credentials, registry });
+    return { format: 'link', chainId: Number(payload.chainId), cid: payload.cid || null, ...report };
+  }
+
+  const document = text !== null ? parseJsonInput(text) : input;
+  const { chainId } = await providerOf(credentials).getNetwork();
+  const credentialStatus = await credentials.getAddress();
+
+  if (document.credentialSubject !== undefined) {
+    const vcResult = verifyVerifiableCredential(document);
+    if (!vcResult.checks.hashValid) {
+      return {
+        format: 'vc',
+        isValid: false,
+        credentialHash: document.credentialStatus?.credentialHash || null,
+        chainId: null,
+        cid: null,
+        method: null,
+        issuer: null,
+        holder: null,
+        state: null,
+        validUntil: null,
+        claims: null,
+        checks: vcResult.checks,
+        reasons: vcResult.reasons
+      };
+    }
+    const commitment = toCommitment(document);
+    const payload = {
+      chainId: commitment.chainId,
+      credentialStatus: commitment.credentialStatusAddress,
+      credentialHash: commitment.credentialHash,
+      cid: commitment.ipfsHash || undefined,
+      claims: commitment.claims,
+      salt: document.credentialStatus.salt
+    };
+    const report = await verifySharedCredential(payload, { credentials, registry });
+    return {
+      format: 'vc',
+      ...report,
+      isValid: report.isValid && vcResult.isValid,
+      chainId: Number(commitment.chainId),
+      cid: payload.cid || null,
+      checks: { ...vcResult.checks, ...report.checks },
+      reasons: [...vcResult.reasons, ...report.reasons]
+    };
+  }
+
+  if (!ethers.isHexString(document.credentialHash, 32)) {
+    throw new Error('Credential JSON needs a 32-byte credentialHash, or paste a share link or Verifiable Credential');
+  }
+  const payload = {
+    chainId,
+    credentialStatus,
+    credentialHash: document.credentialHash,
+    cid: document.cid || document.ipfsHash || undefined,
+    claims: document.claims,
+    salt: document.salt || undefined
+  };
+  const report = await verifySharedCredential(payload, { credentials, registry });
+  return { format: 'json', chainId: Number(chainId), cid: payload.cid || null, ...report };
+}
+
+export default {
+  DASHBOARDS,
+  resolveDashboard,
+  listCredentials,
+  searchCredentials,
+  getCredentialHistory,
+  verifyCredentialDocument
+};
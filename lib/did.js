@@ -0,0 +1,57 @@
+/**
+ * DID Helper Module
+ * Maps DIDRegistry wallet addresses to Decentralized Identifiers and back.
+ *
+ * DIDs use the "unicred" method: did:unicred:<chainId>:<checksummed address>
+ */
+
+import { ethers } from 'ethers';
+
+export const DID_METHOD = 'unicred';
+
+/**
+ * Build the DID for a registered address.
+ * @param {string} address - The wallet address registered in DIDRegistry.
+ * @param {number|bigint|string} chainId - The chain the DIDRegistry lives on.
+ * @returns {string} The DID (e.g. did:unicred:31337:0xf39F...).
+ */
+export function addressToDid(address, chainId) {
+  return `did:${DID_METHOD}:${BigInt(chainId)}:${ethers.getAddress(address)}`;
+}
+
+/**
+ * Parse a DID back into its chain ID and address.
+ * @param {string} did - The DID.
+ * @returns {object} { chainId, address }.
+ * @throws {Error} If the DID is not a valid did:unicred identifier.
+ */
+export function parseDid(did) {
+  const parts = typeof did === 'string' ? did.split(':') : [];
+  if (parts.length !== 4 || parts[0] !== 'did' || parts[1] !== DID_METHOD || !/^\d+$/.test(parts[2])) {
+    throw new Error(`Invalid ${DID_METHOD} DID: ${did}`);
+  }
+  if (!ethers.isAddress(parts[3])) {
+    throw new Error(`Invalid address in DID: ${did}`);
+  }
+
+  return {
+    chainId: BigInt(parts[2]),
+    address: ethers.getAddress(parts[3])
+  };
+}
+
+/**
+ * Get the address behind a DID.
+ * @param {string} did - The DID.
+ * @returns {string} The checksummed address.
+ */
+export function didToAddress(did) {
+  return parseDid(did).address;
+}
+
+export default {
+  DID_METHOD,
+  addressToDid,
+  parseDid,
+  didToAddress
+};
@@ -0,0 +1,239 @@
+/**
+ * DID Resolver Module
+ * Resolves did:unicred DIDs (see did.js) to W3C DID Documents, read from the DIDRegistry.
+ *
+ * Every registered identity is controlled by one Ethereum account (its own address until it
+ * rotates keys or is recovered, see DIDRegistry.changeController), which is the document's
+ * first verification method. Attributes the identity publishes with
+ * DIDRegistry.setAttribute add to the document:
+ *
+ *   did/svc/<type>                 A service endpoint, e.g. did/svc/VerificationService => https://...
+ *   did/pub/<algorithm>[/<purpose>] A public key (0x hex or multibase), where algorithm is
+ *                                  Secp256k1, Ed25519 or X25519 and purpose is veriKey
+ *                                  (assertionMethod, the default), sigAuth (authentication)
+ *                                  or enc (keyAgreement)
+ *
+ * Other attributes are kept on-chain but left out of the document. Names are at most 31
+ * bytes (they are stored as bytes32). Resolution only makes view calls, so it works offline
+ * against a local node.
+ */
+
+import { ethers } from 'ethers';
+import { addressToDid, parseDid, DID_METHOD } from './did.js';
+import { roleName, accreditationName } from './credentialTypes.js';
+
+export const DID_CONTEXTS = [
+  'https://www.w3.org/ns/did/v1',
+  'https://w3id.org/security/suites/secp256k1recovery-2020/v2'
+];
+export const DID_CONTENT_TYPE = 'application/did+ld+json';
+
+export const SERVICE_PREFIX = 'did/svc/';
+export const KEY_PREFIX = 'did/pub/';
+
+// did/pub/<algorithm> => verification method type
+export const KEY_TYPES = {
+  Secp256k1: 'EcdsaSecp256k1VerificationKey2019',
+  Ed25519: 'Ed25519VerificationKey2020',
+  X25519: 'X25519KeyAgreementKey2020'
+};
+
+// did/pub/<algorithm>/<purpose> => verification relationship
+export const KEY_PURPOSES = {
+  veriKey: 'assertionMethod',
+  sigAuth: 'authentication',
+  enc: 'keyAgreement'
+};
+
+const ROLE_UNIVERSITY = 2;
+
+/**
+ * Encode an attribute name for DIDRegistry.setAttribute.
+ * @param {string} name - The attribute name (e.g. "did/svc/VerificationService").
+ * @returns {string} The bytes32 name.
+ * @throws {Error} If the name is longer than 31 bytes.
+ */
+export function encodeAttributeName(name) {
+  if (ethers.toUtf8Bytes(name).length > 31) {
+    throw new Error(`Attribute name is longer than 31 bytes: ${name}`);
+  }
+  return ethers.encodeBytes32String(name);
+}
+
+/**
+ * Decode a bytes32 attribute name from the DIDRegistry. The registry accepts any non-zero
+ * bytes32, so a name that is not a null-terminated UTF-8 string (e.g. all 32 bytes used) is
+ * returned as its hex instead.
+ * @param {string} name - The bytes32 name.
+ * @returns {string} The attribute name, or the bytes32 hex if it does not decode.
+ */
+export function decodeAttributeName(name) {
+  try {
+    return ethers.decodeBytes32String(name);
+  } catch (error) {
+    return ethers.hexlify(name);
+  }
+}
+
+/**
+ * Attribute name for a service endpoint of the given type.
+ * @param {string} type - The service type (e.g. "VerificationService").
+ * @returns {string} The attribute name (e.g. "did/svc/VerificationService").
+ */
+export function serviceAttribute(type) {
+  return `${SERVICE_PREFIX}${type}`;
+}
+
+function keyMethod(did, name, value) {
+  const [algorithm, purpose = 'veriKey'] = name.slice(KEY_PREFIX.length).split('/');
+  if (!KEY_TYPES[algorithm] || !KEY_PURPOSES[purpose]) return null;
+
+  const method = { id: `${did}#${algorithm}-${purpose}`, type: KEY_TYPES[algorithm], controller: did };
+  if (ethers.isHexString(value)) {
+    method.publicKeyHex = value.slice(2).toLowerCase();
+  } else {
+    method.publicKeyMultibase = value;
+  }
+  return { method, relationship: KEY_PURPOSES[purpose] };
+}
+
+/**
+ * Build the DID Document of a registered identity.
+ * @param {object} params
+ * @param {string} params.address - The identity's address.
+ * @param {string} [params.controller] - The account controlling it (default: the identity's address).
+ * @param {number|bigint} params.chainId - Chain ID of the DIDRegistry.
+ * @param {string} params.role - Role name (e.g. "University").
+ * @param {string} [params.accreditation] - Accreditation status name, for Universities.
+ * @param {object[]} [params.attributes] - [{ name, value }] with decoded names.
+ * @returns {object} The DID Document.
+ */
+export function buildDidDocument({ address, controller = address, chainId, role, accreditation, attributes = [] }) {
+  const did = addressToDid(address, chainId);
+  const controllerKey = `${did}#controller`;
+
+  const document = {
+    '@context': DID_CONTEXTS,
+    id: did,
+    verificationMethod: [{
+      id: controllerKey,
+      type: 'EcdsaSecp256k1RecoveryMethod2020',
+      controller: did,
+      blockchainAccountId: `eip155:${BigInt(chainId)}:${ethers.getAddress(controller)}`
+    }],
+    authentication: [controllerKey],
+    assertionMethod: [controllerKey],
+    role
+  };
+  if (accreditation) {
+    document.accreditation = accreditation;
+  }
+
+  // On-chain order changes on removal; sort for a stable document
+  const sorted = [...attributes].sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  const services = [];
+  for (const { name, value } of sorted) {
+    if (name.startsWith(SERVICE_PREFIX) && name.length > SERVICE_PREFIX.length) {
+      const type = name.slice(SERVICE_PREFIX.length);
+      services.push({ id: `${did}#${type}`, type, serviceEndpoint: value });
+    } else if (name.startsWith(KEY_PREFIX)) {
+      const key = keyMethod(did, name, value);
+      if (key) {
+        document.verificationMethod.push(key.method);
+        document[key.relationship] = [...(document[key.relationship] || []), key.method.id];
+      }
+    }
+  }
+  if (services.length > 0) {
+    document.service = services;
+  }
+
+  return document;
+}
+
+function resolutionError(error, message) {
+  return {
+    didResolutionMetadata: { error, message },
+    didDocument: null,
+    didDocumentMetadata: {}
+  };
+}
+
+/**
+ * Create a resolver bound to a DIDRegistry.
+ * @param {object} options
+ * @param {object} options.registry - DIDRegistry contract instance (a provider runner is enough).
+ * @param {number|bigint} [options.chainId] - Chain ID of the registry (read from its provider if omitted).
+ * @returns {object} { resolve(did) -> Promise<{ didResolutionMetadata, didDocument, didDocumentMetadata }> }.
+ */
+export function createDidResolver({ registry, chainId = null }) {
+  async function getChainId() {
+    if (chainId === null) {
+      const provider = registry.runner.provider || registry.runner;
+      chainId = (await provider.getNetwork()).chainId;
+    }
+    return BigInt(chainId);
+  }
+
+  /**
+   * Resolve a DID. Failures are reported in didResolutionMetadata.error
+   * (invalidDid, methodNotSupported or notFound), as DID resolution specifies.
+   * @param {string} did - The DID (did:unicred:<chainId>:<address>).
+   * @returns {Promise<object>} The DID resolution result.
+   */
+  async function resolve(did) {
+    if (typeof did === 'string' && did.startsWith('did:') && did.split(':')[1] !== DID_METHOD) {
+      return resolutionError('methodNotSupported', `Only did:${DID_METHOD} DIDs can be resolved`);
+    }
+    let parsed;
+    try {
+      parsed = parseDid(did);
+    } catch (error) {
+      return resolutionError('invalidDid', error.message);
+    }
+
+    const registryChainId = await getChainId();
+    if (parsed.chainId !== registryChainId) {
+      return resolutionError('notFound', `DID is for chain ${parsed.chainId}; this registry is on chain ${registryChainId}`);
+    }
+
+    const identity = await registry.identities(parsed.address);
+    if (!identity.isRegistered) {
+      return resolutionError('notFound', `Identity not registered: ${parsed.address}`);
+    }
+
+    const attributes = (await registry.getAttributes(parsed.address))
+      .map((attribute) => ({ name: decodeAttributeName(attribute.name), value: attribute.value }));
+    const accreditation = Number(identity.role) === ROLE_UNIVERSITY
+      ? accreditationName(await registry.accreditationStatus(parsed.address))
+      : undefined;
+
+    return {
+      didResolutionMetadata: { contentType: DID_CONTENT_TYPE },
+      didDocument: buildDidDocument({
+        address: parsed.address,
+        controller: await registry.getController(parsed.address),
+        chainId: registryChainId,
+        role: roleName(identity.role),
+        accreditation,
+        attributes
+      }),
+      didDocumentMetadata: {}
+    };
+  }
+
+  return { resolve };
+}
+
+export default {
+  DID_CONTEXTS,
+  SERVICE_PREFIX,
+  KEY_PREFIX,
+  KEY_TYPES,
+  KEY_PURPOSES,
+  encodeAttributeName,
+  decodeAttributeName,
+  serviceAttribute,
+  buildDidDocument,
+  createDidResolver
+};
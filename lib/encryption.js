@@ -0,0 +1,209 @@
+/**
+ * Credential Encryption Module
+ * Envelope encryption for credential blobs stored on public IPFS nodes.
+ *
+ * The blob is encrypted with a random AES-256-GCM content key. The content key is
+ * wrapped separately for each recipient (the holder, and optionally the issuer) with
+ * ECIES over secp256k1: an ephemeral key pair, ECDH with the recipient's public key,
+ * HKDF-SHA256 to a key-encryption key, and AES-256-GCM.
+ *
+ * Uses the WebCrypto API (globalThis.crypto.subtle), available in Node 20+ and browsers.
+ */
+
+import { ethers } from 'ethers';
+
+export const ENVELOPE_TYPE = 'EncryptedCredential';
+export const ENVELOPE_VERSION = 1;
+export const ENVELOPE_CIPHER = 'aes-256-gcm';
+export const KEY_WRAP_ALGORITHM = 'ecies-secp256k1-hkdf-sha256-aes-256-gcm';
+
+const HKDF_INFO = ethers.toUtf8Bytes('unicred-credential-key-wrap-v1');
+const IV_LENGTH = 12;
+
+function getSubtle() {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) {
+    throw new Error('WebCrypto (crypto.subtle) is not available in this environment');
+  }
+  return subtle;
+}
+
+async function importAesKey(rawKey) {
+  return getSubtle().importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+async function aesEncrypt(key, plaintext) {
+  const iv = ethers.randomBytes(IV_LENGTH);
+  const ciphertext = await getSubtle().encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return { iv: ethers.hexlify(iv), ciphertext: ethers.hexlify(new Uint8Array(ciphertext)) };
+}
+
+async function aesDecrypt(key, iv, ciphertext) {
+  const plaintext = await getSubtle().decrypt(
+    { name: 'AES-GCM', iv: ethers.getBytes(iv) },
+    key,
+    ethers.getBytes(ciphertext)
+  );
+  return new Uint8Array(plaintext);
+}
+
+// Key-encryption key from the ECDH shared point; the ephemeral public key is the HKDF salt
+async function deriveWrappingKey(sharedPoint, ephemeralPublicKey) {
+  const sharedX = ethers.getBytes(sharedPoint).slice(1, 33);
+  const subtle = getSubtle();
+  const baseKey = await subtle.importKey('raw', sharedX, 'HKDF', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: ethers.getBytes(ephemeralPublicKey), info: HKDF_INFO },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+function toSigningKey(wallet) {
+  if (wallet && typeof wallet.computeSharedSecret === 'function') return wallet;
+  if (wallet && wallet.signingKey) return wallet.signingKey;
+  if (typeof wallet === 'string') return new ethers.SigningKey(wallet);
+  throw new Error('Decryption needs a wallet with a private key (ethers.Wallet, SigningKey or private key)');
+}
+
+// ECIES-wrap a content key to a recipient's public key
+async function wrapContentKey(contentKey, publicKey) {
+  const recipientKey = ethers.SigningKey.computePublicKey(publicKey, false);
+  const ephemeral = new ethers.SigningKey(ethers.randomBytes(32));
+  const ephemeralPublicKey = ephemeral.compressedPublicKey;
+  const wrappingKey = await deriveWrappingKey(ephemeral.computeSharedSecret(recipientKey), ephemeralPublicKey);
+  const wrapped = await aesEncrypt(wrappingKey, contentKey);
+
+  return {
+    address: ethers.computeAddress(recipientKey),
+    algorithm: KEY_WRAP_ALGORITHM,
+    ephemeralPublicKey,
+    iv: wrapped.iv,
+    wrappedKey: wrapped.ciphertext
+  };
+}
+
+// Unwrap the content key of an envelope with a recipient's wallet
+async function unwrapContentKey(envelope, wallet) {
+  if (!isEncryptedEnvelope(envelope)) {
+    throw new Error('Not an encrypted credential envelope');
+  }
+  if (envelope.version !== ENVELOPE_VERSION || envelope.cipher !== ENVELOPE_CIPHER) {
+    throw new Error(`Unsupported envelope: version ${envelope.version}, cipher ${envelope.cipher}`);
+  }
+
+  const signingKey = toSigningKey(wallet);
+  const address = ethers.computeAddress(signingKey.publicKey);
+  const recipient = envelope.recipients.find((r) => r.address.toLowerCase() === address.toLowerCase());
+  if (!recipient) {
+    throw new Error(`Credential is not encrypted to ${address}`);
+  }
+
+  try {
+    const wrappingKey = await deriveWrappingKey(
+      signingKey.computeSharedSecret(recipient.ephemeralPublicKey),
+      recipient.ephemeralPublicKey
+    );
+    return await aesDecrypt(wrappingKey, recipient.iv, recipient.wrappedKey);
+  } catch (error) {
+    throw new Error('Credential decryption failed (wrong key or tampered envelope)');
+  }
+}
+
+/**
+ * Recover a secp256k1 public key from a personal_sign signature, e.g. a Student
+ * signing "Encrypt my credentials" so the University can wrap keys to them.
+ * @param {string} message - The signed message.
+ * @param {string} signature - The signature (hex string).
+ * @returns {string} The uncompressed public key (0x04-prefixed hex string).
+ */
+export function recoverPublicKey(message, signature) {
+  return ethers.SigningKey.recoverPublicKey(ethers.hashMessage(message), signature);
+}
+
+/**
+ * Check whether a value is an encrypted credential envelope.
+ * @param {*} value - A parsed JSON value.
+ * @returns {boolean} True for envelopes produced by encryptCredential.
+ */
+export function isEncryptedEnvelope(value) {
+  return Boolean(value)
+    && typeof value === 'object'
+    && value.type === ENVELOPE_TYPE
+    && Array.isArray(value.recipients);
+}
+
+/**
+ * Encrypt credential data to one or more recipients.
+ * @param {string|Uint8Array} plaintext - The credential data (e.g. canonical JSON).
+ * @param {string[]} recipientPublicKeys - secp256k1 public keys (compressed or uncompressed);
+ *   the holder's first, optionally followed by the issuer's.
+ * @returns {Promise<object>} The envelope { type, version, cipher, iv, ciphertext, recipients }.
+ */
+export async function encryptCredential(plaintext, recipientPublicKeys) {
+  if (!Array.isArray(recipientPublicKeys) || recipientPublicKeys.length === 0) {
+    throw new Error('An encrypted credential needs at least one recipient public key');
+  }
+
+  const contentKey = ethers.randomBytes(32);
+  const content = await aesEncrypt(
+    await importAesKey(contentKey),
+    typeof plaintext === 'string' ? ethers.toUtf8Bytes(plaintext) : plaintext
+  );
+
+  const recipients = [];
+  for (const publicKey of recipientPublicKeys) {
+    recipients.push(await wrapContentKey(contentKey, publicKey));
+  }
+
+  return {
+    type: ENVELOPE_TYPE,
+    version: ENVELOPE_VERSION,
+    cipher: ENVELOPE_CIPHER,
+    iv: content.iv,
+    ciphertext: content.ciphertext,
+    recipients
+  };
+}
+
+/**
+ * Decrypt an envelope with a recipient's wallet.
+ * @param {object} envelope - An envelope from encryptCredential.
+ * @param {object|string} wallet - ethers.Wallet, SigningKey or private key of a recipient.
+ * @returns {Promise<Uint8Array>} The plaintext bytes.
+ * @throws {Error} If the wallet is not a recipient or the envelope was tampered with.
+ */
+export async function decryptCredential(envelope, wallet) {
+  const contentKey = await unwrapContentKey(envelope, wallet);
+  try {
+    return await aesDecrypt(await importAesKey(contentKey), envelope.iv, envelope.ciphertext);
+  } catch (error) {
+    throw new Error('Credential decryption failed (wrong key or tampered envelope)');
+  }
+}
+
+/**
+ * Wrap an envelope's content key to another public key, e.g. when a Student releases an encrypted
+ * credential to an Employer (see accessGrants.js). The blob itself is not re-encrypted.
+ * @param {object} envelope - An envelope from encryptCredential.
+ * @param {object|string} wallet - ethers.Wallet, SigningKey or private key of an existing recipient.
+ * @param {string} publicKey - The new recipient's secp256k1 public key.
+ * @returns {Promise<object>} A recipient entry { address, algorithm, ephemeralPublicKey, iv, wrappedKey };
+ *   add it to envelope.recipients to decrypt with the new recipient's wallet.
+ * @throws {Error} If the wallet is not a recipient or the envelope was tampered with.
+ */
+export async function wrapKeyForRecipient(envelope, wallet, publicKey) {
+  return wrapContentKey(await unwrapContentKey(envelope, wallet), publicKey);
+}
+
+export default {
+  ENVELOPE_TYPE,
+  KEY_WRAP_ALGORITHM,
+  recoverPublicKey,
+  isEncryptedEnvelope,
+  encryptCredential,
+  decryptCredential,
+  wrapKeyForRecipient
+};
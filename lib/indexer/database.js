@@ -0,0 +1,454 @@
+/**
+ * Index Database
+ * Embedded store for indexed contract events, kept as a single JSON file.
+ *
+ * The raw event log is the source of truth; the credential, identity and batch
+ * tables are rebuilt from it on load and after a reorg rollback. Without a file
+ * the database lives in memory only.
+ *
+ * Expiry is not an event: Expired and NotYetValid are derived from a credential's
+ * validity period and the time of the last indexed block when it is read.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const DATABASE_VERSION = 1;
+
+// How many recent sync checkpoints to keep for finding a common ancestor after a reorg
+export const DEFAULT_CHECKPOINT_DEPTH = 64;
+
+function emptyState() {
+  return { version: DATABASE_VERSION, chainId: null, contracts: null, cursor: null, checkpoints: [], events: [] };
+}
+
+function toTime(value, name) {
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return time;
+}
+
+const sameAddress = (a, b) => a !== null && b !== null && a.toLowerCase() === b.toLowerCase();
+
+// A stored Valid state narrowed by the validity period, as of the given time (ISO, or null if unknown)
+function effectiveState(credential, now) {
+  if (credential.state !== 'Valid' || !now) return credential.state;
+  if (credential.validUntil && now >= credential.validUntil) return 'Expired';
+  if (credential.validFrom && now < credential.validFrom) return 'NotYetValid';
+  return 'Valid';
+}
+
+/**
+ * Open (or create) an index database.
+ * @param {object} [options]
+ * @param {string} [options.file] - JSON file to load from and persist to; omit for in-memory.
+ * @param {number} [options.checkpointDepth=64] - Number of sync checkpoints to keep.
+ * @returns {Promise<object>} The database.
+ */
+export async function openIndexDatabase({ file, checkpointDepth = DEFAULT_CHECKPOINT_DEPTH } = {}) {
+  let state = emptyState();
+  if (file) {
+    try {
+      state = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Cannot load index database ${file}: ${error.message}`);
+      }
+    }
+    if (state.version !== DATABASE_VERSION) {
+      throw new Error(`Index database ${file} has version ${state.version}; expected ${DATABASE_VERSION}`);
+    }
+  }
+
+  // Derived tables, keyed by lower-case hash/address
+  let credentials;
+  let identities;
+  let batches;
+
+  function apply(event) {
+    const { args } = event;
+    switch (event.name) {
+      case 'IdentityRegistered':
+        identities.set(args.address.toLowerCase(), {
+          address: args.address,
+          controller: args.address,
+          role: args.role,
+          registeredAt: event.timestamp,
+          blockNumber: event.blockNumber,
+          accreditation: null,
+          accreditationHistory: [],
+          attributes: {},
+          guardians: [],
+          recoveryThreshold: 0,
+          controllerHistory: [],
+          delegates: {},
+          schemas: {}
+        });
+        break;
+      case 'AccreditationChanged': {
+        const identity = identities.get(args.address.toLowerCase());
+        if (identity) {
+          identity.accreditation = args.status;
+          identity.accreditationHistory.push({
+            status: args.status,
+            changedBy: args.changedBy,
+            reasonURI: args.reasonURI,
+            timestamp: event.timestamp,
+            transactionHash: event.transactionHash
+          });
+        }
+        break;
+      }
+      case 'DIDAttributeChanged':
+      case 'DIDAttributeRemoved': {
+        const identity = identities.get(args.address.toLowerCase());
+        if (identity && event.name === 'DIDAttributeChanged') {
+          identity.attributes[args.name] = args.value;
+        } else if (identity) {
+          delete identity.attributes[args.name];
+        }
+        break;
+      }
+      case 'ControllerChanged': {
+        const identity = identities.get(args.address.toLowerCase());
+        if (identity) {
+          identity.controller = args.controller;
+          identity.controllerHistory.push({
+            previousController: args.previousController,
+            controller: args.controller,
+            timestamp: event.timestamp,
+            transactionHash: event.transactionHash
+          });
+        }
+        break;
+      }
+      case 'GuardiansChanged': {
+        const identity = identities.get(args.address.toLowerCase());
+        if (identity) {
+          identity.guardians = args.guardians;
+          identity.recoveryThreshold = args.threshold;
+        }
+        break;
+      }
+      case 'DelegateAuthorized':
+      case 'DelegateRemoved': {
+        const identity = identities.get(args.address.toLowerCase());
+        if (identity && event.name === 'DelegateAuthorized') {
+          identity.delegates[args.delegate] = {
+            scopes: args.scopes,
+            validUntil: args.validUntil,
+            credentialTypes: args.credentialTypes,
+            authorizedAt: event.timestamp
+          };
+        } else if (identity) {
+          delete identity.delegates[args.delegate];
+        }
+        break;
+      }
+      case 'SchemaRegistered': {
+        const identity = identities.get(args.address.toLowerCase());
+        if (identity) {
+          identity.schemas[`${args.id}@${args.version}`] = {
+            schemaKey: args.schemaKey,
+            uri: args.uri,
+            documentHash: args.documentHash,
+            registeredAt: event.timestamp
+          };
+        }
+        break;
+      }
+      case 'CredentialIssued':
+        credentials.set(args.credentialHash, {
+          credentialHash: args.credentialHash,
+          issuer: args.issuer,
+          delegate: null,
+          holder: args.holder,
+          ipfsHash: args.ipfsHash,
+          state: 'Valid',
+          issuedAt: event.timestamp,
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash,
+          revokedAt: null,
+          validFrom: null,
+          validUntil: null,
+          statusChanges: [],
+          verifications: []
+        });
+        break;
+      case 'CredentialIssuedByDelegate': {
+        const credential = credentials.get(args.credentialHash);
+        if (credential) {
+          credential.delegate = args.delegate;
+        }
+        break;
+      }
+      case 'CredentialBatchIssued':
+        batches.set(args.merkleRoot, {
+          merkleRoot: args.merkleRoot,
+          issuer: args.issuer,
+          credentialCount: args.credentialCount,
+          ipfsHash: args.ipfsHash,
+          issuedAt: event.timestamp,
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash,
+          revocations: []
+        });
+        break;
+      case 'BatchCredentialRevoked': {
+        const batch = batches.get(args.merkleRoot);
+        if (batch && sameAddress(batch.issuer, args.issuer)) {
+          batch.revocations.push({
+            credentialHash: args.credentialHash,
+            revokedAt: event.timestamp,
+            transactionHash: event.transactionHash
+          });
+        }
+        break;
+      }
+      case 'CredentialRevoked': {
+        // Only the credential's own issuer revokes it; a revocation never creates a record
+        const credential = credentials.get(args.credentialHash);
+        if (credential && sameAddress(credential.issuer, args.issuer)) {
+          credential.state = 'Revoked';
+          credential.revokedAt = event.timestamp;
+        }
+        break;
+      }
+      case 'CredentialStatusChanged': {
+        const credential = credentials.get(args.credentialHash);
+        if (credential) {
+          credential.state = args.state;
+          credential.statusChanges.push({
+            state: args.state,
+            reasonCode: args.reasonCode,
+            reason: args.reason,
+            reasonURI: args.reasonURI,
+            changedBy: args.changedBy,
+            timestamp: event.timestamp,
+            transactionHash: event.transactionHash
+          });
+        }
+        break;
+      }
+      case 'CredentialValiditySet': {
+        const credential = credentials.get(args.credentialHash);
+        if (credential) {
+          credential.validFrom = args.validFrom;
+          credential.validUntil = args.validUntil;
+        }
+        break;
+      }
+      case 'CredentialVerified': {
+        const credential = credentials.get(args.credentialHash);
+        if (credential) {
+          credential.verifications.push({
+            verifier: args.verifier,
+            isValid: args.isValid,
+            verifiedAt: event.timestamp,
+            transactionHash: event.transactionHash
+          });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  function rebuild() {
+    credentials = new Map();
+    identities = new Map();
+    batches = new Map();
+    state.events.forEach(apply);
+  }
+
+  rebuild();
+
+  // Copy of a record with its state as of the last indexed block
+  function withEffectiveState(credential) {
+    return { ...credential, state: effectiveState(credential, state.cursor && state.cursor.timestamp) };
+  }
+
+  async function save() {
+    if (!file) return;
+    const temporary = `${file}.tmp`;
+    await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await fs.writeFile(temporary, JSON.stringify(state));
+    await fs.rename(temporary, file);
+  }
+
+  return {
+    file: file || null,
+
+    /**
+     * The chain and contracts this index was built from, or null for a new index.
+     * @returns {object|null} { chainId, registry, credentials }.
+     */
+    getBinding() {
+      return state.contracts ? { chainId: state.chainId, ...state.contracts } : null;
+    },
+
+    /**
+     * Record the chain and contracts the index is built from.
+     * @param {object} binding - { chainId, registry, credentials }.
+     */
+    async setBinding({ chainId, registry, credentials: credentialStatus }) {
+      state.chainId = Number(chainId);
+      state.contracts = { registry, credentials: credentialStatus };
+      await save();
+    },
+
+    /**
+     * The last indexed block.
+     * @returns {object|null} { blockNumber, blockHash, timestamp }, or null before the first sync.
+     */
+    getCursor() {
+      return state.cursor;
+    },
+
+    /**
+     * Recent sync checkpoints, newest first.
+     * @returns {object[]} [{ blockNumber, blockHash }].
+     */
+    getCheckpoints() {
+      return [...state.checkpoints].reverse();
+    },
+
+    /**
+     * Append the events of a block range and advance the cursor to its last block.
+     * @param {object[]} events - Normalized events, in chain order.
+     * @param {object} cursor - { blockNumber, blockHash, timestamp } of the range's last block.
+     */
+    async appendBlocks(events, cursor) {
+      for (const event of events) {
+        state.events.push(event);
+        apply(event);
+      }
+      state.cursor = cursor;
+      state.checkpoints.push(cursor);
+      if (state.checkpoints.length > checkpointDepth) {
+        state.checkpoints.splice(0, state.checkpoints.length - checkpointDepth);
+      }
+      await save();
+    },
+
+    /**
+     * Drop everything after a block (after a reorg) and rebuild the tables.
+     * @param {object|null} ancestor - { blockNumber, blockHash } still on the chain, or null to start over.
+     * @returns {Promise<number>} The number of events removed.
+     */
+    async rollback(ancestor) {
+      const keepUpTo = ancestor ? ancestor.blockNumber : -1;
+      const before = state.events.length;
+      state.events = state.events.filter((event) => event.blockNumber <= keepUpTo);
+      state.checkpoints = state.checkpoints.filter((checkpoint) => checkpoint.blockNumber <= keepUpTo);
+      state.cursor = ancestor;
+      rebuild();
+      await save();
+      return before - state.events.length;
+    },
+
+    /**
+     * Look up an indexed credential.
+     * @param {string} credentialHash - The credential hash.
+     * @returns {object|null} The credential record, its state as of the last indexed block.
+     */
+    getCredential(credentialHash) {
+      const credential = credentials.get(credentialHash.toLowerCase());
+      return credential ? withEffectiveState(credential) : null;
+    },
+
+    /**
+     * Query indexed credentials, oldest first.
+     * @param {object} [filter]
+     * @param {string} [filter.holder] - Holder address.
+     * @param {string} [filter.issuer] - Issuer address.
+     * @param {string} [filter.delegate] - Address of the delegate that issued them for the issuer.
+     * @param {string} [filter.state] - 'Valid', 'Suspended', 'Revoked', 'Expired' or 'NotYetValid' (case-insensitive).
+     * @param {Date|string|number} [filter.from] - Issued at or after (Date, ISO string or ms).
+     * @param {Date|string|number} [filter.to] - Issued at or before.
+     * @returns {object[]} Matching credential records.
+     */
+    queryCredentials({ holder, issuer, delegate, state: credentialState, from, to } = {}) {
+      const fromTime = from === undefined ? null : toTime(from, 'from');
+      const toTimeLimit = to === undefined ? null : toTime(to, 'to');
+      const wantedState = credentialState ? credentialState.toLowerCase() : null;
+
+      return [...credentials.values()]
+        .map(withEffectiveState)
+        .filter((credential) => !holder || sameAddress(credential.holder, holder))
+        .filter((credential) => !issuer || sameAddress(credential.issuer, issuer))
+        .filter((credential) => !delegate || sameAddress(credential.delegate, delegate))
+        .filter((credential) => !wantedState || credential.state.toLowerCase() === wantedState)
+        .filter((credential) => fromTime === null || (credential.issuedAt !== null && Date.parse(credential.issuedAt) >= fromTime))
+        .filter((credential) => toTimeLimit === null || (credential.issuedAt !== null && Date.parse(credential.issuedAt) <= toTimeLimit))
+        .sort((a, b) => a.blockNumber - b.blockNumber);
+    },
+
+    /**
+     * Look up an indexed identity.
+     * @param {string} address - The address.
+     * @returns {object|null} { address, controller, role, registeredAt, blockNumber, accreditation, accreditationHistory,
+     *   attributes, guardians, recoveryThreshold, controllerHistory, delegates, schemas } (accreditation is null for
+     *   Students and Employers; attributes maps DID attribute names to values; delegates maps a University's delegate
+     *   addresses to { scopes, validUntil, credentialTypes, authorizedAt }; schemas maps its registered "<id>@<version>"
+     *   references to { schemaKey, uri, documentHash, registeredAt }).
+     */
+    getIdentity(address) {
+      return identities.get(address.toLowerCase()) || null;
+    },
+
+    /**
+     * List indexed identities, optionally by role name and accreditation status (case-insensitive).
+     * @param {object} [filter] - { role, accreditation }, e.g. { role: 'University', accreditation: 'Suspended' }.
+     * @returns {object[]} Identity records.
+     */
+    listIdentities({ role, accreditation } = {}) {
+      return [...identities.values()]
+        .filter((identity) => !role || identity.role.toLowerCase() === role.toLowerCase())
+        .filter((identity) => !accreditation
+          || (identity.accreditation !== null && identity.accreditation.toLowerCase() === accreditation.toLowerCase()));
+    },
+
+    /**
+     * Look up an indexed batch.
+     * @param {string} merkleRoot - The batch root.
+     * @returns {object|null} The batch record: { merkleRoot, issuer, credentialCount, ipfsHash, issuedAt, blockNumber,
+     *   transactionHash, revocations } (revocations lists { credentialHash, revokedAt, transactionHash }).
+     */
+    getBatch(merkleRoot) {
+      return batches.get(merkleRoot.toLowerCase()) || null;
+    },
+
+    /**
+     * All indexed events that mention a credential, in chain order.
+     * @param {string} credentialHash - The credential hash.
+     * @returns {object[]} Events.
+     */
+    getCredentialHistory(credentialHash) {
+      const hash = credentialHash.toLowerCase();
+      return state.events.filter((event) => event.args.credentialHash === hash);
+    },
+
+    /**
+     * Index statistics.
+     * @returns {object} { cursor, events, credentials, identities, batches }.
+     */
+    getStats() {
+      return {
+        cursor: state.cursor,
+        events: state.events.length,
+        credentials: credentials.size,
+        identities: identities.size,
+        batches: batches.size
+      };
+    }
+  };
+}
+
+export default {
+  DATABASE_VERSION,
+  openIndexDatabase
+};
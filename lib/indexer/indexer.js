@@ -0,0 +1,247 @@
+/**
+ * Event Indexer
+ * Follows the DIDRegistry and CredentialStatus events into an index database
+ * (see database.js), so credentials can be listed by holder, issuer, state and date,
+ * and Universities by accreditation status. DID Document attributes, controllers,
+ * guardians and (for Universities) delegates and registered schemas are indexed per identity.
+ *
+ * sync() backfills from the start block to the chain head in fixed-size ranges;
+ * follow() polls sync(). Before each sync the last checkpoints are compared with
+ * the chain, and anything after the newest block still on the chain is re-indexed.
+ */
+
+import { roleName, accreditationName, stateName, reasonName, scopeNames } from '../credentialTypes.js';
+import { decodeAttributeName } from '../didResolver.js';
+
+export const DEFAULT_BATCH_SIZE = 2000;
+export const DEFAULT_POLL_INTERVAL = 2000;
+
+// Times a range is read before giving up on a chain that keeps reorganizing under it
+const MAX_RANGE_ATTEMPTS = 3;
+
+const secondsToISO = (seconds) => (Number(seconds) === 0 ? null : new Date(Number(seconds) * 1000).toISOString());
+
+// Event arguments as stored in the database (bytes32 lower-case, addresses checksummed)
+const NORMALIZERS = {
+  IdentityRegistered: (args) => ({ address: args.userAddress, role: roleName(args.role) }),
+  AccreditationChanged: (args) => ({
+    address: args.university,
+    status: accreditationName(args.status),
+    changedBy: args.changedBy,
+    reasonURI: args.reasonURI || null
+  }),
+  DIDAttributeChanged: (args) => ({ address: args.identity, name: decodeAttributeName(args.name), value: args.value }),
+  DIDAttributeRemoved: (args) => ({ address: args.identity, name: decodeAttributeName(args.name) }),
+  ControllerChanged: (args) => ({ address: args.identity, previousController: args.previousController, controller: args.newController }),
+  GuardiansChanged: (args) => ({ address: args.identity, guardians: [...args.guardians], threshold: Number(args.threshold) }),
+  CredentialIssued: (args) => ({
+    credentialHash: args.credentialHash,
+    issuer: args.issuer,
+    holder: args.holder,
+    ipfsHash: args.ipfsHash
+  }),
+  CredentialIssuedByDelegate: (args) => ({ credentialHash: args.credentialHash, issuer: args.issuer, delegate: args.delegate }),
+  DelegateAuthorized: (args) => ({
+    address: args.university,
+    delegate: args.delegate,
+    scopes: scopeNames(args.scopes),
+    validUntil: secondsToISO(args.validUntil),
+    credentialTypes: [...args.credentialTypes]
+  }),
+  DelegateRemoved: (args) => ({ address: args.university, delegate: args.delegate }),
+  SchemaRegistered: (args) => ({
+    address: args.issuer,
+    schemaKey: args.schemaKey,
+    id: args.id,
+    version: args.version,
+    uri: args.uri,
+    documentHash: args.documentHash
+  }),
+  CredentialBatchIssued: (args) => ({
+    merkleRoot: args.merkleRoot,
+    issuer: args.issuer,
+    credentialCount: Number(args.credentialCount),
+    ipfsHash: args.ipfsHash
+  }),
+  CredentialRevoked: (args) => ({ credentialHash: args.credentialHash, issuer: args.issuer }),
+  BatchCredentialRevoked: (args) => ({ merkleRoot: args.merkleRoot, credentialHash: args.credentialHash, issuer: args.issuer }),
+  CredentialStatusChanged: (args) => ({
+    credentialHash: args.credentialHash,
+    state: stateName(args.state),
+    reasonCode: Number(args.reasonCode),
+    reason: reasonName(args.reasonCode),
+    reasonURI: args.reasonURI || null,
+    changedBy: args.changedBy
+  }),
+  CredentialValiditySet: (args) => ({
+    credentialHash: args.credentialHash,
+    validFrom: secondsToISO(args.validFrom),
+    validUntil: secondsToISO(args.validUntil)
+  }),
+  CredentialVerified: (args) => ({ credentialHash: args.credentialHash, verifier: args.verifier, isValid: args.isValid })
+};
+
+/**
+ * Create an indexer.
+ * @param {object} options
+ * @param {object} options.registry - DIDRegistry contract instance.
+ * @param {object} options.credentials - CredentialStatus contract instance.
+ * @param {object} options.database - From openIndexDatabase.
+ * @param {number} [options.startBlock=0] - First block to index (the deployment block).
+ * @param {number} [options.batchSize=2000] - Blocks per log query.
+ * @param {number} [options.confirmations=0] - Stay this many blocks behind the head.
+ * @returns {object} { sync, follow, database }.
+ */
+export function createIndexer({
+  registry,
+  credentials,
+  database,
+  startBlock = 0,
+  batchSize = DEFAULT_BATCH_SIZE,
+  confirmations = 0
+}) {
+  const provider = credentials.runner.provider || credentials.runner;
+  let addresses = null;
+
+  async function bind() {
+    if (addresses) return;
+    addresses = { registry: await registry.getAddress(), credentials: await credentials.getAddress() };
+    const { chainId } = await provider.getNetwork();
+
+    const binding = database.getBinding();
+    if (!binding) {
+      await database.setBinding({ chainId, ...addresses });
+    } else if (binding.chainId !== Number(chainId)
+      || binding.registry.toLowerCase() !== addresses.registry.toLowerCase()
+      || binding.credentials.toLowerCase() !== addresses.credentials.toLowerCase()) {
+      throw new Error(`Index database was built for other contracts (chain ${binding.chainId}, CredentialStatus ${binding.credentials})`);
+    }
+  }
+
+  // Roll back to the newest checkpoint that is still on the chain; returns the number of events dropped
+  async function handleReorg() {
+    const cursor = database.getCursor();
+    if (!cursor) return 0;
+
+    for (const checkpoint of database.getCheckpoints()) {
+      const block = await provider.getBlock(checkpoint.blockNumber);
+      if (block && block.hash === checkpoint.blockHash) {
+        return checkpoint.blockNumber === cursor.blockNumber ? 0 : database.rollback(checkpoint);
+      }
+    }
+    // Deeper than the checkpoints reach: start over
+    return database.rollback(null);
+  }
+
+  function parseLog(log) {
+    const contract = log.address.toLowerCase() === addresses.registry.toLowerCase() ? registry : credentials;
+    const parsed = contract.interface.parseLog(log);
+    if (!parsed || !NORMALIZERS[parsed.name]) return null;
+    return {
+      name: parsed.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      args: NORMALIZERS[parsed.name](parsed.args)
+    };
+  }
+
+  // A reorg between reading a range's logs and its blocks shows as an event whose block hash is
+  // not that of the block fetched for its number; the range is then read again
+  async function indexRange(fromBlock, toBlock) {
+    for (let attempt = 1; ; attempt++) {
+      const logs = await provider.getLogs({
+        address: [addresses.registry, addresses.credentials],
+        fromBlock,
+        toBlock
+      });
+      const events = logs.map(parseLog).filter(Boolean);
+
+      // Event times are block times, which is also what the contract records as issueDate
+      const blocks = new Map();
+      for (const blockNumber of new Set([...events.map((event) => event.blockNumber), toBlock])) {
+        blocks.set(blockNumber, await provider.getBlock(blockNumber));
+      }
+      const last = blocks.get(toBlock);
+      if (!last || events.some((event) => blocks.get(event.blockNumber)?.hash !== event.blockHash)) {
+        if (attempt === MAX_RANGE_ATTEMPTS) {
+          throw new Error(`Blocks ${fromBlock}-${toBlock} kept changing while they were indexed`);
+        }
+        continue;
+      }
+
+      for (const event of events) {
+        event.timestamp = new Date(blocks.get(event.blockNumber).timestamp * 1000).toISOString();
+      }
+      await database.appendBlocks(events, {
+        blockNumber: toBlock,
+        blockHash: last.hash,
+        timestamp: new Date(last.timestamp * 1000).toISOString()
+      });
+      return events.length;
+    }
+  }
+
+  /**
+   * Index everything up to the current head (minus confirmations).
+   * @returns {Promise<object>} { fromBlock, toBlock, events, rolledBack } (fromBlock null when already current).
+   */
+  async function sync() {
+    await bind();
+    const rolledBack = await handleReorg();
+
+    const head = await provider.getBlockNumber() - confirmations;
+    const cursor = database.getCursor();
+    const fromBlock = cursor ? cursor.blockNumber + 1 : startBlock;
+    if (fromBlock > head) {
+      return { fromBlock: null, toBlock: cursor ? cursor.blockNumber : null, events: 0, rolledBack };
+    }
+
+    let events = 0;
+    for (let start = fromBlock; start <= head; start += batchSize) {
+      events += await indexRange(start, Math.min(start + batchSize - 1, head));
+    }
+    return { fromBlock, toBlock: head, events, rolledBack };
+  }
+
+  /**
+   * Keep syncing until stopped.
+   * @param {object} [options]
+   * @param {number} [options.interval=2000] - Milliseconds between syncs.
+   * @param {function} [options.onSync] - Called with each sync() result that indexed or rolled back events.
+   * @param {function} [options.onError] - Called with sync errors (the indexer keeps polling).
+   * @returns {object} { stop() -> Promise } which resolves once the current sync has finished.
+   */
+  function follow({ interval = DEFAULT_POLL_INTERVAL, onSync = () => {}, onError = () => {} } = {}) {
+    let stopped = false;
+    let timer = null;
+    let running = Promise.resolve();
+
+    const tick = () => {
+      running = sync()
+        .then((result) => {
+          if (result.events > 0 || result.rolledBack > 0) onSync(result);
+        })
+        .catch(onError)
+        .finally(() => {
+          if (!stopped) timer = setTimeout(tick, interval);
+        });
+    };
+    tick();
+
+    return {
+      async stop() {
+        stopped = true;
+        clearTimeout(timer);
+        await running;
+      }
+    };
+  }
+
+  return { sync, follow, database };
+}
+
+export default {
+  createIndexer
+};
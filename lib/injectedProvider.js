@@ -0,0 +1,184 @@
+/**
+ * Injected Provider Module
+ * A stand-in for the EIP-1193 provider a browser wallet injects as window.ethereum, for local
+ * development: pages written against a wallet also run against a Hardhat node with no wallet
+ * extension installed. Requests are forwarded to the node's JSON-RPC endpoint, except that the
+ * stand-in answers for its own account:
+ *   - without a private key, it acts as one of the node's unlocked accounts, and the node signs;
+ *   - with a private key, it signs transactions, messages and typed data itself, so it also works
+ *     with nodes that hold no keys.
+ * Never put a real key in a page; this is for throwaway development accounts.
+ *
+ * frontend/wallet.js offers it when no browser wallet is installed.
+ */
+
+import { ethers } from 'ethers';
+
+// EIP-1193 error codes
+const UNAUTHORIZED = 4100;
+const UNSUPPORTED_METHOD = 4200;
+
+function providerError(message, code, data) {
+  const error = new Error(message);
+  error.code = code;
+  if (data !== undefined) error.data = data;
+  return error;
+}
+
+// JSON-RPC over HTTP
+function httpTransport(url) {
+  let id = 0;
+  return async ({ method, params = [] }) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: ++id, method, params })
+    });
+    if (!response.ok) {
+      throw providerError(`${url} answered ${response.status} ${response.statusText}`, -32603);
+    }
+    const body = await response.json();
+    if (body.error) {
+      throw providerError(body.error.message, body.error.code, body.error.data);
+    }
+    return body.result;
+  };
+}
+
+function toQuantity(value) {
+  return value === undefined || value === null ? undefined : BigInt(value);
+}
+
+/**
+ * Create an EIP-1193 provider that stands in for a browser wallet.
+ * @param {object} options
+ * @param {string} [options.url] - JSON-RPC URL of the node (e.g. http://127.0.0.1:8545).
+ * @param {Function} [options.transport] - Sends a { method, params } request and resolves with its result,
+ *   instead of HTTP (e.g. Hardhat's in-process network provider).
+ * @param {string} [options.privateKey] - Sign locally with this key instead of using the node's accounts.
+ * @param {string} [options.account] - Which unlocked node account to use (defaults to the node's first).
+ * @returns {object} The provider: { isStandIn, request, on, removeListener, selectAccount }.
+ * @throws {Error} If neither url nor transport is given.
+ */
+export function createInjectedProvider({ url, transport, privateKey, account } = {}) {
+  if (!url && !transport) {
+    throw new Error('The stand-in wallet needs a node URL or a transport');
+  }
+  const send = transport || httpTransport(url);
+  const wallet = privateKey ? new ethers.Wallet(privateKey) : null;
+  const listeners = new Map();
+  let selected = wallet ? wallet.address : account ? ethers.getAddress(account) : null;
+
+  const emit = (event, value) => {
+    for (const listener of listeners.get(event) || []) listener(value);
+  };
+
+  const currentAccount = async () => {
+    if (!selected) {
+      const [first] = await send({ method: 'eth_accounts', params: [] });
+      if (!first) {
+        throw providerError('The node has no unlocked accounts; give the stand-in a private key', UNAUTHORIZED);
+      }
+      selected = ethers.getAddress(first);
+    }
+    return selected;
+  };
+
+  const checkSigner = (address) => {
+    if (address && ethers.getAddress(address) !== wallet.address) {
+      throw providerError(`The stand-in wallet cannot sign for ${address}`, UNAUTHORIZED);
+    }
+  };
+
+  const signAndSend = async (request) => {
+    checkSigner(request.from);
+    const tx = {
+      type: 0,
+      to: request.to || null,
+      data: request.data || request.input || '0x',
+      value: toQuantity(request.value) || 0n,
+      chainId: BigInt(await send({ method: 'eth_chainId', params: [] })),
+      nonce: Number(await send({ method: 'eth_getTransactionCount', params: [wallet.address, 'pending'] })),
+      gasPrice: toQuantity(request.gasPrice) ?? BigInt(await send({ method: 'eth_gasPrice', params: [] }))
+    };
+    tx.gasLimit = toQuantity(request.gas) ?? BigInt(await send({
+      method: 'eth_estimateGas',
+      params: [{ from: wallet.address, to: request.to, data: tx.data, value: ethers.toQuantity(tx.value) }]
+    }));
+    return send({ method: 'eth_sendRawTransaction', params: [await wallet.signTransaction(tx)] });
+  };
+
+  const signTypedData = async ([address, typedData]) => {
+    checkSigner(address);
+    const { domain, types, message } = typeof typedData === 'string' ? JSON.parse(typedData) : typedData;
+    const { EIP712Domain, ...messageTypes } = types;
+    return wallet.signTypedData(domain, messageTypes, message);
+  };
+
+  const localMethods = {
+    eth_accounts: async () => [await currentAccount()],
+    eth_requestAccounts: async () => [await currentAccount()]
+  };
+  const signingMethods = {
+    eth_sendTransaction: ([request]) => signAndSend(request),
+    personal_sign: ([message, address]) => {
+      checkSigner(address);
+      return wallet.signMessage(ethers.isHexString(message) ? ethers.getBytes(message) : message);
+    },
+    eth_signTypedData_v4: signTypedData,
+    eth_sign: () => {
+      throw providerError('eth_sign is not supported; use personal_sign', UNSUPPORTED_METHOD);
+    }
+  };
+
+  return {
+    isStandIn: true,
+
+    /**
+     * Send an EIP-1193 request.
+     * @param {object} args - { method, params }.
+     * @returns {Promise<*>} The result.
+     * @throws {Error} The node's JSON-RPC error, with its code and data.
+     */
+    async request({ method, params = [] }) {
+      if (localMethods[method]) return localMethods[method](params);
+      if (wallet && signingMethods[method]) return signingMethods[method](params);
+      return send({ method, params });
+    },
+
+    /**
+     * Subscribe to 'accountsChanged' (the only event the stand-in emits).
+     * @param {string} event - The event name.
+     * @param {Function} listener - Called with the new accounts.
+     */
+    on(event, listener) {
+      listeners.set(event, [...(listeners.get(event) || []), listener]);
+    },
+
+    /**
+     * Unsubscribe a listener added with on().
+     * @param {string} event - The event name.
+     * @param {Function} listener - The listener.
+     */
+    removeListener(event, listener) {
+      listeners.set(event, (listeners.get(event) || []).filter((l) => l !== listener));
+    },
+
+    /**
+     * Switch to another of the node's unlocked accounts, as choosing an account in a wallet would.
+     * @param {string} address - The account.
+     * @throws {Error} When the stand-in signs with a private key.
+     */
+    selectAccount(address) {
+      if (wallet) {
+        throw new Error('The stand-in wallet signs with a private key; create another one to switch accounts');
+      }
+      selected = ethers.getAddress(address);
+      emit('accountsChanged', [selected]);
+    }
+  };
+}
+
+export default {
+  createInjectedProvider
+};
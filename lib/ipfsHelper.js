@@ -1,96 +1,169 @@
 /**
  * IPFS Helper Module
  * Provides utilities for storing and retrieving credential data from IPFS.
+ * The backend is a pluggable storage adapter (see lib/storage): a real IPFS node,
+ * an in-memory store or a local filesystem store.
+ *
+ * Blobs can be stored as encrypted envelopes (see encryption.js) readable only by
+ * the holder and, optionally, the issuer.
+ *
+ * Progress and errors are logged to options.logger ({ log, error }); nothing is logged without one.
  */
 
-import { create } from 'ipfs-http-client';
+import { createIPFSStorage, DEFAULT_IPFS_URL } from './storage/index.js';
+import { canonicalize } from './canonicalJson.js';
+import { hashCredential } from './cryptoHelper.js';
+import { encryptCredential, decryptCredential, isEncryptedEnvelope } from './encryption.js';
 
-// Initialize IPFS client (connects to public IPFS gateway or local node)
-// For production, replace with your own IPFS node or Pinata gateway
-const ipfs = create({
-  host: 'ipfs.infura.io',
-  port: 5001,
-  protocol: 'https'
-});
+// Adapter used when the caller does not pass one. Created lazily so that
+// importing this module never opens a network connection.
+let defaultStorage = null;
+
+const SILENT = { log() {}, error() {} };
+
+/**
+ * Select the storage adapter used by default.
+ * @param {object} storage - A storage adapter (e.g. from createStorage()).
+ */
+export function setStorageAdapter(storage) {
+  defaultStorage = storage;
+}
+
+/**
+ * Get the default storage adapter.
+ * Falls back to an IPFS node at IPFS_API_URL (or the public gateway).
+ * @returns {object} The storage adapter.
+ */
+export function getStorageAdapter() {
+  if (!defaultStorage) {
+    const url = (typeof process !== 'undefined' && process.env.IPFS_API_URL) || DEFAULT_IPFS_URL;
+    defaultStorage = createIPFSStorage({ url });
+  }
+  return defaultStorage;
+}
+
+function parseEnvelope(data) {
+  try {
+    const value = JSON.parse(data);
+    return isEncryptedEnvelope(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
 
 /**
  * Upload credential data to IPFS.
+ * Objects are stored in canonical JSON form, so the blob is exactly what gets hashed.
+ * With options.recipients the blob is stored as an encrypted envelope instead.
  * @param {string|object} credentialData - The credential data (JSON string or object).
+ * @param {object} [storage] - Storage adapter to use (defaults to getStorageAdapter()).
+ * @param {object} [options]
+ * @param {string[]} [options.recipients] - Public keys to encrypt to: the holder's, optionally the issuer's.
+ * @param {object} [options.logger] - Where progress and errors are logged.
  * @returns {Promise<string>} The IPFS CID (Content Identifier).
  */
-export async function uploadCredentialToIPFS(credentialData) {
+export async function uploadCredentialToIPFS(credentialData, storage = getStorageAdapter(), { recipients, logger = SILENT } = {}) {
   try {
-    const dataString = typeof credentialData === 'string' 
-      ? credentialData 
-      : JSON.stringify(credentialData);
-    
-    // Add file to IPFS
-    const result = await ipfs.add(dataString);
-    console.log(`Credential uploaded to IPFS: ${result.path}`);
-    return result.path; // Returns CID
+    let dataString = typeof credentialData === 'string'
+      ? credentialData
+      : canonicalize(credentialData);
+
+    if (recipients) {
+      dataString = canonicalize(await encryptCredential(dataString, recipients));
+    }
+
+    // Add file to storage
+    const cid = await storage.add(dataString);
+    logger.log(`Credential uploaded to ${storage.name}${recipients ? ' (encrypted)' : ''}: ${cid}`);
+    return cid;
   } catch (error) {
-    console.error('Error uploading to IPFS:', error);
+    logger.error('Error uploading to IPFS:', error);
     throw error;
   }
 }
 
 /**
  * Retrieve credential data from IPFS.
+ * Encrypted envelopes are decrypted when a recipient's wallet is given.
  * @param {string} ipfsHash - The IPFS CID.
- * @returns {Promise<string>} The credential data.
+ * @param {object} [storage] - Storage adapter to use (defaults to getStorageAdapter()).
+ * @param {object} [options]
+ * @param {object|string} [options.wallet] - ethers.Wallet, SigningKey or private key of a recipient.
+ * @param {object} [options.logger] - Where progress and errors are logged.
+ * @returns {Promise<string>} The credential data (decrypted, if it was encrypted).
+ * @throws {Error} If the blob is encrypted and no recipient wallet is given.
  */
-export async function retrieveCredentialFromIPFS(ipfsHash) {
+export async function retrieveCredentialFromIPFS(ipfsHash, storage = getStorageAdapter(), { wallet, logger = SILENT } = {}) {
   try {
-    let data = '';
-    
-    // Read file from IPFS
-    for await (const chunk of ipfs.cat(ipfsHash)) {
-      data += chunk.toString();
+    // Read file from storage
+    const bytes = await storage.cat(ipfsHash);
+    let data = new TextDecoder().decode(bytes);
+
+    const envelope = parseEnvelope(data);
+    if (envelope) {
+      if (!wallet) {
+        throw new Error('Credential is encrypted; pass the holder\'s or issuer\'s wallet to decrypt it');
+      }
+      data = new TextDecoder().decode(await decryptCredential(envelope, wallet));
     }
-    
-    console.log(`Credential retrieved from IPFS (CID: ${ipfsHash})`);
+
+    logger.log(`Credential retrieved from ${storage.name} (CID: ${ipfsHash})`);
     return data;
   } catch (error) {
-    console.error('Error retrieving from IPFS:', error);
+    logger.error('Error retrieving from IPFS:', error);
     throw error;
   }
 }
 
 /**
  * Compute keccak256 hash of credential data (for on-chain verification).
+ * Shares the hashing rules of cryptoHelper.hashCredential.
  * @param {string|object} credentialData - The credential data.
+ * @param {string} [method] - The hashing method (LEGACY for strings, JCS for objects by default).
+ * @param {string} [salt] - The holder's salt, required for HashMethod.SALTED.
  * @returns {string} The keccak256 hash (hex string with 0x prefix).
  */
-export function computeCredentialHash(credentialData) {
-  const { ethers } = require('ethers');
-  const dataString = typeof credentialData === 'string' 
-    ? credentialData 
-    : JSON.stringify(credentialData);
-  
-  return ethers.keccak256(ethers.toUtf8Bytes(dataString));
+export function computeCredentialHash(credentialData, method, salt = null) {
+  return hashCredential(credentialData, method, salt);
 }
 
 /**
  * Verify a credential by retrieving from IPFS and comparing hash.
+ * Encrypted blobs are decrypted with options.wallet and the plaintext is hashed.
  * @param {string} ipfsHash - The IPFS CID.
  * @param {string} expectedHash - The expected keccak256 hash (from on-chain).
+ * @param {object} [storage] - Storage adapter to use (defaults to getStorageAdapter()).
+ * @param {string} [method] - The hashing method (see cryptoHelper.getHashMethod; by default as for computeCredentialHash).
+ * @param {string} [salt] - The holder's salt, required for HashMethod.SALTED.
+ * @param {object} [options]
+ * @param {object|string} [options.wallet] - A recipient's wallet, for encrypted blobs.
+ * @param {object} [options.logger] - Where progress and errors are logged.
  * @returns {Promise<boolean>} True if hash matches, false otherwise.
  */
-export async function verifyCredentialIntegrity(ipfsHash, expectedHash) {
+export async function verifyCredentialIntegrity(
+  ipfsHash,
+  expectedHash,
+  storage = getStorageAdapter(),
+  method,
+  salt = null,
+  { wallet, logger = SILENT } = {}
+) {
   try {
-    const data = await retrieveCredentialFromIPFS(ipfsHash);
-    const computedHash = computeCredentialHash(data);
-    
+    const data = await retrieveCredentialFromIPFS(ipfsHash, storage, { wallet, logger });
+    const computedHash = computeCredentialHash(data, method, salt);
+
     const isValid = computedHash.toLowerCase() === expectedHash.toLowerCase();
-    console.log(`Credential integrity check: ${isValid ? 'VALID' : 'INVALID'}`);
+    logger.log(`Credential integrity check: ${isValid ? 'VALID' : 'INVALID'}`);
     return isValid;
   } catch (error) {
-    console.error('Error verifying credential:', error);
+    logger.error('Error verifying credential:', error);
     return false;
   }
 }
 
 export default {
+  setStorageAdapter,
+  getStorageAdapter,
   uploadCredentialToIPFS,
   retrieveCredentialFromIPFS,
   computeCredentialHash,
@@ -0,0 +1,261 @@
+/**
+ * JSON Schema Module
+ * Validates credential data against the JSON Schema documents Universities register
+ * (see schemaRegistry.js), reporting every failing field.
+ *
+ * Supports the subset of JSON Schema (draft 2020-12) that describes credential claims:
+ * type, enum, const, properties, required, additionalProperties, items, minItems,
+ * maxItems, uniqueItems, minLength, maxLength, pattern, format (date, date-time, email,
+ * uri), minimum, maximum, exclusiveMinimum and exclusiveMaximum. Documents using any
+ * other validation keyword are rejected by checkSchemaDocument rather than half-enforced.
+ */
+
+import { canonicalize } from './canonicalJson.js';
+
+// Keywords that only describe a schema and never fail validation
+const ANNOTATION_KEYWORDS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'deprecated', 'readOnly', 'writeOnly'];
+
+export const SUPPORTED_KEYWORDS = [
+  'type', 'enum', 'const',
+  'properties', 'required', 'additionalProperties',
+  'items', 'minItems', 'maxItems', 'uniqueItems',
+  'minLength', 'maxLength', 'pattern', 'format',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum'
+];
+
+export const SUPPORTED_FORMATS = ['date', 'date-time', 'email', 'uri'];
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+const FORMATS = {
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+    && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value),
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !Number.isNaN(Date.parse(value)),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: (value) => /^[a-z][a-z0-9+.-]*:\S*$/i.test(value)
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function sameValue(a, b) {
+  return canonicalize(a) === canonicalize(b);
+}
+
+// Field path of a property or array item, e.g. "courses[0].grade"
+function childPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check that a JSON Schema document only uses supported keywords and that their values are well-formed.
+ * @param {object} schema - The JSON Schema document.
+ * @param {string} [path] - Location of this subschema, for error messages.
+ * @returns {object} The schema.
+ * @throws {Error} On unsupported keywords or malformed keyword values.
+ */
+export function checkSchemaDocument(schema, path = '#') {
+  if (!isPlainObject(schema)) {
+    throw new Error(`Invalid JSON Schema at ${path}: a schema must be an object`);
+  }
+  for (const [keyword, value] of Object.entries(schema)) {
+    const fail = (message) => {
+      throw new Error(`Invalid JSON Schema at ${path}/${keyword}: ${message}`);
+    };
+    if (ANNOTATION_KEYWORDS.includes(keyword)) {
+      continue;
+    }
+    switch (keyword) {
+      case 'type': {
+        const types = Array.isArray(value) ? value : [value];
+        if (types.length === 0 || !types.every((type) => TYPES.includes(type))) {
+          fail(`must be one of ${TYPES.join(', ')}, or an array of them`);
+        }
+        break;
+      }
+      case 'enum':
+        if (!Array.isArray(value) || value.length === 0) fail('must be a non-empty array');
+        break;
+      case 'const':
+        break;
+      case 'properties':
+        if (!isPlainObject(value)) fail('must be an object');
+        for (const [name, subschema] of Object.entries(value)) {
+          checkSchemaDocument(subschema, `${path}/properties/${name}`);
+        }
+        break;
+      case 'required':
+        if (!Array.isArray(value) || !value.every((name) => typeof name === 'string')) fail('must be an array of property names');
+        break;
+      case 'additionalProperties':
+        if (typeof value !== 'boolean') checkSchemaDocument(value, `${path}/additionalProperties`);
+        break;
+      case 'items':
+        checkSchemaDocument(value, `${path}/items`);
+        break;
+      case 'uniqueItems':
+        if (typeof value !== 'boolean') fail('must be a boolean');
+        break;
+      case 'minItems':
+      case 'maxItems':
+      case 'minLength':
+      case 'maxLength':
+        if (!Number.isInteger(value) || value < 0) fail('must be a non-negative integer');
+        break;
+      case 'minimum':
+      case 'maximum':
+      case 'exclusiveMinimum':
+      case 'exclusiveMaximum':
+        if (typeof value !== 'number' || !Number.isFinite(value)) fail('must be a number');
+        break;
+      case 'pattern':
+        try {
+          new RegExp(value, 'u');
+        } catch (error) {
+          fail(`not a valid regular expression (${error.message})`);
+        }
+        break;
+      case 'format':
+        if (!SUPPORTED_FORMATS.includes(value)) fail(`unsupported format "${value}" (supported: ${SUPPORTED_FORMATS.join(', ')})`);
+        break;
+      default:
+        fail(`unsupported keyword (supported: ${SUPPORTED_KEYWORDS.join(', ')})`);
+    }
+  }
+  return schema;
+}
+
+function validateValue(schema, value, path, errors) {
+  const report = (keyword, message) => errors.push({ field: path, keyword, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => hasType(value, type))) {
+      report('type', `must be ${types.join(' or ')} (got ${typeOf(value)})`);
+      return;
+    }
+  }
+  if (schema.enum !== undefined && !schema.enum.some((option) => sameValue(option, value))) {
+    report('enum', `must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !sameValue(schema.const, value)) {
+    report('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      report('minLength', `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      report('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      report('pattern', `must match ${schema.pattern}`);
+    }
+    if (schema.format !== undefined && !FORMATS[schema.format](value)) {
+      report('format', `must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report('minimum', `must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report('maximum', `must be at most ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      report('exclusiveMinimum', `must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      report('exclusiveMaximum', `must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value.map((item) => canonicalize(item))).size !== value.length) {
+      report('uniqueItems', 'must not contain duplicate items');
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => validateValue(schema.items, item, childPath(path, index), errors));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, name)) {
+        errors.push({ field: childPath(path, name), keyword: 'required', message: 'is required' });
+      }
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (Object.prototype.hasOwnProperty.call(properties, name)) {
+        validateValue(properties[name], item, childPath(path, name), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: childPath(path, name), keyword: 'additionalProperties', message: 'is not allowed by the schema' });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        validateValue(schema.additionalProperties, item, childPath(path, name), errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate data against a JSON Schema document.
+ * @param {object} schema - The JSON Schema document (see checkSchemaDocument).
+ * @param {*} data - The data, e.g. a credential's claims.
+ * @returns {object} { valid, errors }, errors being [{ field, keyword, message }] with field paths like "courses[0].grade"
+ *   ('' for the data itself).
+ * @throws {Error} If the schema itself is unsupported or malformed.
+ */
+export function validateAgainstSchema(schema, data) {
+  checkSchemaDocument(schema);
+  const errors = [];
+  validateValue(schema, data, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * One line per validation error, e.g. "gpa: must be at most 4".
+ * @param {object[]} errors - From validateAgainstSchema.
+ * @returns {string[]} The messages.
+ */
+export function formatValidationErrors(errors) {
+  return errors.map((error) => `${error.field || '(credential)'}: ${error.message}`);
+}
+
+export default {
+  SUPPORTED_KEYWORDS,
+  SUPPORTED_FORMATS,
+  checkSchemaDocument,
+  validateAgainstSchema,
+  formatValidationErrors
+};
@@ -0,0 +1,88 @@
+/**
+ * Merkle Tree Module
+ * Minimal keccak256 Merkle tree matching CredentialStatus._verifyMerkleProof:
+ * parents hash their two children in sorted order, and an odd node at the end
+ * of a layer is carried up unchanged. Proofs are the sibling hashes bottom-up.
+ */
+
+import { ethers } from 'ethers';
+
+/**
+ * Hash two sibling nodes (order-independent).
+ * @param {string} a - 32-byte hex node.
+ * @param {string} b - 32-byte hex node.
+ * @returns {string} The parent node.
+ */
+export function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build a Merkle tree over leaf hashes.
+ * @param {string[]} leaves - 32-byte hex leaf hashes, in tree order.
+ * @returns {object} { root, layers } where layers[0] are the leaves.
+ */
+export function buildMerkleTree(leaves) {
+  if (!Array.isArray(leaves) || leaves.length === 0) {
+    throw new Error('A Merkle tree needs at least one leaf');
+  }
+
+  const layers = [leaves.map((leaf) => ethers.hexlify(leaf))];
+  while (layers[layers.length - 1].length > 1) {
+    const current = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+    }
+    layers.push(next);
+  }
+
+  return {
+    root: layers[layers.length - 1][0],
+    layers
+  };
+}
+
+/**
+ * Get the inclusion proof for the leaf at an index.
+ * @param {object} tree - A tree from buildMerkleTree.
+ * @param {number} index - The leaf index.
+ * @returns {string[]} The sibling hashes, from the leaf up to the root.
+ */
+export function getMerkleProof(tree, index) {
+  if (index < 0 || index >= tree.layers[0].length) {
+    throw new Error(`Leaf index out of range: ${index}`);
+  }
+
+  const proof = [];
+  for (let level = 0; level < tree.layers.length - 1; level++) {
+    const layer = tree.layers[level];
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < layer.length) {
+      proof.push(layer[sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+/**
+ * Verify that a leaf is included under a root.
+ * @param {string} leaf - The leaf hash.
+ * @param {string[]} proof - The sibling hashes.
+ * @param {string} root - The expected root.
+ * @returns {boolean} True if the proof reconstructs the root.
+ */
+export function verifyMerkleProof(leaf, proof, root) {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling), leaf);
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+export default {
+  hashPair,
+  buildMerkleTree,
+  getMerkleProof,
+  verifyMerkleProof
+};
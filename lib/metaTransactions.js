@@ -0,0 +1,176 @@
+/**
+ * Meta-Transactions Module
+ * Builds and signs EIP-712 ForwardRequests for the TrustedForwarder (ERC-2771), so an
+ * account without ETH can call DIDRegistry and CredentialStatus through a relayer
+ * (see relayer.js), which submits the request and pays the gas.
+ *
+ * The forwarder appends the signer's address to the calldata; the contracts attribute
+ * the call to it as long as the DIDRegistry names the forwarder as trustedForwarder.
+ * Requests are sent as JSON, with numbers as decimal strings.
+ */
+
+import { ethers } from 'ethers';
+
+// Gas forwarded to the target when a request does not say (enough for registration and verification)
+export const DEFAULT_REQUEST_GAS = 300000n;
+
+// EIP-712 types for TrustedForwarder.ForwardRequest
+export const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint64' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+/**
+ * Build the EIP-712 domain for a deployed TrustedForwarder.
+ * @param {number|bigint} chainId - The chain ID the forwarder is deployed on.
+ * @param {string} forwarderAddress - The TrustedForwarder address.
+ * @returns {object} The EIP-712 domain.
+ */
+export function getForwarderDomain(chainId, forwarderAddress) {
+  return {
+    name: 'TrustedForwarder',
+    version: '1',
+    chainId,
+    verifyingContract: forwarderAddress
+  };
+}
+
+/**
+ * Build a request to call a contract function through the forwarder, using the sender's next nonce.
+ * @param {object} params
+ * @param {object} params.forwarder - TrustedForwarder contract instance (a provider runner is enough).
+ * @param {string} params.from - The sender's address.
+ * @param {object} params.contract - The target contract instance (DIDRegistry or CredentialStatus).
+ * @param {string} params.method - The function name, e.g. 'registerIdentity'.
+ * @param {Array} [params.args] - The function arguments.
+ * @param {bigint|number} [params.gas] - Gas forwarded to the target (default: DEFAULT_REQUEST_GAS).
+ * @param {number} [params.deadline] - Unix seconds after which the request cannot run (0 = none).
+ * @returns {Promise<object>} The ForwardRequest { from, to, value, gas, nonce, deadline, data } with bigint numbers.
+ */
+export async function createForwardRequest({ forwarder, from, contract, method, args = [], gas = DEFAULT_REQUEST_GAS, deadline = 0 }) {
+  return {
+    from: ethers.getAddress(from),
+    to: await contract.getAddress(),
+    value: 0n,
+    gas: BigInt(gas),
+    nonce: await forwarder.nonces(from),
+    deadline: BigInt(deadline),
+    data: contract.interface.encodeFunctionData(method, args)
+  };
+}
+
+/**
+ * Sign a ForwardRequest as EIP-712 typed data.
+ * @param {object} signer - The sender's ethers signer (request.from).
+ * @param {object} request - From createForwardRequest.
+ * @param {object} domain - The EIP-712 domain (see getForwarderDomain).
+ * @returns {Promise<string>} The signature (hex string).
+ */
+export async function signForwardRequest(signer, request, domain) {
+  return signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+}
+
+/**
+ * Recover the signer of a ForwardRequest.
+ * @param {object} request - The ForwardRequest.
+ * @param {string} signature - The signature (hex string).
+ * @param {object} domain - The EIP-712 domain (see getForwarderDomain).
+ * @returns {string} The recovered address.
+ */
+export function recoverForwardRequestSigner(request, signature, domain) {
+  return ethers.verifyTypedData(domain, FORWARD_REQUEST_TYPES, request, signature);
+}
+
+/**
+ * JSON-safe form of a ForwardRequest (numbers as decimal strings).
+ * @param {object} request - The ForwardRequest.
+ * @returns {object} The serialized request.
+ */
+export function serializeForwardRequest(request) {
+  return {
+    from: request.from,
+    to: request.to,
+    value: request.value.toString(),
+    gas: request.gas.toString(),
+    nonce: request.nonce.toString(),
+    deadline: request.deadline.toString(),
+    data: request.data
+  };
+}
+
+/**
+ * Parse a ForwardRequest received as JSON.
+ * @param {object} json - { from, to, value, gas, nonce, deadline, data }.
+ * @returns {object} The ForwardRequest with checksummed addresses and bigint numbers.
+ * @throws {Error} If a field is missing or malformed.
+ */
+export function parseForwardRequest(json) {
+  if (!json || typeof json !== 'object') {
+    throw new Error('"request" must be an object');
+  }
+  const request = {};
+  for (const field of ['from', 'to']) {
+    if (!ethers.isAddress(json[field])) {
+      throw new Error(`"request.${field}" must be an address`);
+    }
+    request[field] = ethers.getAddress(json[field]);
+  }
+  for (const field of ['value', 'gas', 'nonce', 'deadline']) {
+    const value = json[field] === undefined && (field === 'value' || field === 'deadline') ? '0' : json[field];
+    if (!/^\d+$/.test(String(value))) {
+      throw new Error(`"request.${field}" must be a non-negative integer`);
+    }
+    request[field] = BigInt(value);
+  }
+  if (!ethers.isHexString(json.data) || json.data.length < 10) {
+    throw new Error('"request.data" must be hex calldata');
+  }
+  request.data = json.data;
+  return request;
+}
+
+/**
+ * Sign a contract call and submit it through a relayer's HTTP API (POST /relay).
+ * @param {object} params
+ * @param {string} params.relayerUrl - The relayer's base URL, e.g. http://localhost:3001.
+ * @param {object} params.signer - The sender's ethers signer (connected to a provider).
+ * @param {object} params.forwarder - TrustedForwarder contract instance.
+ * @param {object} params.contract - The target contract instance.
+ * @param {string} params.method - The function name.
+ * @param {Array} [params.args] - The function arguments.
+ * @param {bigint|number} [params.gas] - Gas forwarded to the target.
+ * @param {number} [params.deadline] - Unix seconds after which the request cannot run (0 = none).
+ * @returns {Promise<object>} { status, body } of the relayer's response.
+ */
+export async function relayCall({ relayerUrl, signer, forwarder, contract, method, args = [], gas, deadline }) {
+  const from = await signer.getAddress();
+  const request = await createForwardRequest({ forwarder, from, contract, method, args, gas, deadline });
+  const { chainId } = await signer.provider.getNetwork();
+  const signature = await signForwardRequest(signer, request, getForwarderDomain(chainId, await forwarder.getAddress()));
+
+  const response = await fetch(`${relayerUrl.replace(/\/+$/, '')}/relay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ request: serializeForwardRequest(request), signature })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+export default {
+  DEFAULT_REQUEST_GAS,
+  FORWARD_REQUEST_TYPES,
+  getForwarderDomain,
+  createForwardRequest,
+  signForwardRequest,
+  recoverForwardRequestSigner,
+  serializeForwardRequest,
+  parseForwardRequest,
+  relayCall
+};
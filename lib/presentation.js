@@ -0,0 +1,273 @@
+/**
+ * Verifiable Presentation Module
+ * Lets a Student prove control of the holder address when presenting credentials,
+ * and lets a verifier check everything (holder signature, challenge freshness,
+ * credential hashes and on-chain status) in one call.
+ *
+ * Flow:
+ *   1. Verifier: challengeStore.issue(domain) -> { challenge, domain, expiresAt }
+ *   2. Student:  signPresentation(createPresentation({ ... }), signer)
+ *   3. Verifier: verifyPresentation(presentation, { credentialStatus, challengeStore, domain })
+ *
+ * A challenge can be used only once and expires, so old presentations cannot be replayed.
+ */
+
+import { ethers } from 'ethers';
+import { canonicalize } from './canonicalJson.js';
+import { stateName, formatValidity } from './credentialTypes.js';
+import { addressToDid, parseDid } from './did.js';
+import { VC_CONTEXT_V2, toCommitment } from './verifiableCredential.js';
+
+export const PRESENTATION_PROOF_TYPE = 'DataIntegrityProof';
+export const PRESENTATION_CRYPTOSUITE = 'ecdsa-secp256k1-eip191-jcs';
+export const DEFAULT_CHALLENGE_TTL_SECONDS = 300;
+
+/**
+ * Create an in-memory store of verifier challenges.
+ * @param {object} [options]
+ * @param {number} [options.ttlSeconds=300] - How long a challenge stays valid.
+ * @param {Function} [options.now=Date.now] - Clock returning milliseconds (injectable for tests).
+ * @returns {object} Challenge store { issue, consume, size }.
+ */
+export function createChallengeStore({ ttlSeconds = DEFAULT_CHALLENGE_TTL_SECONDS, now = Date.now } = {}) {
+  const pending = new Map();
+
+  // Challenges are kept in the order they were issued, which is also the order they expire in
+  function dropExpired() {
+    const time = now();
+    for (const [challenge, record] of pending) {
+      if (time <= record.expiresAt) break;
+      pending.delete(challenge);
+    }
+  }
+
+  return {
+    /**
+     * Issue a fresh challenge for a verifier domain. Challenges that expired unused are dropped.
+     * @param {string} domain - The verifier's domain (e.g. "hr.example.com").
+     * @returns {object} { challenge, domain, expiresAt }.
+     */
+    issue(domain) {
+      if (!domain) {
+        throw new Error('A challenge must be bound to a verifier domain');
+      }
+      dropExpired();
+      const record = {
+        challenge: ethers.hexlify(ethers.randomBytes(32)),
+        domain,
+        expiresAt: now() + ttlSeconds * 1000
+      };
+      pending.set(record.challenge, record);
+      return record;
+    },
+
+    /**
+     * Use up a challenge. Each challenge can be consumed once.
+     * @param {string} challenge - The challenge from the presentation proof.
+     * @param {string} domain - The domain from the presentation proof.
+     * @returns {string|null} Null if the challenge is accepted, otherwise the reason it is not.
+     */
+    consume(challenge, domain) {
+      const record = pending.get(challenge);
+      if (!record) {
+        return 'Challenge is unknown or has already been used';
+      }
+      pending.delete(challenge);
+
+      if (record.domain !== domain) {
+        return 'Challenge was issued for a different domain';
+      }
+      if (now() > record.expiresAt) {
+        return 'Challenge has expired';
+      }
+      return null;
+    },
+
+    /**
+     * @returns {number} How many challenges are held (issued, not yet consumed or dropped).
+     */
+    size() {
+      return pending.size;
+    }
+  };
+}
+
+/**
+ * Wrap one or more Verifiable Credentials into an unsigned presentation.
+ * @param {object} params
+ * @param {object[]} params.credentials - Verifiable Credentials held by the holder.
+ * @param {string} params.holder - The holder's address.
+ * @param {number|bigint} params.chainId - Chain ID of the deployment.
+ * @returns {object} The unsigned Verifiable Presentation.
+ */
+export function createPresentation({ credentials, holder, chainId }) {
+  if (!Array.isArray(credentials) || credentials.length === 0) {
+    throw new Error('A presentation needs at least one credential');
+  }
+
+  return {
+    '@context': [VC_CONTEXT_V2],
+    type: ['VerifiablePresentation'],
+    holder: addressToDid(holder, chainId),
+    verifiableCredential: credentials
+  };
+}
+
+/**
+ * Sign a presentation as its holder, answering the verifier's challenge.
+ * @param {object} presentation - The unsigned presentation (an existing proof is replaced).
+ * @param {object} challenge - { challenge, domain } issued by the verifier.
+ * @param {string|object} signer - The holder's private key, or an ethers Signer (e.g. a browser wallet).
+ * @returns {Promise<object>} The signed presentation.
+ */
+export async function signPresentation(presentation, { challenge, domain }, signer) {
+  const { proof, ...unsigned } = presentation;
+  const wallet = typeof signer === 'string' ? new ethers.Wallet(signer) : signer;
+
+  const proofOptions = {
+    type: PRESENTATION_PROOF_TYPE,
+    cryptosuite: PRESENTATION_CRYPTOSUITE,
+    created: new Date().toISOString(),
+    verificationMethod: `${unsigned.holder}#controller`,
+    proofPurpose: 'authentication',
+    challenge,
+    domain
+  };
+
+  const proofValue = await wallet.signMessage(canonicalize({ ...unsigned, proof: proofOptions }));
+  return { ...unsigned, proof: { ...proofOptions, proofValue } };
+}
+
+/**
+ * Check the holder's signature on a presentation.
+ * @param {object} presentation - The signed presentation.
+ * @param {string} [controller] - The account controlling the holder's identity, if it rotated keys
+ *   (DIDRegistry.getController); defaults to the holder's own address.
+ * @returns {boolean} True if the proof was signed by the presentation holder.
+ */
+export function verifyHolderSignature(presentation, controller = null) {
+  try {
+    const { proofValue, ...proofOptions } = presentation.proof;
+    const { proof, ...unsigned } = presentation;
+    const signer = controller || parseDid(presentation.holder).address;
+
+    const recovered = ethers.verifyMessage(canonicalize({ ...unsigned, proof: proofOptions }), proofValue);
+    return recovered.toLowerCase() === signer.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Verify a presentation: holder signature, challenge, credential hashes and on-chain status.
+ * The challenge is consumed, so the same presentation is rejected if submitted again.
+ * @param {object} presentation - The signed presentation.
+ * @param {object} options
+ * @param {object} options.credentialStatus - CredentialStatus contract (ethers Contract, read access is enough).
+ * @param {object} options.challengeStore - The store the challenge was issued from.
+ * @param {string} options.domain - The verifier's own domain.
+ * @param {object} [options.didRegistry] - DIDRegistry contract; when given, the holder may sign with the account
+ *   its identity rotated to, and each credential also reports whether its issuer was accredited at issue time
+ *   (required for validity) and whether it still is.
+ * @returns {Promise<object>} Verification result { isValid, holder, checks, credentials, reasons }.
+ */
+export async function verifyPresentation(presentation, { credentialStatus, challengeStore, domain, didRegistry }) {
+  const result = {
+    isValid: false,
+    holder: null,
+    checks: {
+      holderSignatureValid: false,
+      challengeValid: false,
+      credentialsValid: false
+    },
+    credentials: [],
+    reasons: []
+  };
+
+  const proof = presentation?.proof;
+  if (!proof || proof.proofPurpose !== 'authentication' || !proof.challenge) {
+    result.reasons.push('Presentation has no holder authentication proof');
+    return result;
+  }
+
+  // Holder proof of control
+  let holder;
+  try {
+    holder = parseDid(presentation.holder).address;
+    result.holder = holder;
+  } catch (error) {
+    result.reasons.push(`holder: ${error.message}`);
+    return result;
+  }
+  const controller = didRegistry ? await didRegistry.getController(holder) : null;
+  result.checks.holderSignatureValid = verifyHolderSignature(presentation, controller === ethers.ZeroAddress ? null : controller);
+  if (!result.checks.holderSignatureValid) result.reasons.push('Holder signature verification failed');
+
+  // Challenge freshness (only consumed once the signature proves the holder answered it)
+  if (proof.domain !== domain) {
+    result.reasons.push(`Presentation was made for domain "${proof.domain}", not "${domain}"`);
+  } else if (result.checks.holderSignatureValid) {
+    const challengeError = challengeStore.consume(proof.challenge, proof.domain);
+    result.checks.challengeValid = challengeError === null;
+    if (challengeError) result.reasons.push(challengeError);
+  }
+
+  // Each credential: hash matches its claims, and the on-chain record is valid and held by the holder
+  const credentials = presentation.verifiableCredential || [];
+  if (credentials.length === 0) result.reasons.push('Presentation contains no credentials');
+
+  for (const vc of credentials) {
+    const entry = {
+      credentialHash: vc?.credentialStatus?.credentialHash || null,
+      hashValid: false,
+      onChainValid: false,
+      state: null,
+      validUntil: null,
+      holderMatches: false,
+      issuerMatches: false
+    };
+
+    try {
+      const commitment = toCommitment(vc);
+      entry.hashValid = true;
+
+      const metadata = await credentialStatus.getCredentialMetadata(commitment.credentialHash);
+      entry.onChainValid = await credentialStatus.isCredentialValid(commitment.credentialHash);
+      entry.state = stateName(metadata.state);
+      entry.validUntil = formatValidity(metadata).validUntil;
+      entry.holderMatches = metadata.holder.toLowerCase() === holder.toLowerCase()
+        && commitment.holder.toLowerCase() === holder.toLowerCase();
+      entry.issuerMatches = metadata.issuer.toLowerCase() === commitment.issuer.toLowerCase();
+      if (didRegistry) {
+        entry.issuerAccreditedAtIssue = await didRegistry.wasAccreditedAt(metadata.issuer, metadata.issueDate);
+        entry.issuerAccredited = await didRegistry.isAccredited(metadata.issuer);
+        if (!entry.issuerAccreditedAtIssue) {
+          result.reasons.push(`Credential ${entry.credentialHash} was issued while its issuer was not accredited`);
+        }
+      }
+
+      if (!entry.onChainValid) result.reasons.push(`Credential ${entry.credentialHash} is not valid on-chain (${entry.state})`);
+      if (!entry.holderMatches) result.reasons.push(`Credential ${entry.credentialHash} is not held by the presenter`);
+      if (!entry.issuerMatches) result.reasons.push(`Credential ${entry.credentialHash} issuer does not match the on-chain record`);
+    } catch (error) {
+      result.reasons.push(`Credential ${entry.credentialHash}: ${error.message}`);
+    }
+
+    result.credentials.push(entry);
+  }
+
+  result.checks.credentialsValid = credentials.length > 0 && result.credentials.every(
+    (c) => c.hashValid && c.onChainValid && c.holderMatches && c.issuerMatches && c.issuerAccreditedAtIssue !== false
+  );
+
+  result.isValid = result.checks.holderSignatureValid && result.checks.challengeValid && result.checks.credentialsValid;
+  return result;
+}
+
+export default {
+  createChallengeStore,
+  createPresentation,
+  signPresentation,
+  verifyHolderSignature,
+  verifyPresentation
+};
@@ -0,0 +1,466 @@
+/**
+ * QR Code Module
+ * Encodes text as a QR Code (ISO/IEC 18004, byte mode, versions 1-40) and renders it as
+ * SVG or terminal text, so share links (see shareLink.js) can be scanned without any
+ * online service.
+ */
+
+// Error correction levels: the share of codewords that can be restored, and the format-information bits
+export const ERROR_CORRECTION_LEVELS = {
+  L: { ordinal: 0, formatBits: 1 }, // ~7%
+  M: { ordinal: 1, formatBits: 0 }, // ~15%
+  Q: { ordinal: 2, formatBits: 3 }, // ~25%
+  H: { ordinal: 3, formatBits: 2 }  // ~30%
+};
+
+export const MIN_VERSION = 1;
+export const MAX_VERSION = 40;
+
+// Error correction codewords per block, by level (L, M, Q, H) and version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Error correction blocks, by level (L, M, Q, H) and version (index 0 unused)
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Mask patterns: whether to invert the module at column x, row y
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+// Penalty weights for choosing a mask (ISO/IEC 18004 section 7.8.3)
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER_LIKE = 40;
+const PENALTY_BALANCE = 10;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Modules available for data and error correction codewords in a version
+function numRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+function numDataCodewords(version, ecl) {
+  return Math.floor(numRawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+}
+
+// Product of two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+// Coefficients of the Reed-Solomon generator polynomial of a degree, highest power first (leading 1 omitted)
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// Split data codewords into blocks, append each block's error correction and interleave them
+function addErrorCorrection(data, version, ecl) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+  const blockEccLength = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+  const rawCodewords = Math.floor(numRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = reedSolomonDivisor(blockEccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i++) {
+    const block = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+    offset += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) {
+      block.push(0); // Placeholder so all blocks have the same length; skipped below
+    }
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+// Data codewords for byte-mode text: mode, length, bytes, terminator and padding
+function encodeDataCodewords(bytes, version, ecl) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+  append(0b0100, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach((byte) => append(byte, 8));
+
+  const capacityBits = numDataCodewords(version, ecl) * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+function alignmentPatternPositions(version, size) {
+  if (version === 1) {
+    return [];
+  }
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [];
+  for (let position = size - 7; result.length < numAlign - 1; position -= step) {
+    result.unshift(position);
+  }
+  return [6, ...result];
+}
+
+// Build the module grid: function patterns, codewords, then the mask with the lowest penalty
+function buildMatrix(codewords, version, ecl, fixedMask) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  // Alignment patterns, except where they would overlap the finder patterns
+  const positions = alignmentPatternPositions(version, size);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => {
+    positions.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  const drawFormatBits = (mask) => {
+    const data = (ecl.formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+    setFunction(8, size - 8, true); // The dark module
+  };
+  drawFormatBits(0); // Reserve the format areas before placing codewords
+
+  // Version information (versions 7 and up)
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, getBit(bits, i));
+      setFunction(b, a, getBit(bits, i));
+    }
+  }
+
+  // Codewords, in two-column strips zigzagging up and down from the bottom right
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5; // Skip the vertical timing pattern
+    }
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && MASKS[mask](x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  };
+
+  let mask = fixedMask;
+  if (mask === undefined) {
+    let lowest = Infinity;
+    for (let candidate = 0; candidate < MASKS.length; candidate++) {
+      applyMask(candidate);
+      drawFormatBits(candidate);
+      const score = penaltyScore(modules);
+      if (score < lowest) {
+        lowest = score;
+        mask = candidate;
+      }
+      applyMask(candidate); // Masking twice restores the modules
+    }
+  }
+  applyMask(mask);
+  drawFormatBits(mask);
+
+  return { modules, mask };
+}
+
+function penaltyScore(modules) {
+  const size = modules.length;
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map((row) => row[i]));
+  }
+
+  // Runs of five or more modules of one color, and patterns that look like a finder
+  const finderLike = [true, false, true, true, true, false, true];
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) {
+          score += PENALTY_RUN + run - 5;
+        }
+        run = 1;
+      }
+    }
+    for (let i = 0; i + 7 <= size; i++) {
+      if (!finderLike.every((dark, k) => line[i + k] === dark)) {
+        continue;
+      }
+      const lightBefore = i >= 4 && [1, 2, 3, 4].every((k) => !line[i - k]);
+      const lightAfter = i + 11 <= size && [7, 8, 9, 10].every((k) => !line[i + k]);
+      if (lightBefore || lightAfter) {
+        score += PENALTY_FINDER_LIKE;
+      }
+    }
+  }
+
+  // 2x2 blocks of one color
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        score += PENALTY_BLOCK;
+      }
+    }
+  }
+
+  // Balance of dark and light modules
+  const dark = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY_BALANCE;
+  return score;
+}
+
+/**
+ * Encode text as a QR Code, using the smallest version that fits.
+ * @param {string} text - The text (encoded as UTF-8 in byte mode).
+ * @param {object} [options]
+ * @param {string} [options.errorCorrection='M'] - 'L', 'M', 'Q' or 'H'.
+ * @param {number} [options.minVersion=1] - Smallest version to use.
+ * @param {number} [options.maxVersion=40] - Largest version to use.
+ * @param {number} [options.mask] - Mask pattern 0-7 (default: the one with the lowest penalty).
+ * @returns {object} { version, size, errorCorrection, mask, modules } where modules[y][x] is true for dark modules.
+ * @throws {Error} If the text does not fit in maxVersion.
+ */
+export function createQrCode(text, { errorCorrection = 'M', minVersion = MIN_VERSION, maxVersion = MAX_VERSION, mask } = {}) {
+  const ecl = ERROR_CORRECTION_LEVELS[errorCorrection];
+  if (!ecl) {
+    throw new Error(`Unknown error correction level "${errorCorrection}" (use L, M, Q or H)`);
+  }
+  if (!(MIN_VERSION <= minVersion && minVersion <= maxVersion && maxVersion <= MAX_VERSION)) {
+    throw new Error(`Invalid version range ${minVersion}-${maxVersion}`);
+  }
+  if (mask !== undefined && !(Number.isInteger(mask) && mask >= 0 && mask < MASKS.length)) {
+    throw new Error(`Invalid mask pattern: ${mask}`);
+  }
+
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let version = minVersion;
+  for (; ; version++) {
+    const usedBits = 4 + (version <= 9 ? 8 : 16) + bytes.length * 8;
+    const fitsCount = bytes.length < (version <= 9 ? 256 : 65536);
+    if (fitsCount && usedBits <= numDataCodewords(version, ecl) * 8) {
+      break;
+    }
+    if (version >= maxVersion) {
+      throw new Error(`Text too long for a version ${maxVersion} QR Code with error correction ${errorCorrection} (${bytes.length} bytes)`);
+    }
+  }
+
+  const codewords = addErrorCorrection(encodeDataCodewords(bytes, version, ecl), version, ecl);
+  const matrix = buildMatrix(codewords, version, ecl, mask);
+  return { version, size: matrix.modules.length, errorCorrection, mask: matrix.mask, modules: matrix.modules };
+}
+
+/**
+ * Render a QR Code as an SVG document.
+ * @param {object} qr - From createQrCode.
+ * @param {object} [options]
+ * @param {number} [options.moduleSize=4] - Pixels per module.
+ * @param {number} [options.margin=4] - Quiet zone in modules (the standard asks for 4).
+ * @param {string} [options.dark='#000000'] - Color of dark modules.
+ * @param {string} [options.light='#ffffff'] - Background color.
+ * @returns {string} The SVG markup.
+ */
+export function qrCodeToSvg(qr, { moduleSize = 4, margin = 4, dark = '#000000', light = '#ffffff' } = {}) {
+  const dimension = qr.size + margin * 2;
+  const path = [];
+  qr.modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) {
+        path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+      }
+    });
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" `
+    + `width="${dimension * moduleSize}" height="${dimension * moduleSize}" shape-rendering="crispEdges">`
+    + `<rect width="100%" height="100%" fill="${light}"/><path d="${path.join('')}" fill="${dark}"/></svg>`;
+}
+
+/**
+ * Render a QR Code as text for a terminal, two module rows per line. Light modules are drawn as
+ * blocks, so the code scans on the usual dark terminal background.
+ * @param {object} qr - From createQrCode.
+ * @param {object} [options]
+ * @param {number} [options.margin=2] - Quiet zone in modules.
+ * @returns {string} The lines, joined with newlines.
+ */
+export function qrCodeToText(qr, { margin = 2 } = {}) {
+  const dimension = qr.size + margin * 2;
+  const isLight = (x, y) => {
+    const mx = x - margin;
+    const my = y - margin;
+    return mx < 0 || my < 0 || mx >= qr.size || my >= qr.size || !qr.modules[my][mx];
+  };
+
+  const lines = [];
+  for (let y = 0; y < dimension; y += 2) {
+    let line = '';
+    for (let x = 0; x < dimension; x++) {
+      const top = isLight(x, y);
+      const bottom = y + 1 < dimension ? isLight(x, y + 1) : false;
+      line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+    }
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+export default {
+  ERROR_CORRECTION_LEVELS,
+  MIN_VERSION,
+  MAX_VERSION,
+  createQrCode,
+  qrCodeToSvg,
+  qrCodeToText
+};
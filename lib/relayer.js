@@ -0,0 +1,320 @@
+/**
+ * Relayer Module
+ * An HTTP service that submits signed meta-transactions (see metaTransactions.js) through
+ * the TrustedForwarder and pays their gas, so Students and Employers can register and verify
+ * credentials without holding ETH.
+ *
+ *   GET  /config             Chain, forwarder, relayed contracts and functions, quota
+ *   GET  /nonces/:address    The address's next forwarder nonce
+ *   GET  /quotas/:address    Relayed requests left for the address's identity
+ *   POST /relay              { request, signature }: check and submit a ForwardRequest
+ *
+ * Before submitting, the relayer checks that the request targets an allowed function of the
+ * DIDRegistry or CredentialStatus, carries the sender's next nonce, is signed by the sender and
+ * would succeed (a static call). Each identity (the sender's DIDRegistry identity, or the sender
+ * itself before it registers) may relay a limited number of requests per time window, so key
+ * rotation does not reset the quota.
+ *
+ * Responses are JSON: 400 malformed or expired request, 401 bad signature, 403 function not
+ * relayed, 409 wrong nonce, 422 the call would revert, 429 quota exhausted, 503 the DIDRegistry
+ * does not trust the relayer's forwarder.
+ */
+
+import { ethers } from 'ethers';
+import { getForwarderDomain, parseForwardRequest, recoverForwardRequestSigner } from './metaTransactions.js';
+import { createVerificationServer } from './verificationService.js';
+
+export const DEFAULT_PORT = 3001;
+export const DEFAULT_QUOTA = { limit: 20, windowSeconds: 24 * 60 * 60 };
+export const DEFAULT_MAX_GAS = 500000n;
+
+// Functions relayed by default: onboarding and identity management, and on-chain verification
+export const DEFAULT_FUNCTIONS = {
+  DIDRegistry: ['registerIdentity', 'setAttribute', 'removeAttribute', 'changeController', 'setGuardians', 'approveRecovery',
+    'setIssuerRecovery', 'cancelRecovery', 'completeRecovery'],
+  CredentialStatus: ['verifyCredentialData']
+};
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function requireAddress(value) {
+  if (!ethers.isAddress(value)) {
+    throw httpError(400, `Not an address: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+/**
+ * Create a relayer.
+ * @param {object} options
+ * @param {object} options.forwarder - TrustedForwarder contract instance connected to the relayer's funded signer.
+ * @param {object} options.registry - DIDRegistry contract instance (a provider runner is enough).
+ * @param {object} options.credentials - CredentialStatus contract instance (a provider runner is enough).
+ * @param {object} [options.quota] - { limit, windowSeconds } per identity (default: 20 per day).
+ * @param {bigint|number} [options.maxGas] - Largest request.gas accepted (default: DEFAULT_MAX_GAS).
+ * @param {object} [options.functions] - { DIDRegistry: [...], CredentialStatus: [...] } function names to relay.
+ * @param {Function} [options.clock] - Returns the current time in ms (for the quota window).
+ * @returns {object} { handle, relay, getNonce, getQuota, getConfig }.
+ */
+export function createRelayer({
+  forwarder,
+  registry,
+  credentials,
+  quota = DEFAULT_QUOTA,
+  maxGas = DEFAULT_MAX_GAS,
+  functions = DEFAULT_FUNCTIONS,
+  clock = Date.now
+}) {
+  const provider = forwarder.runner.provider;
+  const windowMs = quota.windowSeconds * 1000;
+  const usage = new Map();     // identity (lower-case) => timestamps (ms) of relayed requests
+  const pending = new Set();   // "from:nonce" of requests being submitted
+  let submissions = Promise.resolve();
+  let setup = null;
+
+  // Relayed targets by lower-case address, with the selectors allowed on each
+  function getSetup() {
+    if (!setup) {
+      setup = (async () => {
+        const targets = new Map();
+        for (const [name, contract] of [['DIDRegistry', registry], ['CredentialStatus', credentials]]) {
+          const selectors = new Map((functions[name] || [])
+            .map((fn) => [contract.interface.getFunction(fn).selector, fn]));
+          targets.set((await contract.getAddress()).toLowerCase(), { name, selectors });
+        }
+        const { chainId } = await provider.getNetwork();
+        const forwarderAddress = await forwarder.getAddress();
+        return { targets, chainId, forwarderAddress, domain: getForwarderDomain(chainId, forwarderAddress) };
+      })();
+      setup.catch(() => { setup = null; });
+    }
+    return setup;
+  }
+
+  // The identity whose quota a sender uses
+  async function quotaKey(address) {
+    const identity = await registry.identityOf(address);
+    return identity === ethers.ZeroAddress ? ethers.getAddress(address) : identity;
+  }
+
+  function recentUsage(key) {
+    const since = clock() - windowMs;
+    const recent = (usage.get(key.toLowerCase()) || []).filter((time) => time > since);
+    usage.set(key.toLowerCase(), recent);
+    return recent;
+  }
+
+  function quotaStatus(identity) {
+    const recent = recentUsage(identity);
+    return {
+      identity,
+      limit: quota.limit,
+      used: recent.length,
+      remaining: Math.max(0, quota.limit - recent.length),
+      windowSeconds: quota.windowSeconds,
+      resetAt: recent.length > 0 ? new Date(recent[0] + windowMs).toISOString() : null
+    };
+  }
+
+  /**
+   * GET /config
+   * @returns {Promise<object>} { status, body: { chainId, forwarder, targets, functions, quota, maxGas } }.
+   */
+  async function getConfig() {
+    const { chainId, forwarderAddress, targets } = await getSetup();
+    return {
+      status: 200,
+      body: {
+        chainId: Number(chainId),
+        forwarder: forwarderAddress,
+        targets: Object.fromEntries([...targets].map(([address, target]) => [target.name, ethers.getAddress(address)])),
+        functions,
+        quota,
+        maxGas: maxGas.toString()
+      }
+    };
+  }
+
+  /**
+   * GET /nonces/:address
+   * @returns {Promise<object>} { status, body: { address, nonce } }.
+   */
+  async function getNonce(address) {
+    const account = requireAddress(address);
+    return { status: 200, body: { address: account, nonce: (await forwarder.nonces(account)).toString() } };
+  }
+
+  /**
+   * GET /quotas/:address
+   * @returns {Promise<object>} { status, body: { identity, limit, used, remaining, windowSeconds, resetAt } }.
+   */
+  async function getQuota(address) {
+    return { status: 200, body: quotaStatus(await quotaKey(requireAddress(address))) };
+  }
+
+  /**
+   * POST /relay: check a signed ForwardRequest and submit it.
+   * @param {object} body - { request, signature }.
+   * @returns {Promise<object>} { status, body: { transactionHash, blockNumber, from, identity, nonce, gasUsed, quota } }.
+   */
+  async function relay(body) {
+    let request;
+    try {
+      request = parseForwardRequest(body && body.request);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+    const { signature } = body;
+    if (!ethers.isHexString(signature, 65)) {
+      throw httpError(400, '"signature" must be a 65-byte hex signature');
+    }
+
+    const { targets, forwarderAddress, domain } = await getSetup();
+    if (!(await registry.isTrustedForwarder(forwarderAddress))) {
+      throw httpError(503, `The DIDRegistry does not trust this relayer's forwarder (${forwarderAddress})`);
+    }
+
+    const target = targets.get(request.to.toLowerCase());
+    if (!target) {
+      throw httpError(403, `Not a relayed contract: ${request.to}`);
+    }
+    const fn = target.selectors.get(request.data.slice(0, 10).toLowerCase());
+    if (!fn) {
+      throw httpError(403, `Function not relayed on ${target.name}: ${request.data.slice(0, 10)}`);
+    }
+    if (request.value !== 0n) {
+      throw httpError(400, 'Relayed requests cannot send value');
+    }
+    if (request.gas > BigInt(maxGas)) {
+      throw httpError(400, `Request gas ${request.gas} exceeds the relayer's limit of ${maxGas}`);
+    }
+    const { timestamp } = await provider.getBlock('latest');
+    if (request.deadline !== 0n && request.deadline < BigInt(timestamp)) {
+      throw httpError(400, 'Request expired');
+    }
+
+    if (recoverForwardRequestSigner(request, signature, domain) !== request.from) {
+      throw httpError(401, 'Signature does not match the request');
+    }
+
+    const expectedNonce = await forwarder.nonces(request.from);
+    const identity = await quotaKey(request.from);
+    const pendingKey = `${request.from.toLowerCase()}:${request.nonce}`;
+    if (request.nonce !== expectedNonce) {
+      throw httpError(409, request.nonce < expectedNonce
+        ? `Nonce ${request.nonce} already used; next nonce is ${expectedNonce}`
+        : `Nonce ${request.nonce} is ahead of the next nonce ${expectedNonce}`);
+    }
+    if (pending.has(pendingKey)) {
+      throw httpError(409, `Request with nonce ${request.nonce} is already being relayed`);
+    }
+    const recent = recentUsage(identity);
+    if (recent.length >= quota.limit) {
+      throw httpError(429, `Quota of ${quota.limit} relayed requests per ${quota.windowSeconds}s used up for ${identity}; `
+        + `try again after ${new Date(recent[0] + windowMs).toISOString()}`);
+    }
+
+    // Reserve the nonce and a quota slot before awaiting anything, so a copy of this request
+    // arriving meanwhile is turned away above instead of being submitted (and paid for) twice
+    const reservedAt = clock();
+    recent.push(reservedAt);
+    pending.add(pendingKey);
+
+    try {
+      try {
+        await forwarder.execute.staticCall(request, signature);
+      } catch (error) {
+        throw httpError(422, `${target.name}.${fn} would revert: ${error.reason || error.shortMessage || error.message}`);
+      }
+
+      // One submission at a time keeps the relayer's own nonces in order
+      const submission = submissions.then(async () => {
+        const tx = await forwarder.execute(request, signature);
+        return { tx, receipt: await tx.wait() };
+      });
+      submissions = submission.catch(() => {});
+
+      const { tx, receipt } = await submission;
+      return {
+        status: 200,
+        body: {
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          from: request.from,
+          identity,
+          function: `${target.name}.${fn}`,
+          nonce: request.nonce.toString(),
+          gasUsed: receipt.gasUsed.toString(),
+          quota: quotaStatus(identity)
+        }
+      };
+    } catch (error) {
+      // Requests that are not relayed do not count against the quota
+      const reserved = usage.get(identity.toLowerCase()) || [];
+      const index = reserved.indexOf(reservedAt);
+      if (index !== -1) reserved.splice(index, 1);
+      throw error;
+    } finally {
+      pending.delete(pendingKey);
+    }
+  }
+
+  const ROUTES = [
+    { method: 'GET', pattern: /^\/config$/, handler: () => getConfig() },
+    { method: 'GET', pattern: /^\/nonces\/([^/]+)$/, handler: (match) => getNonce(match[1]) },
+    { method: 'GET', pattern: /^\/quotas\/([^/]+)$/, handler: (match) => getQuota(match[1]) },
+    { method: 'POST', pattern: /^\/relay$/, handler: (match, body) => relay(body) }
+  ];
+
+  /**
+   * Route a request.
+   * @param {string} method - The HTTP method.
+   * @param {string} url - The request path.
+   * @param {*} [body] - The parsed JSON body.
+   * @returns {Promise<object>} { status, body }.
+   */
+  async function handle(method, url, body) {
+    const path = url.split('?')[0].replace(/\/+$/, '') || '/';
+    const matching = ROUTES.filter((route) => route.pattern.test(path));
+    if (matching.length === 0) {
+      return { status: 404, body: { error: `No such endpoint: ${path}` } };
+    }
+    const route = matching.find((candidate) => candidate.method === method);
+    if (!route) {
+      return { status: 405, body: { error: `Method ${method} not allowed on ${path}` } };
+    }
+
+    try {
+      return await route.handler(path.match(route.pattern), body);
+    } catch (error) {
+      if (error.status) {
+        return { status: error.status, body: { error: error.message } };
+      }
+      return { status: 502, body: { error: `Relaying failed: ${error.shortMessage || error.message}` } };
+    }
+  }
+
+  return { handle, relay, getNonce, getQuota, getConfig };
+}
+
+/**
+ * Create an HTTP server for a relayer (JSON bodies, as for the verification service).
+ * @param {object} relayer - From createRelayer.
+ * @returns {http.Server} The server (call listen on it).
+ */
+export function createRelayerServer(relayer) {
+  return createVerificationServer(relayer);
+}
+
+export default {
+  DEFAULT_PORT,
+  DEFAULT_QUOTA,
+  DEFAULT_MAX_GAS,
+  DEFAULT_FUNCTIONS,
+  createRelayer,
+  createRelayerServer
+};
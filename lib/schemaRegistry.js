@@ -0,0 +1,210 @@
+/**
+ * Schema Registry Module
+ * Publishes JSON Schema documents for credential types to storage and registers them
+ * on-chain (CredentialStatus.registerSchema) by ID and version per issuer, and checks
+ * credential data against them before issuance.
+ *
+ * A credential references a registered schema with the schema name "<id>@<version>"
+ * (e.g. "bachelor-degree@1.0;c14n=jcs;commitment=salted"); CredentialStatus rejects
+ * such a credential unless its issuer registered that version. Names without '@'
+ * (e.g. "university-credential-v1") are free-form and are not validated.
+ *
+ * The on-chain record holds the document's URI and the keccak256 of its canonical JSON,
+ * so a document fetched from anywhere can be checked against what the issuer registered.
+ */
+
+import { ethers } from 'ethers';
+import { canonicalize } from './canonicalJson.js';
+import { credentialTypeHash } from './credentialTypes.js';
+import { checkSchemaDocument, validateAgainstSchema, formatValidationErrors } from './jsonSchema.js';
+
+export const IPFS_URI_PREFIX = 'ipfs://';
+
+// ID and version of a schema reference: no '@' or ';' (they delimit the on-chain schema string)
+const SCHEMA_PART = /^[^@;\s]+$/;
+
+/**
+ * Build the schema name a credential uses to reference a registered schema.
+ * @param {string} id - The schema ID (e.g. "bachelor-degree").
+ * @param {string} version - The version (e.g. "1.0").
+ * @returns {string} "<id>@<version>".
+ * @throws {Error} If the ID or version is empty or contains '@', ';' or whitespace.
+ */
+export function formatSchemaReference(id, version) {
+  if (!SCHEMA_PART.test(id || '')) {
+    throw new Error(`Invalid schema ID "${id}": it must be non-empty, without '@', ';' or spaces`);
+  }
+  if (!SCHEMA_PART.test(version || '')) {
+    throw new Error(`Invalid schema version "${version}": it must be non-empty, without '@', ';' or spaces`);
+  }
+  return `${id}@${version}`;
+}
+
+/**
+ * Parse a schema reference from a schema name or on-chain schema string.
+ * @param {string} schema - e.g. "bachelor-degree@1.0" or "bachelor-degree@1.0;c14n=jcs".
+ * @returns {object|null} { id, version, reference }, or null for a free-form name without '@'.
+ * @throws {Error} If the name contains '@' but is not a valid "<id>@<version>".
+ */
+export function parseSchemaReference(schema) {
+  const name = String(schema).split(';')[0];
+  if (!name.includes('@')) {
+    return null;
+  }
+  const [id, version, ...rest] = name.split('@');
+  if (rest.length > 0) {
+    throw new Error(`Invalid schema reference "${name}": expected <id>@<version>`);
+  }
+  return { id, version, reference: formatSchemaReference(id, version) };
+}
+
+/**
+ * The key a schema is registered under: keccak256("<id>@<version>"), which is also
+ * CredentialStatus.credentialTypeOf of a schema string referencing it.
+ * @param {string} reference - "<id>@<version>" (schema markers after ';' are ignored).
+ * @returns {string} The bytes32 schema key.
+ */
+export function schemaKey(reference) {
+  return credentialTypeHash(reference);
+}
+
+/**
+ * Hash of a schema document as registered on-chain: keccak256 of its canonical JSON.
+ * @param {object} document - The JSON Schema document.
+ * @returns {string} The bytes32 document hash.
+ */
+export function hashSchemaDocument(document) {
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalize(document)));
+}
+
+/**
+ * Readable form of a CredentialStatus.SchemaRecord returned by getSchema.
+ * @param {object} record - The on-chain record.
+ * @returns {object|null} { id, version, reference, uri, documentHash, registeredAt (ISO) }, or null if not registered.
+ */
+export function formatSchemaRecord(record) {
+  if (record.registeredAt === 0n) {
+    return null;
+  }
+  return {
+    id: record.id,
+    version: record.version,
+    reference: `${record.id}@${record.version}`,
+    uri: record.uri,
+    documentHash: record.documentHash,
+    registeredAt: new Date(Number(record.registeredAt) * 1000).toISOString()
+  };
+}
+
+/**
+ * Publish a JSON Schema document to storage and register it for the signer's University.
+ * @param {object} params
+ * @param {object} params.credentials - CredentialStatus contract instance connected to the University's signer.
+ * @param {object} params.storage - Storage adapter (see storage/index.js) to publish the document to.
+ * @param {string} params.id - The schema ID.
+ * @param {string} params.version - The version.
+ * @param {object} params.document - The JSON Schema document (see jsonSchema.checkSchemaDocument).
+ * @returns {Promise<object>} { id, version, reference, schemaKey, uri, documentHash, transactionHash }.
+ */
+export async function publishSchema({ credentials, storage, id, version, document }) {
+  const reference = formatSchemaReference(id, version);
+  checkSchemaDocument(document);
+
+  const cid = await storage.add(canonicalize(document));
+  const uri = `${IPFS_URI_PREFIX}${cid}`;
+  const documentHash = hashSchemaDocument(document);
+  const tx = await credentials.registerSchema(id, version, uri, documentHash);
+  await tx.wait();
+
+  return { id, version, reference, schemaKey: schemaKey(reference), uri, documentHash, transactionHash: tx.hash };
+}
+
+/**
+ * Look up a schema version registered by an issuer.
+ * @param {object} params
+ * @param {object} params.credentials - CredentialStatus contract instance (a provider runner is enough).
+ * @param {string} params.issuer - The University identity.
+ * @param {string} params.reference - "<id>@<version>".
+ * @returns {Promise<object|null>} See formatSchemaRecord.
+ */
+export async function getRegisteredSchema({ credentials, issuer, reference }) {
+  return formatSchemaRecord(await credentials.getSchema(issuer, schemaKey(reference)));
+}
+
+// Read a schema document from its URI: ipfs:// from the storage adapter, http(s):// with fetch
+async function readSchemaDocument(uri, storage) {
+  if (uri.startsWith(IPFS_URI_PREFIX)) {
+    if (!storage) {
+      throw new Error(`A storage adapter is needed to read ${uri}`);
+    }
+    return new TextDecoder().decode(await storage.cat(uri.slice(IPFS_URI_PREFIX.length)));
+  }
+  if (/^https?:\/\//.test(uri)) {
+    const response = await fetch(uri);
+    if (!response.ok) {
+      throw new Error(`Fetching ${uri} failed with HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+  throw new Error(`Unsupported schema URI: ${uri}`);
+}
+
+/**
+ * Fetch a registered schema document and check it against its on-chain hash.
+ * @param {object} params
+ * @param {object} params.credentials - CredentialStatus contract instance (a provider runner is enough).
+ * @param {object} [params.storage] - Storage adapter holding ipfs:// documents.
+ * @param {string} params.issuer - The University identity.
+ * @param {string} params.reference - "<id>@<version>".
+ * @returns {Promise<object>} The formatSchemaRecord fields plus document.
+ * @throws {Error} If the issuer has not registered the schema, or the document does not match its hash.
+ */
+export async function fetchSchema({ credentials, storage, issuer, reference }) {
+  const record = await getRegisteredSchema({ credentials, issuer, reference });
+  if (!record) {
+    throw new Error(`Schema ${reference} is not registered by ${issuer}`);
+  }
+
+  let document;
+  try {
+    document = JSON.parse(await readSchemaDocument(record.uri, storage));
+  } catch (error) {
+    throw new Error(`Cannot read schema ${reference} from ${record.uri}: ${error.message}`);
+  }
+  if (hashSchemaDocument(document) !== record.documentHash) {
+    throw new Error(`Schema ${reference} at ${record.uri} does not match its registered document hash`);
+  }
+  return { ...record, document };
+}
+
+/**
+ * Validate credential claims against a schema document, throwing with every failing field.
+ * @param {object} document - The JSON Schema document.
+ * @param {*} credentialData - The claims (object or JSON string).
+ * @param {string} [reference] - The schema reference, for the error message.
+ * @returns {object} The parsed claims.
+ * @throws {Error} With error.errors = [{ field, keyword, message }] if the claims do not match.
+ */
+export function assertValidCredentialData(document, credentialData, reference = 'the schema') {
+  const data = typeof credentialData === 'string' ? JSON.parse(credentialData) : credentialData;
+  const { valid, errors } = validateAgainstSchema(document, data);
+  if (!valid) {
+    const error = new Error(`Credential does not match ${reference}:\n  ${formatValidationErrors(errors).join('\n  ')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return data;
+}
+
+export default {
+  IPFS_URI_PREFIX,
+  formatSchemaReference,
+  parseSchemaReference,
+  schemaKey,
+  hashSchemaDocument,
+  formatSchemaRecord,
+  publishSchema,
+  getRegisteredSchema,
+  fetchSchema,
+  assertValidCredentialData
+};
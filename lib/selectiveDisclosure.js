@@ -0,0 +1,114 @@
+/**
+ * Selective Disclosure Module
+ * Commits to each credential field as a salted Merkle leaf, so a Student can prove
+ * some fields (e.g. the degree) without revealing others (e.g. the GPA).
+ *
+ * Leaf for a field:  keccak256(keccak256(abi.encode(bytes32 salt, string name, string value)))
+ * where value is the field's canonical JSON. The Merkle root is anchored on-chain as the
+ * credentialHash, with the ";c14n=jcs;commitment=merkle" schema marker.
+ *
+ * The holder must keep the claims and their salts: they are needed to build any disclosure.
+ */
+
+import { ethers } from 'ethers';
+import { canonicalize, HashMethod } from './canonicalJson.js';
+import { encodeCredentialSchema } from './cryptoHelper.js';
+import { buildMerkleTree, getMerkleProof, verifyMerkleProof } from './merkle.js';
+
+/**
+ * Compute the Merkle leaf for one disclosed field.
+ * @param {object} field - { name, value, salt } where value is the field's canonical JSON string.
+ * @returns {string} The leaf hash.
+ */
+export function hashField({ name, value, salt }) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(['bytes32', 'string', 'string'], [salt, name, value]);
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+/**
+ * Build the salted Merkle tree for a credential.
+ * @param {object} claims - The credential claims (e.g. { degree, university, year, gpa }).
+ * @param {object} [salts] - Existing salts by field name; missing ones are generated randomly.
+ * @returns {object} { root, fields, salts, tree } where fields are sorted by name.
+ */
+export function buildCredentialTree(claims, salts = {}) {
+  if (!claims || typeof claims !== 'object' || Array.isArray(claims)) {
+    throw new Error('Credential claims must be an object');
+  }
+  const names = Object.keys(claims).filter((name) => claims[name] !== undefined).sort();
+  if (names.length === 0) {
+    throw new Error('Credential claims must have at least one field');
+  }
+
+  const fieldSalts = {};
+  const fields = names.map((name) => {
+    fieldSalts[name] = salts[name] || ethers.hexlify(ethers.randomBytes(32));
+    const field = { name, value: canonicalize(claims[name]), salt: fieldSalts[name] };
+    return { ...field, leaf: hashField(field) };
+  });
+
+  const tree = buildMerkleTree(fields.map((field) => field.leaf));
+  return { root: tree.root, fields, salts: fieldSalts, tree };
+}
+
+/**
+ * Schema bytes for a Merkle-committed credential (pass to issueCredential).
+ * @param {string} schemaName - The schema name (e.g. "university-credential-v1").
+ * @returns {Uint8Array} The schema bytes.
+ */
+export function encodeMerkleSchema(schemaName) {
+  return encodeCredentialSchema(schemaName, HashMethod.MERKLE);
+}
+
+/**
+ * Create a disclosure of selected fields.
+ * @param {object} credentialTree - A tree from buildCredentialTree.
+ * @param {string[]} fieldNames - The fields to reveal.
+ * @returns {object} { credentialHash, fields: [{ name, value, salt, proof }] }.
+ */
+export function createDisclosure(credentialTree, fieldNames) {
+  const fields = fieldNames.map((name) => {
+    const index = credentialTree.fields.findIndex((field) => field.name === name);
+    if (index === -1) {
+      throw new Error(`Field not in credential: ${name}`);
+    }
+    const { value, salt } = credentialTree.fields[index];
+    return { name, value, salt, proof: getMerkleProof(credentialTree.tree, index) };
+  });
+
+  return { credentialHash: credentialTree.root, fields };
+}
+
+/**
+ * Verify a disclosure off-chain against its credential hash.
+ * On-chain status is not checked; use CredentialStatus.verifyDisclosedField or isCredentialValid.
+ * @param {object} disclosure - A disclosure from createDisclosure.
+ * @returns {object} { isValid, claims, invalidFields } where claims are the revealed values.
+ */
+export function verifyDisclosure(disclosure) {
+  const claims = {};
+  const invalidFields = [];
+
+  for (const field of disclosure.fields) {
+    const included = verifyMerkleProof(hashField(field), field.proof, disclosure.credentialHash);
+    if (included) {
+      claims[field.name] = JSON.parse(field.value);
+    } else {
+      invalidFields.push(field.name);
+    }
+  }
+
+  return {
+    isValid: disclosure.fields.length > 0 && invalidFields.length === 0,
+    claims,
+    invalidFields
+  };
+}
+
+export default {
+  hashField,
+  buildCredentialTree,
+  encodeMerkleSchema,
+  createDisclosure,
+  verifyDisclosure
+};
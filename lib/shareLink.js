@@ -0,0 +1,426 @@
+/**
+ * Share Link Module
+ * Packs what a verifier needs to check a credential into a compact, versioned, URL-safe
+ * payload, for links and QR codes (see qrCode.js):
+ *
+ *   https://verify.example.edu/verify.html#<payload>
+ *
+ * The payload is in the URL fragment, which browsers never send to a server, so disclosed
+ * claims and salts only reach the verifier's own page.
+ *
+ * Payload (version 1), base64url without padding:
+ *   version (1 byte) | flags (1 byte) | chainId (varint) | CredentialStatus address (20 bytes)
+ *   | credentialHash (32 bytes)
+ *   | [cid]        tag 0 + CIDv0 multihash (34 bytes), or tag 1 + length (varint) + UTF-8
+ *   | [claims]     length (varint) + canonical JSON
+ *   | [salt]       32 bytes
+ *   | [disclosure] count (varint), then per field: name and value (length + UTF-8), salt (32 bytes),
+ *                 proof length (varint) + 32-byte hashes
+ *   | checksum     first 4 bytes of keccak256 of everything before it
+ *
+ * claims (with a salt for salted credentials) reveal a whole credential; disclosure carries
+ * selected fields of a Merkle-committed one (see selectiveDisclosure.js).
+ */
+
+import { ethers } from 'ethers';
+import { canonicalize, HashMethod, parseCredentialSchema } from './canonicalJson.js';
+import { hashCredential } from './cryptoHelper.js';
+import { stateName, formatValidity } from './credentialTypes.js';
+import { verifyDisclosure } from './selectiveDisclosure.js';
+
+export const SHARE_PAYLOAD_VERSION = 1;
+
+const FLAG_CID = 1;
+const FLAG_CLAIMS = 2;
+const FLAG_SALT = 4;
+const FLAG_DISCLOSURE = 8;
+const KNOWN_FLAGS = FLAG_CID | FLAG_CLAIMS | FLAG_SALT | FLAG_DISCLOSURE;
+
+const CID_TAG_V0 = 0;
+const CID_TAG_TEXT = 1;
+const CIDV0_PATTERN = /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/;
+const CIDV0_LENGTH = 34;
+const CHECKSUM_LENGTH = 4;
+
+const STATE_NONE = 0;
+const STATE_VALID = 1;
+const ROLE_UNIVERSITY = 2;
+
+function invalidPayload(message) {
+  return new Error(`Invalid share payload: ${message}`);
+}
+
+function toBase64Url(bytes) {
+  return ethers.encodeBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]+$/.test(text)) {
+    throw invalidPayload('not base64url');
+  }
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return ethers.getBytes(ethers.decodeBase64(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')));
+}
+
+function checksum(bytes) {
+  return ethers.getBytes(ethers.keccak256(bytes)).slice(0, CHECKSUM_LENGTH);
+}
+
+function createWriter() {
+  const chunks = [];
+  const writer = {
+    byte: (value) => chunks.push(Uint8Array.of(value)),
+    bytes: (value) => chunks.push(ethers.getBytes(value)),
+    varint: (value) => {
+      let remaining = BigInt(value);
+      do {
+        const low = Number(remaining & 0x7fn);
+        remaining >>= 7n;
+        writer.byte(remaining > 0n ? low | 0x80 : low);
+      } while (remaining > 0n);
+    },
+    string: (value) => {
+      const encoded = ethers.toUtf8Bytes(value);
+      writer.varint(encoded.length);
+      chunks.push(encoded);
+    },
+    toBytes: () => ethers.getBytes(ethers.concat(chunks))
+  };
+  return writer;
+}
+
+function createReader(bytes) {
+  let offset = 0;
+  const take = (length) => {
+    if (offset + length > bytes.length) {
+      throw invalidPayload('truncated');
+    }
+    const slice = bytes.slice(offset, offset + length);
+    offset += length;
+    return slice;
+  };
+  const reader = {
+    byte: () => take(1)[0],
+    bytes: (length) => take(length),
+    varint: () => {
+      let value = 0n;
+      for (let shift = 0n; ; shift += 7n) {
+        if (shift > 63n) {
+          throw invalidPayload('varint too long');
+        }
+        const byte = reader.byte();
+        value |= BigInt(byte & 0x7f) << shift;
+        if ((byte & 0x80) === 0) {
+          return value;
+        }
+      }
+    },
+    length: () => {
+      const value = reader.varint();
+      if (value > BigInt(bytes.length)) {
+        throw invalidPayload('truncated');
+      }
+      return Number(value);
+    },
+    string: () => ethers.toUtf8String(take(reader.length())),
+    done: () => offset === bytes.length
+  };
+  return reader;
+}
+
+function encodeCid(writer, cid) {
+  if (CIDV0_PATTERN.test(cid)) {
+    const multihash = ethers.zeroPadValue(ethers.toBeArray(ethers.decodeBase58(cid)), CIDV0_LENGTH);
+    if (ethers.encodeBase58(multihash) === cid) {
+      writer.byte(CID_TAG_V0);
+      writer.bytes(multihash);
+      return;
+    }
+  }
+  writer.byte(CID_TAG_TEXT);
+  writer.string(cid);
+}
+
+function decodeCid(reader) {
+  const tag = reader.byte();
+  if (tag === CID_TAG_V0) {
+    return ethers.encodeBase58(reader.bytes(CIDV0_LENGTH));
+  }
+  if (tag === CID_TAG_TEXT) {
+    return reader.string();
+  }
+  throw invalidPayload(`unknown CID encoding ${tag}`);
+}
+
+function requireBytes32(value, name) {
+  if (!ethers.isHexString(value, 32)) {
+    throw new Error(`Share payload "${name}" must be 32-byte hex`);
+  }
+  return value.toLowerCase();
+}
+
+/**
+ * Encode a share payload.
+ * @param {object} payload
+ * @param {number|bigint} payload.chainId - Chain the credential was issued on.
+ * @param {string} payload.credentialStatus - CredentialStatus contract address.
+ * @param {string} payload.credentialHash - The on-chain credential hash.
+ * @param {string} [payload.cid] - Storage CID of the credential blob.
+ * @param {object|string} [payload.claims] - The credential data (stored as canonical JSON).
+ * @param {string} [payload.salt] - The holder's 32-byte salt, for salted credentials.
+ * @param {object[]} [payload.disclosure] - Disclosed fields of a Merkle-committed credential
+ *   ({ name, value, salt, proof } from selectiveDisclosure.createDisclosure).
+ * @returns {string} The base64url payload.
+ * @throws {Error} On malformed fields, or claims together with a disclosure.
+ */
+export function encodeSharePayload({ chainId, credentialStatus, credentialHash, cid, claims, salt, disclosure }) {
+  if (!ethers.isAddress(credentialStatus)) {
+    throw new Error(`Share payload "credentialStatus" must be an address: ${credentialStatus}`);
+  }
+  if (claims !== undefined && disclosure !== undefined) {
+    throw new Error('A share payload carries either whole claims or a disclosure, not both');
+  }
+
+  let flags = 0;
+  if (cid) flags |= FLAG_CID;
+  if (claims !== undefined) flags |= FLAG_CLAIMS;
+  if (salt) flags |= FLAG_SALT;
+  if (disclosure !== undefined) flags |= FLAG_DISCLOSURE;
+
+  const writer = createWriter();
+  writer.byte(SHARE_PAYLOAD_VERSION);
+  writer.byte(flags);
+  writer.varint(chainId);
+  writer.bytes(ethers.getAddress(credentialStatus));
+  writer.bytes(requireBytes32(credentialHash, 'credentialHash'));
+  if (flags & FLAG_CID) {
+    encodeCid(writer, cid);
+  }
+  if (flags & FLAG_CLAIMS) {
+    writer.string(canonicalize(typeof claims === 'string' ? JSON.parse(claims) : claims));
+  }
+  if (flags & FLAG_SALT) {
+    writer.bytes(requireBytes32(salt, 'salt'));
+  }
+  if (flags & FLAG_DISCLOSURE) {
+    writer.varint(disclosure.length);
+    for (const field of disclosure) {
+      writer.string(field.name);
+      writer.string(field.value);
+      writer.bytes(requireBytes32(field.salt, 'disclosure salt'));
+      writer.varint(field.proof.length);
+      field.proof.forEach((hash) => writer.bytes(requireBytes32(hash, 'disclosure proof')));
+    }
+  }
+
+  const body = writer.toBytes();
+  return toBase64Url(ethers.concat([body, checksum(body)]));
+}
+
+/**
+ * Decode a share payload.
+ * @param {string} text - The base64url payload.
+ * @returns {object} { version, chainId (bigint), credentialStatus, credentialHash } plus cid, claims (parsed),
+ *   salt and disclosure when present.
+ * @throws {Error} If the payload is malformed, truncated, of an unknown version or fails its checksum.
+ */
+export function decodeSharePayload(text) {
+  const bytes = fromBase64Url(String(text).trim());
+  if (bytes.length < CHECKSUM_LENGTH + 2) {
+    throw invalidPayload('truncated');
+  }
+  const body = bytes.slice(0, bytes.length - CHECKSUM_LENGTH);
+  if (ethers.hexlify(checksum(body)) !== ethers.hexlify(bytes.slice(bytes.length - CHECKSUM_LENGTH))) {
+    throw invalidPayload('checksum mismatch (the link is incomplete or was altered)');
+  }
+
+  const reader = createReader(body);
+  const version = reader.byte();
+  if (version !== SHARE_PAYLOAD_VERSION) {
+    throw invalidPayload(`unsupported version ${version}`);
+  }
+  const flags = reader.byte();
+  if (flags & ~KNOWN_FLAGS) {
+    throw invalidPayload(`unknown flags 0x${flags.toString(16)}`);
+  }
+
+  const payload = {
+    version,
+    chainId: reader.varint(),
+    credentialStatus: ethers.getAddress(ethers.hexlify(reader.bytes(20))),
+    credentialHash: ethers.hexlify(reader.bytes(32))
+  };
+  if (flags & FLAG_CID) {
+    payload.cid = decodeCid(reader);
+  }
+  if (flags & FLAG_CLAIMS) {
+    try {
+      payload.claims = JSON.parse(reader.string());
+    } catch (error) {
+      throw invalidPayload(`claims are not JSON (${error.message})`);
+    }
+  }
+  if (flags & FLAG_SALT) {
+    payload.salt = ethers.hexlify(reader.bytes(32));
+  }
+  if (flags & FLAG_DISCLOSURE) {
+    const count = reader.length();
+    payload.disclosure = [];
+    for (let i = 0; i < count; i++) {
+      const name = reader.string();
+      const value = reader.string();
+      const salt = ethers.hexlify(reader.bytes(32));
+      const proofLength = reader.length();
+      const proof = [];
+      for (let j = 0; j < proofLength; j++) {
+        proof.push(ethers.hexlify(reader.bytes(32)));
+      }
+      payload.disclosure.push({ name, value, salt, proof });
+    }
+  }
+  if (!reader.done()) {
+    throw invalidPayload('unexpected trailing data');
+  }
+  return payload;
+}
+
+/**
+ * Build a verification link for a payload.
+ * @param {object|string} payload - A payload object (see encodeSharePayload) or an encoded payload.
+ * @param {string} baseUrl - The verifier page, e.g. "https://verify.example.edu/verify.html".
+ * @returns {string} The link, with the payload as its fragment.
+ */
+export function createShareLink(payload, baseUrl) {
+  const encoded = typeof payload === 'string' ? payload : encodeSharePayload(payload);
+  return `${baseUrl.split('#')[0]}#${encoded}`;
+}
+
+/**
+ * Decode a verification link, or a bare payload (e.g. scanned from a QR code).
+ * @param {string} linkOrPayload - The link or payload.
+ * @returns {object} The decoded payload (see decodeSharePayload).
+ */
+export function parseShareLink(linkOrPayload) {
+  const text = String(linkOrPayload).trim();
+  const hashIndex = text.indexOf('#');
+  return decodeSharePayload(hashIndex === -1 ? text : text.slice(hashIndex + 1));
+}
+
+/**
+ * Verify a shared credential against the chain: the payload's chain and contract, the on-chain
+ * record, the disclosed data against the credential hash, and the issuer's accreditation.
+ * Only view calls are made, so this runs in a browser with a read-only provider.
+ * @param {object} payload - A decoded payload.
+ * @param {object} contracts
+ * @param {object} contracts.credentials - CredentialStatus contract instance (a provider runner is enough).
+ * @param {object} contracts.registry - DIDRegistry contract instance.
+ * @returns {Promise<object>} { isValid, credentialHash, method, issuer, holder, state, validUntil, claims,
+ *   checks: { chainMatches, found, cidMatches, dataValid, onChainValid, issuerRegistered, issuerAccreditedAtIssue,
+ *   issuerAccredited }, reasons }. cidMatches and dataValid are null when the payload has no CID or no data.
+ */
+export async function verifySharedCredential(payload, { credentials, registry }) {
+  const report = {
+    isValid: false,
+    credentialHash: payload.credentialHash,
+    method: null,
+    issuer: null,
+    holder: null,
+    state: null,
+    validUntil: null,
+    claims: null,
+    checks: {
+      chainMatches: false,
+      found: false,
+      cidMatches: null,
+      dataValid: null,
+      onChainValid: false,
+      issuerRegistered: false,
+      issuerAccreditedAtIssue: false,
+      issuerAccredited: false
+    },
+    reasons: []
+  };
+
+  // A credential hash only means something on the chain and contract it was issued on
+  const provider = credentials.runner.provider || credentials.runner;
+  const chainId = (await provider.getNetwork()).chainId;
+  const address = await credentials.getAddress();
+  report.checks.chainMatches = chainId === BigInt(payload.chainId)
+    && address.toLowerCase() === payload.credentialStatus.toLowerCase();
+  if (!report.checks.chainMatches) {
+    report.reasons.push(`Link is for CredentialStatus ${payload.credentialStatus} on chain ${payload.chainId}, `
+      + `not ${address} on chain ${chainId}`);
+    return report;
+  }
+
+  const metadata = await credentials.getCredentialMetadata(payload.credentialHash);
+  if (Number(metadata.state) === STATE_NONE) {
+    report.reasons.push('Credential not found on-chain');
+    return report;
+  }
+  report.checks.found = true;
+  report.issuer = metadata.issuer;
+  report.holder = metadata.holder;
+  report.state = stateName(metadata.state);
+  report.validUntil = formatValidity(metadata).validUntil;
+  report.method = parseCredentialSchema(ethers.toUtf8String(metadata.credentialSchema)).method;
+
+  if (payload.cid !== undefined) {
+    report.checks.cidMatches = payload.cid === metadata.ipfsHash;
+    if (!report.checks.cidMatches) report.reasons.push('Storage CID does not match the on-chain record');
+  }
+
+  if (payload.disclosure !== undefined) {
+    if (report.method !== HashMethod.MERKLE) {
+      report.checks.dataValid = false;
+      report.reasons.push('Disclosed fields were shared for a credential that is not Merkle-committed');
+    } else {
+      const disclosure = verifyDisclosure({ credentialHash: metadata.credentialHash, fields: payload.disclosure });
+      report.checks.dataValid = disclosure.isValid;
+      report.claims = disclosure.claims;
+      if (disclosure.invalidFields.length > 0) {
+        report.reasons.push(`Disclosed fields not in the credential: ${disclosure.invalidFields.join(', ')}`);
+      }
+    }
+  } else if (payload.claims !== undefined) {
+    report.claims = payload.claims;
+    if (report.method === HashMethod.MERKLE) {
+      report.checks.dataValid = false;
+      report.reasons.push('Merkle-committed credential: share disclosed fields instead of whole claims');
+    } else if (report.method === HashMethod.SALTED && !payload.salt) {
+      report.checks.dataValid = false;
+      report.reasons.push('Salted credential: the link does not include the holder\'s salt');
+    } else {
+      report.checks.dataValid = hashCredential(payload.claims, report.method, payload.salt) === metadata.credentialHash;
+      if (!report.checks.dataValid) report.reasons.push('Credential data hash does not match on-chain hash');
+    }
+  }
+
+  report.checks.onChainValid = Number(metadata.state) === STATE_VALID;
+  if (!report.checks.onChainValid) {
+    report.reasons.push(`Credential is ${report.state}`);
+  }
+
+  report.checks.issuerRegistered = await registry.hasRole(metadata.issuer, ROLE_UNIVERSITY);
+  if (!report.checks.issuerRegistered) {
+    report.reasons.push('Issuer is not a registered University');
+  }
+  report.checks.issuerAccreditedAtIssue = await registry.wasAccreditedAt(metadata.issuer, metadata.issueDate);
+  report.checks.issuerAccredited = await registry.isAccredited(metadata.issuer);
+  if (!report.checks.issuerAccreditedAtIssue) {
+    report.reasons.push('Issuer was not an accredited University when the credential was issued');
+  }
+
+  const { cidMatches, dataValid, onChainValid, issuerRegistered, issuerAccreditedAtIssue } = report.checks;
+  report.isValid = cidMatches !== false && dataValid !== false && onChainValid && issuerRegistered && issuerAccreditedAtIssue;
+  return report;
+}
+
+export default {
+  SHARE_PAYLOAD_VERSION,
+  encodeSharePayload,
+  decodeSharePayload,
+  createShareLink,
+  parseShareLink,
+  verifySharedCredential
+};
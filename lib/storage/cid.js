@@ -0,0 +1,82 @@
+/**
+ * Content Identifier Module
+ * Computes IPFS CIDs locally, without talking to an IPFS node.
+ */
+
+import { importer } from 'ipfs-unixfs-importer';
+import { CID } from 'multiformats/cid';
+
+// Blockstore that discards blocks: we only want the root CID, not the DAG itself
+const nullBlockstore = {
+  async put(cid) {
+    return cid;
+  },
+  async has() {
+    return false;
+  }
+};
+
+/**
+ * Convert credential content to raw bytes.
+ * @param {string|Uint8Array|object} content - The content to convert.
+ * @returns {Uint8Array} The UTF-8 encoded bytes.
+ */
+export function toBytes(content) {
+  if (content instanceof Uint8Array) {
+    return content;
+  }
+
+  const dataString = typeof content === 'string'
+    ? content
+    : JSON.stringify(content);
+
+  return new TextEncoder().encode(dataString);
+}
+
+/**
+ * Compute the CID that `ipfs add` would return for the given content.
+ * Uses the same defaults as an IPFS node: UnixFS file, 256 KiB chunks, balanced DAG,
+ * and raw leaves only for CIDv1.
+ * @param {string|Uint8Array|object} content - The content to address.
+ * @param {object} [options]
+ * @param {number} [options.cidVersion=0] - 0 for Qm... CIDs, 1 for bafy.../bafk... CIDs.
+ * @returns {Promise<string>} The CID string.
+ */
+export async function computeCID(content, { cidVersion = 0 } = {}) {
+  if (cidVersion !== 0 && cidVersion !== 1) {
+    throw new Error(`Unsupported CID version: ${cidVersion}`);
+  }
+
+  const options = {
+    cidVersion,
+    rawLeaves: cidVersion === 1,
+    reduceSingleLeafToSelf: true
+  };
+
+  let root;
+  for await (const entry of importer([{ content: toBytes(content) }], nullBlockstore, options)) {
+    root = entry.cid;
+  }
+
+  return root.toString();
+}
+
+/**
+ * Parse and normalise a CID string.
+ * @param {string} cid - The CID string.
+ * @returns {CID} The parsed CID.
+ * @throws {Error} If the string is not a valid CID.
+ */
+export function parseCID(cid) {
+  try {
+    return CID.parse(cid);
+  } catch (error) {
+    throw new Error(`Invalid CID: ${cid}`);
+  }
+}
+
+export default {
+  toBytes,
+  computeCID,
+  parseCID
+};
@@ -0,0 +1,81 @@
+/**
+ * Filesystem Storage Adapter
+ * Content-addressed store that keeps one file per CID in a local directory.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { computeCID, parseCID, toBytes } from './cid.js';
+
+/**
+ * Create a filesystem storage adapter.
+ * @param {object} options
+ * @param {string} options.directory - Directory where blobs are written (created if missing).
+ * @param {number} [options.cidVersion=0] - CID version used for new content.
+ * @returns {object} Storage adapter { name, add, cat, has }.
+ */
+export function createFilesystemStorage({ directory, cidVersion = 0 } = {}) {
+  if (!directory) {
+    throw new Error('Filesystem storage requires a directory');
+  }
+
+  const blobPath = (cid) => path.join(directory, parseCID(cid).toString());
+
+  return {
+    name: 'filesystem',
+
+    /**
+     * Store content and return its CID.
+     * @param {string|Uint8Array|object} content - The content to store.
+     * @returns {Promise<string>} The CID.
+     */
+    async add(content) {
+      const bytes = toBytes(content);
+      const cid = await computeCID(bytes, { cidVersion });
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(blobPath(cid), bytes);
+      return cid;
+    },
+
+    /**
+     * Read content by CID. The bytes are re-hashed so a tampered file is rejected.
+     * @param {string} cid - The CID.
+     * @returns {Promise<Uint8Array>} The stored bytes.
+     */
+    async cat(cid) {
+      const parsed = parseCID(cid);
+      let bytes;
+      try {
+        bytes = new Uint8Array(await fs.readFile(blobPath(cid)));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`Content not found: ${cid}`);
+        }
+        throw error;
+      }
+
+      const actualCID = await computeCID(bytes, { cidVersion: parsed.version });
+      if (actualCID !== parsed.toString()) {
+        throw new Error(`Stored content does not match CID: ${cid}`);
+      }
+      return bytes;
+    },
+
+    /**
+     * Check whether content exists for a CID.
+     * @param {string} cid - The CID.
+     * @returns {Promise<boolean>} True if stored.
+     */
+    async has(cid) {
+      try {
+        await fs.access(blobPath(cid));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+  };
+}
+
+export default createFilesystemStorage;
@@ -0,0 +1,57 @@
+/**
+ * Storage Module
+ * Entry point for the pluggable credential storage backends.
+ *
+ * Every adapter exposes the same interface:
+ *   add(content) -> Promise<string CID>
+ *   cat(cid)     -> Promise<Uint8Array>
+ *   has(cid)     -> Promise<boolean>
+ *
+ * The local adapters compute the same CIDs an IPFS node would, so CIDs anchored
+ * on-chain stay valid when moving to a real node.
+ */
+
+import { createIPFSStorage, DEFAULT_IPFS_URL } from './ipfsStorage.js';
+import { createMemoryStorage } from './memoryStorage.js';
+import { createFilesystemStorage } from './filesystemStorage.js';
+import { computeCID, parseCID, toBytes } from './cid.js';
+
+/**
+ * Create a storage adapter from a config object.
+ * @param {object} config
+ * @param {string} config.type - 'ipfs', 'memory' or 'filesystem'.
+ * @param {string} [config.url] - IPFS HTTP API URL (type 'ipfs').
+ * @param {string} [config.directory] - Blob directory (type 'filesystem').
+ * @param {number} [config.cidVersion=0] - CID version for new content.
+ * @returns {object} The storage adapter.
+ */
+export function createStorage({ type, ...options } = {}) {
+  switch (type) {
+    case 'ipfs':
+      return createIPFSStorage(options);
+    case 'memory':
+      return createMemoryStorage(options);
+    case 'filesystem':
+      return createFilesystemStorage(options);
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+}
+
+export {
+  createIPFSStorage,
+  createMemoryStorage,
+  createFilesystemStorage,
+  computeCID,
+  parseCID,
+  toBytes,
+  DEFAULT_IPFS_URL
+};
+
+export default {
+  createStorage,
+  createIPFSStorage,
+  createMemoryStorage,
+  createFilesystemStorage,
+  computeCID
+};
@@ -0,0 +1,96 @@
+/**
+ * IPFS HTTP Storage Adapter
+ * Stores content on a real IPFS node through its HTTP RPC API.
+ */
+
+import { computeCID, parseCID, toBytes } from './cid.js';
+
+// Default endpoint (public gateway). For production, point this at your own node or pinning service.
+export const DEFAULT_IPFS_URL = 'https://ipfs.infura.io:5001/api/v0';
+
+/**
+ * Create an IPFS HTTP storage adapter.
+ * The client is created on first use, so merely selecting this adapter needs no network.
+ * @param {object} [options]
+ * @param {string} [options.url] - IPFS HTTP API URL (e.g. http://127.0.0.1:5001/api/v0).
+ * @param {number} [options.cidVersion=0] - CID version requested from the node.
+ * @param {object} [options.client] - An ipfs-http-client instance to use instead of one for url.
+ * @returns {object} Storage adapter { name, add, cat, has }.
+ */
+export function createIPFSStorage({ url = DEFAULT_IPFS_URL, cidVersion = 0, client = null } = {}) {
+  const getClient = async () => {
+    if (!client) {
+      const { create } = await import('ipfs-http-client');
+      client = create({ url });
+    }
+    return client;
+  };
+
+  return {
+    name: 'ipfs',
+    url,
+
+    /**
+     * Add content to IPFS and return its CID.
+     * @param {string|Uint8Array|object} content - The content to store.
+     * @returns {Promise<string>} The CID.
+     */
+    async add(content) {
+      const ipfs = await getClient();
+      const result = await ipfs.add(toBytes(content), {
+        cidVersion,
+        rawLeaves: cidVersion === 1
+      });
+      return result.cid.toString();
+    },
+
+    /**
+     * Read content from IPFS by CID. The bytes are re-hashed so a node (or gateway) returning
+     * other content is rejected. That needs the content to have been added with this adapter's
+     * import settings, as add() does.
+     * @param {string} cid - The CID.
+     * @returns {Promise<Uint8Array>} The content bytes.
+     */
+    async cat(cid) {
+      const parsed = parseCID(cid);
+      const ipfs = await getClient();
+      const chunks = [];
+      let length = 0;
+
+      for await (const chunk of ipfs.cat(cid)) {
+        chunks.push(chunk);
+        length += chunk.length;
+      }
+
+      const bytes = new Uint8Array(length);
+      let offset = 0;
+      for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+      }
+
+      const actualCID = await computeCID(bytes, { cidVersion: parsed.version });
+      if (actualCID !== parsed.toString()) {
+        throw new Error(`Content returned by the IPFS node does not match CID: ${cid}`);
+      }
+      return bytes;
+    },
+
+    /**
+     * Check whether the node can resolve a CID.
+     * @param {string} cid - The CID.
+     * @returns {Promise<boolean>} True if the block is available.
+     */
+    async has(cid) {
+      try {
+        const ipfs = await getClient();
+        await ipfs.block.stat(cid, { timeout: 5000 });
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+  };
+}
+
+export default createIPFSStorage;
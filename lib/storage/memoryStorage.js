@@ -0,0 +1,56 @@
+/**
+ * In-Memory Storage Adapter
+ * Content-addressed store kept in a Map. Useful for tests and offline demos.
+ */
+
+import { computeCID, parseCID, toBytes } from './cid.js';
+
+/**
+ * Create an in-memory storage adapter.
+ * @param {object} [options]
+ * @param {number} [options.cidVersion=0] - CID version used for new content.
+ * @returns {object} Storage adapter { name, add, cat, has }.
+ */
+export function createMemoryStorage({ cidVersion = 0 } = {}) {
+  const blobs = new Map();
+
+  return {
+    name: 'memory',
+
+    /**
+     * Store content and return its CID.
+     * @param {string|Uint8Array|object} content - The content to store.
+     * @returns {Promise<string>} The CID.
+     */
+    async add(content) {
+      const bytes = toBytes(content);
+      const cid = await computeCID(bytes, { cidVersion });
+      blobs.set(cid, bytes);
+      return cid;
+    },
+
+    /**
+     * Read content by CID.
+     * @param {string} cid - The CID.
+     * @returns {Promise<Uint8Array>} The stored bytes.
+     */
+    async cat(cid) {
+      const key = parseCID(cid).toString();
+      if (!blobs.has(key)) {
+        throw new Error(`Content not found: ${cid}`);
+      }
+      return blobs.get(key);
+    },
+
+    /**
+     * Check whether content exists for a CID.
+     * @param {string} cid - The CID.
+     * @returns {Promise<boolean>} True if stored.
+     */
+    async has(cid) {
+      return blobs.has(parseCID(cid).toString());
+    }
+  };
+}
+
+export default createMemoryStorage;
@@ -0,0 +1,358 @@
+/**
+ * Verifiable Credential Module
+ * Converts between W3C Verifiable Credentials (VC Data Model 2.0) and the
+ * on-chain commitment stored by the CredentialStatus contract.
+ *
+ * The on-chain credentialHash commits to the claims only (credentialSubject
+ * without its id), hashed as canonical JSON, optionally salted (the salt then travels
+ * in the credentialStatus entry, so only holders of the VC can check it). Everything else in the VC (issuer,
+ * subject DID, validFrom, validUntil, status entry) is derived from the commitment, which is
+ * what makes the conversion round-trip. validFrom and validUntil are the chain's validity
+ * period, and a credential issued without one has no validFrom (or validUntil) in its VC
+ * rather than, say, its issue date. After a renewal the chain's validUntil is the one that
+ * counts; a VC rebuilt with fromCommitment picks it up.
+ */
+
+import { ethers } from 'ethers';
+import { canonicalize, HashMethod, parseCredentialSchema } from './canonicalJson.js';
+import {
+  hashCredential,
+  encodeCredentialSchema,
+  getHashMethod,
+  signCredential,
+  verifyCredentialSignature
+} from './cryptoHelper.js';
+import { addressToDid, parseDid } from './did.js';
+
+export const VC_CONTEXT_V2 = 'https://www.w3.org/ns/credentials/v2';
+export const DEFAULT_CREDENTIAL_TYPE = 'UniversityDegreeCredential';
+export const DEFAULT_SCHEMA_NAME = 'university-credential-v1';
+
+// credentialStatus entry type pointing at a CredentialStatus contract
+export const STATUS_ENTRY_TYPE = 'CredentialStatusContract';
+
+// Proof: EIP-191 personal_sign over the canonical JSON of the VC without its proof
+export const PROOF_TYPE = 'DataIntegrityProof';
+export const PROOF_CRYPTOSUITE = 'ecdsa-secp256k1-eip191-jcs';
+
+const SCHEMA_ID_PREFIX = 'urn:unicred:schema:';
+
+function toDateTime(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date.toISOString().replace(/\.000Z$/, 'Z');
+}
+
+function statusEntry(chainId, credentialStatusAddress, credentialHash, salt) {
+  const contract = ethers.getAddress(credentialStatusAddress);
+  const entry = {
+    id: `eip155:${BigInt(chainId)}:${contract}#${credentialHash}`,
+    type: STATUS_ENTRY_TYPE,
+    chainId: Number(chainId),
+    contract,
+    credentialHash
+  };
+  if (salt) {
+    entry.salt = ethers.hexlify(salt);
+  }
+  return entry;
+}
+
+function hashMethodFor(salt) {
+  return salt ? HashMethod.SALTED : HashMethod.JCS;
+}
+
+function withoutProof(vc) {
+  const { proof, ...unsigned } = vc;
+  return unsigned;
+}
+
+/**
+ * Create an unsigned W3C Verifiable Credential.
+ * @param {object} params
+ * @param {object} params.claims - The credential claims (e.g. { degree, university, year }).
+ * @param {string} params.holder - The holder's (Student's) address.
+ * @param {string} params.issuer - The issuer's (University's) address.
+ * @param {number|bigint} params.chainId - Chain ID of the deployment.
+ * @param {string} params.credentialStatusAddress - Address of the CredentialStatus contract.
+ * @param {Date|string|number|null} [params.validFrom=now] - Start of validity; null for a credential valid from
+ *   its issue, whenever that is.
+ * @param {Date|string|number} [params.validUntil] - End of validity; omit for a credential that does not expire.
+ * @param {string} [params.ipfsHash] - CID of the stored credential blob, if any.
+ * @param {string} [params.schemaName="university-credential-v1"] - Credential schema name.
+ * @param {string} [params.type="UniversityDegreeCredential"] - Credential type besides VerifiableCredential.
+ * @param {string} [params.salt] - The holder's 32-byte salt, for a salted commitment.
+ * @returns {object} The Verifiable Credential (without proof).
+ */
+export function createVerifiableCredential({
+  claims,
+  holder,
+  issuer,
+  chainId,
+  credentialStatusAddress,
+  validFrom = new Date(),
+  validUntil,
+  ipfsHash,
+  schemaName = DEFAULT_SCHEMA_NAME,
+  type = DEFAULT_CREDENTIAL_TYPE,
+  salt
+}) {
+  if (!claims || typeof claims !== 'object' || Array.isArray(claims)) {
+    throw new Error('Credential claims must be an object');
+  }
+  if ('id' in claims) {
+    throw new Error('Credential claims must not contain "id" (it is set to the holder DID)');
+  }
+
+  const credentialHash = hashCredential(claims, hashMethodFor(salt), salt);
+
+  const vc = {
+    '@context': [VC_CONTEXT_V2],
+    type: ['VerifiableCredential', type],
+    issuer: addressToDid(issuer, chainId),
+    ...(validFrom === null ? {} : { validFrom: toDateTime(validFrom) }),
+    ...(validUntil === undefined ? {} : { validUntil: toDateTime(validUntil) }),
+    credentialSubject: {
+      id: addressToDid(holder, chainId),
+      ...claims
+    },
+    credentialSchema: {
+      id: `${SCHEMA_ID_PREFIX}${schemaName}`,
+      type: 'JsonSchema'
+    },
+    credentialStatus: statusEntry(chainId, credentialStatusAddress, credentialHash, salt)
+  };
+
+  if (ipfsHash) {
+    vc.relatedResource = [{ id: `ipfs://${ipfsHash}`, mediaType: 'application/json' }];
+  }
+
+  return vc;
+}
+
+/**
+ * Convert a credential from cryptoHelper.createCredential into a Verifiable Credential.
+ * @param {object} credential - { data, holder, issuer, issuedAt }.
+ * @param {object} options - { chainId, credentialStatusAddress, ipfsHash, schemaName, type, salt }.
+ * @returns {object} The Verifiable Credential (without proof).
+ */
+export function fromLegacyCredential(credential, options) {
+  return createVerifiableCredential({
+    ...options,
+    claims: credential.data,
+    holder: credential.holder,
+    issuer: credential.issuer,
+    validFrom: credential.issuedAt
+  });
+}
+
+/**
+ * Check that a document has the structure this system expects of a Verifiable Credential.
+ * @param {object} vc - The Verifiable Credential.
+ * @returns {string[]} A list of problems (empty if the structure is valid).
+ */
+export function validateVerifiableCredential(vc) {
+  const problems = [];
+
+  if (!vc || typeof vc !== 'object') {
+    return ['Credential must be a JSON object'];
+  }
+  if (!Array.isArray(vc['@context']) || vc['@context'][0] !== VC_CONTEXT_V2) {
+    problems.push(`@context must start with ${VC_CONTEXT_V2}`);
+  }
+  if (!Array.isArray(vc.type) || !vc.type.includes('VerifiableCredential')) {
+    problems.push('type must include VerifiableCredential');
+  }
+  try {
+    parseDid(typeof vc.issuer === 'object' ? vc.issuer?.id : vc.issuer);
+  } catch (error) {
+    problems.push(`issuer: ${error.message}`);
+  }
+  try {
+    parseDid(vc.credentialSubject?.id);
+  } catch (error) {
+    problems.push(`credentialSubject.id: ${error.message}`);
+  }
+  if (vc.validFrom !== undefined && Number.isNaN(new Date(vc.validFrom).getTime())) {
+    problems.push('validFrom must be a date-time');
+  }
+  if (vc.validUntil !== undefined) {
+    const until = new Date(vc.validUntil).getTime();
+    if (Number.isNaN(until)) {
+      problems.push('validUntil must be a date-time');
+    } else if (vc.validFrom !== undefined && until <= new Date(vc.validFrom).getTime()) {
+      problems.push('validUntil must be after validFrom');
+    }
+  }
+  const status = vc.credentialStatus;
+  if (!status || status.type !== STATUS_ENTRY_TYPE || !ethers.isAddress(status.contract) || !ethers.isHexString(status.credentialHash, 32)) {
+    problems.push(`credentialStatus must be a ${STATUS_ENTRY_TYPE} entry`);
+  } else if (status.salt !== undefined && !ethers.isHexString(status.salt, 32)) {
+    problems.push('credentialStatus.salt must be a 32-byte hex string');
+  }
+
+  return problems;
+}
+
+/**
+ * Convert a Verifiable Credential into the on-chain commitment (issueCredential arguments).
+ * @param {object} vc - The Verifiable Credential.
+ * @returns {object} { credentialHash, holder, issuer, ipfsHash, schema, validFrom and validUntil (Unix seconds, 0 if
+ *   none, as issueCredentialWithValidity takes them), claims, chainId, credentialStatusAddress }.
+ * @throws {Error} If the VC is malformed or its status entry does not match its claims.
+ */
+export function toCommitment(vc) {
+  const problems = validateVerifiableCredential(vc);
+  if (problems.length > 0) {
+    throw new Error(`Invalid Verifiable Credential: ${problems.join('; ')}`);
+  }
+
+  const { id: holderDid, ...claims } = vc.credentialSubject;
+  const issuer = parseDid(typeof vc.issuer === 'object' ? vc.issuer.id : vc.issuer);
+  const holder = parseDid(holderDid);
+
+  const { salt } = vc.credentialStatus;
+  const method = hashMethodFor(salt);
+  const credentialHash = hashCredential(claims, method, salt);
+  if (credentialHash !== vc.credentialStatus.credentialHash) {
+    throw new Error('credentialStatus.credentialHash does not match the credential claims');
+  }
+
+  const schemaId = vc.credentialSchema?.id || `${SCHEMA_ID_PREFIX}${DEFAULT_SCHEMA_NAME}`;
+  const schemaName = schemaId.startsWith(SCHEMA_ID_PREFIX) ? schemaId.slice(SCHEMA_ID_PREFIX.length) : schemaId;
+  const ipfsResource = (vc.relatedResource || []).find((r) => typeof r.id === 'string' && r.id.startsWith('ipfs://'));
+
+  return {
+    credentialHash,
+    holder: holder.address,
+    issuer: issuer.address,
+    ipfsHash: ipfsResource ? ipfsResource.id.slice('ipfs://'.length) : '',
+    schema: encodeCredentialSchema(schemaName, method),
+    validFrom: vc.validFrom === undefined ? 0 : Math.floor(new Date(vc.validFrom).getTime() / 1000),
+    validUntil: vc.validUntil === undefined ? 0 : Math.floor(new Date(vc.validUntil).getTime() / 1000),
+    claims,
+    chainId: issuer.chainId,
+    credentialStatusAddress: vc.credentialStatus.contract
+  };
+}
+
+/**
+ * Rebuild a Verifiable Credential from on-chain metadata and the holder's claims.
+ * @param {object} metadata - Result of CredentialStatus.getCredentialMetadata().
+ * @param {object} claims - The credential claims the commitment was computed from.
+ * @param {object} options
+ * @param {number|bigint} options.chainId - Chain ID of the deployment.
+ * @param {string} options.credentialStatusAddress - Address of the CredentialStatus contract.
+ * @param {string} [options.type] - Credential type besides VerifiableCredential.
+ * @param {string} [options.salt] - The holder's salt, required for salted commitments.
+ * @param {object} [options.proof] - An existing proof to attach.
+ * @returns {object} The Verifiable Credential.
+ * @throws {Error} If the claims do not hash to the on-chain credentialHash.
+ */
+export function fromCommitment(metadata, claims, { chainId, credentialStatusAddress, type, salt, proof } = {}) {
+  const method = getHashMethod(metadata.credentialSchema);
+  if (method !== HashMethod.JCS && method !== HashMethod.SALTED) {
+    throw new Error('Only credentials hashed with canonical JSON can be expressed as Verifiable Credentials');
+  }
+  if (method === HashMethod.SALTED && !salt) {
+    throw new Error('The holder\'s salt is needed to rebuild a salted credential');
+  }
+  if (hashCredential(claims, method, salt) !== metadata.credentialHash) {
+    throw new Error('Claims do not match the on-chain credential hash');
+  }
+
+  const { name: schemaName } = parseCredentialSchema(ethers.toUtf8String(metadata.credentialSchema));
+  const vc = createVerifiableCredential({
+    claims,
+    holder: metadata.holder,
+    issuer: metadata.issuer,
+    chainId,
+    credentialStatusAddress,
+    validFrom: Number(metadata.validFrom || 0) === 0 ? null : Number(metadata.validFrom) * 1000,
+    validUntil: Number(metadata.validUntil || 0) === 0 ? undefined : Number(metadata.validUntil) * 1000,
+    ipfsHash: metadata.ipfsHash,
+    schemaName,
+    type,
+    salt: method === HashMethod.SALTED ? salt : undefined
+  });
+
+  return proof ? { ...vc, proof } : vc;
+}
+
+/**
+ * Sign a Verifiable Credential as its issuer, embedding the proof.
+ * @param {object} vc - The Verifiable Credential (an existing proof is replaced).
+ * @param {string} privateKey - The issuer's private key.
+ * @returns {object} The signed Verifiable Credential.
+ */
+export function signVerifiableCredential(vc, privateKey) {
+  const unsigned = withoutProof(vc);
+  const issuerDid = typeof unsigned.issuer === 'object' ? unsigned.issuer.id : unsigned.issuer;
+
+  return {
+    ...unsigned,
+    proof: {
+      type: PROOF_TYPE,
+      cryptosuite: PROOF_CRYPTOSUITE,
+      created: toDateTime(new Date()),
+      verificationMethod: `${issuerDid}#controller`,
+      proofPurpose: 'assertionMethod',
+      proofValue: signCredential(canonicalize(unsigned), privateKey)
+    }
+  };
+}
+
+/**
+ * Verify a Verifiable Credential's structure, claims hash and embedded issuer proof.
+ * On-chain status is not checked here; query the contract named in credentialStatus.
+ * @param {object} vc - The signed Verifiable Credential.
+ * @returns {object} Verification result { isValid, checks, reasons }.
+ */
+export function verifyVerifiableCredential(vc) {
+  const result = {
+    isValid: false,
+    checks: {
+      structureValid: false,
+      hashValid: false,
+      proofValid: false
+    },
+    reasons: []
+  };
+
+  const problems = validateVerifiableCredential(vc);
+  result.checks.structureValid = problems.length === 0;
+  result.reasons.push(...problems);
+  if (!result.checks.structureValid) return result;
+
+  try {
+    toCommitment(vc);
+    result.checks.hashValid = true;
+  } catch (error) {
+    result.reasons.push(error.message);
+  }
+
+  const proof = vc.proof;
+  if (!proof || proof.type !== PROOF_TYPE || proof.cryptosuite !== PROOF_CRYPTOSUITE) {
+    result.reasons.push(`Missing ${PROOF_CRYPTOSUITE} proof`);
+  } else {
+    const issuer = parseDid(typeof vc.issuer === 'object' ? vc.issuer.id : vc.issuer);
+    result.checks.proofValid = verifyCredentialSignature(canonicalize(withoutProof(vc)), proof.proofValue, issuer.address);
+    if (!result.checks.proofValid) result.reasons.push('Issuer proof verification failed');
+  }
+
+  result.isValid = result.checks.structureValid && result.checks.hashValid && result.checks.proofValid;
+  return result;
+}
+
+export default {
+  VC_CONTEXT_V2,
+  createVerifiableCredential,
+  fromLegacyCredential,
+  validateVerifiableCredential,
+  toCommitment,
+  fromCommitment,
+  signVerifiableCredential,
+  verifyVerifiableCredential
+};
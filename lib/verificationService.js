@@ -0,0 +1,421 @@
+/**
+ * Verification Service Module
+ * A read-only REST API over the deployed contracts, so relying parties can check
+ * credentials over HTTP instead of running a node client. Only view calls are made.
+ *
+ *   GET  /credentials/:hash         On-chain metadata and state
+ *   GET  /credentials/:hash/status  State only
+ *   POST /verify                    Check a credential against the chain (JSON body)
+ *   GET  /identities/:address       Registered role and DID of an address
+ *   GET  /dids/:did                 DID resolution result (DID Document and metadata)
+ *   GET  /credentials?holder=&issuer=&delegate=&state=&from=&to=
+ *                                   Query the event index (when the service has one)
+ *
+ * Responses are JSON. Unknown credentials and identities are 404; revoked and expired
+ * credentials are 410 Gone, suspended ones 423 Locked and ones whose validity period has
+ * not started 409 Conflict; a credential that does not match its on-chain hash is 422.
+ */
+
+import http from 'http';
+import { ethers } from 'ethers';
+import { canonicalize, parseCredentialSchema } from './canonicalJson.js';
+import { HashMethod, hashCredential, verifyCredentialSignature } from './cryptoHelper.js';
+import { roleName, accreditationName, stateName, formatStatusChange, formatValidity } from './credentialTypes.js';
+import { addressToDid } from './did.js';
+import { createDidResolver } from './didResolver.js';
+
+export const DEFAULT_PORT = 3000;
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+const STATE_NONE = 0;
+const STATE_VALID = 1;
+const STATE_REVOKED = 2;
+const STATE_SUSPENDED = 3;
+const STATE_EXPIRED = 4;
+const STATE_NOT_YET_VALID = 5;
+const ROLE_UNIVERSITY = 2;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw httpError(400, `Malformed percent-encoding in path: ${segment}`);
+  }
+}
+
+function requireHash(value) {
+  if (!ethers.isHexString(value, 32)) {
+    throw httpError(400, `Not a credential hash (32-byte hex): ${value}`);
+  }
+  return value.toLowerCase();
+}
+
+// Status code for a credential that exists on-chain, by state
+function statusForState(state) {
+  switch (Number(state)) {
+    case STATE_REVOKED:
+    case STATE_EXPIRED:
+      return 410;
+    case STATE_SUSPENDED:
+      return 423;
+    case STATE_NOT_YET_VALID:
+      return 409;
+    default:
+      return 200;
+  }
+}
+
+function formatMetadata(metadata) {
+  let schema;
+  try {
+    schema = ethers.toUtf8String(metadata.credentialSchema);
+  } catch {
+    schema = ethers.hexlify(metadata.credentialSchema);
+  }
+  return {
+    credentialHash: metadata.credentialHash,
+    issuer: metadata.issuer,
+    delegate: metadata.delegate === ethers.ZeroAddress ? null : metadata.delegate,
+    holder: metadata.holder,
+    ipfsHash: metadata.ipfsHash,
+    schema,
+    hashMethod: parseCredentialSchema(schema).method,
+    issueDate: new Date(Number(metadata.issueDate) * 1000).toISOString(),
+    ...formatValidity(metadata),
+    state: stateName(metadata.state),
+    valid: Number(metadata.state) === STATE_VALID
+  };
+}
+
+/**
+ * Create the verification service.
+ * @param {object} options - { registry, credentials } ethers contract instances (a provider runner is
+ *   enough), and optionally an index database (lib/indexer/database.js) for credential queries.
+ * @returns {object} { handle(method, url, body) -> Promise<{ status, body }> } plus the individual endpoints.
+ */
+export function createVerificationService({ registry, credentials, index = null }) {
+  let chainId = null;
+
+  // DIDs embed the chain ID; read it once from the contracts' provider
+  async function getChainId() {
+    if (chainId === null) {
+      const provider = credentials.runner.provider || credentials.runner;
+      chainId = (await provider.getNetwork()).chainId;
+    }
+    return chainId;
+  }
+
+  const didResolver = createDidResolver({ registry });
+
+  async function loadCredential(hash) {
+    const metadata = await credentials.getCredentialMetadata(hash);
+    if (Number(metadata.state) === STATE_NONE) {
+      throw httpError(404, `Credential not found: ${hash}`);
+    }
+    return metadata;
+  }
+
+  /**
+   * GET /credentials/:hash
+   * @returns {Promise<object>} { status, body: metadata with statusHistory }.
+   */
+  async function getCredential(hash) {
+    const credentialHash = requireHash(hash);
+    const metadata = await loadCredential(credentialHash);
+    const statusHistory = (await credentials.getStatusHistory(credentialHash)).map(formatStatusChange);
+    return { status: statusForState(metadata.state), body: { ...formatMetadata(metadata), statusHistory } };
+  }
+
+  /**
+   * GET /credentials/:hash/status
+   * @returns {Promise<object>} { status, body: { credentialHash, state, valid } }.
+   */
+  async function getCredentialStatus(hash) {
+    const credentialHash = requireHash(hash);
+    const state = await credentials.getCredentialStatus(credentialHash);
+    if (Number(state) === STATE_NONE) {
+      throw httpError(404, `Credential not found: ${credentialHash}`);
+    }
+    return {
+      status: statusForState(state),
+      body: { credentialHash, state: stateName(state), valid: Number(state) === STATE_VALID }
+    };
+  }
+
+  /**
+   * GET /identities/:address
+   * @returns {Promise<object>} { status, body: { address, did, role, registered } }, plus the current
+   *   accreditation status for Universities.
+   */
+  async function getIdentity(address) {
+    if (!ethers.isAddress(address)) {
+      throw httpError(400, `Not an address: ${address}`);
+    }
+    const checksummed = ethers.getAddress(address);
+    const identity = await registry.identities(checksummed);
+    if (!identity.isRegistered) {
+      throw httpError(404, `Identity not registered: ${checksummed}`);
+    }
+    const body = { address: checksummed, did: addressToDid(checksummed, await getChainId()), role: roleName(identity.role), registered: true };
+    if (Number(identity.role) === ROLE_UNIVERSITY) {
+      body.accreditation = accreditationName(await registry.accreditationStatus(checksummed));
+    }
+    return { status: 200, body };
+  }
+
+  /**
+   * GET /dids/:did
+   * @returns {Promise<object>} { status, body: the DID resolution result }. Resolution errors keep
+   *   the result body, with 400 for invalidDid, 404 for notFound and 501 for methodNotSupported.
+   */
+  async function resolveDid(did) {
+    const result = await didResolver.resolve(did);
+    const status = { invalidDid: 400, notFound: 404, methodNotSupported: 501 }[result.didResolutionMetadata.error] || 200;
+    return { status, body: result };
+  }
+
+  // Find the on-chain record for credential data when the caller did not give its hash
+  async function locateCredential(credential, salt) {
+    const methods = salt ? [HashMethod.SALTED] : [HashMethod.JCS, HashMethod.LEGACY];
+    for (const method of methods) {
+      let candidate;
+      try {
+        candidate = hashCredential(credential, method, salt);
+      } catch {
+        continue;
+      }
+      const metadata = await credentials.getCredentialMetadata(candidate);
+      if (Number(metadata.state) !== STATE_NONE) {
+        return metadata;
+      }
+    }
+    return null;
+  }
+
+  // An EIP-191 signature over the credential text by the account controlling the issuer, or the EIP-712 issuance signature
+  async function checkSignature(credential, signature, metadata) {
+    const texts = typeof credential === 'string' ? [credential] : [canonicalize(credential), JSON.stringify(credential)];
+    const signer = await registry.getController(metadata.issuer);
+    if (texts.some((text) => verifyCredentialSignature(text, signature, signer))) {
+      return true;
+    }
+    return credentials.isValidIssuerSignature(metadata.credentialHash, signature);
+  }
+
+  /**
+   * POST /verify
+   * Body: { credential: object|string, credentialHash?, signature?, salt? }. Without
+   * credentialHash the hash is computed from the data (salted when a salt is given).
+   * @returns {Promise<object>} { status, body: { isValid, credentialHash, method, checks, reasons } }.
+   */
+  async function verify(body) {
+    if (!body || typeof body !== 'object' || body.credential === undefined) {
+      throw httpError(400, 'Request body must be JSON with a "credential" field');
+    }
+    const { credential, credentialHash, signature, salt } = body;
+    if (typeof credential !== 'string' && (typeof credential !== 'object' || credential === null)) {
+      throw httpError(400, '"credential" must be a JSON object or string');
+    }
+    if (credentialHash !== undefined) requireHash(credentialHash);
+    if (salt !== undefined && !ethers.isHexString(salt, 32)) {
+      throw httpError(400, '"salt" must be 32-byte hex');
+    }
+    if (signature !== undefined && !ethers.isHexString(signature)) {
+      throw httpError(400, '"signature" must be hex');
+    }
+
+    const report = {
+      isValid: false,
+      credentialHash: credentialHash ? credentialHash.toLowerCase() : null,
+      method: null,
+      checks: {
+        found: false,
+        hashValid: false,
+        onChainValid: false,
+        issuerRegistered: false,
+        issuerAccreditedAtIssue: false,
+        issuerAccredited: false,
+        signatureValid: null
+      },
+      reasons: []
+    };
+
+    const metadata = credentialHash
+      ? await credentials.getCredentialMetadata(credentialHash)
+      : await locateCredential(credential, salt);
+    if (!metadata || Number(metadata.state) === STATE_NONE) {
+      report.reasons.push('Credential not found on-chain');
+      return { status: 404, body: report };
+    }
+    report.credentialHash = metadata.credentialHash;
+    report.checks.found = true;
+
+    // Hash, with the method the issuer recorded on-chain
+    report.method = formatMetadata(metadata).hashMethod;
+    if (report.method === HashMethod.MERKLE) {
+      report.reasons.push('Merkle-committed credential: verify disclosed fields with a presentation instead');
+    } else if (report.method === HashMethod.SALTED && !salt) {
+      report.reasons.push('Salted credential: pass the holder\'s "salt"');
+    } else {
+      try {
+        report.checks.hashValid = hashCredential(credential, report.method, salt) === metadata.credentialHash;
+      } catch (error) {
+        report.reasons.push(`Credential data could not be canonicalized: ${error.message}`);
+      }
+      if (!report.checks.hashValid && report.reasons.length === 0) {
+        report.reasons.push('Credential data hash does not match on-chain hash');
+      }
+    }
+
+    report.checks.onChainValid = Number(metadata.state) === STATE_VALID;
+    if (!report.checks.onChainValid) {
+      report.reasons.push(`Credential is ${stateName(metadata.state)}`);
+    }
+
+    report.checks.issuerRegistered = await registry.hasRole(metadata.issuer, ROLE_UNIVERSITY);
+    if (!report.checks.issuerRegistered) {
+      report.reasons.push('Issuer is not a registered University');
+    }
+
+    // A credential stays valid if its issuer loses accreditation later; the current status is reported only
+    report.checks.issuerAccreditedAtIssue = await registry.wasAccreditedAt(metadata.issuer, metadata.issueDate);
+    report.checks.issuerAccredited = await registry.isAccredited(metadata.issuer);
+    if (!report.checks.issuerAccreditedAtIssue) {
+      report.reasons.push('Issuer was not an accredited University when the credential was issued');
+    }
+
+    if (signature !== undefined) {
+      report.checks.signatureValid = await checkSignature(credential, signature, metadata);
+      if (!report.checks.signatureValid) report.reasons.push('Signature verification failed');
+    }
+
+    const { hashValid, onChainValid, issuerRegistered, issuerAccreditedAtIssue, signatureValid } = report.checks;
+    report.isValid = hashValid && onChainValid && issuerRegistered && issuerAccreditedAtIssue && signatureValid !== false;
+
+    const status = report.checks.onChainValid ? (report.isValid ? 200 : 422) : statusForState(metadata.state);
+    return { status, body: report };
+  }
+
+  /**
+   * GET /credentials?holder=&issuer=&delegate=&state=&from=&to= (requires an index)
+   * @returns {Promise<object>} { status, body: { credentials, indexedBlock } }.
+   */
+  async function queryCredentials(query) {
+    for (const name of ['holder', 'issuer', 'delegate']) {
+      if (query[name] !== undefined && !ethers.isAddress(query[name])) {
+        throw httpError(400, `"${name}" must be an address`);
+      }
+    }
+    try {
+      const cursor = index.getCursor();
+      return {
+        status: 200,
+        body: { credentials: index.queryCredentials(query), indexedBlock: cursor ? cursor.blockNumber : null }
+      };
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+  }
+
+  const ROUTES = [
+    { method: 'GET', pattern: /^\/credentials\/([^/]+)$/, handler: (match) => getCredential(match[1]) },
+    { method: 'GET', pattern: /^\/credentials\/([^/]+)\/status$/, handler: (match) => getCredentialStatus(match[1]) },
+    { method: 'POST', pattern: /^\/verify$/, handler: (match, body) => verify(body) },
+    { method: 'GET', pattern: /^\/identities\/([^/]+)$/, handler: (match) => getIdentity(match[1]) },
+    { method: 'GET', pattern: /^\/dids\/([^/]+)$/, handler: (match) => resolveDid(decodePathSegment(match[1])) }
+  ];
+  if (index) {
+    ROUTES.push({ method: 'GET', pattern: /^\/credentials$/, handler: (match, body, query) => queryCredentials(query) });
+  }
+
+  /**
+   * Route a request.
+   * @param {string} method - The HTTP method.
+   * @param {string} url - The request path and query string.
+   * @param {*} [body] - The parsed JSON body.
+   * @returns {Promise<object>} { status, body }.
+   */
+  async function handle(method, url, body) {
+    const [rawPath, queryString = ''] = url.split('?');
+    const path = rawPath.replace(/\/+$/, '') || '/';
+    const matching = ROUTES.filter((route) => route.pattern.test(path));
+    if (matching.length === 0) {
+      return { status: 404, body: { error: `No such endpoint: ${path}` } };
+    }
+    const route = matching.find((candidate) => candidate.method === method);
+    if (!route) {
+      return { status: 405, body: { error: `Method ${method} not allowed on ${path}` } };
+    }
+
+    try {
+      return await route.handler(path.match(route.pattern), body, Object.fromEntries(new URLSearchParams(queryString)));
+    } catch (error) {
+      if (error.status) {
+        return { status: error.status, body: { error: error.message } };
+      }
+      return { status: 502, body: { error: `Blockchain query failed: ${error.shortMessage || error.message}` } };
+    }
+  }
+
+  return { handle, getCredential, getCredentialStatus, getIdentity, resolveDid, verify, queryCredentials };
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      // Keep draining an oversized body so the 413 response can still be sent
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    request.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Create an HTTP server for a verification service.
+ * @param {object} service - From createVerificationService.
+ * @returns {http.Server} The server (call listen on it).
+ */
+export function createVerificationServer(service) {
+  return http.createServer(async (request, response) => {
+    let result;
+    try {
+      const text = request.method === 'POST' ? await readBody(request) : '';
+      let body;
+      if (text) {
+        try {
+          body = JSON.parse(text);
+        } catch {
+          throw httpError(400, 'Request body is not valid JSON');
+        }
+      }
+      result = await service.handle(request.method, request.url, body);
+    } catch (error) {
+      result = { status: error.status || 500, body: { error: error.message } };
+    }
+
+    response.writeHead(result.status, { 'Content-Type': 'application/json' });
+    response.end(`${JSON.stringify(result.body, null, 2)}\n`);
+  });
+}
+
+export default {
+  DEFAULT_PORT,
+  createVerificationService,
+  createVerificationServer
+};
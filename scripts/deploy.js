@@ -17,6 +17,24 @@ async function main() {
   await credentialStatus.waitForDeployment();
   console.log(`CredentialStatus deployed to: ${credentialStatus.target}`);
 
+  // 3. Deploy the TrustedForwarder that relays meta-transactions (see lib/relayer.js)
+  const trustedForwarder = await hre.ethers.deployContract("TrustedForwarder");
+  await trustedForwarder.waitForDeployment();
+  console.log(`TrustedForwarder deployed to: ${trustedForwarder.target}`);
+
+  // 4. Let the registry ask CredentialStatus which University issued to a Student (for account recovery)
+  await (await didRegistry.setCredentialStatus(credentialStatus.target)).wait();
+  console.log("DIDRegistry linked to CredentialStatus");
+
+  // 5. Accept calls relayed through the forwarder in both contracts
+  await (await didRegistry.setTrustedForwarder(trustedForwarder.target)).wait();
+  console.log("DIDRegistry trusts the TrustedForwarder");
+
+  // 6. Deploy CredentialAccess, where Students approve Employers' access requests
+  const credentialAccess = await hre.ethers.deployContract("CredentialAccess", [credentialStatus.target]);
+  await credentialAccess.waitForDeployment();
+  console.log(`CredentialAccess deployed to: ${credentialAccess.target}`);
+
   console.log("\nDeployment complete!");
 }
 
@@ -43,6 +43,11 @@ async function main() {
     await tx.wait();
     console.log(`✓ University registered: ${university.address}`);
 
+    // The deployer (owner) is the first accreditor; without accreditation the University cannot issue
+    tx = await registry.connect(owner).approveUniversity(university.address, "");
+    await tx.wait();
+    console.log(`✓ University accredited by: ${owner.address}`);
+
     console.log("\nRegistering Student...");
     tx = await registry.connect(student).registerIdentity(1); // Role 1 = Student
     await tx.wait();
@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Access Grants", function () {
+  let accessGrants, cryptoHelper, ipfsHelper, storageLib;
+  let didRegistry, credentialStatus, credentialAccess;
+  let owner, university, student, employer, otherEmployer, stranger;
+  let credentialHash, salt;
+
+  const claims = { degree: "BSc Computer Science", university: "MIT", year: 2024 };
+
+  async function rejectionOf(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error("Expected the promise to reject");
+  }
+
+  async function advanceTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  async function inOneHour() {
+    return (await ethers.provider.getBlock("latest")).timestamp + 3600;
+  }
+
+  before(async function () {
+    accessGrants = await import("../lib/accessGrants.js");
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+    ipfsHelper = await import("../lib/ipfsHelper.js");
+    storageLib = await import("../lib/storage/index.js");
+
+    [owner, university, student, employer, otherEmployer, stranger] = await ethers.getSigners();
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+    credentialAccess = await ethers.deployContract("CredentialAccess", [credentialStatus.target]);
+
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+    await didRegistry.connect(employer).registerIdentity(3);
+    await didRegistry.connect(otherEmployer).registerIdentity(3);
+
+    salt = cryptoHelper.generateCredentialSalt();
+    credentialHash = cryptoHelper.hashCredential(claims, cryptoHelper.HashMethod.SALTED, salt);
+    await credentialStatus.connect(university).issueCredential(
+      student.address,
+      credentialHash,
+      "QmGranted",
+      cryptoHelper.encodeCredentialSchema("university-credential-v1", cryptoHelper.HashMethod.SALTED)
+    );
+  });
+
+  it("Lets an Employer verify once the Student approves its request", async function () {
+    const access = credentialAccess.connect(employer);
+    const { grantId, holder } = await accessGrants.requestAccess({ access, credentialHash, purpose: "Background check" });
+    expect(grantId).to.equal(1);
+    expect(holder).to.equal(student.address);
+
+    const { pending, active } = await accessGrants.listAccessGrants({ access: credentialAccess, holder: student.address });
+    expect(pending.map((grant) => grant.grantId)).to.deep.equal([grantId]);
+    expect(pending[0]).to.include({ requester: employer.address, state: "Pending", purpose: "Background check", expiresAt: null });
+    expect(active).to.deep.equal([]);
+    await expect(access.verifyWithGrant(grantId, ethers.ZeroHash, salt)).to.be.revertedWith("CredentialAccess: Access is not granted");
+
+    const expiresAt = await inOneHour();
+    expect(await accessGrants.approveAccess({ access: credentialAccess.connect(student), grantId, expiresAt }))
+      .to.include({ grantId, expiresAt, keyReleased: false });
+    expect(await credentialAccess.hasAccess(credentialHash, employer.address)).to.equal(true);
+    expect(await credentialAccess.hasAccess(credentialHash, otherEmployer.address)).to.equal(false);
+
+    expect((await accessGrants.verifyWithGrant({ access, grantId, claims, salt })).isValid).to.equal(true);
+    expect((await accessGrants.verifyWithGrant({ access, grantId, claims: { ...claims, year: 2025 }, salt })).isValid).to.equal(false);
+    const verifications = await credentialAccess.queryFilter(credentialAccess.filters.GrantedVerification(grantId));
+    expect(verifications.map((event) => event.args.isValid)).to.deep.equal([true, false]);
+
+    await expect(credentialAccess.connect(otherEmployer).verifyWithGrant(grantId, ethers.ZeroHash, salt))
+      .to.be.revertedWith("CredentialAccess: Caller is not the grant's requester");
+
+    // The public credential hash alone proves nothing, so unsalted verification is refused
+    await expect(access.verifyWithGrant(grantId, credentialHash, ethers.ZeroHash)).to.be.revertedWith("CredentialAccess: Salt required");
+    expect((await rejectionOf(accessGrants.verifyWithGrant({ access, grantId, claims }))).message).to.contain("needs the credential's 32-byte salt");
+  });
+
+  it("Ends access when the approval expires or the Student revokes it", async function () {
+    const access = credentialAccess.connect(employer);
+    const grantId = Number(await credentialAccess.latestGrant(credentialHash, employer.address));
+    expect((await rejectionOf(accessGrants.requestAccess({ access, credentialHash }))).message).to.contain("Access already requested");
+
+    await advanceTime(3600);
+    expect(accessGrants.formatAccessGrant(await credentialAccess.getAccessGrant(grantId), grantId).state).to.equal("Expired");
+    expect(await credentialAccess.hasAccess(credentialHash, employer.address)).to.equal(false);
+    await expect(access.verifyWithGrant(grantId, ethers.ZeroHash, salt)).to.be.revertedWith("CredentialAccess: Access is not granted");
+    await expect(credentialAccess.connect(student).revokeAccess(grantId)).to.be.revertedWith("CredentialAccess: Grant is not active");
+
+    // An expired grant can be requested again
+    const renewed = await accessGrants.requestAccess({ access, credentialHash, purpose: "Renewal" });
+    expect(renewed.grantId).to.equal(grantId + 1);
+    await accessGrants.approveAccess({ access: credentialAccess.connect(student), grantId: renewed.grantId, expiresAt: await inOneHour() });
+    await expect(credentialAccess.connect(student).revokeAccess(renewed.grantId))
+      .to.emit(credentialAccess, "AccessRevoked").withArgs(renewed.grantId, student.address, employer.address);
+
+    expect(await credentialAccess.hasAccess(credentialHash, employer.address)).to.equal(false);
+    const { active, closed } = await accessGrants.listAccessGrants({ access: credentialAccess, requester: employer.address });
+    expect(active).to.deep.equal([]);
+    expect(closed.map((grant) => [grant.grantId, grant.state])).to.deep.equal([[renewed.grantId, "Revoked"], [grantId, "Expired"]]);
+  });
+
+  it("Lets the Student deny a request and rejects everyone else", async function () {
+    const access = credentialAccess.connect(otherEmployer);
+    const { grantId } = await accessGrants.requestAccess({ access, credentialHash, purpose: "Marketing" });
+
+    await expect(credentialAccess.connect(stranger).approveAccess(grantId, await inOneHour(), "0x"))
+      .to.be.revertedWith("CredentialAccess: Caller is not the credential's holder");
+    await expect(credentialAccess.connect(student).approveAccess(grantId, 1, "0x"))
+      .to.be.revertedWith("CredentialAccess: Expiry must be in the future");
+    await expect(credentialAccess.connect(student).approveAccess(grantId, await inOneHour(), "0x1234"))
+      .to.be.revertedWith("CredentialAccess: Requester gave no public key");
+
+    expect((await accessGrants.denyAccess({ access: credentialAccess.connect(student), grantId })).grantId).to.equal(grantId);
+    expect(Number(await credentialAccess.getGrantState(grantId))).to.equal(3);
+    await expect(credentialAccess.connect(student).denyAccess(grantId)).to.be.revertedWith("CredentialAccess: Grant is not pending");
+    await expect(credentialAccess.connect(student).approveAccess(grantId, await inOneHour(), "0x"))
+      .to.be.revertedWith("CredentialAccess: Grant is not pending or active");
+    await expect(credentialAccess.connect(student).denyAccess(999)).to.be.revertedWith("CredentialAccess: Grant does not exist");
+
+    await expect(credentialAccess.connect(stranger).requestAccess(credentialHash, "", "0x"))
+      .to.be.revertedWith("CredentialAccess: Caller is not a registered Employer");
+    await expect(credentialAccess.connect(employer).requestAccess(ethers.id("missing"), "", "0x"))
+      .to.be.revertedWith("CredentialAccess: Credential does not exist");
+    const someoneElsesKey = accessGrants.encodeRequesterPublicKey(ethers.Wallet.createRandom().signingKey.publicKey);
+    await expect(credentialAccess.connect(employer).requestAccess(credentialHash, "", someoneElsesKey))
+      .to.be.revertedWith("CredentialAccess: Public key does not belong to the caller");
+  });
+
+  it("Leaves direct verification open to whoever has the data the Student shared", async function () {
+    // No grant for otherEmployer: the claims and salt are what the Student chose to hand over
+    expect(await credentialAccess.hasAccess(credentialHash, otherEmployer.address)).to.equal(false);
+    const dataHash = cryptoHelper.hashCredential(claims);
+    expect(await credentialStatus.connect(otherEmployer).verifyCredentialCommitment(credentialHash, dataHash, salt)).to.equal(true);
+
+    // Without the Student's salt, knowing (or guessing) the claims confirms nothing
+    const guessedSalt = cryptoHelper.generateCredentialSalt();
+    expect(await credentialStatus.connect(otherEmployer).verifyCredentialCommitment(credentialHash, dataHash, guessedSalt)).to.equal(false);
+    await expect(credentialStatus.connect(otherEmployer).verifyCredentialData(JSON.stringify(claims), credentialHash))
+      .to.emit(credentialStatus, "CredentialVerified").withArgs(credentialHash, otherEmployer.address, false);
+  });
+
+  it("Releases an encrypted credential's key to the Employer on approval", async function () {
+    const holderWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    const employerWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    for (const wallet of [holderWallet, employerWallet]) {
+      await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") });
+    }
+    await didRegistry.connect(holderWallet).registerIdentity(1);
+    await didRegistry.connect(employerWallet).registerIdentity(3);
+
+    const memory = storageLib.createMemoryStorage();
+    const cid = await ipfsHelper.uploadCredentialToIPFS(claims, memory, { recipients: [holderWallet.signingKey.publicKey] });
+    const envelope = JSON.parse(new TextDecoder().decode(await memory.cat(cid)));
+    const encryptedHash = cryptoHelper.hashCredential({ ...claims, encrypted: true });
+    await credentialStatus.connect(university).issueCredential(holderWallet.address, encryptedHash, cid, "0x");
+
+    // Without a public key, the Student cannot release the key
+    const { grantId: keyless } = await accessGrants.requestAccess({ access: credentialAccess.connect(employer), credentialHash: encryptedHash });
+    const error = await rejectionOf(accessGrants.approveAccess({
+      access: credentialAccess.connect(holderWallet), grantId: keyless, expiresAt: await inOneHour(), envelope, wallet: holderWallet
+    }));
+    expect(error.message).to.contain("sent no public key");
+
+    const { grantId } = await accessGrants.requestAccess({
+      access: credentialAccess.connect(employerWallet), credentialHash: encryptedHash, publicKey: employerWallet.signingKey.compressedPublicKey
+    });
+    const approval = await accessGrants.approveAccess({
+      access: credentialAccess.connect(holderWallet), grantId, expiresAt: await inOneHour(), envelope, wallet: holderWallet
+    });
+    expect(approval.keyReleased).to.equal(true);
+
+    const grant = accessGrants.formatAccessGrant(await credentialAccess.getAccessGrant(grantId), grantId);
+    expect(grant).to.include({ state: "Approved", keyReleased: true });
+    expect(ethers.dataLength(grant.encryptedKey)).to.equal(93);
+    const plaintext = await accessGrants.decryptWithGrant({ envelope, grant, wallet: employerWallet });
+    expect(JSON.parse(new TextDecoder().decode(plaintext))).to.deep.equal(claims);
+    expect((await rejectionOf(accessGrants.decryptWithGrant({ envelope, grant, wallet: ethers.Wallet.createRandom() }))).message)
+      .to.contain("not encrypted to");
+
+    await credentialAccess.connect(holderWallet).revokeAccess(grantId);
+    const revoked = accessGrants.formatAccessGrant(await credentialAccess.getAccessGrant(grantId), grantId);
+    expect(revoked).to.include({ state: "Revoked", encryptedKey: null, keyReleased: false });
+    expect((await rejectionOf(accessGrants.decryptWithGrant({ envelope, grant: revoked, wallet: employerWallet }))).message)
+      .to.contain("No credential key has been released");
+  });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Accreditation Governance", function () {
+  let cryptoHelper, credentialTypes, serviceLib;
+  let didRegistry, credentialStatus, service;
+  let admin, accreditorA, accreditorB, university, rogue, student, stranger;
+  let degree;
+
+  const Accreditation = { None: 0, Pending: 1, Accredited: 2, Suspended: 3, Revoked: 4 };
+  const claims = { degree: "BSc Physics", university: "Accredited U", year: 2024 };
+  const decision = "https://accreditor.example.org/decisions/42";
+
+  before(async function () {
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+    credentialTypes = await import("../lib/credentialTypes.js");
+    serviceLib = await import("../lib/verificationService.js");
+
+    [admin, accreditorA, accreditorB, university, rogue, student, stranger] = await ethers.getSigners();
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+    await didRegistry.connect(student).registerIdentity(1);
+
+    service = serviceLib.createVerificationService({
+      registry: didRegistry.connect(ethers.provider),
+      credentials: credentialStatus.connect(ethers.provider)
+    });
+    degree = cryptoHelper.hashCredential(claims);
+  });
+
+  it("Makes the deployer the admin and only accreditor", async function () {
+    expect(await didRegistry.admin()).to.equal(admin.address);
+    expect(await didRegistry.isAccreditor(admin.address)).to.equal(true);
+    expect(await didRegistry.accreditorCount()).to.equal(1);
+    expect(await didRegistry.accreditationThreshold()).to.equal(1);
+  });
+
+  it("Keeps self-registered Universities from issuing until accredited", async function () {
+    await expect(didRegistry.connect(rogue).registerIdentity(2))
+      .to.emit(didRegistry, "AccreditationChanged").withArgs(rogue.address, Accreditation.Pending, rogue.address, "");
+
+    expect(await didRegistry.hasRole(rogue.address, 2)).to.equal(true);
+    expect(await didRegistry.isAccredited(rogue.address)).to.equal(false);
+    await expect(credentialStatus.connect(rogue).issueCredential(student.address, ethers.id("fake degree"), "", "0x"))
+      .to.be.revertedWith("CredentialStatus: Caller is not an accredited University");
+  });
+
+  it("Lets only the admin manage accreditors and the threshold", async function () {
+    await expect(didRegistry.connect(stranger).addAccreditor(stranger.address))
+      .to.be.revertedWith("DIDRegistry: Caller is not the admin");
+
+    await didRegistry.addAccreditor(accreditorA.address);
+    await didRegistry.addAccreditor(accreditorB.address);
+    await expect(didRegistry.setAccreditationThreshold(4)).to.be.revertedWith("DIDRegistry: Invalid threshold");
+    await expect(didRegistry.setAccreditationThreshold(2))
+      .to.emit(didRegistry, "AccreditationThresholdChanged").withArgs(2);
+
+    await didRegistry.removeAccreditor(admin.address);
+    await expect(didRegistry.removeAccreditor(accreditorA.address))
+      .to.be.revertedWith("DIDRegistry: Too few accreditors left for the threshold");
+    expect(await didRegistry.accreditorCount()).to.equal(2);
+  });
+
+  it("Accredits a University once the threshold of accreditors approve", async function () {
+    await didRegistry.connect(university).registerIdentity(2);
+    await expect(didRegistry.connect(stranger).approveUniversity(university.address, ""))
+      .to.be.revertedWith("DIDRegistry: Caller is not an accreditor");
+
+    await expect(didRegistry.connect(accreditorA).approveUniversity(university.address, ""))
+      .to.emit(didRegistry, "UniversityApproved").withArgs(university.address, accreditorA.address, 1);
+    expect(await didRegistry.accreditationStatus(university.address)).to.equal(Accreditation.Pending);
+    await expect(didRegistry.connect(accreditorA).approveUniversity(university.address, ""))
+      .to.be.revertedWith("DIDRegistry: Already approved by this accreditor");
+    expect(await didRegistry.getPendingApprovals(university.address)).to.deep.equal([accreditorA.address]);
+
+    await expect(didRegistry.connect(accreditorB).approveUniversity(university.address, decision))
+      .to.emit(didRegistry, "AccreditationChanged").withArgs(university.address, Accreditation.Accredited, accreditorB.address, decision);
+    expect(await didRegistry.isAccredited(university.address)).to.equal(true);
+
+    await credentialStatus.connect(university).issueCredential(student.address, degree, "QmDegree", "0x");
+    expect(await credentialStatus.isCredentialValid(degree)).to.equal(true);
+    await expect(didRegistry.connect(accreditorA).approveUniversity(student.address, ""))
+      .to.be.revertedWith("DIDRegistry: University is not awaiting accreditation");
+  });
+
+  it("Suspends a University's accreditation until it is approved again", async function () {
+    await didRegistry.connect(accreditorA).suspendAccreditation(university.address, decision);
+    await expect(credentialStatus.connect(university).issueCredential(student.address, ethers.id("during suspension"), "", "0x"))
+      .to.be.revertedWith("CredentialStatus: Caller is not an accredited University");
+
+    // Credentials issued while accredited stay valid, and the issuer can still revoke them
+    expect(await credentialStatus.isCredentialValid(degree)).to.equal(true);
+
+    await didRegistry.connect(accreditorA).approveUniversity(university.address, "");
+    await didRegistry.connect(accreditorB).approveUniversity(university.address, "");
+    expect(await didRegistry.isAccredited(university.address)).to.equal(true);
+  });
+
+  it("Reports accreditation at issue time and now in verification results", async function () {
+    const accredited = await service.verify({ credential: claims });
+    expect(accredited.status).to.equal(200);
+    expect(accredited.body.checks).to.include({ issuerAccreditedAtIssue: true, issuerAccredited: true });
+
+    await expect(didRegistry.connect(accreditorB).revokeAccreditation(university.address, decision))
+      .to.emit(didRegistry, "AccreditationChanged").withArgs(university.address, Accreditation.Revoked, accreditorB.address, decision);
+    await expect(didRegistry.connect(accreditorA).approveUniversity(university.address, ""))
+      .to.be.revertedWith("DIDRegistry: University is not awaiting accreditation");
+
+    const deaccredited = await service.verify({ credential: claims });
+    expect(deaccredited.status).to.equal(200);
+    expect(deaccredited.body.isValid).to.equal(true);
+    expect(deaccredited.body.checks).to.include({ issuerAccreditedAtIssue: true, issuerAccredited: false });
+    expect((await service.getIdentity(university.address)).body.accreditation).to.equal("Revoked");
+  });
+
+  it("Keeps a queryable accreditation history", async function () {
+    const history = (await didRegistry.getAccreditationHistory(university.address)).map(credentialTypes.formatAccreditationChange);
+    expect(history.map((change) => change.status)).to.deep.equal(["Pending", "Accredited", "Suspended", "Accredited", "Revoked"]);
+    expect(history[1]).to.include({ changedBy: accreditorB.address, reasonURI: decision });
+    expect(history[0]).to.include({ changedBy: university.address, reasonURI: null });
+
+    const { issueDate } = await credentialStatus.getCredentialMetadata(degree);
+    expect(await didRegistry.wasAccreditedAt(university.address, issueDate)).to.equal(true);
+    expect(await didRegistry.wasAccreditedAt(university.address, Date.parse(history[4].timestamp) / 1000)).to.equal(false);
+    expect(await didRegistry.wasAccreditedAt(rogue.address, issueDate)).to.equal(false);
+  });
+
+  it("Stops counting the approvals of a removed accreditor", async function () {
+    await didRegistry.addAccreditor(stranger.address);
+    await didRegistry.connect(accreditorA).approveUniversity(rogue.address, "");
+    expect(await didRegistry.getPendingApprovals(rogue.address)).to.deep.equal([accreditorA.address]);
+
+    await didRegistry.removeAccreditor(accreditorA.address);
+    expect(await didRegistry.getPendingApprovals(rogue.address)).to.deep.equal([]);
+    await expect(didRegistry.connect(accreditorB).approveUniversity(rogue.address, ""))
+      .to.emit(didRegistry, "UniversityApproved").withArgs(rogue.address, accreditorB.address, 1);
+    expect(await didRegistry.isAccredited(rogue.address)).to.equal(false);
+
+    await didRegistry.connect(stranger).approveUniversity(rogue.address, "");
+    expect(await didRegistry.isAccredited(rogue.address)).to.equal(true);
+  });
+
+  it("Hands governance to a new admin", async function () {
+    await expect(didRegistry.transferAdmin(stranger.address))
+      .to.emit(didRegistry, "AdminTransferred").withArgs(admin.address, stranger.address);
+    await expect(didRegistry.addAccreditor(admin.address)).to.be.revertedWith("DIDRegistry: Caller is not the admin");
+    await didRegistry.connect(stranger).addAccreditor(admin.address);
+    expect(await didRegistry.isAccreditor(admin.address)).to.equal(true);
+  });
+});
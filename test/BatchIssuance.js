@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Batch Issuance: One Merkle Root per Graduating Class", function () {
+  let batchLib, cryptoHelper;
+  let didRegistry, credentialStatus;
+  let university, otherUniversity, students, outsider;
+  let batch;
+
+  before(async function () {
+    batchLib = await import("../lib/batchIssuance.js");
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+
+    const signers = await ethers.getSigners();
+    [, university, otherUniversity] = signers;
+    students = signers.slice(3, 8);
+    outsider = signers[8];
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(otherUniversity).registerIdentity(2);
+    await didRegistry.approveUniversity(otherUniversity.address, "");
+    for (const student of students) {
+      await didRegistry.connect(student).registerIdentity(1);
+    }
+
+    batch = batchLib.buildCredentialBatch(students.map((student, i) => ({
+      credentialHash: cryptoHelper.hashCredential(
+        { degree: "BSc", university: "MIT", year: 2024, studentNumber: i },
+        cryptoHelper.HashMethod.SALTED,
+        cryptoHelper.generateCredentialSalt()
+      ),
+      holder: student.address
+    })));
+
+    await expect(credentialStatus.connect(university).issueCredentialBatch(
+      batch.root, batch.credentialCount, "QmClassOf2024", cryptoHelper.encodeCredentialSchema("university-credential-v1", cryptoHelper.HashMethod.SALTED)
+    )).to.emit(credentialStatus, "CredentialBatchIssued").withArgs(batch.root, university.address, students.length, "QmClassOf2024");
+  });
+
+  function verifyOnChain(receipt) {
+    return credentialStatus.verifyBatchCredential(receipt.merkleRoot, receipt.credentialHash, receipt.holder, receipt.proof);
+  }
+
+  it("Matches the contract's leaf hashing", async function () {
+    const [credential] = batch.credentials;
+    expect(await credentialStatus.hashBatchLeaf(credential.credentialHash, credential.holder))
+      .to.equal(batchLib.hashBatchLeaf(credential));
+  });
+
+  it("Records the batch metadata", async function () {
+    const stored = await credentialStatus.credentialBatches(batch.root);
+    expect(stored.issuer).to.equal(university.address);
+    expect(stored.credentialCount).to.equal(BigInt(students.length));
+    expect(stored.ipfsHash).to.equal("QmClassOf2024");
+  });
+
+  it("Verifies every Student's credential with their receipt", async function () {
+    for (const credential of batch.credentials) {
+      const receipt = batchLib.getBatchReceipt(batch, credential.credentialHash);
+      expect(batchLib.verifyBatchReceipt(receipt)).to.equal(true);
+      expect(await verifyOnChain(receipt)).to.equal(true);
+    }
+  });
+
+  it("Rejects receipts for the wrong holder or outside the batch", async function () {
+    const receipt = batchLib.getBatchReceipt(batch, batch.credentials[0].credentialHash);
+
+    expect(await verifyOnChain({ ...receipt, holder: students[1].address })).to.equal(false);
+    expect(await verifyOnChain({ ...receipt, credentialHash: ethers.id("forged") })).to.equal(false);
+    expect(await verifyOnChain({ ...receipt, merkleRoot: ethers.id("unknown batch") })).to.equal(false);
+  });
+
+  it("Rejects duplicate roots, empty batches and non-University issuers", async function () {
+    await expect(credentialStatus.connect(university).issueCredentialBatch(batch.root, 1, "", "0x"))
+      .to.be.revertedWith("CredentialStatus: Batch already exists");
+    await expect(credentialStatus.connect(university).issueCredentialBatch(ethers.id("root"), 0, "", "0x"))
+      .to.be.revertedWith("CredentialStatus: Batch is empty");
+    await expect(credentialStatus.connect(students[0]).issueCredentialBatch(ethers.id("root"), 1, "", "0x"))
+      .to.be.revertedWith("CredentialStatus: Caller is not an accredited University");
+    expect(() => batchLib.buildCredentialBatch([batch.credentials[0], batch.credentials[0]])).to.throw(/Duplicate/);
+  });
+
+  it("Revokes one credential without affecting the rest of the batch", async function () {
+    const [revoked, kept] = batch.credentials.map((c) => batchLib.getBatchReceipt(batch, c.credentialHash));
+    const args = [revoked.merkleRoot, revoked.credentialHash, revoked.holder, revoked.proof];
+
+    await expect(credentialStatus.connect(otherUniversity).revokeBatchCredential(...args))
+      .to.be.revertedWith("CredentialStatus: Caller is not the batch issuer");
+    await expect(credentialStatus.connect(university).revokeBatchCredential(revoked.merkleRoot, revoked.credentialHash, kept.holder, revoked.proof))
+      .to.be.revertedWith("CredentialStatus: Credential is not in the batch");
+
+    await expect(credentialStatus.connect(university).revokeBatchCredential(...args))
+      .to.emit(credentialStatus, "BatchCredentialRevoked").withArgs(revoked.merkleRoot, revoked.credentialHash, university.address);
+    await expect(credentialStatus.connect(university).revokeBatchCredential(...args))
+      .to.be.revertedWith("CredentialStatus: Credential is not valid or does not exist");
+
+    expect(await verifyOnChain(revoked)).to.equal(false);
+    expect(await verifyOnChain(kept)).to.equal(true);
+  });
+
+  it("Rejects revocations in batches that do not exist", async function () {
+    // A made-up one-leaf "batch": the root is the leaf itself and the proof is empty
+    const target = batch.credentials[1];
+    const madeUpRoot = batchLib.hashBatchLeaf(target);
+
+    await expect(credentialStatus.connect(outsider).revokeBatchCredential(madeUpRoot, target.credentialHash, target.holder, []))
+      .to.be.revertedWith("CredentialStatus: Batch does not exist");
+    await expect(credentialStatus.connect(university).revokeBatchCredential(madeUpRoot, target.credentialHash, target.holder, []))
+      .to.be.revertedWith("CredentialStatus: Batch does not exist");
+
+    const receipt = batchLib.getBatchReceipt(batch, target.credentialHash);
+    await expect(credentialStatus.connect(outsider).revokeBatchCredential(receipt.merkleRoot, receipt.credentialHash, receipt.holder, receipt.proof))
+      .to.be.revertedWith("CredentialStatus: Caller is not registered");
+    expect(await verifyOnChain(receipt)).to.equal(true);
+  });
+});
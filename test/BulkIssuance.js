@@ -0,0 +1,260 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("Bulk CSV Issuance", function () {
+  let csv, bulk, cryptoHelper, storageLib, ipfsHelper;
+  let didRegistry, credentialStatus;
+  let university, studentA, studentB, studentC, outsider;
+  let tmpDir;
+
+  const degreeSchema = {
+    type: "object",
+    required: ["degree", "year"],
+    properties: { degree: { type: "string" }, year: { type: "integer" }, honours: { type: "boolean" }, courses: { type: "array" } }
+  };
+
+  async function rejectionOf(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error("Expected the promise to reject");
+  }
+
+  function classCsv() {
+    return [
+      "holder,degree,year,honours,courses,validUntil",
+      `${studentA.address},BSc Physics,2024,true,"[""PHY101"",""PHY201""]",`,
+      `${studentB.address},"BSc Chemistry, Honours",2024,false,,2099-01-01`,
+      `${studentC.address},BSc Biology,2024,,,`,
+      `${outsider.address},BSc Maths,2024,,,`
+    ].join("\n");
+  }
+
+  // Stops the run (as a crash would) once `count` rows have been issued
+  function crashAfter(count) {
+    let issued = 0;
+    return (receipt) => {
+      if (receipt.status === "issued" && ++issued === count) {
+        throw new Error("Simulated crash");
+      }
+    };
+  }
+
+  before(async function () {
+    csv = await import("../lib/csv.js");
+    bulk = await import("../lib/bulkIssuance.js");
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+    storageLib = await import("../lib/storage/index.js");
+    ipfsHelper = await import("../lib/ipfsHelper.js");
+
+    [, university, studentA, studentB, studentC, outsider] = await ethers.getSigners();
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    for (const student of [studentA, studentB, studentC]) {
+      await didRegistry.connect(student).registerIdentity(1);
+    }
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "bulk-issuance-"));
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Parses and writes RFC 4180 CSV", function () {
+    const text = "﻿name,note\r\n\"Lovelace, Ada\",\"said \"\"hi\"\"\"\r\n\r\nTuring,\"line one\nline two\"\r\n";
+    const { header, records } = csv.parseCsv(text);
+    expect(header).to.deep.equal(["name", "note"]);
+    expect(records).to.deep.equal([
+      { line: 2, values: { name: "Lovelace, Ada", note: 'said "hi"' } },
+      { line: 4, values: { name: "Turing", note: "line one\nline two" } }
+    ]);
+
+    const written = csv.formatCsv(records.map((record) => record.values), header);
+    expect(csv.parseCsv(written).records.map((record) => record.values)).to.deep.equal(records.map((record) => record.values));
+
+    expect(() => csv.parseCsv("a,b\n1,2,3")).to.throw("CSV line 2: expected 2 fields, got 3");
+    expect(() => csv.parseCsv("a,b\n\"1,2")).to.throw("CSV line 2: unterminated quoted field");
+    expect(() => csv.parseCsv("a,a\n1,2")).to.throw('repeats the column "a"');
+    expect(() => csv.parseCsv("")).to.throw("no header row");
+  });
+
+  it("Types and validates rows against the schema, reporting bad rows without stopping", function () {
+    const text = `${classCsv()}\nnot-an-address,BSc Art,2024,,,\n${studentA.address},BSc Physics,twenty,,,\n${studentC.address},BSc Biology,2024,,,`;
+    const rows = bulk.parseIssuanceCsv(text, { schemaDocument: degreeSchema });
+
+    expect(rows[0]).to.deep.equal({
+      line: 2,
+      holder: studentA.address,
+      holderPublicKey: null,
+      claims: { degree: "BSc Physics", year: 2024, honours: true, courses: ["PHY101", "PHY201"] },
+      validFrom: 0,
+      validUntil: 0,
+      error: null
+    });
+    expect(rows[1].claims).to.deep.equal({ degree: "BSc Chemistry, Honours", year: 2024, honours: false });
+    expect(rows[1].validUntil).to.equal(Date.parse("2099-01-01") / 1000);
+    expect(rows.slice(4).map((row) => row.error)).to.deep.equal([
+      'holder is not an address: "not-an-address"',
+      "year: must be integer (got string)",
+      "duplicate of line 4"
+    ]);
+
+    // Without a schema every claim stays a string
+    expect(bulk.parseIssuanceCsv(classCsv())[2].claims).to.deep.equal({ degree: "BSc Biology", year: "2024" });
+    expect(() => bulk.parseIssuanceCsv("degree\nBSc")).to.throw('no "holder" column');
+    expect(() => bulk.parseIssuanceCsv("holder,validUntil\n0x,")).to.throw("no claim columns");
+  });
+
+  it("Estimates gas in a dry run without sending anything", async function () {
+    const rows = bulk.parseIssuanceCsv(classCsv(), { schemaDocument: degreeSchema });
+    const nonce = await ethers.provider.getTransactionCount(university.address);
+    const { estimates, summary } = await bulk.estimateBulkIssuance({
+      rows, credentials: credentialStatus.connect(university), schema: "bachelor-degree-v1"
+    });
+
+    expect(summary).to.include({ rows: 4, ready: 3, invalid: 0, failed: 1 });
+    expect(summary.estimatedGas).to.equal(estimates.slice(0, 3).reduce((total, estimate) => total + BigInt(estimate.estimatedGas), 0n));
+    expect(summary.estimatedCost).to.equal(summary.estimatedGas * summary.gasPrice);
+    expect(estimates[3]).to.include({ line: 5, status: "failed" });
+    expect(estimates[3].error).to.contain("Holder is not a registered Student");
+    expect(await ethers.provider.getTransactionCount(university.address)).to.equal(nonce);
+  });
+
+  it("Issues each row with its own nonce and writes receipts", async function () {
+    const storage = storageLib.createStorage({ type: "memory" });
+    const rows = bulk.parseIssuanceCsv(classCsv(), { schemaDocument: degreeSchema });
+    const startNonce = await ethers.provider.getTransactionCount(university.address);
+    const { receipts, summary } = await bulk.runBulkIssuance({
+      rows, credentials: credentialStatus.connect(university), storage, schema: "bachelor-degree-v1", retryDelayMs: 0
+    });
+
+    expect(summary).to.include({ rows: 4, issued: 3, alreadyIssued: 0, invalid: 0, failed: 1 });
+    expect(summary.gasUsed).to.equal(receipts.slice(0, 3).reduce((total, receipt) => total + BigInt(receipt.gasUsed), 0n));
+    expect(receipts.slice(0, 3).map((receipt) => receipt.nonce)).to.deep.equal([startNonce, startNonce + 1, startNonce + 2]);
+    expect(receipts[3]).to.include({ status: "failed", holder: outsider.address });
+    expect(receipts[3].error).to.contain("Holder is not a registered Student");
+
+    for (const [index, receipt] of receipts.slice(0, 3).entries()) {
+      expect(receipt.credentialHash).to.equal(cryptoHelper.hashCredential(rows[index].claims, "salted", receipt.salt));
+      const metadata = await credentialStatus.getCredentialMetadata(receipt.credentialHash);
+      expect(metadata.holder).to.equal(rows[index].holder);
+      expect(metadata.ipfsHash).to.equal(receipt.cid);
+      expect(await storage.has(receipt.cid)).to.equal(true);
+    }
+    expect((await credentialStatus.getCredentialMetadata(receipts[1].credentialHash)).validUntil).to.equal(BigInt(rows[1].validUntil));
+
+    const receiptsCsv = csv.parseCsv(bulk.formatReceipts(receipts));
+    expect(receiptsCsv.header).to.deep.equal(bulk.RECEIPT_COLUMNS);
+    expect(receiptsCsv.records[0].values).to.include({ line: "2", status: "issued", transactionHash: receipts[0].transactionHash, error: "" });
+    expect(JSON.parse(bulk.formatReceipts(receipts, "json"))).to.deep.equal(receipts);
+  });
+
+  it("Resumes from its checkpoint after a crash without issuing a row twice", async function () {
+    const storage = storageLib.createStorage({ type: "memory" });
+    const checkpointFile = path.join(tmpDir, "resume.checkpoint.json");
+    const text = classCsv().replace(/BSc/g, "MSc");
+    const rows = bulk.parseIssuanceCsv(text, { schemaDocument: degreeSchema });
+    const params = { rows, credentials: credentialStatus.connect(university), storage, schema: "master-degree-v1", checkpointFile, retryDelayMs: 0 };
+
+    const error = await rejectionOf(bulk.runBulkIssuance({ ...params, maxPending: 1, onRow: crashAfter(2) }));
+    expect(error.message).to.equal("Simulated crash");
+    const saved = JSON.parse(fs.readFileSync(checkpointFile, "utf8"));
+    expect(Object.values(saved.rows).map((entry) => entry.status)).to.deep.equal(["issued", "issued"]);
+
+    const { receipts, summary } = await bulk.runBulkIssuance(params);
+    expect(summary).to.include({ issued: 1, alreadyIssued: 2, failed: 1 });
+    expect(receipts[0].credentialHash).to.equal(saved.rows[2].credentialHash);
+    expect(receipts[0].salt).to.equal(saved.rows[2].salt);
+    expect(summary.gasUsed).to.equal(BigInt(receipts[2].gasUsed));
+
+    // A checkpoint only resumes the run it was written for
+    const changed = bulk.parseIssuanceCsv(text.replace("MSc Biology", "MSc Zoology"), { schemaDocument: degreeSchema });
+    expect((await rejectionOf(bulk.runBulkIssuance({ ...params, rows: changed }))).message).to.contain("is for a different run");
+  });
+
+  it("Retries storage errors and resynchronises its nonce after an out-of-band transaction", async function () {
+    const memory = storageLib.createStorage({ type: "memory" });
+    let failures = 2;
+    const flakyStorage = {
+      ...memory,
+      add: async (content) => {
+        if (failures-- > 0) throw new Error("IPFS node unavailable");
+        return memory.add(content);
+      }
+    };
+    const rows = bulk.parseIssuanceCsv(classCsv().replace(/BSc/g, "PhD"), { schemaDocument: degreeSchema }).slice(0, 3);
+
+    // After the first row, the University's key sends a transaction the pipeline does not know about
+    let interrupted = false;
+    const { receipts, summary } = await bulk.runBulkIssuance({
+      rows,
+      credentials: credentialStatus.connect(university),
+      storage: flakyStorage,
+      schema: "doctorate-v1",
+      retryDelayMs: 0,
+      maxPending: 1,
+      onRow: async () => {
+        if (!interrupted) {
+          interrupted = true;
+          await (await university.sendTransaction({ to: university.address })).wait();
+        }
+      }
+    });
+
+    expect(summary).to.include({ issued: 3, failed: 0 });
+    expect(receipts.map((receipt) => receipt.attempts)).to.deep.equal([1, 2, 1]);
+    expect(receipts[2].nonce).to.equal(receipts[1].nonce + 1);
+    expect(receipts[1].nonce).to.equal(receipts[0].nonce + 2);
+
+    // Out of retries: the row fails and the run carries on
+    failures = 1;
+    const [failed] = (await bulk.runBulkIssuance({
+      rows: bulk.parseIssuanceCsv(classCsv().replace(/BSc/g, "BA"), { schemaDocument: degreeSchema }).slice(0, 1),
+      credentials: credentialStatus.connect(university), storage: flakyStorage, schema: "doctorate-v1", retries: 0
+    })).receipts;
+    expect(failed).to.include({ status: "failed", error: "IPFS node unavailable" });
+  });
+
+  it("Encrypts each row's blob to its own holder, plus any --encrypt-to keys", async function () {
+    const holders = [ethers.Wallet.createRandom(ethers.provider), ethers.Wallet.createRandom(ethers.provider)];
+    const registrar = ethers.Wallet.createRandom();
+    for (const holder of holders) {
+      await (await university.sendTransaction({ to: holder.address, value: ethers.parseEther("1") })).wait();
+      await didRegistry.connect(holder).registerIdentity(1);
+    }
+    const text = [
+      "holder,holderPublicKey,degree,year",
+      ...holders.map((holder, i) => `${holder.address},${holder.signingKey.publicKey},BEng Civil ${i},2024`),
+      `${studentA.address},${holders[0].signingKey.publicKey},BEng Civil 2,2024`,
+      `${studentB.address},,BEng Civil 3,2024`
+    ].join("\n");
+    const rows = bulk.parseIssuanceCsv(text, { schemaDocument: degreeSchema });
+    expect(rows.map((row) => row.error)).to.deep.equal([
+      null, null, `holderPublicKey belongs to ${holders[0].address}, not to the holder`, "holderPublicKey is empty"
+    ]);
+
+    const storage = storageLib.createStorage({ type: "memory" });
+    const { receipts } = await bulk.runBulkIssuance({
+      rows, credentials: credentialStatus.connect(university), storage, schema: "engineering-v1",
+      encryptTo: [registrar.signingKey.publicKey], retryDelayMs: 0
+    });
+    expect(receipts.map((receipt) => receipt.status)).to.deep.equal(["issued", "issued", "invalid", "invalid"]);
+
+    for (const [i, holder] of holders.entries()) {
+      const { cid } = receipts[i];
+      const stored = JSON.stringify(rows[i].claims);
+      expect(await ipfsHelper.retrieveCredentialFromIPFS(cid, storage, { wallet: holder })).to.equal(stored);
+      expect(await ipfsHelper.retrieveCredentialFromIPFS(cid, storage, { wallet: registrar })).to.equal(stored);
+      await rejectionOf(ipfsHelper.retrieveCredentialFromIPFS(cid, storage, { wallet: holders[1 - i] }));
+    }
+  });
+});
@@ -0,0 +1,100 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Canonical JSON Hashing (RFC 8785)", function () {
+  let canonicalJson, cryptoHelper;
+  let didRegistry, credentialStatus;
+  let university, student, employer;
+
+  before(async function () {
+    canonicalJson = await import("../lib/canonicalJson.js");
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+
+    [, university, student, employer] = await ethers.getSigners();
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+  });
+
+  it("Serializes the RFC 8785 sample input", function () {
+    const input = JSON.parse(
+      '{"numbers":[333333333.33333329,1E30,4.50,2e-3,0.000000000000000000000000001],' +
+      '"string":"\\u20ac$\\u000F\\u000aA\'\\u0042\\u0022\\u005c\\\\\\"\\/",' +
+      '"literals":[null,true,false]}'
+    );
+
+    expect(canonicalJson.canonicalize(input)).to.equal(
+      '{"literals":[null,true,false],"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],' +
+      '"string":"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}'
+    );
+  });
+
+  it("Sorts properties by UTF-16 code units", function () {
+    const input = { "€": 1, "\r": 2, "\ufb33": 3, "1": 4, "😀": 5, "\u0080": 6, "ö": 7 };
+
+    expect(canonicalJson.canonicalize(input)).to.equal('{"\\r":2,"1":4,"\u0080":6,"ö":7,"€":1,"😀":5,"\ufb33":3}');
+  });
+
+  it("Rejects values that have no canonical form", function () {
+    expect(() => canonicalJson.canonicalize({ gpa: NaN })).to.throw("not a valid JSON number");
+    expect(() => canonicalJson.canonicalize({ name: "\ud800" })).to.throw("lone surrogate");
+  });
+
+  it("Hashes reordered and reformatted credentials identically", function () {
+    const a = cryptoHelper.hashCredential({ degree: "BSc", university: "MIT", year: 2024, gpa: 3.8 });
+    const b = cryptoHelper.hashCredential('{ "gpa": 3.80, "year": 2024,\n  "university": "MIT", "degree": "BSc" }', cryptoHelper.HashMethod.JCS);
+
+    expect(a).to.equal(b);
+    expect(cryptoHelper.hashCredential({ year: 2024, degree: "BSc" }, cryptoHelper.HashMethod.LEGACY))
+      .to.not.equal(cryptoHelper.hashCredential({ degree: "BSc", year: 2024 }, cryptoHelper.HashMethod.LEGACY));
+  });
+
+  it("Verifies a JCS credential on-chain after the holder rebuilds it in a different key order", async function () {
+    const issued = { degree: "BSc", university: "MIT", year: 2024, gpa: 3.8, honors: "Magna Cum Laude" };
+    const credentialHash = cryptoHelper.hashCredential(issued);
+    const schema = cryptoHelper.encodeCredentialSchema("university-credential-v1");
+
+    await credentialStatus.connect(university).issueCredential(student.address, credentialHash, "QmCanonical", schema);
+
+    const metadata = await credentialStatus.getCredentialMetadata(credentialHash);
+    expect(cryptoHelper.getHashMethod(metadata.credentialSchema)).to.equal(cryptoHelper.HashMethod.JCS);
+
+    const rebuilt = { honors: "Magna Cum Laude", gpa: 3.80, year: 2024, university: "MIT", degree: "BSc" };
+    const canonicalData = canonicalJson.serializeCredential(rebuilt);
+    expect(await credentialStatus.connect(employer).verifyCredentialData.staticCall(canonicalData, credentialHash)).to.equal(true);
+  });
+
+  it("Still verifies legacy credentials whose schema has no marker", async function () {
+    const legacyData = JSON.stringify({ degree: "MSc", university: "MIT", year: 2023 });
+    const credentialHash = ethers.keccak256(ethers.toUtf8Bytes(legacyData));
+
+    await credentialStatus.connect(university).issueCredential(
+      student.address, credentialHash, "QmLegacy", ethers.toUtf8Bytes("university-credential-v1")
+    );
+
+    const metadata = await credentialStatus.getCredentialMetadata(credentialHash);
+    const method = cryptoHelper.getHashMethod(metadata.credentialSchema);
+    expect(method).to.equal(cryptoHelper.HashMethod.LEGACY);
+    expect(cryptoHelper.hashCredential(legacyData, method)).to.equal(credentialHash);
+  });
+
+  it("Hashes and verifies plaintext credentials the way the original helpers did", async function () {
+    const plaintext = "Bachelor of Science in Computer Science - Alice - 2021";
+    const credentialHash = ethers.keccak256(ethers.toUtf8Bytes(plaintext));
+    const signature = await university.signMessage(plaintext);
+    await credentialStatus.connect(university).issueCredential(student.address, credentialHash, "QmPlaintext", "0x");
+
+    expect(cryptoHelper.hashCredential(plaintext)).to.equal(credentialHash);
+    expect(cryptoHelper.verifyCompleteCredential(plaintext, signature, university.address, credentialHash))
+      .to.deep.equal({ isValid: true, checks: { signatureValid: true, hashValid: true }, reasons: [] });
+    expect(await credentialStatus.connect(employer).verifyCredentialData.staticCall(plaintext, cryptoHelper.hashCredential(plaintext))).to.equal(true);
+
+    // A JSON string also hashes as given unless JCS is asked for
+    const legacyJson = '{"year":2021,"degree":"BSc"}';
+    expect(cryptoHelper.hashCredential(legacyJson)).to.equal(ethers.keccak256(ethers.toUtf8Bytes(legacyJson)));
+  });
+});
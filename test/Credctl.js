@@ -0,0 +1,396 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("credctl: Command-Line Credential Lifecycle", function () {
+  let commands, cli, config, storageLib;
+  let owner, university, student, employer;
+  let tmpDir, credentialFile, deployment;
+  let issued;
+
+  const claims = { degree: "BSc Computer Science", university: "MIT", year: 2024, gpa: 3.8 };
+
+  async function rejectionOf(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error("Expected the promise to reject");
+  }
+
+  // Context as built by cli.createContext, but on the in-process Hardhat network
+  function contextFor(signer) {
+    return {
+      network: { name: "hardhat" },
+      provider: ethers.provider,
+      signer,
+      addresses: { registry: deployment.DIDRegistry, credentials: deployment.CredentialStatus },
+      storage: storageLib.createStorage({ type: "filesystem", directory: path.join(tmpDir, "blobs") }),
+      deployments: path.join(tmpDir, "deployments")
+    };
+  }
+
+  before(async function () {
+    commands = await import("../lib/credctl/commands.js");
+    cli = await import("../lib/credctl/cli.js");
+    config = await import("../lib/credctl/config.js");
+    storageLib = await import("../lib/storage/index.js");
+
+    [owner, university, student, employer] = await ethers.getSigners();
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "credctl-"));
+    credentialFile = path.join(tmpDir, "degree.json");
+    fs.writeFileSync(credentialFile, JSON.stringify(claims, null, 2));
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Deploys the contracts and records their addresses", async function () {
+    const ctx = { network: { name: "hardhat" }, provider: ethers.provider, signer: owner, deployments: path.join(tmpDir, "deployments") };
+    deployment = await commands.deploy(ctx);
+
+    expect(ethers.isAddress(deployment.DIDRegistry)).to.equal(true);
+    const registry = await ethers.getContractAt("DIDRegistry", deployment.DIDRegistry);
+    expect(await registry.trustedForwarder()).to.equal(deployment.TrustedForwarder);
+    const access = await ethers.getContractAt("CredentialAccess", deployment.CredentialAccess);
+    expect(await access.credentialStatus()).to.equal(deployment.CredentialStatus);
+    expect(config.loadDeployment("hardhat", ctx.deployments).CredentialStatus).to.equal(deployment.CredentialStatus);
+    expect(config.resolveAddresses({ deployments: ctx.deployments }, "hardhat", {}))
+      .to.deep.equal({ registry: deployment.DIDRegistry, credentials: deployment.CredentialStatus });
+  });
+
+  it("Registers identities by role name", async function () {
+    const result = await commands.register(contextFor(university), { role: "University" });
+    expect(result).to.include({ address: university.address, role: "university", accreditation: "Pending" });
+    expect(await commands.accredit(contextFor(owner), { address: university.address }))
+      .to.include({ university: university.address, accreditation: "Accredited", threshold: 1 });
+    await commands.register(contextFor(student), { role: "student" });
+
+    expect((await rejectionOf(commands.register(contextFor(employer), { role: "dean" }))).message).to.contain("Unknown role");
+  });
+
+  it("Publishes DID Document attributes and resolves DIDs", async function () {
+    const ctx = contextFor(university);
+    const published = await commands.setAttribute(ctx, { name: "did/svc/VerificationService", value: "https://verify.example.edu" });
+    expect(published.did).to.equal(`did:unicred:31337:${university.address}`);
+
+    const document = await commands.resolve(contextFor(null), { ref: university.address });
+    expect(document).to.include({ id: published.did, role: "University", accreditation: "Accredited" });
+    expect(document.service).to.deep.equal([
+      { id: `${published.did}#VerificationService`, type: "VerificationService", serviceEndpoint: "https://verify.example.edu" }
+    ]);
+
+    await commands.removeAttribute(ctx, { name: "did/svc/VerificationService" });
+    expect((await commands.resolve(contextFor(null), { ref: published.did }))).to.not.have.property("service");
+    expect((await rejectionOf(commands.resolve(contextFor(null), { ref: employer.address }))).message).to.contain("notFound");
+  });
+
+  it("Rotates keys and recovers identities", async function () {
+    const [, , , , newKey, guardian, recoveredKey] = await ethers.getSigners();
+    await commands.register(contextFor(employer), { role: "employer" });
+
+    expect(await commands.rotateKey(contextFor(employer), { controller: newKey.address }))
+      .to.include({ identity: employer.address, previousController: employer.address, controller: newKey.address });
+    expect(await commands.setGuardians(contextFor(newKey), { guardians: guardian.address }))
+      .to.deep.include({ identity: employer.address, guardians: [guardian.address], threshold: 1 });
+
+    const recovered = await commands.recover(contextFor(guardian), { identity: `did:unicred:31337:${employer.address}`, controller: recoveredKey.address });
+    expect(recovered).to.include({ identity: employer.address, controller: recoveredKey.address, recovered: true });
+    expect((await rejectionOf(commands.rotateKey(contextFor(newKey), { controller: guardian.address }))).message)
+      .to.contain("does not control a registered identity");
+  });
+
+  it("Issues a salted credential from a JSON file", async function () {
+    issued = await commands.issue(contextFor(university), { file: credentialFile, holder: student.address });
+
+    expect(issued.salt).to.match(/^0x[0-9a-f]{64}$/);
+    expect(issued.schema).to.equal("university-credential-v1;c14n=jcs;commitment=salted");
+    expect(issued.issuer).to.equal(university.address);
+
+    const shown = await commands.show(contextFor(null), { hash: issued.credentialHash });
+    expect(shown).to.include({ holder: student.address, ipfsHash: issued.ipfsHash, hashMethod: "salted", state: "Valid" });
+  });
+
+  it("Verifies the file with the holder's salt", async function () {
+    const ctx = contextFor(null);
+
+    const ok = await commands.verify(ctx, { file: credentialFile, hash: issued.credentialHash, salt: issued.salt });
+    expect(ok.valid).to.equal(true);
+
+    const noSalt = await commands.verify(ctx, { file: credentialFile, hash: issued.credentialHash });
+    expect(noSalt.valid).to.equal(false);
+    expect(noSalt.reasons.join(" ")).to.contain("--salt");
+
+    const forged = path.join(tmpDir, "forged.json");
+    fs.writeFileSync(forged, JSON.stringify({ ...claims, gpa: 4.0 }));
+    const mismatch = await commands.verify(ctx, { file: forged, hash: issued.credentialHash, salt: issued.salt });
+    expect(mismatch.valid).to.equal(false);
+    expect(mismatch.reasons).to.deep.equal(["Credential data does not match the on-chain hash"]);
+  });
+
+  it("Fetches the stored blob by credential hash or CID", async function () {
+    const byHash = await commands.fetch(contextFor(null), { ref: issued.credentialHash });
+    expect(JSON.parse(byHash.data)).to.deep.equal(claims);
+
+    const out = path.join(tmpDir, "fetched.json");
+    const byCid = await commands.fetch(contextFor(null), { ref: issued.ipfsHash, out });
+    expect(byCid).to.deep.equal({ cid: issued.ipfsHash, file: out });
+    expect(JSON.parse(fs.readFileSync(out, "utf8"))).to.deep.equal(claims);
+  });
+
+  it("Shares a verification link with the claims and salt", async function () {
+    const shareLink = await import("../lib/shareLink.js");
+    const ctx = { ...contextFor(null), verifyUrl: "https://verify.example.edu/verify.html" };
+
+    const shared = await commands.share(ctx, { hash: issued.credentialHash, file: credentialFile, salt: issued.salt, qr: true });
+    expect(shared.link.startsWith("https://verify.example.edu/verify.html#")).to.equal(true);
+    expect(shared.qr.split("\n").length).to.be.greaterThan(10);
+    expect(cli.formatResult({ qr: "ab\ncd" })).to.equal("qr: \nab\ncd");
+
+    const payload = shareLink.parseShareLink(shared.link);
+    expect(payload).to.deep.include({ credentialHash: issued.credentialHash, cid: issued.ipfsHash, claims, salt: issued.salt });
+    const report = await shareLink.verifySharedCredential(payload, {
+      credentials: await ethers.getContractAt("CredentialStatus", deployment.CredentialStatus),
+      registry: await ethers.getContractAt("DIDRegistry", deployment.DIDRegistry)
+    });
+    expect(report.isValid).to.equal(true);
+
+    // A status-only link by default, and nothing is shared that does not match the chain
+    expect(shareLink.parseShareLink((await commands.share(contextFor(null), { hash: issued.credentialHash })).link))
+      .to.not.have.any.keys("claims", "salt");
+    expect((await rejectionOf(commands.share(ctx, { hash: issued.credentialHash, file: credentialFile }))).message).to.contain("--salt");
+    const forged = path.join(tmpDir, "forged.json");
+    expect((await rejectionOf(commands.share(ctx, { hash: issued.credentialHash, file: forged, salt: issued.salt }))).message)
+      .to.contain("does not match the on-chain hash");
+  });
+
+  it("Suspends and reinstates with a reason", async function () {
+    const ctx = contextFor(university);
+    const suspended = await commands.suspend(ctx, { hash: issued.credentialHash, reason: "InvestigationPending", reasonUri: "https://example.edu/case/7" });
+    expect(suspended).to.include({ state: "Suspended", reason: "InvestigationPending", reasonURI: "https://example.edu/case/7" });
+    expect((await commands.status(ctx, { hash: issued.credentialHash })).valid).to.equal(false);
+
+    await commands.reinstate(ctx, { hash: issued.credentialHash, reason: "4" });
+    const shown = await commands.show(ctx, { hash: issued.credentialHash });
+    expect(shown.state).to.equal("Valid");
+    expect(shown.statusHistory.map((change) => change.reason)).to.deep.equal(["InvestigationPending", "InvestigationCleared"]);
+
+    expect((await rejectionOf(commands.suspend(ctx, { hash: issued.credentialHash, reason: "Plagiarism" }))).message).to.contain("Unknown reason");
+  });
+
+  it("Revokes, and reports the new status", async function () {
+    const ctx = contextFor(university);
+    expect((await commands.status(ctx, { hash: issued.credentialHash })).state).to.equal("Valid");
+
+    await commands.revoke(ctx, { hash: issued.credentialHash });
+    expect(await commands.status(ctx, { hash: issued.credentialHash }))
+      .to.deep.equal({ credentialHash: issued.credentialHash, state: "Revoked", valid: false });
+
+    const result = await commands.verify(ctx, { file: credentialFile, hash: issued.credentialHash, salt: issued.salt });
+    expect(result.checks).to.deep.equal({
+      exists: true,
+      hashMatches: true,
+      onChainValid: false,
+      issuerAccreditedAtIssue: true,
+      issuerAccredited: true
+    });
+  });
+
+  it("Issues time-bounded credentials and renews them", async function () {
+    const ctx = contextFor(university);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const licenceFile = path.join(tmpDir, "licence.json");
+    fs.writeFileSync(licenceFile, JSON.stringify({ licence: "Teaching", level: 1 }));
+
+    const licence = await commands.issue(ctx, { file: licenceFile, holder: student.address, validUntil: String(now + 3600) });
+    expect(licence.validUntil).to.equal(new Date((now + 3600) * 1000).toISOString());
+    expect((await commands.show(ctx, { hash: licence.credentialHash })).validUntil).to.equal(licence.validUntil);
+
+    const renewed = await commands.renew(ctx, { hash: licence.credentialHash, validUntil: "2100-01-01" });
+    expect(renewed).to.include({ validUntil: "2100-01-01T00:00:00.000Z", state: "Valid" });
+    expect((await commands.renew(ctx, { hash: licence.credentialHash, validUntil: "never" })).validUntil).to.equal(null);
+
+    expect((await rejectionOf(commands.renew(ctx, { hash: licence.credentialHash }))).message).to.contain("--valid-until");
+    expect((await rejectionOf(commands.issue(ctx, { file: licenceFile, holder: student.address, validFrom: "soon" }))).message)
+      .to.contain("Invalid --valid-from date");
+  });
+
+  it("Schedules, cancels and completes recovery by the issuing University", async function () {
+    const newKey = (await ethers.getSigners())[10];
+    const request = { identity: student.address, controller: newKey.address };
+    expect((await rejectionOf(commands.recover(contextFor(university), request))).message).to.contain("Caller cannot recover this identity");
+    expect((await rejectionOf(commands.issuerRecovery(contextFor(student), { setting: "yes" }))).message).to.contain("Expected on or off");
+    expect(await commands.issuerRecovery(contextFor(student), { setting: "on" })).to.include({ identity: student.address, issuerRecovery: true });
+
+    const scheduled = await commands.recover(contextFor(university), request);
+    expect(scheduled).to.include({ identity: student.address, controller: student.address, recovered: false });
+    expect(Date.parse(scheduled.recoverableAt)).to.be.greaterThan(Date.now());
+    expect(await commands.cancelRecovery(contextFor(student))).to.include({ identity: student.address, cancelledController: newKey.address });
+
+    await commands.recover(contextFor(university), request);
+    expect((await rejectionOf(commands.completeRecovery(contextFor(newKey), { identity: student.address }))).message)
+      .to.contain("Challenge period not over");
+    await ethers.provider.send("evm_increaseTime", [3 * 24 * 60 * 60]);
+    expect(await commands.completeRecovery(contextFor(newKey), { identity: `did:unicred:31337:${student.address}` }))
+      .to.include({ identity: student.address, controller: newKey.address });
+
+    // Hand control back for the remaining tests
+    const registry = await ethers.getContractAt("DIDRegistry", deployment.DIDRegistry);
+    await registry.connect(newKey).changeController(student.address);
+  });
+
+  it("Authorizes delegates that issue in the University's name", async function () {
+    const registrar = (await ethers.getSigners())[7];
+    const authorized = await commands.delegate(contextFor(university), {
+      delegate: registrar.address,
+      scopes: "issue,revoke",
+      types: "university-credential-v1",
+      validUntil: "2100-01-01"
+    });
+    expect(authorized).to.deep.include({
+      delegate: registrar.address,
+      university: university.address,
+      scopes: ["issue", "revoke"],
+      validUntil: "2100-01-01T00:00:00.000Z",
+      credentialTypes: ["university-credential-v1"]
+    });
+
+    const delegated = await commands.issue(contextFor(registrar), { file: credentialFile, holder: student.address });
+    expect(delegated).to.include({ issuer: university.address, delegate: registrar.address });
+    expect((await commands.show(contextFor(null), { hash: delegated.credentialHash })).delegate).to.equal(registrar.address);
+    expect((await rejectionOf(commands.issue(contextFor(registrar), { file: credentialFile, holder: student.address, schema: "licence-v1" }))).message)
+      .to.contain("not authorized for this credential type");
+
+    expect(await commands.undelegate(contextFor(university), { delegate: registrar.address })).to.include({ removed: true });
+    expect(await commands.delegation(contextFor(null), { delegate: registrar.address })).to.deep.equal({ delegate: registrar.address, isDelegate: false });
+    expect((await rejectionOf(commands.delegate(contextFor(university), { delegate: registrar.address, scopes: "mint" }))).message)
+      .to.contain("Unknown scope");
+  });
+
+  it("Registers schemas and validates credentials against them before issuing", async function () {
+    const schemaFile = path.join(tmpDir, "degree.schema.json");
+    fs.writeFileSync(schemaFile, JSON.stringify({
+      type: "object",
+      required: ["degree", "university", "year"],
+      properties: { degree: { type: "string" }, university: { type: "string" }, year: { type: "integer", minimum: 1900 }, gpa: { type: "number", maximum: 4 } }
+    }));
+    const registered = await commands.registerSchema(contextFor(university), { file: schemaFile, reference: "bachelor-degree@1.0" });
+    expect(registered).to.include({ id: "bachelor-degree", version: "1.0", reference: "bachelor-degree@1.0" });
+    expect(registered.uri).to.match(/^ipfs:\/\//);
+
+    const shown = await commands.schema(contextFor(university), { reference: "bachelor-degree@1.0" });
+    expect(shown).to.include({ issuer: university.address, documentHash: registered.documentHash });
+    expect(shown.document.required).to.deep.equal(["degree", "university", "year"]);
+
+    const issuedWithSchema = await commands.issue(contextFor(university), { file: credentialFile, holder: student.address, schema: "bachelor-degree@1.0" });
+    expect(issuedWithSchema.schema).to.equal("bachelor-degree@1.0;c14n=jcs;commitment=salted");
+
+    // Field-level errors, before anything is stored or hashed
+    const invalidFile = path.join(tmpDir, "invalid-degree.json");
+    fs.writeFileSync(invalidFile, JSON.stringify({ degree: "BSc", year: "2024", gpa: 4.5 }));
+    const blobs = fs.readdirSync(path.join(tmpDir, "blobs")).length;
+    const error = await rejectionOf(commands.issue(contextFor(university), { file: invalidFile, holder: student.address, schema: "bachelor-degree@1.0" }));
+    expect(error.message).to.contain("Credential does not match bachelor-degree@1.0");
+    expect(error.errors.map((item) => item.field)).to.deep.equal(["university", "year", "gpa"]);
+    expect(fs.readdirSync(path.join(tmpDir, "blobs")).length).to.equal(blobs);
+
+    expect((await rejectionOf(commands.issue(contextFor(university), { file: credentialFile, holder: student.address, schema: "bachelor-degree@2.0" }))).message)
+      .to.contain("not registered");
+    expect(cli.parseCommandLine(["schema", "bachelor-degree@1.0", "--issuer", university.address]).args)
+      .to.deep.equal({ reference: "bachelor-degree@1.0", issuer: university.address });
+  });
+
+  it("Issues credentials in bulk from a registrar CSV", async function () {
+    const csvFile = path.join(tmpDir, "class-of-2024.csv");
+    fs.writeFileSync(csvFile, [
+      "holder,degree,university,year,gpa",
+      `${student.address},BSc Physics,MIT,2024,3.5`,
+      `${student.address},"BSc Chemistry, Honours",MIT,2024,`,
+      `${employer.address},BSc Biology,MIT,2024,3.1`,
+      "0x1234,BSc Maths,MIT,2024,3.9"
+    ].join("\n"));
+    const args = { file: csvFile, schema: "bachelor-degree@1.0", encryptTo: [] };
+
+    const estimate = await commands.issueCsv(contextFor(university), { ...args, dryRun: true });
+    expect(estimate).to.include({ dryRun: true, rows: 4, ready: 2, invalid: 1, failed: 1 });
+    expect(BigInt(estimate.estimatedGas)).to.be.greaterThan(0n);
+    expect(estimate.problems).to.match(/^line 4: .*not a registered Student.*\nline 5: holder is not an address/);
+    expect(fs.existsSync(`${csvFile}.checkpoint.json`)).to.equal(false);
+
+    const result = await commands.issueCsv(contextFor(university), args);
+    expect(result).to.include({ rows: 4, issued: 2, alreadyIssued: 0, invalid: 1, failed: 1 });
+    expect(result.receipts).to.equal(path.join(tmpDir, "class-of-2024.receipts.csv"));
+    const receipts = fs.readFileSync(result.receipts, "utf8").trim().split("\n");
+    expect(receipts[0]).to.equal("line,holder,status,credentialHash,salt,cid,transactionHash,nonce,blockNumber,gasUsed,attempts,error");
+    expect(receipts[1]).to.match(new RegExp(`^2,${student.address},issued,0x[0-9a-f]{64},0x[0-9a-f]{64},Qm`));
+
+    // Rerunning resumes from the checkpoint: nothing is issued twice
+    const rerun = await commands.issueCsv(contextFor(university), { ...args, receipts: path.join(tmpDir, "receipts.json") });
+    expect(rerun).to.include({ issued: 0, alreadyIssued: 2, failed: 1 });
+    expect(JSON.parse(fs.readFileSync(rerun.receipts, "utf8"))[0].credentialHash).to.equal(receipts[1].split(",")[3]);
+
+    expect(cli.parseCommandLine(["issue-csv", "class.csv", "--schema", "bachelor-degree@1.0", "--retries", "5", "--dry-run"]).args).to.deep.equal({
+      file: "class.csv", schema: "bachelor-degree@1.0", unsalted: false, encryptTo: [], checkpoint: undefined, receipts: undefined, retries: "5", dryRun: true
+    });
+  });
+
+  it("Requires a key for transactions", async function () {
+    const error = await rejectionOf(commands.revoke(contextFor(null), { hash: issued.credentialHash }));
+    expect(error.message).to.contain("CREDCTL_PRIVATE_KEY");
+  });
+
+  it("Loads keys from the environment or a keystore file", async function () {
+    const wallet = ethers.Wallet.createRandom();
+    expect((await config.loadSigner({}, null, { CREDCTL_PRIVATE_KEY: wallet.privateKey })).address).to.equal(wallet.address);
+    expect(await config.loadSigner({}, null, {})).to.equal(null);
+
+    const keystore = path.join(tmpDir, "keystore.json");
+    fs.writeFileSync(keystore, await ethers.encryptKeystoreJson(wallet, "hunter2", { scrypt: { N: 1024 } }));
+    const env = { CREDCTL_KEYSTORE_PASSWORD: "hunter2" };
+    expect((await config.loadSigner({ keystore }, null, env)).address).to.equal(wallet.address);
+    expect((await rejectionOf(config.loadSigner({ keystore }, null, {}))).message).to.contain("CREDCTL_KEYSTORE_PASSWORD");
+  });
+
+  it("Resolves networks and parses command lines", function () {
+    expect(config.resolveNetwork({}, {})).to.deep.equal({ name: "localhost", rpcUrl: "http://127.0.0.1:8545" });
+    expect(config.resolveNetwork({ network: "sepolia" }, { SEPOLIA_RPC_URL: "https://rpc.example" }).rpcUrl).to.equal("https://rpc.example");
+    expect(() => config.resolveNetwork({ network: "sepolia" }, {})).to.throw(/SEPOLIA_RPC_URL/);
+    expect(() => config.resolveNetwork({ network: "mainnet" }, {})).to.throw(/Unknown network/);
+
+    const parsed = cli.parseCommandLine(["issue", "degree.json", "--holder", student.address, "--encrypt-to", "0x02ab", "--json"]);
+    expect(parsed.command).to.equal("issue");
+    expect(parsed.args).to.include({ file: "degree.json", holder: student.address, unsalted: false });
+    expect(parsed.args.encryptTo).to.deep.equal(["0x02ab"]);
+    expect(parsed.options.json).to.equal(true);
+
+    expect(cli.parseCommandLine(["suspend", ethers.ZeroHash, "--reason", "AdministrativeHold", "--reason-uri", "https://example.edu"]).args)
+      .to.deep.equal({ hash: ethers.ZeroHash, reason: "AdministrativeHold", reasonUri: "https://example.edu" });
+    expect(cli.parseCommandLine(["suspend-accreditation", student.address, "--reason-uri", "https://example.org/decision"]).args)
+      .to.deep.equal({ address: student.address, reasonUri: "https://example.org/decision" });
+    expect(cli.parseCommandLine(["set-guardians", `${student.address},${employer.address}`, "--threshold", "1"]).args)
+      .to.deep.equal({ guardians: `${student.address},${employer.address}`, threshold: "1" });
+    expect(cli.parseCommandLine(["delegate", student.address, "--scopes", "issue", "--types", "transcript-v1"]).args)
+      .to.deep.equal({ delegate: student.address, scopes: "issue", types: "transcript-v1", validUntil: undefined });
+    expect(cli.parseCommandLine(["renew", ethers.ZeroHash, "--valid-until", "2030-01-01"]).args)
+      .to.deep.equal({ hash: ethers.ZeroHash, validUntil: "2030-01-01" });
+    expect(cli.parseCommandLine(["verify", "degree.json", ethers.ZeroHash, "--salt", "0x01"]).args)
+      .to.deep.equal({ file: "degree.json", hash: ethers.ZeroHash, salt: "0x01" });
+    expect(cli.parseCommandLine(["share", ethers.ZeroHash, "--file", "degree.json", "--salt", "0x01", "--qr"]).args)
+      .to.deep.equal({ hash: ethers.ZeroHash, file: "degree.json", salt: "0x01", disclosure: undefined, qr: true });
+    expect(() => cli.parseCommandLine(["mint"])).to.throw(/Unknown command/);
+  });
+
+  it("Prints JSON errors and a non-zero exit code", async function () {
+    let output = "";
+    const stdout = { write: (text) => { output += text; } };
+
+    const code = await cli.runCli(["status", "0x1234", "--json"], { env: {}, stdout, stderr: stdout });
+    expect(code).to.equal(1);
+    expect(JSON.parse(output)).to.deep.equal({ error: "Not a credential hash (32-byte hex): 0x1234" });
+  });
+});
@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Credential Expiry and Renewal", function () {
+  let cryptoHelper, credentialTypes, vcLib, serviceLib;
+  let didRegistry, credentialStatus, service;
+  let university, otherUniversity, student;
+  let licence, validUntil;
+
+  const State = { None: 0, Valid: 1, Revoked: 2, Suspended: 3, Expired: 4, NotYetValid: 5 };
+  const DAY = 24 * 60 * 60;
+  const claims = { licence: "Teaching Licence", holderName: "Alice", level: 2 };
+
+  async function now() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function advanceTo(timestamp) {
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  before(async function () {
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+    credentialTypes = await import("../lib/credentialTypes.js");
+    vcLib = await import("../lib/verifiableCredential.js");
+    serviceLib = await import("../lib/verificationService.js");
+
+    [, university, otherUniversity, student] = await ethers.getSigners();
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(otherUniversity).registerIdentity(2);
+    await didRegistry.approveUniversity(otherUniversity.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+
+    service = serviceLib.createVerificationService({
+      registry: didRegistry.connect(ethers.provider),
+      credentials: credentialStatus.connect(ethers.provider)
+    });
+
+    licence = cryptoHelper.hashCredential(claims, cryptoHelper.HashMethod.JCS);
+    validUntil = (await now()) + 30 * DAY;
+  });
+
+  it("Issues a credential that is valid until a deadline", async function () {
+    const schema = cryptoHelper.encodeCredentialSchema("teaching-licence-v1", cryptoHelper.HashMethod.JCS);
+    await expect(credentialStatus.connect(university).issueCredentialWithValidity(student.address, licence, "QmLicence", schema, 0, validUntil))
+      .to.emit(credentialStatus, "CredentialValiditySet").withArgs(licence, 0, validUntil)
+      .and.to.emit(credentialStatus, "CredentialIssued");
+
+    expect(await credentialStatus.getCredentialStatus(licence)).to.equal(State.Valid);
+    expect(await credentialStatus.isCredentialValid(licence)).to.equal(true);
+
+    const metadata = await credentialStatus.getCredentialMetadata(licence);
+    expect(credentialTypes.formatValidity(metadata)).to.deep.equal({
+      validFrom: null,
+      validUntil: new Date(validUntil * 1000).toISOString()
+    });
+  });
+
+  it("Rejects validity periods that are empty or already over", async function () {
+    const start = (await now()) + DAY;
+    await expect(credentialStatus.connect(university).issueCredentialWithValidity(student.address, ethers.id("empty"), "", "0x", start, start))
+      .to.be.revertedWith("CredentialStatus: Validity ends before it starts");
+    await expect(credentialStatus.connect(university).issueCredentialWithValidity(student.address, ethers.id("over"), "", "0x", 0, (await now()) - 1))
+      .to.be.revertedWith("CredentialStatus: Validity period has already ended");
+  });
+
+  it("Reports NotYetValid before validFrom", async function () {
+    const hash = ethers.id("starts next term");
+    const validFrom = (await now()) + 10 * DAY;
+    await credentialStatus.connect(university).issueCredentialWithValidity(student.address, hash, "", "0x", validFrom, 0);
+
+    expect(await credentialStatus.getCredentialStatus(hash)).to.equal(State.NotYetValid);
+    expect(await credentialStatus.isCredentialValid(hash)).to.equal(false);
+    expect((await service.getCredentialStatus(hash)).status).to.equal(409);
+
+    await advanceTo(validFrom);
+    expect(await credentialStatus.getCredentialStatus(hash)).to.equal(State.Valid);
+  });
+
+  it("Expires at validUntil, and every check sees it", async function () {
+    await advanceTo(validUntil);
+
+    expect(await credentialStatus.getCredentialStatus(licence)).to.equal(State.Expired);
+    expect(await credentialStatus.isCredentialValid(licence)).to.equal(false);
+    expect(credentialTypes.stateName((await credentialStatus.getCredentialMetadata(licence)).state)).to.equal("Expired");
+
+    const status = await service.getCredentialStatus(licence);
+    expect(status).to.deep.equal({ status: 410, body: { credentialHash: licence, state: "Expired", valid: false } });
+    const verified = await service.verify({ credential: claims });
+    expect(verified.status).to.equal(410);
+    expect(verified.body.reasons).to.deep.equal(["Credential is Expired"]);
+  });
+
+  it("Renews an expired credential without a new hash", async function () {
+    await expect(credentialStatus.connect(otherUniversity).renewCredential(licence, validUntil + 365 * DAY))
+      .to.be.revertedWith("CredentialStatus: Caller is not the original issuer");
+    await expect(credentialStatus.connect(university).renewCredential(licence, validUntil - DAY))
+      .to.be.revertedWith("CredentialStatus: Renewal must extend validity");
+
+    const renewedUntil = validUntil + 365 * DAY;
+    await expect(credentialStatus.connect(university).renewCredential(licence, renewedUntil))
+      .to.emit(credentialStatus, "CredentialValiditySet").withArgs(licence, 0, renewedUntil);
+
+    expect(await credentialStatus.getCredentialStatus(licence)).to.equal(State.Valid);
+    const { body } = await service.getCredential(licence);
+    expect(body).to.include({ credentialHash: licence, state: "Valid", validUntil: new Date(renewedUntil * 1000).toISOString() });
+  });
+
+  it("Does not renew revoked, suspended or non-expiring credentials", async function () {
+    const permanent = ethers.id("permanent degree");
+    await credentialStatus.connect(university).issueCredential(student.address, permanent, "", "0x");
+    await expect(credentialStatus.connect(university).renewCredential(permanent, (await now()) + DAY))
+      .to.be.revertedWith("CredentialStatus: Credential does not expire");
+
+    await credentialStatus.connect(university).suspendCredential(licence, 6, "");
+    await expect(credentialStatus.connect(university).renewCredential(licence, 0))
+      .to.be.revertedWith("CredentialStatus: Credential is not valid or does not exist");
+    expect(await credentialStatus.getCredentialStatus(licence)).to.equal(State.Suspended);
+
+    await credentialStatus.connect(university).revokeCredential(licence);
+    await expect(credentialStatus.connect(university).renewCredential(licence, 0))
+      .to.be.revertedWith("CredentialStatus: Credential is not valid or does not exist");
+  });
+
+  it("Carries validUntil through Verifiable Credentials", async function () {
+    const options = { chainId: 31337, credentialStatusAddress: credentialStatus.target };
+    const hash = cryptoHelper.hashCredential({ ...claims, level: 3 }, cryptoHelper.HashMethod.JCS);
+    const until = (await now()) + 90 * DAY;
+    await credentialStatus.connect(university).issueCredentialWithValidity(
+      student.address, hash, "QmLevel3", cryptoHelper.encodeCredentialSchema("teaching-licence-v1", cryptoHelper.HashMethod.JCS), 0, until
+    );
+
+    const vc = vcLib.fromCommitment(await credentialStatus.getCredentialMetadata(hash), { ...claims, level: 3 }, options);
+    expect(vc.validUntil).to.equal(new Date(until * 1000).toISOString().replace(/\.000Z$/, "Z"));
+    expect(vcLib.toCommitment(vc).validUntil).to.equal(until);
+
+    expect(vcLib.validateVerifiableCredential({ ...vc, validFrom: "2001-01-01T00:00:00Z", validUntil: "2000-01-01T00:00:00Z" }))
+      .to.deep.equal(["validUntil must be after validFrom"]);
+  });
+
+  it("Parses validity dates", function () {
+    expect(credentialTypes.toUnixSeconds("2027-06-30")).to.equal(Date.UTC(2027, 5, 30) / 1000);
+    expect(credentialTypes.toUnixSeconds("1830211200")).to.equal(1830211200);
+    expect(() => credentialTypes.toUnixSeconds("next summer", "--valid-until date")).to.throw(/Invalid --valid-until date/);
+    expect(credentialTypes.stateName(State.NotYetValid)).to.equal("NotYetValid");
+  });
+});
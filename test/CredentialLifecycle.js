@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Credential Lifecycle: Suspension, Reinstatement and Reasons", function () {
+  let cryptoHelper, credentialTypes;
+  let didRegistry, credentialStatus;
+  let university, otherUniversity, student;
+  let salt, dataHash, credentialHash;
+
+  const State = { None: 0, Valid: 1, Revoked: 2, Suspended: 3 };
+  const claims = { degree: "BSc Computer Science", university: "MIT", year: 2024 };
+  const caseFile = "https://registrar.example.edu/integrity/2024-117";
+
+  before(async function () {
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+    credentialTypes = await import("../lib/credentialTypes.js");
+
+    [, university, otherUniversity, student] = await ethers.getSigners();
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(otherUniversity).registerIdentity(2);
+    await didRegistry.approveUniversity(otherUniversity.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+
+    salt = cryptoHelper.generateCredentialSalt();
+    dataHash = cryptoHelper.hashCredential(claims);
+    credentialHash = cryptoHelper.computeSaltedCommitment(dataHash, salt);
+    await credentialStatus.connect(university).issueCredential(
+      student.address, credentialHash, "QmLifecycle", cryptoHelper.encodeCredentialSchema("university-credential-v1", cryptoHelper.HashMethod.SALTED)
+    );
+  });
+
+  it("Suspends a credential with a reason, making it invalid", async function () {
+    const investigation = credentialTypes.reasonCodeFromName("InvestigationPending");
+
+    await expect(credentialStatus.connect(university).suspendCredential(credentialHash, investigation, caseFile))
+      .to.emit(credentialStatus, "CredentialStatusChanged")
+      .withArgs(credentialHash, State.Suspended, investigation, caseFile, university.address);
+
+    expect(await credentialStatus.getCredentialStatus(credentialHash)).to.equal(State.Suspended);
+    expect(await credentialStatus.isCredentialValid(credentialHash)).to.equal(false);
+    expect(await credentialStatus.verifyCredentialCommitment(credentialHash, dataHash, salt)).to.equal(false);
+  });
+
+  it("Reinstates a suspended credential", async function () {
+    await expect(credentialStatus.connect(university).suspendCredential(credentialHash, 0, ""))
+      .to.be.revertedWith("CredentialStatus: Credential is not valid or does not exist");
+
+    const cleared = credentialTypes.reasonCodeFromName("investigationcleared");
+    await expect(credentialStatus.connect(university).reinstateCredential(credentialHash, cleared, caseFile))
+      .to.emit(credentialStatus, "CredentialStatusChanged")
+      .withArgs(credentialHash, State.Valid, cleared, caseFile, university.address);
+
+    expect(await credentialStatus.isCredentialValid(credentialHash)).to.equal(true);
+    expect(await credentialStatus.verifyCredentialCommitment(credentialHash, dataHash, salt)).to.equal(true);
+    await expect(credentialStatus.connect(university).reinstateCredential(credentialHash, 0, ""))
+      .to.be.revertedWith("CredentialStatus: Credential is not suspended");
+  });
+
+  it("Only lets the issuer change the status", async function () {
+    await expect(credentialStatus.connect(otherUniversity).suspendCredential(credentialHash, 0, ""))
+      .to.be.revertedWith("CredentialStatus: Caller is not the original issuer");
+    await expect(credentialStatus.connect(student).revokeCredentialWithReason(credentialHash, 0, ""))
+      .to.be.revertedWith("CredentialStatus: Caller is not the original issuer");
+  });
+
+  it("Revokes a suspended credential with a reason, for good", async function () {
+    const misconduct = credentialTypes.reasonCodeFromName("AcademicMisconduct");
+    await credentialStatus.connect(university).suspendCredential(credentialHash, credentialTypes.reasonCodeFromName("AdministrativeHold"), "");
+
+    await expect(credentialStatus.connect(university).revokeCredentialWithReason(credentialHash, misconduct, caseFile))
+      .to.emit(credentialStatus, "CredentialRevoked").withArgs(credentialHash, university.address)
+      .and.to.emit(credentialStatus, "CredentialStatusChanged")
+      .withArgs(credentialHash, State.Revoked, misconduct, caseFile, university.address);
+
+    expect(await credentialStatus.getCredentialStatus(credentialHash)).to.equal(State.Revoked);
+    await expect(credentialStatus.connect(university).reinstateCredential(credentialHash, 0, ""))
+      .to.be.revertedWith("CredentialStatus: Credential is not suspended");
+    await expect(credentialStatus.connect(university).revokeCredential(credentialHash))
+      .to.be.revertedWith("CredentialStatus: Credential is not valid or does not exist");
+  });
+
+  it("Keeps a timestamped history of every change", async function () {
+    const history = (await credentialStatus.getStatusHistory(credentialHash)).map(credentialTypes.formatStatusChange);
+
+    expect(history.map((change) => `${change.state}:${change.reason}`)).to.deep.equal([
+      "Suspended:InvestigationPending",
+      "Valid:InvestigationCleared",
+      "Suspended:AdministrativeHold",
+      "Revoked:AcademicMisconduct"
+    ]);
+    expect(history[3]).to.include({ reasonURI: caseFile, changedBy: university.address });
+    expect(history[2].reasonURI).to.equal(null);
+
+    const [revocation] = await credentialStatus.queryFilter(credentialStatus.filters.CredentialRevoked(credentialHash));
+    const revocationBlock = await ethers.provider.getBlock(revocation.blockNumber);
+    expect(history[3].timestamp).to.equal(new Date(revocationBlock.timestamp * 1000).toISOString());
+    expect([...history.map((change) => change.timestamp)].sort()).to.deep.equal(history.map((change) => change.timestamp));
+  });
+
+  it("Records an unspecified reason for plain revokeCredential", async function () {
+    const hash = ethers.id("plain revocation");
+    await credentialStatus.connect(university).issueCredential(student.address, hash, "QmPlain", "0x");
+    await credentialStatus.connect(university).revokeCredential(hash);
+
+    const [change] = (await credentialStatus.getStatusHistory(hash)).map(credentialTypes.formatStatusChange);
+    expect(change).to.include({ state: "Revoked", reasonCode: 0, reason: "Unspecified", reasonURI: null });
+  });
+
+  it("Parses and names reason codes", function () {
+    expect(credentialTypes.reasonCodeFromName("7")).to.equal(7);
+    expect(credentialTypes.reasonCodeFromName(1000)).to.equal(1000);
+    expect(credentialTypes.reasonName(1000)).to.equal("Custom(1000)");
+    expect(() => credentialTypes.reasonCodeFromName("Plagiarism")).to.throw(/Unknown reason/);
+    expect(() => credentialTypes.reasonCodeFromName("70000")).to.throw(/out of range/);
+    expect(credentialTypes.stateName(State.Suspended)).to.equal("Suspended");
+  });
+});
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Role Dashboards", function () {
+  let dashboards, accessGrants, cryptoHelper, canonicalJson, shareLink, vcLib, didLib;
+  let didRegistry, credentialStatus, credentialAccess, chainId;
+  let owner, student, otherStudent, employer, stranger, universityWallet;
+  let hashes, salts;
+
+  const claims = [
+    { degree: "BSc Computer Science", university: "Dashboard U", year: 2022 },
+    { degree: "MSc Data Science", university: "Dashboard U", year: 2024 },
+    { degree: "BA History", university: "Dashboard U", year: 2023 }
+  ];
+
+  async function rejectionOf(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error("Expected the promise to reject");
+  }
+
+  function contracts() {
+    return { credentials: credentialStatus, registry: didRegistry };
+  }
+
+  before(async function () {
+    dashboards = await import("../lib/dashboards.js");
+    accessGrants = await import("../lib/accessGrants.js");
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+    canonicalJson = await import("../lib/canonicalJson.js");
+    shareLink = await import("../lib/shareLink.js");
+    vcLib = await import("../lib/verifiableCredential.js");
+    didLib = await import("../lib/did.js");
+
+    [owner, student, otherStudent, employer, stranger] = await ethers.getSigners();
+    chainId = (await ethers.provider.getNetwork()).chainId;
+
+    // The University signs Verifiable Credentials, so it needs a known key
+    universityWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await owner.sendTransaction({ to: universityWallet.address, value: ethers.parseEther("1") });
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+    credentialAccess = await ethers.deployContract("CredentialAccess", [credentialStatus.target]);
+    await didRegistry.connect(universityWallet).registerIdentity(2);
+    await didRegistry.approveUniversity(universityWallet.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+    await didRegistry.connect(otherStudent).registerIdentity(1);
+    await didRegistry.connect(employer).registerIdentity(3);
+
+    const schema = cryptoHelper.encodeCredentialSchema("university-credential-v1", cryptoHelper.HashMethod.SALTED);
+    const holders = [student, student, otherStudent];
+    salts = claims.map(() => cryptoHelper.generateCredentialSalt());
+    hashes = claims.map((data, i) => cryptoHelper.hashCredential(data, cryptoHelper.HashMethod.SALTED, salts[i]));
+    for (let i = 0; i < claims.length; i++) {
+      await (await credentialStatus.connect(universityWallet).issueCredential(holders[i].address, hashes[i], `QmDashboard${i}`, schema)).wait();
+    }
+    await (await credentialStatus.connect(universityWallet).revokeCredentialWithReason(hashes[0], 5, "ipfs://superseded")).wait();
+  });
+
+  it("Chooses the dashboard from the connected identity's role", async function () {
+    expect(await dashboards.resolveDashboard({ registry: didRegistry, account: universityWallet.address }))
+      .to.deep.equal({ account: universityWallet.address, identity: universityWallet.address, role: "University", dashboard: "university" });
+    expect((await dashboards.resolveDashboard({ registry: didRegistry, account: student.address })).dashboard).to.equal("student");
+    expect((await dashboards.resolveDashboard({ registry: didRegistry, account: employer.address })).dashboard).to.equal("employer");
+    expect(await dashboards.resolveDashboard({ registry: didRegistry, account: stranger.address.toLowerCase() }))
+      .to.deep.equal({ account: stranger.address, identity: null, role: "None", dashboard: null });
+  });
+
+  it("Lists issued and held credentials, newest first, and searches them", async function () {
+    const issued = await dashboards.listCredentials({ credentials: credentialStatus, issuer: universityWallet.address });
+    expect(issued.map((record) => record.credentialHash)).to.deep.equal([...hashes].reverse());
+    expect(issued.map((record) => record.state)).to.deep.equal(["Valid", "Valid", "Revoked"]);
+    expect(issued[0]).to.include({
+      issuer: universityWallet.address, holder: otherStudent.address, delegate: null, ipfsHash: "QmDashboard2", validUntil: null
+    });
+    const block = await ethers.provider.getBlock(issued[0].blockNumber);
+    expect(issued[0].issuedAt).to.equal(new Date(block.timestamp * 1000).toISOString());
+
+    const held = await dashboards.listCredentials({ credentials: credentialStatus, holder: student.address });
+    expect(held.map((record) => record.credentialHash)).to.deep.equal([hashes[1], hashes[0]]);
+    expect(await dashboards.listCredentials({ credentials: credentialStatus, holder: employer.address })).to.deep.equal([]);
+    expect(await rejectionOf(dashboards.listCredentials({ credentials: credentialStatus })))
+      .to.have.property("message").that.contains("by issuer or by holder");
+
+    expect(dashboards.searchCredentials(issued, hashes[1].slice(0, 12).toUpperCase()).map((record) => record.credentialHash)).to.deep.equal([hashes[1]]);
+    expect(dashboards.searchCredentials(issued, didLib.addressToDid(otherStudent.address, chainId))).to.have.length(1);
+    expect(dashboards.searchCredentials(issued, "revoked").map((record) => record.credentialHash)).to.deep.equal([hashes[0]]);
+    expect(dashboards.searchCredentials(issued, "QmDashboard1")).to.have.length(1);
+    expect(dashboards.searchCredentials(issued, "  ")).to.have.length(3);
+  });
+
+  it("Shows a credential's status changes and its on-chain verifications, direct and through grants", async function () {
+    const revoked = await dashboards.getCredentialHistory({ credentials: credentialStatus, credentialHash: hashes[0] });
+    expect(revoked.statusChanges).to.have.length(1);
+    expect(revoked.statusChanges[0]).to.include({ state: "Revoked", reason: "Superseded", reasonURI: "ipfs://superseded", changedBy: universityWallet.address });
+    expect(revoked.verifications).to.deep.equal([]);
+
+    await (await credentialStatus.connect(stranger).verifyCredentialData(canonicalJson.canonicalize(claims[1]), hashes[1])).wait();
+
+    const access = credentialAccess.connect(employer);
+    const { grantId } = await accessGrants.requestAccess({ access, credentialHash: hashes[1], purpose: "Hiring" });
+    const expiresAt = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    await accessGrants.approveAccess({ access: credentialAccess.connect(student), grantId, expiresAt });
+    await accessGrants.verifyWithGrant({ access, grantId, claims: claims[1], salt: salts[1] });
+
+    const history = await dashboards.getCredentialHistory({ credentials: credentialStatus, access: credentialAccess, credentialHash: hashes[1] });
+    expect(history.statusChanges).to.deep.equal([]);
+    expect(history.verifications.map(({ verifier, isValid, grantId: id }) => ({ verifier, isValid, grantId: id }))).to.deep.equal([
+      { verifier: stranger.address, isValid: false, grantId: null },
+      { verifier: employer.address, isValid: true, grantId }
+    ]);
+    expect(history.verifications[1].verifiedAt).to.match(/^\d{4}-\d{2}-\d{2}T/);
+
+    const withoutGrants = await dashboards.getCredentialHistory({ credentials: credentialStatus, credentialHash: hashes[1] });
+    expect(withoutGrants.verifications).to.have.length(1);
+  });
+
+  it("Reports on share links, Verifiable Credentials and credential JSON", async function () {
+    const link = shareLink.createShareLink(
+      { chainId, credentialStatus: credentialStatus.target, credentialHash: hashes[1], cid: "QmDashboard1", claims: claims[1], salt: salts[1] },
+      "https://verify.example.edu/verify.html"
+    );
+    const fromLink = await dashboards.verifyCredentialDocument(link, contracts());
+    expect(fromLink).to.include({ format: "link", isValid: true, credentialHash: hashes[1], holder: student.address, state: "Valid" });
+    expect(fromLink.cid).to.equal("QmDashboard1");
+
+    const metadata = await credentialStatus.getCredentialMetadata(hashes[1]);
+    const vc = vcLib.signVerifiableCredential(
+      vcLib.fromCommitment(metadata, claims[1], { chainId, credentialStatusAddress: credentialStatus.target, salt: salts[1] }),
+      universityWallet.privateKey
+    );
+    const fromVc = await dashboards.verifyCredentialDocument(JSON.stringify(vc), contracts());
+    expect(fromVc).to.include({ format: "vc", isValid: true, state: "Valid" });
+    expect(fromVc.checks).to.include({ structureValid: true, hashValid: true, proofValid: true, dataValid: true, issuerAccreditedAtIssue: true });
+
+    const forged = vcLib.signVerifiableCredential(
+      vcLib.fromCommitment(metadata, claims[1], { chainId, credentialStatusAddress: credentialStatus.target, salt: salts[1] }),
+      ethers.Wallet.createRandom().privateKey
+    );
+    const fromForged = await dashboards.verifyCredentialDocument(forged, contracts());
+    expect(fromForged.isValid).to.equal(false);
+    expect(fromForged.checks).to.include({ proofValid: false, dataValid: true });
+    expect(fromForged.reasons).to.include("Issuer proof verification failed");
+
+    const tampered = { ...vc, credentialSubject: { ...vc.credentialSubject, year: 2025 } };
+    const fromTampered = await dashboards.verifyCredentialDocument(tampered, contracts());
+    expect(fromTampered).to.include({ format: "vc", isValid: false, state: null });
+    expect(fromTampered.checks.hashValid).to.equal(false);
+
+    const revoked = await dashboards.verifyCredentialDocument(
+      JSON.stringify({ credentialHash: hashes[0], claims: claims[0], salt: salts[0], ipfsHash: "QmDashboard0" }),
+      contracts()
+    );
+    expect(revoked).to.include({ format: "json", isValid: false, state: "Revoked", cid: "QmDashboard0" });
+    expect(revoked.checks).to.include({ dataValid: true, cidMatches: true, onChainValid: false });
+
+    const wrongSalt = await dashboards.verifyCredentialDocument({ credentialHash: hashes[2], claims: claims[2], salt: salts[1] }, contracts());
+    expect(wrongSalt.isValid).to.equal(false);
+    expect(wrongSalt.reasons).to.include("Credential data hash does not match on-chain hash");
+
+    expect(await rejectionOf(dashboards.verifyCredentialDocument("{\"degree\": \"BSc\"}", contracts())))
+      .to.have.property("message").that.contains("needs a 32-byte credentialHash");
+    expect(await rejectionOf(dashboards.verifyCredentialDocument("{not json", contracts())))
+      .to.have.property("message").that.contains("Not a share link or JSON credential");
+  });
+});
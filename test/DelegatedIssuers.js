@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Delegated Issuers", function () {
+  let credentialTypes, serviceLib;
+  let didRegistry, credentialStatus;
+  let university, otherUniversity, student, registrar, department, stranger;
+  let degreeSchema, transcriptSchema, degreeType, transcriptType;
+
+  const ISSUE = 1;
+  const REVOKE = 2;
+
+  before(async function () {
+    credentialTypes = await import("../lib/credentialTypes.js");
+    serviceLib = await import("../lib/verificationService.js");
+
+    [, university, otherUniversity, student, registrar, department, stranger] = await ethers.getSigners();
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(otherUniversity).registerIdentity(2);
+    await didRegistry.approveUniversity(otherUniversity.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+
+    degreeSchema = ethers.toUtf8Bytes("degree-v1;c14n=jcs");
+    transcriptSchema = ethers.toUtf8Bytes("transcript-v1;c14n=jcs");
+    degreeType = credentialTypes.credentialTypeHash("degree-v1");
+    transcriptType = credentialTypes.credentialTypeHash("transcript-v1");
+  });
+
+  it("Lets a University authorize delegates with scopes, types and expiry", async function () {
+    expect(await credentialStatus.credentialTypeOf(degreeSchema)).to.equal(degreeType);
+    expect(await credentialStatus.credentialTypeOf(ethers.toUtf8Bytes("degree-v1"))).to.equal(degreeType);
+
+    await expect(credentialStatus.connect(university).authorizeDelegate(registrar.address, ISSUE | REVOKE, 0, []))
+      .to.emit(credentialStatus, "DelegateAuthorized").withArgs(university.address, registrar.address, ISSUE | REVOKE, 0, []);
+    await credentialStatus.connect(university).authorizeDelegate(department.address, ISSUE, 0, [transcriptType]);
+
+    const delegation = credentialTypes.formatDelegation(await credentialStatus.getDelegation(department.address), ["transcript-v1"]);
+    expect(delegation).to.deep.equal({ university: university.address, scopes: ["issue"], validUntil: null, credentialTypes: ["transcript-v1"] });
+    expect(credentialTypes.formatDelegation(await credentialStatus.getDelegation(stranger.address))).to.equal(null);
+  });
+
+  it("Rejects invalid delegations", async function () {
+    await expect(credentialStatus.connect(stranger).authorizeDelegate(registrar.address, ISSUE, 0, []))
+      .to.be.revertedWith("CredentialStatus: Caller is not an accredited University");
+    await expect(credentialStatus.connect(otherUniversity).authorizeDelegate(registrar.address, ISSUE, 0, []))
+      .to.be.revertedWith("CredentialStatus: Delegate acts for another University");
+    await expect(credentialStatus.connect(university).authorizeDelegate(student.address, ISSUE, 0, []))
+      .to.be.revertedWith("CredentialStatus: Delegate is a registered identity");
+    await expect(credentialStatus.connect(university).authorizeDelegate(stranger.address, 4, 0, []))
+      .to.be.revertedWith("CredentialStatus: Invalid scopes");
+    await expect(credentialStatus.connect(university).authorizeDelegate(stranger.address, ISSUE, 1, []))
+      .to.be.revertedWith("CredentialStatus: Delegation has already expired");
+
+    // A delegate cannot appoint delegates of its own
+    await expect(credentialStatus.connect(registrar).authorizeDelegate(stranger.address, ISSUE, 0, []))
+      .to.be.revertedWith("CredentialStatus: Caller is not an accredited University");
+  });
+
+  it("Records both the University and the acting delegate on issuance", async function () {
+    const degree = ethers.id("degree issued by the registrar");
+    await expect(credentialStatus.connect(registrar).issueCredential(student.address, degree, "QmDegree", degreeSchema))
+      .to.emit(credentialStatus, "CredentialIssued").withArgs(degree, university.address, student.address, "QmDegree")
+      .and.to.emit(credentialStatus, "CredentialIssuedByDelegate").withArgs(degree, university.address, registrar.address);
+
+    const metadata = await credentialStatus.getCredentialMetadata(degree);
+    expect(metadata.issuer).to.equal(university.address);
+    expect(metadata.delegate).to.equal(registrar.address);
+    expect(await credentialStatus.hasIssuedTo(university.address, student.address)).to.equal(true);
+
+    const direct = ethers.id("degree issued by the University itself");
+    await expect(credentialStatus.connect(university).issueCredential(student.address, direct, "", degreeSchema))
+      .to.not.emit(credentialStatus, "CredentialIssuedByDelegate");
+    expect((await credentialStatus.getCredentialMetadata(direct)).delegate).to.equal(ethers.ZeroAddress);
+
+    const service = serviceLib.createVerificationService({
+      registry: didRegistry.connect(ethers.provider),
+      credentials: credentialStatus.connect(ethers.provider)
+    });
+    const { body } = await service.handle("GET", `/credentials/${degree}`);
+    expect(body).to.include({ issuer: university.address, delegate: registrar.address });
+    expect((await service.handle("GET", `/credentials/${direct}`)).body.delegate).to.equal(null);
+  });
+
+  it("Limits delegates to their scopes and credential types", async function () {
+    const transcript = ethers.id("transcript issued by the department");
+    await credentialStatus.connect(department).issueCredential(student.address, transcript, "", transcriptSchema);
+
+    await expect(credentialStatus.connect(department).issueCredential(student.address, ethers.id("degree by dept"), "", degreeSchema))
+      .to.be.revertedWith("CredentialStatus: Delegate is not authorized for this credential type");
+    await expect(credentialStatus.connect(department).revokeCredential(transcript))
+      .to.be.revertedWith("CredentialStatus: Delegate lacks the required scope");
+    await expect(credentialStatus.connect(department).issueCredentialBatch(ethers.id("root"), 2, "", transcriptSchema))
+      .to.be.revertedWith("CredentialStatus: Caller is not an accredited University");
+
+    // The registrar may suspend and reinstate any of the University's credentials, and is recorded as the actor
+    await expect(credentialStatus.connect(registrar).suspendCredential(transcript, 6, ""))
+      .to.emit(credentialStatus, "CredentialStatusChanged").withArgs(transcript, 3, 6, "", registrar.address);
+    await credentialStatus.connect(registrar).reinstateCredential(transcript, 4, "");
+    const history = (await credentialStatus.getStatusHistory(transcript)).map(credentialTypes.formatStatusChange);
+    expect(history.map((change) => change.changedBy)).to.deep.equal([registrar.address, registrar.address]);
+
+    // Another University's credentials are out of reach
+    const foreign = ethers.id("credential of another University");
+    await credentialStatus.connect(otherUniversity).issueCredential(student.address, foreign, "", degreeSchema);
+    await expect(credentialStatus.connect(registrar).revokeCredential(foreign))
+      .to.be.revertedWith("CredentialStatus: Caller is not the original issuer");
+  });
+
+  it("Stops a delegate when its authorization expires or its University loses accreditation", async function () {
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    await credentialStatus.connect(university).authorizeDelegate(department.address, ISSUE, now + 100, [transcriptType]);
+    await ethers.provider.send("evm_setNextBlockTimestamp", [now + 100]);
+    await expect(credentialStatus.connect(department).issueCredential(student.address, ethers.id("late transcript"), "", transcriptSchema))
+      .to.be.revertedWith("CredentialStatus: Delegation has expired");
+
+    await didRegistry.suspendAccreditation(university.address, "");
+    await expect(credentialStatus.connect(registrar).issueCredential(student.address, ethers.id("while suspended"), "", degreeSchema))
+      .to.be.revertedWith("CredentialStatus: Caller is not an accredited University");
+    await didRegistry.approveUniversity(university.address, "");
+  });
+
+  it("Keeps revocation rights with the University after a delegate is removed", async function () {
+    const degree = ethers.id("degree issued by the registrar");
+
+    await expect(credentialStatus.connect(otherUniversity).removeDelegate(registrar.address))
+      .to.be.revertedWith("CredentialStatus: Not a delegate of the caller");
+    await expect(credentialStatus.connect(university).removeDelegate(registrar.address))
+      .to.emit(credentialStatus, "DelegateRemoved").withArgs(university.address, registrar.address);
+
+    await expect(credentialStatus.connect(registrar).revokeCredential(degree))
+      .to.be.revertedWith("CredentialStatus: Caller is not the original issuer");
+    await expect(credentialStatus.connect(registrar).issueCredential(student.address, ethers.id("after removal"), "", degreeSchema))
+      .to.be.revertedWith("CredentialStatus: Caller is not an accredited University");
+
+    expect(await credentialStatus.isCredentialValid(degree)).to.equal(true);
+    await expect(credentialStatus.connect(university).revokeCredentialWithReason(degree, 1, ""))
+      .to.emit(credentialStatus, "CredentialStatusChanged").withArgs(degree, 2, 1, "", university.address);
+
+    // Once removed, the account is free to be a delegate of another University
+    await credentialStatus.connect(otherUniversity).authorizeDelegate(registrar.address, REVOKE, 0, [degreeType]);
+    expect((await credentialStatus.getDelegation(registrar.address)).university).to.equal(otherUniversity.address);
+  });
+
+  it("Parses and names delegate scopes", function () {
+    expect(credentialTypes.scopesFromNames("issue,revoke")).to.equal(ISSUE | REVOKE);
+    expect(credentialTypes.scopesFromNames(["Revoke"])).to.equal(REVOKE);
+    expect(credentialTypes.scopeNames(3n)).to.deep.equal(["issue", "revoke"]);
+    expect(() => credentialTypes.scopesFromNames("issue,mint")).to.throw(/Unknown scope "mint"/);
+    expect(() => credentialTypes.scopesFromNames("")).to.throw(/No scopes given/);
+  });
+});
@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("DID Documents and Resolution", function () {
+  let didLib, resolverLib, serviceLib;
+  let didRegistry, credentialStatus, resolver;
+  let university, student, stranger;
+  let universityDid, studentDid;
+
+  const endpoint = "https://verify.example.edu/api";
+  const ed25519Key = "z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK";
+
+  before(async function () {
+    didLib = await import("../lib/did.js");
+    resolverLib = await import("../lib/didResolver.js");
+    serviceLib = await import("../lib/verificationService.js");
+
+    [, university, student, stranger] = await ethers.getSigners();
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+
+    resolver = resolverLib.createDidResolver({ registry: didRegistry.connect(ethers.provider) });
+    universityDid = didLib.addressToDid(university.address, 31337);
+    studentDid = didLib.addressToDid(student.address, 31337);
+  });
+
+  it("Resolves a registered address to a DID Document controlled by its account", async function () {
+    const { didResolutionMetadata, didDocument, didDocumentMetadata } = await resolver.resolve(studentDid);
+
+    expect(didResolutionMetadata).to.deep.equal({ contentType: "application/did+ld+json" });
+    expect(didDocumentMetadata).to.deep.equal({});
+    expect(didDocument).to.deep.equal({
+      "@context": resolverLib.DID_CONTEXTS,
+      id: studentDid,
+      verificationMethod: [{
+        id: `${studentDid}#controller`,
+        type: "EcdsaSecp256k1RecoveryMethod2020",
+        controller: studentDid,
+        blockchainAccountId: `eip155:31337:${student.address}`
+      }],
+      authentication: [`${studentDid}#controller`],
+      assertionMethod: [`${studentDid}#controller`],
+      role: "Student"
+    });
+  });
+
+  it("Lets a registered identity set and replace attributes", async function () {
+    const name = resolverLib.encodeAttributeName(resolverLib.serviceAttribute("VerificationService"));
+    await expect(didRegistry.connect(university).setAttribute(name, "https://old.example.edu"))
+      .to.emit(didRegistry, "DIDAttributeChanged").withArgs(university.address, name, "https://old.example.edu");
+    await didRegistry.connect(university).setAttribute(name, endpoint);
+    await didRegistry.connect(university).setAttribute(resolverLib.encodeAttributeName("did/pub/Ed25519/sigAuth"), ed25519Key);
+
+    const attributes = await didRegistry.getAttributes(university.address);
+    expect(attributes.map((attribute) => [resolverLib.decodeAttributeName(attribute.name), attribute.value])).to.deep.equal([
+      ["did/svc/VerificationService", endpoint],
+      ["did/pub/Ed25519/sigAuth", ed25519Key]
+    ]);
+
+    await expect(didRegistry.connect(stranger).setAttribute(name, endpoint))
+      .to.be.revertedWith("DIDRegistry: Address not registered");
+    await expect(didRegistry.connect(university).setAttribute(ethers.ZeroHash, endpoint))
+      .to.be.revertedWith("DIDRegistry: Attribute name is empty");
+    await expect(didRegistry.connect(university).setAttribute(name, ""))
+      .to.be.revertedWith("DIDRegistry: Attribute value is empty");
+  });
+
+  it("Adds services, keys, role and accreditation to the document", async function () {
+    const { didDocument } = await resolver.resolve(universityDid);
+
+    expect(didDocument).to.include({ id: universityDid, role: "University", accreditation: "Accredited" });
+    expect(didDocument.service).to.deep.equal([
+      { id: `${universityDid}#VerificationService`, type: "VerificationService", serviceEndpoint: endpoint }
+    ]);
+    expect(didDocument.verificationMethod[1]).to.deep.equal({
+      id: `${universityDid}#Ed25519-sigAuth`,
+      type: "Ed25519VerificationKey2020",
+      controller: universityDid,
+      publicKeyMultibase: ed25519Key
+    });
+    expect(didDocument.authentication).to.deep.equal([`${universityDid}#controller`, `${universityDid}#Ed25519-sigAuth`]);
+    expect(didDocument.assertionMethod).to.deep.equal([`${universityDid}#controller`]);
+  });
+
+  it("Removes attributes", async function () {
+    const keyName = resolverLib.encodeAttributeName("did/pub/Ed25519/sigAuth");
+    const serviceName = resolverLib.encodeAttributeName("did/svc/VerificationService");
+    await expect(didRegistry.connect(university).removeAttribute(serviceName))
+      .to.emit(didRegistry, "DIDAttributeRemoved").withArgs(university.address, serviceName);
+    await expect(didRegistry.connect(university).removeAttribute(serviceName))
+      .to.be.revertedWith("DIDRegistry: Attribute not set");
+
+    const { didDocument } = await resolver.resolve(universityDid);
+    expect(didDocument).to.not.have.property("service");
+    expect(didDocument.authentication).to.include(`${universityDid}#Ed25519-sigAuth`);
+
+    await didRegistry.connect(university).removeAttribute(keyName);
+    expect(await didRegistry.getAttributes(university.address)).to.have.length(0);
+  });
+
+  it("Resolves documents with attribute names that use all 32 bytes", async function () {
+    const fullName = ethers.hexlify(ethers.toUtf8Bytes("did/svc/CredentialVerification01"));
+    expect(resolverLib.decodeAttributeName(fullName)).to.equal(fullName);
+    expect(() => resolverLib.encodeAttributeName("did/svc/CredentialVerification01")).to.throw("longer than 31 bytes");
+
+    await didRegistry.connect(university).setAttribute(fullName, endpoint);
+    const { didResolutionMetadata, didDocument } = await resolver.resolve(universityDid);
+    expect(didResolutionMetadata).to.not.have.property("error");
+    expect(didDocument).to.not.have.property("service");
+
+    await didRegistry.connect(university).removeAttribute(fullName);
+  });
+
+  it("Reports resolution errors in the metadata", async function () {
+    const errorOf = async (did) => (await resolver.resolve(did)).didResolutionMetadata.error;
+
+    expect(await errorOf(didLib.addressToDid(stranger.address, 31337))).to.equal("notFound");
+    expect(await errorOf(didLib.addressToDid(student.address, 1))).to.equal("notFound");
+    expect(await errorOf("did:web:example.edu")).to.equal("methodNotSupported");
+    expect(await errorOf("did:unicred:31337:0x1234")).to.equal("invalidDid");
+    expect((await resolver.resolve(student.address)).didResolutionMetadata.error).to.equal("invalidDid");
+  });
+
+  it("Builds documents offline from indexed attributes", function () {
+    const document = resolverLib.buildDidDocument({
+      address: student.address.toLowerCase(),
+      chainId: 31337n,
+      role: "Student",
+      attributes: [
+        { name: "did/svc/LinkedDomains", value: "https://alice.example" },
+        { name: "did/pub/X25519/enc", value: "0xABCDEF" },
+        { name: "did/pub/RSA/veriKey", value: "ignored" },
+        { name: "profile/nickname", value: "ignored" }
+      ]
+    });
+
+    expect(document.id).to.equal(studentDid);
+    expect(document.keyAgreement).to.deep.equal([`${studentDid}#X25519-enc`]);
+    expect(document.verificationMethod[1]).to.include({ type: "X25519KeyAgreementKey2020", publicKeyHex: "abcdef" });
+    expect(document.verificationMethod).to.have.length(2);
+    expect(document.service.map((service) => service.type)).to.deep.equal(["LinkedDomains"]);
+    expect(() => resolverLib.encodeAttributeName("did/pub/Ed25519VerificationKey2020/veriKey")).to.throw(/longer than 31 bytes/);
+  });
+
+  it("Serves DID resolution over the verification service", async function () {
+    const service = serviceLib.createVerificationService({
+      registry: didRegistry.connect(ethers.provider),
+      credentials: credentialStatus.connect(ethers.provider)
+    });
+
+    const resolved = await service.handle("GET", `/dids/${encodeURIComponent(universityDid)}`);
+    expect(resolved.status).to.equal(200);
+    expect(resolved.body.didDocument).to.include({ id: universityDid, role: "University" });
+
+    expect((await service.handle("GET", `/dids/${didLib.addressToDid(stranger.address, 31337)}`)).status).to.equal(404);
+    expect((await service.handle("GET", "/dids/did:unicred:nope")).status).to.equal(400);
+    expect((await service.handle("GET", "/dids/did:web:example.edu")).status).to.equal(501);
+
+    const malformed = await service.handle("GET", "/dids/%E0%A4%A");
+    expect(malformed.status).to.equal(400);
+    expect(malformed.body.error).to.contain("Malformed percent-encoding");
+  });
+});
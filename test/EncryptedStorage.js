@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Encrypted Credential Blobs", function () {
+  let encryption, ipfsHelper, storageLib;
+  let holder, issuer, stranger;
+
+  const credentialData = {
+    degree: "Bachelor of Science in Computer Science",
+    university: "MIT",
+    year: 2024,
+    gpa: 3.8
+  };
+
+  async function rejectionOf(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error("Expected the promise to reject");
+  }
+
+  before(async function () {
+    encryption = await import("../lib/encryption.js");
+    ipfsHelper = await import("../lib/ipfsHelper.js");
+    storageLib = await import("../lib/storage/index.js");
+
+    holder = ethers.Wallet.createRandom();
+    issuer = ethers.Wallet.createRandom();
+    stranger = ethers.Wallet.createRandom();
+  });
+
+  it("Stores only ciphertext on IPFS", async function () {
+    const memory = storageLib.createMemoryStorage();
+    const cid = await ipfsHelper.uploadCredentialToIPFS(credentialData, memory, {
+      recipients: [holder.signingKey.publicKey]
+    });
+
+    const blob = new TextDecoder().decode(await memory.cat(cid));
+    const envelope = JSON.parse(blob);
+    expect(encryption.isEncryptedEnvelope(envelope)).to.equal(true);
+    expect(envelope.recipients.map((r) => r.address)).to.deep.equal([holder.address]);
+    expect(blob).to.not.contain("MIT");
+    expect(blob).to.not.contain("3.8");
+  });
+
+  it("Decrypts with the holder's or the issuer's wallet", async function () {
+    const memory = storageLib.createMemoryStorage();
+    const cid = await ipfsHelper.uploadCredentialToIPFS(credentialData, memory, {
+      recipients: [holder.signingKey.publicKey, issuer.signingKey.compressedPublicKey]
+    });
+
+    expect(JSON.parse(await ipfsHelper.retrieveCredentialFromIPFS(cid, memory, { wallet: holder })))
+      .to.deep.equal(credentialData);
+    expect(await ipfsHelper.retrieveCredentialFromIPFS(cid, memory, { wallet: issuer.privateKey }))
+      .to.equal(await ipfsHelper.retrieveCredentialFromIPFS(cid, memory, { wallet: holder.signingKey }));
+  });
+
+  it("Refuses to read without a recipient wallet", async function () {
+    const memory = storageLib.createMemoryStorage();
+    const cid = await ipfsHelper.uploadCredentialToIPFS(credentialData, memory, {
+      recipients: [holder.signingKey.publicKey]
+    });
+
+    expect((await rejectionOf(ipfsHelper.retrieveCredentialFromIPFS(cid, memory))).message).to.contain("encrypted");
+    expect((await rejectionOf(ipfsHelper.retrieveCredentialFromIPFS(cid, memory, { wallet: stranger }))).message)
+      .to.contain("not encrypted to");
+  });
+
+  it("Checks the plaintext hash after decryption", async function () {
+    const memory = storageLib.createMemoryStorage();
+    const cryptoHelper = await import("../lib/cryptoHelper.js");
+    const salt = cryptoHelper.generateCredentialSalt();
+    const expectedHash = cryptoHelper.hashCredential(credentialData, cryptoHelper.HashMethod.SALTED, salt);
+
+    const cid = await ipfsHelper.uploadCredentialToIPFS(credentialData, memory, {
+      recipients: [holder.signingKey.publicKey]
+    });
+    const { SALTED } = cryptoHelper.HashMethod;
+
+    expect(await ipfsHelper.verifyCredentialIntegrity(cid, expectedHash, memory, SALTED, salt, { wallet: holder })).to.equal(true);
+    expect(await ipfsHelper.verifyCredentialIntegrity(cid, expectedHash, memory, SALTED, salt)).to.equal(false);
+    expect(await ipfsHelper.verifyCredentialIntegrity(cid, ethers.ZeroHash, memory, SALTED, salt, { wallet: holder })).to.equal(false);
+  });
+
+  it("Rejects tampered envelopes", async function () {
+    const envelope = await encryption.encryptCredential("secret transcript", [holder.signingKey.publicKey]);
+    expect(new TextDecoder().decode(await encryption.decryptCredential(envelope, holder))).to.equal("secret transcript");
+
+    const flipped = envelope.ciphertext.slice(0, -2) + (envelope.ciphertext.endsWith("00") ? "01" : "00");
+    const error = await rejectionOf(encryption.decryptCredential({ ...envelope, ciphertext: flipped }, holder));
+    expect(error.message).to.contain("decryption failed");
+  });
+
+  it("Recovers a holder's public key from a signed message", async function () {
+    const message = "Encrypt my credentials";
+    const signature = await holder.signMessage(message);
+    const publicKey = encryption.recoverPublicKey(message, signature);
+
+    const envelope = await encryption.encryptCredential("for the holder", [publicKey]);
+    expect(new TextDecoder().decode(await encryption.decryptCredential(envelope, holder))).to.equal("for the holder");
+  });
+
+  it("Wraps the content key to a new recipient without re-encrypting the blob", async function () {
+    const envelope = await encryption.encryptCredential("shared transcript", [holder.signingKey.publicKey]);
+    const recipient = await encryption.wrapKeyForRecipient(envelope, holder, stranger.signingKey.compressedPublicKey);
+    expect(recipient.address).to.equal(stranger.address);
+
+    const shared = { ...envelope, recipients: [...envelope.recipients, recipient] };
+    expect(new TextDecoder().decode(await encryption.decryptCredential(shared, stranger))).to.equal("shared transcript");
+    expect((await rejectionOf(encryption.wrapKeyForRecipient(envelope, issuer, issuer.signingKey.publicKey))).message)
+      .to.contain("not encrypted to");
+  });
+});
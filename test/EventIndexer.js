@@ -0,0 +1,325 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("Event Indexer", function () {
+  let cryptoHelper, canonicalJson, databaseLib, indexerLib;
+  let didRegistry, credentialStatus, startBlock;
+  let university, otherUniversity, alice, bob, employer;
+  let tmpDir, indexFile, database, indexer;
+  let degree, transcript, diploma, cutoff;
+
+  const DAY = 24 * 60 * 60;
+
+  async function issue(issuer, holder, claims) {
+    const credentialHash = cryptoHelper.hashCredential(claims);
+    await credentialStatus.connect(issuer).issueCredential(holder.address, credentialHash, "QmIndexed", "0x");
+    return credentialHash;
+  }
+
+  async function advanceTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  before(async function () {
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+    canonicalJson = await import("../lib/canonicalJson.js");
+    databaseLib = await import("../lib/indexer/database.js");
+    indexerLib = await import("../lib/indexer/indexer.js");
+
+    [, university, otherUniversity, alice, bob, employer] = await ethers.getSigners();
+    startBlock = await ethers.provider.getBlockNumber() + 1;
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(otherUniversity).registerIdentity(2);
+    await didRegistry.approveUniversity(otherUniversity.address, "");
+    await didRegistry.connect(alice).registerIdentity(1);
+    await didRegistry.connect(bob).registerIdentity(1);
+    await didRegistry.connect(employer).registerIdentity(3);
+
+    degree = await issue(university, alice, { degree: "BSc", student: "alice" });
+    await advanceTime(30 * DAY);
+    cutoff = new Date((await ethers.provider.getBlock("latest")).timestamp * 1000);
+    transcript = await issue(university, bob, { transcript: "CSE540", student: "bob" });
+    diploma = await issue(otherUniversity, alice, { diploma: "MSc", student: "alice" });
+
+    await credentialStatus.connect(otherUniversity).suspendCredential(diploma, 6, "");
+    await credentialStatus.connect(university).revokeCredential(transcript);
+    await credentialStatus.connect(employer).verifyCredentialData(
+      canonicalJson.serializeCredential({ degree: "BSc", student: "alice" }), degree
+    );
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    indexFile = path.join(tmpDir, "index.json");
+    database = await databaseLib.openIndexDatabase({ file: indexFile });
+    indexer = indexerLib.createIndexer({ registry: didRegistry, credentials: credentialStatus, database, startBlock, batchSize: 5 });
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Backfills issuances, revocations, identities and verifications", async function () {
+    const result = await indexer.sync();
+    expect(result.fromBlock).to.equal(startBlock);
+    expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(result.events).to.equal(16);
+
+    expect(database.getCredential(degree)).to.include({
+      issuer: university.address,
+      holder: alice.address,
+      ipfsHash: "QmIndexed",
+      state: "Valid"
+    });
+    expect(database.getCredential(degree).verifications).to.have.length(1);
+    expect(database.getCredential(degree).verifications[0]).to.include({ verifier: employer.address, isValid: true });
+    expect(database.getCredential(transcript).state).to.equal("Revoked");
+    expect(database.getIdentity(employer.address)).to.include({ role: "Employer", accreditation: null });
+    expect(database.getIdentity(university.address).accreditationHistory.map((change) => change.status)).to.deep.equal(["Pending", "Accredited"]);
+    expect(database.listIdentities({ role: "university", accreditation: "accredited" })).to.have.length(2);
+    expect(database.listIdentities({ role: "student" }).map((identity) => identity.address)).to.deep.equal([alice.address, bob.address]);
+    expect(database.getCredentialHistory(transcript).map((event) => event.name))
+      .to.deep.equal(["CredentialIssued", "CredentialStatusChanged", "CredentialRevoked"]);
+    expect(database.getCredential(diploma)).to.include({ state: "Suspended" });
+    expect(database.getCredential(diploma).statusChanges[0]).to.include({ state: "Suspended", reason: "AdministrativeHold", changedBy: otherUniversity.address });
+  });
+
+  it("Queries by holder, issuer, state and date range", function () {
+    const hashes = (filter) => database.queryCredentials(filter).map((credential) => credential.credentialHash);
+
+    expect(hashes({ holder: alice.address })).to.deep.equal([degree, diploma]);
+    expect(hashes({ issuer: university.address.toLowerCase() })).to.deep.equal([degree, transcript]);
+    expect(hashes({ state: "revoked" })).to.deep.equal([transcript]);
+    expect(hashes({ holder: alice.address, state: "Suspended", from: cutoff })).to.deep.equal([diploma]);
+    expect(hashes({ holder: alice.address, state: "Valid" })).to.deep.equal([degree]);
+    expect(hashes({ to: cutoff.toISOString() })).to.deep.equal([degree]);
+    expect(() => database.queryCredentials({ from: "last tuesday" })).to.throw(/Invalid from date/);
+  });
+
+  it("Persists the index and resumes from its cursor", async function () {
+    const reopened = await databaseLib.openIndexDatabase({ file: indexFile });
+    expect(reopened.getStats()).to.deep.equal(database.getStats());
+    expect(reopened.queryCredentials({ holder: alice.address })).to.deep.equal(database.queryCredentials({ holder: alice.address }));
+
+    const resumed = indexerLib.createIndexer({ registry: didRegistry, credentials: credentialStatus, database: reopened, startBlock });
+    expect((await resumed.sync()).fromBlock).to.equal(null);
+
+    const extra = await issue(university, bob, { certificate: "Blockchain 101", student: "bob" });
+    expect(await resumed.sync()).to.include({ events: 1, rolledBack: 0 });
+    expect(reopened.getCredential(extra).holder).to.equal(bob.address);
+
+    // Bring the shared index up to date for the following tests
+    await indexer.sync();
+  });
+
+  it("Refuses an index built for other contracts", async function () {
+    const otherRegistry = await ethers.deployContract("DIDRegistry");
+    const otherStatus = await ethers.deployContract("CredentialStatus", [otherRegistry.target]);
+    const wrong = indexerLib.createIndexer({ registry: otherRegistry, credentials: otherStatus, database });
+
+    let error;
+    try {
+      await wrong.sync();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain("built for other contracts");
+  });
+
+  it("Rolls back events from blocks that were reorganized away", async function () {
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    const orphaned = await issue(university, alice, { degree: "Orphaned", student: "alice" });
+    await indexer.sync();
+    expect(database.getCredential(orphaned)).to.not.equal(null);
+
+    // Replace the block with a different one at the same height
+    await ethers.provider.send("evm_revert", [snapshot]);
+    const canonical = await issue(otherUniversity, bob, { degree: "Canonical", student: "bob" });
+
+    const result = await indexer.sync();
+    expect(result.rolledBack).to.equal(1);
+    expect(result.events).to.equal(1);
+    expect(database.getCredential(orphaned)).to.equal(null);
+    expect(database.getCredential(canonical).issuer).to.equal(otherUniversity.address);
+  });
+
+  it("Reads a range again when it is reorganized while being indexed", async function () {
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    const orphaned = await issue(university, alice, { degree: "Orphaned while indexing", student: "alice" });
+
+    // Replace the block after the indexer read its logs but before it fetches the block
+    let canonical;
+    const { getLogs } = ethers.provider;
+    ethers.provider.getLogs = async function (filter) {
+      const logs = await getLogs.call(this, filter);
+      delete ethers.provider.getLogs;
+      await ethers.provider.send("evm_revert", [snapshot]);
+      canonical = await issue(otherUniversity, bob, { degree: "Canonical while indexing", student: "bob" });
+      return logs;
+    };
+
+    try {
+      expect(await indexer.sync()).to.include({ events: 1, rolledBack: 0 });
+    } finally {
+      delete ethers.provider.getLogs;
+    }
+    expect(database.getCredential(orphaned)).to.equal(null);
+    expect(database.getCredential(canonical).issuer).to.equal(otherUniversity.address);
+  });
+
+  it("Follows new blocks until stopped", async function () {
+    const synced = [];
+    const follower = indexer.follow({ interval: 20, onSync: (result) => synced.push(result) });
+
+    const live = await issue(university, alice, { degree: "Live", student: "alice" });
+    for (let attempt = 0; attempt < 100 && !database.getCredential(live); attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    await follower.stop();
+
+    expect(database.getCredential(live)).to.include({ holder: alice.address, state: "Valid" });
+    expect(synced.some((result) => result.events > 0)).to.equal(true);
+  });
+
+  it("Derives expiry from the validity period and the indexed block time", async function () {
+    const licence = cryptoHelper.hashCredential({ licence: "Teaching", student: "bob" });
+    const validUntil = (await ethers.provider.getBlock("latest")).timestamp + DAY;
+    await credentialStatus.connect(university).issueCredentialWithValidity(bob.address, licence, "QmLicence", "0x", 0, validUntil);
+    await indexer.sync();
+    expect(database.getCredential(licence)).to.include({ state: "Valid", validFrom: null, validUntil: new Date(validUntil * 1000).toISOString() });
+
+    await advanceTime(2 * DAY);
+    await indexer.sync();
+    expect(database.getCredential(licence).state).to.equal("Expired");
+    expect(database.queryCredentials({ state: "expired" }).map((credential) => credential.credentialHash)).to.deep.equal([licence]);
+
+    await credentialStatus.connect(university).renewCredential(licence, validUntil + 30 * DAY);
+    await indexer.sync();
+    expect(database.getCredential(licence).state).to.equal("Valid");
+  });
+
+  it("Indexes DID Document attributes, controllers and guardians per identity", async function () {
+    const service = ethers.encodeBytes32String("did/svc/VerificationService");
+    const key = ethers.encodeBytes32String("did/pub/Ed25519/veriKey");
+    await didRegistry.connect(university).setAttribute(service, "https://verify.example.edu");
+    await didRegistry.connect(university).setAttribute(key, "z6MkExample");
+    await didRegistry.connect(university).removeAttribute(key);
+    // All 32 bytes used, so no null terminator: indexed under its hex
+    const fullName = ethers.hexlify(ethers.toUtf8Bytes("did/svc/CredentialVerification01"));
+    await didRegistry.connect(university).setAttribute(fullName, "https://full.example.edu");
+    await indexer.sync();
+
+    expect(database.getIdentity(university.address).attributes).to.deep.equal({
+      "did/svc/VerificationService": "https://verify.example.edu",
+      [fullName]: "https://full.example.edu"
+    });
+    await didRegistry.connect(university).removeAttribute(fullName);
+    await indexer.sync();
+    expect(database.getIdentity(university.address).attributes).to.deep.equal({ "did/svc/VerificationService": "https://verify.example.edu" });
+    expect(database.getIdentity(alice.address).attributes).to.deep.equal({});
+
+    const [newKey] = (await ethers.getSigners()).slice(-1);
+    await didRegistry.connect(employer).setGuardians([alice.address, bob.address], 2);
+    await didRegistry.connect(employer).changeController(newKey.address);
+    await indexer.sync();
+    expect(database.getIdentity(employer.address)).to.deep.include({
+      controller: newKey.address,
+      guardians: [alice.address, bob.address],
+      recoveryThreshold: 2
+    });
+    expect(database.getIdentity(employer.address).controllerHistory[0]).to.include({ previousController: employer.address, controller: newKey.address });
+  });
+
+  it("Indexes delegates and the credentials they issue", async function () {
+    const [registrar] = (await ethers.getSigners()).slice(-2);
+    const transcriptType = ethers.id("transcript-v1");
+    await credentialStatus.connect(otherUniversity).authorizeDelegate(registrar.address, 3, 0, [transcriptType]);
+    const delegated = ethers.id("transcript issued by a registrar");
+    await credentialStatus.connect(registrar).issueCredential(bob.address, delegated, "", ethers.toUtf8Bytes("transcript-v1"));
+    await indexer.sync();
+
+    expect(database.getIdentity(otherUniversity.address).delegates[registrar.address])
+      .to.deep.include({ scopes: ["issue", "revoke"], validUntil: null, credentialTypes: [transcriptType] });
+    expect(database.queryCredentials({ delegate: registrar.address }).map((credential) => credential.credentialHash)).to.deep.equal([delegated]);
+    expect(database.getCredential(delegated)).to.include({ issuer: otherUniversity.address, delegate: registrar.address });
+    expect(database.getCredential(diploma).delegate).to.equal(null);
+
+    await credentialStatus.connect(otherUniversity).removeDelegate(registrar.address);
+    await indexer.sync();
+    expect(database.getIdentity(otherUniversity.address).delegates).to.deep.equal({});
+  });
+
+  it("Indexes the schemas each University registers", async function () {
+    const documentHash = ethers.id("degree schema document");
+    await credentialStatus.connect(otherUniversity).registerSchema("bachelor-degree", "1.0", "ipfs://QmDegreeSchema", documentHash);
+    await indexer.sync();
+
+    expect(database.getIdentity(otherUniversity.address).schemas["bachelor-degree@1.0"]).to.deep.include({
+      schemaKey: ethers.id("bachelor-degree@1.0"),
+      uri: "ipfs://QmDegreeSchema",
+      documentHash
+    });
+    expect(database.getIdentity(alice.address).schemas).to.deep.equal({});
+  });
+
+  it("Indexes revocations of batch members under their batch", async function () {
+    const batchLib = await import("../lib/batchIssuance.js");
+    const batch = batchLib.buildCredentialBatch([
+      { credentialHash: ethers.id("batch member alice"), holder: alice.address },
+      { credentialHash: ethers.id("batch member bob"), holder: bob.address }
+    ]);
+    await credentialStatus.connect(university).issueCredentialBatch(batch.root, batch.credentialCount, "QmBatch", "0x");
+    const receipt = batchLib.getBatchReceipt(batch, ethers.id("batch member bob"));
+    await credentialStatus.connect(university).revokeBatchCredential(receipt.merkleRoot, receipt.credentialHash, receipt.holder, receipt.proof);
+    await indexer.sync();
+
+    const indexed = database.getBatch(batch.root);
+    expect(indexed).to.include({ issuer: university.address, credentialCount: 2 });
+    expect(indexed.revocations.map((revocation) => revocation.credentialHash)).to.deep.equal([receipt.credentialHash]);
+    expect(database.getCredential(receipt.credentialHash)).to.equal(null);
+  });
+
+  it("Ignores revocations that do not come from the credential's issuer", async function () {
+    // Events as an older CredentialStatus could emit them, straight into a fresh index
+    const memory = await databaseLib.openIndexDatabase();
+    const known = ethers.id("known credential");
+    const unknown = ethers.id("never issued");
+    let logIndex = 0;
+    const event = (name, args) => ({
+      name, args, blockNumber: 1, blockHash: ethers.ZeroHash, transactionHash: ethers.ZeroHash, logIndex: logIndex++, timestamp: "2024-01-01T00:00:00.000Z"
+    });
+    await memory.appendBlocks([
+      event("CredentialIssued", { credentialHash: known, issuer: university.address, holder: alice.address, ipfsHash: "QmKnown" }),
+      event("CredentialRevoked", { credentialHash: known, issuer: ethers.ZeroAddress }),
+      event("CredentialRevoked", { credentialHash: known, issuer: otherUniversity.address }),
+      event("CredentialRevoked", { credentialHash: unknown, issuer: university.address })
+    ], { blockNumber: 1, blockHash: ethers.ZeroHash, timestamp: "2024-01-01T00:00:00.000Z" });
+
+    expect(memory.getCredential(known)).to.include({ state: "Valid", revokedAt: null });
+    expect(memory.getCredential(unknown)).to.equal(null);
+    expect(memory.getStats().credentials).to.equal(1);
+
+    await memory.appendBlocks([event("CredentialRevoked", { credentialHash: known, issuer: university.address })],
+      { blockNumber: 2, blockHash: ethers.ZeroHash, timestamp: "2024-01-02T00:00:00.000Z" });
+    expect(memory.getCredential(known)).to.include({ state: "Revoked", revokedAt: "2024-01-01T00:00:00.000Z" });
+  });
+
+  it("Serves credential queries through the verification service", async function () {
+    const serviceLib = await import("../lib/verificationService.js");
+    const service = serviceLib.createVerificationService({ registry: didRegistry, credentials: credentialStatus, index: database });
+
+    const { status, body } = await service.handle("GET", `/credentials?holder=${bob.address}&state=Revoked`);
+    expect(status).to.equal(200);
+    expect(body.credentials.map((credential) => credential.credentialHash)).to.deep.equal([transcript]);
+    expect(body.indexedBlock).to.equal(database.getCursor().blockNumber);
+
+    expect((await service.handle("GET", "/credentials?holder=bob")).status).to.equal(400);
+    expect((await service.handle("GET", "/credentials?from=soon")).status).to.equal(400);
+  });
+});
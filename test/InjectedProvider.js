@@ -0,0 +1,75 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+describe("Injected Provider Stand-In", function () {
+  let injectedProvider;
+  let didRegistry;
+  let owner, university, student;
+
+  const transport = (request) => network.provider.request(request);
+
+  async function rejectionOf(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error("Expected the promise to reject");
+  }
+
+  before(async function () {
+    injectedProvider = await import("../lib/injectedProvider.js");
+    [owner, university, student] = await ethers.getSigners();
+    didRegistry = await ethers.deployContract("DIDRegistry");
+  });
+
+  it("Acts as the node's unlocked accounts and follows account changes", async function () {
+    const injected = injectedProvider.createInjectedProvider({ transport });
+    expect(await injected.request({ method: "eth_requestAccounts" })).to.deep.equal([owner.address]);
+
+    const changes = [];
+    injected.on("accountsChanged", (accounts) => changes.push(accounts));
+    injected.selectAccount(university.address.toLowerCase());
+    expect(changes).to.deep.equal([[university.address]]);
+    expect(await injected.request({ method: "eth_accounts" })).to.deep.equal([university.address]);
+
+    const signer = await new ethers.BrowserProvider(injected).getSigner();
+    expect(signer.address).to.equal(university.address);
+    await (await didRegistry.connect(signer).registerIdentity(2)).wait();
+    expect(await didRegistry.getRole(university.address)).to.equal(2n);
+  });
+
+  it("Signs transactions, messages and typed data with a private key", async function () {
+    const key = ethers.Wallet.createRandom();
+    await owner.sendTransaction({ to: key.address, value: ethers.parseEther("1") });
+    const injected = injectedProvider.createInjectedProvider({ transport, privateKey: key.privateKey });
+    expect(await injected.request({ method: "eth_accounts" })).to.deep.equal([key.address]);
+
+    const signer = await new ethers.BrowserProvider(injected).getSigner();
+    const receipt = await (await didRegistry.connect(signer).registerIdentity(1)).wait();
+    expect(receipt.from).to.equal(key.address);
+    expect(await didRegistry.getRole(key.address)).to.equal(1n);
+
+    const signature = await signer.signMessage("Encrypt my credentials");
+    expect(ethers.verifyMessage("Encrypt my credentials", signature)).to.equal(key.address);
+
+    const domain = { name: "Test", version: "1", chainId: 31337 };
+    const types = { Greeting: [{ name: "text", type: "string" }] };
+    const typedSignature = await signer.signTypedData(domain, types, { text: "hello" });
+    expect(ethers.verifyTypedData(domain, types, { text: "hello" }, typedSignature)).to.equal(key.address);
+
+    expect(() => injected.selectAccount(student.address)).to.throw("signs with a private key");
+    const error = await rejectionOf(injected.request({ method: "eth_sendTransaction", params: [{ from: student.address, to: student.address }] }));
+    expect(error.code).to.equal(4100);
+  });
+
+  it("Surfaces the node's revert reasons", async function () {
+    const injected = injectedProvider.createInjectedProvider({ transport, account: student.address });
+    const signer = await new ethers.BrowserProvider(injected).getSigner();
+    await (await didRegistry.connect(signer).registerIdentity(1)).wait();
+
+    const error = await rejectionOf(didRegistry.connect(signer).registerIdentity(1));
+    expect(error.message).to.contain("DIDRegistry: Address already registered");
+    expect(() => injectedProvider.createInjectedProvider({})).to.throw("needs a node URL or a transport");
+  });
+});
@@ -0,0 +1,242 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Key Rotation and Account Recovery", function () {
+  let cryptoHelper, vcLib, vpLib, resolverLib, didLib, serviceLib;
+  let didRegistry, credentialStatus;
+  let admin, university, universityKey, otherUniversity, student, studentKey, recoveredKey;
+  let alice, aliceKey, guardianA, guardianB, stranger;
+  let chainId, degree, degreeVc;
+
+  const claims = { degree: "BSc Computer Science", university: "Rotating U", year: 2024 };
+
+  async function advanceTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  before(async function () {
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+    vcLib = await import("../lib/verifiableCredential.js");
+    vpLib = await import("../lib/presentation.js");
+    resolverLib = await import("../lib/didResolver.js");
+    didLib = await import("../lib/did.js");
+    serviceLib = await import("../lib/verificationService.js");
+
+    [admin, university, universityKey, otherUniversity, student, studentKey, recoveredKey,
+      alice, aliceKey, guardianA, guardianB, stranger] = await ethers.getSigners();
+    chainId = (await ethers.provider.getNetwork()).chainId;
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(otherUniversity).registerIdentity(2);
+    await didRegistry.approveUniversity(otherUniversity.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+    await didRegistry.connect(alice).registerIdentity(1);
+
+    degreeVc = vcLib.createVerifiableCredential({
+      claims,
+      holder: student.address,
+      issuer: university.address,
+      chainId,
+      credentialStatusAddress: credentialStatus.target
+    });
+    const commitment = vcLib.toCommitment(degreeVc);
+    degree = commitment.credentialHash;
+    await credentialStatus.connect(university).issueCredential(commitment.holder, degree, commitment.ipfsHash, commitment.schema);
+  });
+
+  it("Rotates a University's key without losing control of its credentials", async function () {
+    await expect(didRegistry.connect(university).changeController(universityKey.address))
+      .to.emit(didRegistry, "ControllerChanged").withArgs(university.address, university.address, universityKey.address);
+
+    expect(await didRegistry.getController(university.address)).to.equal(universityKey.address);
+    expect(await didRegistry.identityOf(universityKey.address)).to.equal(university.address);
+    expect(await didRegistry.identityOf(university.address)).to.equal(ethers.ZeroAddress);
+    expect(await didRegistry.isAccredited(university.address)).to.equal(true);
+
+    // The old key can no longer act for the University
+    await expect(credentialStatus.connect(university).suspendCredential(degree, 6, ""))
+      .to.be.revertedWith("CredentialStatus: Caller is not the original issuer");
+    await expect(credentialStatus.connect(university).issueCredential(student.address, ethers.id("old key"), "", "0x"))
+      .to.be.revertedWith("CredentialStatus: Caller is not an accredited University");
+
+    await expect(credentialStatus.connect(universityKey).suspendCredential(degree, 6, ""))
+      .to.emit(credentialStatus, "CredentialStatusChanged").withArgs(degree, 3, 6, "", university.address);
+    await credentialStatus.connect(universityKey).reinstateCredential(degree, 0, "");
+    expect(await credentialStatus.isCredentialValid(degree)).to.equal(true);
+
+    const transcript = ethers.id("transcript after rotation");
+    await credentialStatus.connect(universityKey).issueCredential(student.address, transcript, "", "0x");
+    expect((await credentialStatus.getCredentialMetadata(transcript)).issuer).to.equal(university.address);
+  });
+
+  it("Keeps controllers unique", async function () {
+    await expect(didRegistry.connect(student).changeController(alice.address))
+      .to.be.revertedWith("DIDRegistry: Controller already in use");
+    await expect(didRegistry.connect(student).changeController(universityKey.address))
+      .to.be.revertedWith("DIDRegistry: Controller already in use");
+    await expect(didRegistry.connect(student).changeController(ethers.ZeroAddress))
+      .to.be.revertedWith("DIDRegistry: Invalid controller");
+    await expect(didRegistry.connect(universityKey).registerIdentity(1))
+      .to.be.revertedWith("DIDRegistry: Address already controls an identity");
+    await expect(didRegistry.connect(university).changeController(stranger.address))
+      .to.be.revertedWith("DIDRegistry: Address not registered");
+  });
+
+  it("Records credentials and presentations against the holder's identity", async function () {
+    await didRegistry.connect(student).changeController(studentKey.address);
+
+    // Issuing to the holder's new account still records the identity
+    const certificate = ethers.id("certificate for rotated holder");
+    await credentialStatus.connect(universityKey).issueCredential(studentKey.address, certificate, "", "0x");
+    expect((await credentialStatus.getCredentialMetadata(certificate)).holder).to.equal(student.address);
+
+    const challengeStore = vpLib.createChallengeStore();
+    const presentation = await vpLib.signPresentation(
+      vpLib.createPresentation({ credentials: [degreeVc], holder: student.address, chainId }),
+      challengeStore.issue("hr.example.com"),
+      studentKey
+    );
+    const options = { credentialStatus, challengeStore, domain: "hr.example.com" };
+    expect(vpLib.verifyHolderSignature(presentation)).to.equal(false);
+    const result = await vpLib.verifyPresentation(presentation, { ...options, didRegistry });
+    expect(result.reasons).to.deep.equal([]);
+    expect(result.isValid).to.equal(true);
+  });
+
+  it("Follows the controller in DID documents and issuer signatures", async function () {
+    const resolver = resolverLib.createDidResolver({ registry: didRegistry.connect(ethers.provider) });
+    const { didDocument } = await resolver.resolve(didLib.addressToDid(university.address, chainId));
+    expect(didDocument.id).to.equal(didLib.addressToDid(university.address, chainId));
+    expect(didDocument.verificationMethod[0].blockchainAccountId).to.equal(`eip155:${chainId}:${universityKey.address}`);
+
+    // EIP-712: the new key signs for the University's identity
+    const hash = ethers.id("signed after rotation");
+    const signature = await universityKey.signTypedData(
+      cryptoHelper.getCredentialDomain(chainId, credentialStatus.target),
+      cryptoHelper.CREDENTIAL_ISSUANCE_TYPES,
+      { issuer: university.address, holder: student.address, credentialHash: hash, ipfsHash: "", schema: "0x" }
+    );
+    await credentialStatus.connect(stranger).issueCredentialWithSignature(university.address, student.address, hash, "", "0x", signature);
+    expect(await credentialStatus.isValidIssuerSignature(hash, signature)).to.equal(true);
+
+    // EIP-191: the verification service checks signatures against the current controller
+    const service = serviceLib.createVerificationService({
+      registry: didRegistry.connect(ethers.provider),
+      credentials: credentialStatus.connect(ethers.provider)
+    });
+    const text = JSON.stringify({ note: "signed by the rotated key" });
+    const noteHash = cryptoHelper.hashCredential(text);
+    await credentialStatus.connect(universityKey).issueCredential(student.address, noteHash, "", "0x");
+    const { body } = await service.verify({ credential: text, credentialHash: noteHash, signature: await universityKey.signMessage(text) });
+    expect(body.checks.signatureValid).to.equal(true);
+    const stale = await service.verify({ credential: text, credentialHash: noteHash, signature: await university.signMessage(text) });
+    expect(stale.body.checks.signatureValid).to.equal(false);
+  });
+
+  it("Recovers an identity once enough guardians approve the same key", async function () {
+    await expect(didRegistry.connect(studentKey).setGuardians([guardianA.address, university.address], 3))
+      .to.be.revertedWith("DIDRegistry: Invalid threshold");
+    await expect(didRegistry.connect(studentKey).setGuardians([guardianA.address, guardianA.address], 1))
+      .to.be.revertedWith("DIDRegistry: Duplicate guardian");
+    await expect(didRegistry.connect(studentKey).setGuardians([guardianA.address, university.address], 2))
+      .to.emit(didRegistry, "GuardiansChanged").withArgs(student.address, [guardianA.address, university.address], 2);
+
+    await expect(didRegistry.connect(stranger).approveRecovery(student.address, recoveredKey.address))
+      .to.be.revertedWith("DIDRegistry: Caller cannot recover this identity");
+    await expect(didRegistry.connect(guardianA).approveRecovery(student.address, recoveredKey.address))
+      .to.emit(didRegistry, "RecoveryApproved").withArgs(student.address, recoveredKey.address, guardianA.address, 1);
+    await expect(didRegistry.connect(guardianA).approveRecovery(student.address, recoveredKey.address))
+      .to.be.revertedWith("DIDRegistry: Already approved by this guardian");
+    expect(await didRegistry.getController(student.address)).to.equal(studentKey.address);
+
+    // The University guardian approves with the key it rotated to, not with its old one
+    await expect(didRegistry.connect(university).approveRecovery(student.address, recoveredKey.address))
+      .to.be.revertedWith("DIDRegistry: Caller cannot recover this identity");
+    await expect(didRegistry.connect(universityKey).approveRecovery(student.address, recoveredKey.address))
+      .to.emit(didRegistry, "ControllerChanged").withArgs(student.address, studentKey.address, recoveredKey.address);
+    expect(await didRegistry.identityOf(studentKey.address)).to.equal(ethers.ZeroAddress);
+    expect(await didRegistry.identityOf(recoveredKey.address)).to.equal(student.address);
+    expect(await didRegistry.getRecoveryApprovals(student.address, recoveredKey.address)).to.deep.equal([]);
+  });
+
+  it("Drops pending approvals when the controller or guardians change", async function () {
+    await didRegistry.connect(recoveredKey).setGuardians([guardianA.address, guardianB.address], 2);
+    await didRegistry.connect(guardianA).approveRecovery(student.address, stranger.address);
+    expect(await didRegistry.getRecoveryApprovals(student.address, stranger.address)).to.deep.equal([guardianA.address]);
+
+    await didRegistry.connect(recoveredKey).setGuardians([guardianB.address], 1);
+    expect(await didRegistry.getRecoveryApprovals(student.address, stranger.address)).to.deep.equal([]);
+    await expect(didRegistry.connect(guardianA).approveRecovery(student.address, stranger.address))
+      .to.be.revertedWith("DIDRegistry: Caller cannot recover this identity");
+  });
+
+  it("Lets an issuing University recover a Student who opted in, after a challenge period", async function () {
+    await credentialStatus.connect(otherUniversity).issueCredential(alice.address, ethers.id("alice's diploma"), "", "0x");
+    await didRegistry.connect(alice).setIssuerRecovery(true);
+    await expect(didRegistry.connect(otherUniversity).approveRecovery(alice.address, aliceKey.address))
+      .to.be.revertedWith("DIDRegistry: Caller cannot recover this identity");
+
+    // The link is set once, to a contract
+    await expect(didRegistry.connect(stranger).setCredentialStatus(credentialStatus.target))
+      .to.be.revertedWith("DIDRegistry: Caller is not the admin");
+    await expect(didRegistry.connect(admin).setCredentialStatus(stranger.address))
+      .to.be.revertedWith("DIDRegistry: Credential status is not a contract");
+    await didRegistry.connect(admin).setCredentialStatus(credentialStatus.target);
+    await expect(didRegistry.connect(admin).setCredentialStatus(didRegistry.target))
+      .to.be.revertedWith("DIDRegistry: Credential status already set");
+    expect(await credentialStatus.hasIssuedTo(otherUniversity.address, alice.address)).to.equal(true);
+
+    // Only for Students who opted in
+    await expect(didRegistry.connect(universityKey).setIssuerRecovery(true))
+      .to.be.revertedWith("DIDRegistry: Only Students use issuer recovery");
+    await expect(didRegistry.connect(alice).setIssuerRecovery(false))
+      .to.emit(didRegistry, "IssuerRecoveryChanged").withArgs(alice.address, false);
+    await expect(didRegistry.connect(otherUniversity).approveRecovery(alice.address, aliceKey.address))
+      .to.be.revertedWith("DIDRegistry: Caller cannot recover this identity");
+    await didRegistry.connect(alice).setIssuerRecovery(true);
+
+    // Only by a University that issued to Alice, and only after a challenge period Alice can cancel in
+    await expect(didRegistry.connect(universityKey).approveRecovery(alice.address, aliceKey.address))
+      .to.be.revertedWith("DIDRegistry: Caller cannot recover this identity");
+    const period = Number(await didRegistry.RECOVERY_CHALLENGE_PERIOD());
+    await expect(didRegistry.connect(otherUniversity).approveRecovery(alice.address, aliceKey.address))
+      .to.emit(didRegistry, "RecoveryApproved").withArgs(alice.address, aliceKey.address, otherUniversity.address, 1)
+      .and.to.emit(didRegistry, "RecoveryScheduled");
+    const [newController, approver, executableAt] = await didRegistry.getPendingRecovery(alice.address);
+    expect([newController, approver]).to.deep.equal([aliceKey.address, otherUniversity.address]);
+    expect(executableAt).to.equal(BigInt((await ethers.provider.getBlock("latest")).timestamp + period));
+    expect(await didRegistry.getController(alice.address)).to.equal(alice.address);
+    await expect(didRegistry.connect(otherUniversity).approveRecovery(alice.address, stranger.address))
+      .to.be.revertedWith("DIDRegistry: Recovery already pending");
+    await expect(didRegistry.completeRecovery(alice.address))
+      .to.be.revertedWith("DIDRegistry: Challenge period not over");
+
+    await expect(didRegistry.connect(alice).cancelRecovery())
+      .to.emit(didRegistry, "RecoveryCancelled").withArgs(alice.address, aliceKey.address);
+    expect((await didRegistry.getPendingRecovery(alice.address))[0]).to.equal(ethers.ZeroAddress);
+    await expect(didRegistry.completeRecovery(alice.address))
+      .to.be.revertedWith("DIDRegistry: No pending recovery");
+
+    // Uncontested, control moves once the period is over
+    await didRegistry.connect(otherUniversity).approveRecovery(alice.address, aliceKey.address);
+    await advanceTime(period);
+    await expect(didRegistry.connect(aliceKey).completeRecovery(alice.address))
+      .to.emit(didRegistry, "ControllerChanged").withArgs(alice.address, alice.address, aliceKey.address);
+    expect((await didRegistry.getPendingRecovery(alice.address))[0]).to.equal(ethers.ZeroAddress);
+
+    // A Student with guardians is only recovered by them
+    await expect(didRegistry.connect(universityKey).approveRecovery(student.address, stranger.address))
+      .to.be.revertedWith("DIDRegistry: Caller cannot recover this identity");
+  });
+
+  it("Lets a recovered key hand control back to the identity's own address", async function () {
+    await expect(didRegistry.connect(aliceKey).changeController(alice.address))
+      .to.emit(didRegistry, "ControllerChanged").withArgs(alice.address, aliceKey.address, alice.address);
+    expect(await didRegistry.identityOf(alice.address)).to.equal(alice.address);
+    expect(await didRegistry.identityOf(aliceKey.address)).to.equal(ethers.ZeroAddress);
+  });
+});
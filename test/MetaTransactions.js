@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Meta-Transactions and Relayer", function () {
+  let cryptoHelper, metaTx, relayerLib;
+  let didRegistry, credentialStatus, forwarder;
+  let relayerSigner, university, stranger, wallet, employer;
+  let server, baseUrl, relayerUrl, domain;
+  let credentialData, credentialHash;
+
+  async function request(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body === undefined ? {} : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  // Sign a request without sending it
+  async function signed(signer, contract, method, args, overrides = {}) {
+    const forwardRequest = await metaTx.createForwardRequest({
+      forwarder, from: signer.address, contract, method, args
+    });
+    Object.assign(forwardRequest, overrides);
+    return { forwardRequest, signature: await metaTx.signForwardRequest(signer, forwardRequest, domain) };
+  }
+
+  before(async function () {
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+    metaTx = await import("../lib/metaTransactions.js");
+    relayerLib = await import("../lib/relayer.js");
+
+    [relayerSigner, university, stranger] = await ethers.getSigners();
+    const chainId = (await ethers.provider.getNetwork()).chainId;
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+    forwarder = await ethers.deployContract("TrustedForwarder");
+    await didRegistry.setTrustedForwarder(forwarder.target);
+    domain = metaTx.getForwarderDomain(chainId, forwarder.target);
+
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(stranger).registerIdentity(1);
+
+    credentialData = JSON.stringify({ degree: "BSc Computer Science", university: "Gasless U" });
+    credentialHash = cryptoHelper.hashCredential(credentialData);
+    await credentialStatus.connect(university).issueCredential(stranger.address, credentialHash, "", "0x");
+
+    // Accounts that never hold ETH
+    wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    employer = ethers.Wallet.createRandom().connect(ethers.provider);
+
+    const relayer = relayerLib.createRelayer({
+      forwarder: forwarder.connect(relayerSigner),
+      registry: didRegistry.connect(ethers.provider),
+      credentials: credentialStatus.connect(ethers.provider),
+      quota: { limit: 3, windowSeconds: 3600 }
+    });
+    server = relayerLib.createRelayerServer(relayer);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    relayerUrl = baseUrl;
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  it("Registers and verifies without the sender holding ETH", async function () {
+    expect(await ethers.provider.getBalance(wallet.address)).to.equal(0n);
+
+    const registered = await metaTx.relayCall({
+      relayerUrl, signer: wallet, forwarder, contract: didRegistry, method: "registerIdentity", args: [3]
+    });
+    expect(registered.status).to.equal(200);
+    expect(registered.body).to.include({ from: wallet.address, identity: wallet.address, function: "DIDRegistry.registerIdentity", nonce: "0" });
+    expect(await didRegistry.getRole(wallet.address)).to.equal(3n);
+
+    const verified = await metaTx.relayCall({
+      relayerUrl, signer: wallet, forwarder, contract: credentialStatus, method: "verifyCredentialData", args: [credentialData, credentialHash]
+    });
+    expect(verified.status).to.equal(200);
+    const receipt = await ethers.provider.getTransactionReceipt(verified.body.transactionHash);
+    const events = receipt.logs
+      .filter((log) => log.address === credentialStatus.target)
+      .map((log) => credentialStatus.interface.parseLog(log));
+    expect(events[0].name).to.equal("CredentialVerified");
+    expect(events[0].args.verifier).to.equal(wallet.address);
+    expect(events[0].args.isValid).to.equal(true);
+
+    expect(await ethers.provider.getBalance(wallet.address)).to.equal(0n);
+    expect(await forwarder.nonces(wallet.address)).to.equal(2n);
+  });
+
+  it("Reports nonces, quotas and configuration", async function () {
+    const nonce = await request("GET", `/nonces/${wallet.address}`);
+    expect(nonce).to.deep.equal({ status: 200, body: { address: wallet.address, nonce: "2" } });
+
+    const quota = await request("GET", `/quotas/${wallet.address.toLowerCase()}`);
+    expect(quota.status).to.equal(200);
+    expect(quota.body).to.include({ identity: wallet.address, limit: 3, used: 2, remaining: 1 });
+
+    const config = await request("GET", "/config");
+    expect(config.body.forwarder).to.equal(forwarder.target);
+    expect(config.body.targets).to.deep.equal({ DIDRegistry: didRegistry.target, CredentialStatus: credentialStatus.target });
+    expect((await request("GET", "/nonces/not-an-address")).status).to.equal(400);
+  });
+
+  it("Rejects replayed, forged, disallowed and reverting requests", async function () {
+    // Replay of an already used nonce
+    const replay = await signed(employer, didRegistry, "registerIdentity", [3]);
+    await metaTx.relayCall({ relayerUrl, signer: employer, forwarder, contract: didRegistry, method: "registerIdentity", args: [3] });
+    const replayed = await request("POST", "/relay", { request: metaTx.serializeForwardRequest(replay.forwardRequest), signature: replay.signature });
+    expect(replayed.status).to.equal(409);
+    expect(replayed.body.error).to.match(/Nonce 0 already used/);
+
+    // Signed by someone other than request.from
+    const forged = await signed(employer, credentialStatus, "verifyCredentialData", [credentialData, credentialHash], { from: stranger.address, nonce: 0n });
+    const forgedResponse = await request("POST", "/relay", { request: metaTx.serializeForwardRequest(forged.forwardRequest), signature: forged.signature });
+    expect(forgedResponse.status).to.equal(401);
+
+    // Issuance is not relayed
+    const issue = await signed(employer, credentialStatus, "issueCredential", [stranger.address, ethers.id("free credential"), "", "0x"]);
+    const issueResponse = await request("POST", "/relay", { request: metaTx.serializeForwardRequest(issue.forwardRequest), signature: issue.signature });
+    expect(issueResponse.status).to.equal(403);
+
+    // Registering twice would revert on-chain, so nothing is submitted and the nonce stays unused
+    const again = await metaTx.relayCall({ relayerUrl, signer: employer, forwarder, contract: didRegistry, method: "registerIdentity", args: [3] });
+    expect(again.status).to.equal(422);
+    expect(again.body.error).to.match(/^DIDRegistry\.registerIdentity would revert: .*DIDRegistry: Address already registered/);
+    expect(await forwarder.nonces(employer.address)).to.equal(1n);
+
+    // The same request sent twice at once is only submitted once
+    const hurried = ethers.Wallet.createRandom().connect(ethers.provider);
+    const twice = await signed(hurried, credentialStatus, "verifyCredentialData", [credentialData, credentialHash]);
+    const body = { request: metaTx.serializeForwardRequest(twice.forwardRequest), signature: twice.signature };
+    const responses = await Promise.all([request("POST", "/relay", body), request("POST", "/relay", body)]);
+    expect(responses.map((response) => response.status).sort()).to.deep.equal([200, 409]);
+    expect(responses.find((response) => response.status === 409).body.error).to.match(/already being relayed/);
+    expect(responses.find((response) => response.status === 200).body.quota.used).to.equal(1);
+
+    const malformed = await request("POST", "/relay", { request: { from: employer.address }, signature: "0x" });
+    expect(malformed.status).to.equal(400);
+  });
+
+  it("Stops relaying once an identity's quota is used up", async function () {
+    const third = await metaTx.relayCall({
+      relayerUrl, signer: wallet, forwarder, contract: credentialStatus, method: "verifyCredentialData", args: [credentialData, credentialHash]
+    });
+    expect(third.status).to.equal(200);
+    expect(third.body.quota.remaining).to.equal(0);
+
+    const fourth = await metaTx.relayCall({
+      relayerUrl, signer: wallet, forwarder, contract: credentialStatus, method: "verifyCredentialData", args: [credentialData, credentialHash]
+    });
+    expect(fourth.status).to.equal(429);
+    expect(await forwarder.nonces(wallet.address)).to.equal(3n);
+  });
+
+  it("Rejects invalid requests sent straight to the forwarder", async function () {
+    const { forwardRequest, signature } = await signed(employer, credentialStatus, "verifyCredentialData", [credentialData, credentialHash]);
+    expect(await forwarder.verify(forwardRequest, signature)).to.equal(true);
+
+    await expect(forwarder.execute({ ...forwardRequest, nonce: 5n }, signature))
+      .to.be.revertedWith("TrustedForwarder: Signature does not match request");
+    await expect(forwarder.execute(forwardRequest, signature, { value: 1n }))
+      .to.be.revertedWith("TrustedForwarder: Value does not match request");
+
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const expired = await signed(employer, credentialStatus, "verifyCredentialData", [credentialData, credentialHash], { deadline: BigInt(now) });
+    await expect(forwarder.execute(expired.forwardRequest, expired.signature))
+      .to.be.revertedWith("TrustedForwarder: Request expired");
+
+    await expect(forwarder.execute(forwardRequest, signature))
+      .to.emit(forwarder, "RequestExecuted").withArgs(employer.address, credentialStatus.target, 1n, relayerSigner.address);
+    await expect(forwarder.execute(forwardRequest, signature))
+      .to.be.revertedWith("TrustedForwarder: Invalid nonce");
+  });
+
+  it("Only attributes calls to the signer through the trusted forwarder", async function () {
+    const untrusted = await ethers.deployContract("TrustedForwarder");
+    const untrustedDomain = metaTx.getForwarderDomain(domain.chainId, untrusted.target);
+    const outsider = ethers.Wallet.createRandom();
+    const forwardRequest = await metaTx.createForwardRequest({
+      forwarder: untrusted, from: outsider.address, contract: credentialStatus, method: "verifyCredentialData", args: [credentialData, credentialHash]
+    });
+    const signature = await metaTx.signForwardRequest(outsider, forwardRequest, untrustedDomain);
+
+    // The call goes through, but is attributed to the untrusted forwarder itself
+    await expect(untrusted.execute(forwardRequest, signature))
+      .to.emit(credentialStatus, "CredentialVerified").withArgs(credentialHash, untrusted.target, true);
+
+    await expect(didRegistry.connect(stranger).setTrustedForwarder(untrusted.target))
+      .to.be.revertedWith("DIDRegistry: Caller is not the admin");
+    // Set once: not even the admin can swap in another forwarder
+    await expect(didRegistry.setTrustedForwarder(untrusted.target))
+      .to.be.revertedWith("DIDRegistry: Trusted forwarder already set");
+    const freshRegistry = await ethers.deployContract("DIDRegistry");
+    await expect(freshRegistry.setTrustedForwarder(relayerSigner.address))
+      .to.be.revertedWith("DIDRegistry: Forwarder is not a contract");
+    await expect(freshRegistry.setTrustedForwarder(ethers.ZeroAddress))
+      .to.be.revertedWith("DIDRegistry: Forwarder is not a contract");
+    expect(await didRegistry.isTrustedForwarder(untrusted.target)).to.equal(false);
+
+    // A relayer whose forwarder the registry does not trust refuses to relay
+    const relayer = relayerLib.createRelayer({
+      forwarder: untrusted.connect(relayerSigner),
+      registry: didRegistry.connect(ethers.provider),
+      credentials: credentialStatus.connect(ethers.provider)
+    });
+    const next = await metaTx.createForwardRequest({
+      forwarder: untrusted, from: outsider.address, contract: credentialStatus, method: "verifyCredentialData", args: [credentialData, credentialHash]
+    });
+    const response = await relayer.handle("POST", "/relay", {
+      request: metaTx.serializeForwardRequest(next),
+      signature: await metaTx.signForwardRequest(outsider, next, untrustedDomain)
+    });
+    expect(response.status).to.equal(503);
+  });
+});
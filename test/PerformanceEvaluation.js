@@ -40,6 +40,9 @@ describe("University System Evaluation: Gas & Scalability", function () {
       metrics.didGas = receipt.gasUsed;
       
       console.log(`\t⛽ DID Registration (University): ${receipt.gasUsed}`);
+
+      // The deployer is the first accreditor; universities can only issue once accredited
+      await didRegistry.approveUniversity(university.address, "");
     });
 
     it("Measure Gas: Student DID Registration", async function () {
@@ -140,4 +143,67 @@ describe("University System Evaluation: Gas & Scalability", function () {
       }
     });
   });
+
+  // =========================================================
+  // PART 3: BATCH ISSUANCE (MERKLE ROOT) VS INDIVIDUAL ISSUANCE
+  // =========================================================
+  describe("PART 3: Batch Issuance vs Individual Issuance", function () {
+    let batchLib;
+
+    before(async function () {
+      batchLib = await import("../lib/batchIssuance.js");
+    });
+
+    // The 1000-credential class is slow, so it only runs with BENCHMARK=1
+    const batchSizes = process.env.BENCHMARK ? [10, 100, 1000] : [10, 100];
+
+    it(`Compare per-credential gas at batch sizes ${batchSizes.slice(0, -1).join(", ")} and ${batchSizes.at(-1)}`, async function () {
+      this.timeout(0);
+      console.log("\n\t[Batch Benchmark] Per-credential issuance gas, individual vs Merkle batch...");
+
+      for (let size of batchSizes) {
+        const entries = [];
+        for (let i = 0; i < size; i++) {
+          entries.push({ credentialHash: ethers.id(`Compare${size}-Student${i}-${Date.now()}`), holder: student.address });
+        }
+
+        // Individual mode: one issueCredential transaction per credential
+        let individualGas = 0n;
+        for (const entry of entries) {
+          const tx = await credentialStatus.connect(university).issueCredential(
+            entry.holder,
+            entry.credentialHash,
+            "QmStressTestHash",
+            ethers.toUtf8Bytes("StressTest")
+          );
+          const receipt = await tx.wait();
+          individualGas += receipt.gasUsed;
+        }
+
+        // Batch mode: one issueCredentialBatch transaction for the whole class
+        const batch = batchLib.buildCredentialBatch(entries);
+        const tx = await credentialStatus.connect(university).issueCredentialBatch(
+          batch.root,
+          batch.credentialCount,
+          "QmStressTestManifest",
+          ethers.toUtf8Bytes("StressTest")
+        );
+        const receipt = await tx.wait();
+
+        const individualAvg = individualGas / BigInt(size);
+        const batchAvg = receipt.gasUsed / BigInt(size);
+        const proofLength = batch.credentials[0].proof.length;
+
+        console.log(`\n\t📊 Batch Size: ${size} Credentials`);
+        console.log(`\t   - Individual: ${individualAvg} gas/credential (${size} txs)`);
+        console.log(`\t   - Batch:      ${batchAvg} gas/credential (1 tx, ${receipt.gasUsed} total)`);
+        console.log(`\t   - Savings:    ${((1 - Number(batchAvg) / Number(individualAvg)) * 100).toFixed(2)}%`);
+        console.log(`\t   - Proof size: ${proofLength} hashes per Student`);
+
+        expect(batchAvg).to.be.lessThan(individualAvg);
+        const sample = batch.credentials[size - 1];
+        expect(await credentialStatus.verifyBatchCredential(batch.root, sample.credentialHash, sample.holder, sample.proof)).to.equal(true);
+      }
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Verifiable Presentations: Holder Proof-of-Control", function () {
+  let vcLib, vpLib;
+  let didRegistry, credentialStatus;
+  let university, student, employer;
+  let chainId, credential;
+
+  const verifierDomain = "hr.example.com";
+
+  before(async function () {
+    vcLib = await import("../lib/verifiableCredential.js");
+    vpLib = await import("../lib/presentation.js");
+
+    [, university, student, employer] = await ethers.getSigners();
+    chainId = (await ethers.provider.getNetwork()).chainId;
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+
+    credential = await issue({ degree: "BSc Computer Science", university: "MIT", year: 2024 });
+  });
+
+  async function issue(claims) {
+    const vc = vcLib.createVerifiableCredential({
+      claims,
+      holder: student.address,
+      issuer: university.address,
+      chainId,
+      credentialStatusAddress: credentialStatus.target
+    });
+    const { holder, credentialHash, ipfsHash, schema } = vcLib.toCommitment(vc);
+    await credentialStatus.connect(university).issueCredential(holder, credentialHash, ipfsHash, schema);
+    return vc;
+  }
+
+  async function present(challenge, signer = student, credentials = [credential]) {
+    const presentation = vpLib.createPresentation({ credentials, holder: student.address, chainId });
+    return vpLib.signPresentation(presentation, challenge, signer);
+  }
+
+  it("Accepts a fresh presentation signed by the holder", async function () {
+    const challengeStore = vpLib.createChallengeStore();
+    const presentation = await present(challengeStore.issue(verifierDomain));
+
+    const result = await vpLib.verifyPresentation(presentation, { credentialStatus, challengeStore, domain: verifierDomain });
+    expect(result.reasons).to.deep.equal([]);
+    expect(result.isValid).to.equal(true);
+    expect(result.holder).to.equal(student.address);
+  });
+
+  it("Rejects a replayed presentation", async function () {
+    const challengeStore = vpLib.createChallengeStore();
+    const presentation = await present(challengeStore.issue(verifierDomain));
+    const options = { credentialStatus, challengeStore, domain: verifierDomain };
+
+    expect((await vpLib.verifyPresentation(presentation, options)).isValid).to.equal(true);
+
+    const replay = await vpLib.verifyPresentation(presentation, options);
+    expect(replay.isValid).to.equal(false);
+    expect(replay.reasons).to.include("Challenge is unknown or has already been used");
+  });
+
+  it("Rejects expired challenges and presentations made for another verifier", async function () {
+    let clock = 0;
+    const challengeStore = vpLib.createChallengeStore({ ttlSeconds: 60, now: () => clock });
+
+    const late = await present(challengeStore.issue(verifierDomain));
+    clock = 61 * 1000;
+    const expired = await vpLib.verifyPresentation(late, { credentialStatus, challengeStore, domain: verifierDomain });
+    expect(expired.reasons).to.include("Challenge has expired");
+
+    const relayed = await present(challengeStore.issue("other-verifier.example.com"));
+    const wrongDomain = await vpLib.verifyPresentation(relayed, { credentialStatus, challengeStore, domain: verifierDomain });
+    expect(wrongDomain.isValid).to.equal(false);
+    expect(wrongDomain.checks.challengeValid).to.equal(false);
+  });
+
+  it("Drops challenges that expire unused", function () {
+    let clock = 0;
+    const challengeStore = vpLib.createChallengeStore({ ttlSeconds: 60, now: () => clock });
+    const unused = challengeStore.issue(verifierDomain);
+    challengeStore.issue(verifierDomain);
+    expect(challengeStore.size()).to.equal(2);
+
+    clock = 61 * 1000;
+    const fresh = challengeStore.issue(verifierDomain);
+    expect(challengeStore.size()).to.equal(1);
+    expect(challengeStore.consume(unused.challenge, verifierDomain)).to.equal("Challenge is unknown or has already been used");
+    expect(challengeStore.consume(fresh.challenge, verifierDomain)).to.equal(null);
+  });
+
+  it("Rejects a presentation signed by someone other than the holder", async function () {
+    const challengeStore = vpLib.createChallengeStore();
+    const challenge = challengeStore.issue(verifierDomain);
+    const stolen = await present(challenge, employer);
+
+    const result = await vpLib.verifyPresentation(stolen, { credentialStatus, challengeStore, domain: verifierDomain });
+    expect(result.isValid).to.equal(false);
+    expect(result.checks.holderSignatureValid).to.equal(false);
+
+    // The forged attempt does not burn the challenge for the real holder
+    const genuine = await present(challenge);
+    expect((await vpLib.verifyPresentation(genuine, { credentialStatus, challengeStore, domain: verifierDomain })).isValid).to.equal(true);
+  });
+
+  it("Reports tampered and revoked credentials", async function () {
+    const revoked = await issue({ degree: "MSc Data Science", university: "MIT", year: 2025 });
+    await credentialStatus.connect(university).revokeCredential(revoked.credentialStatus.credentialHash);
+
+    const tampered = { ...credential, credentialSubject: { ...credential.credentialSubject, year: 2020 } };
+
+    const challengeStore = vpLib.createChallengeStore();
+    const presentation = await present(challengeStore.issue(verifierDomain), student, [revoked, tampered]);
+    const result = await vpLib.verifyPresentation(presentation, { credentialStatus, challengeStore, domain: verifierDomain });
+
+    expect(result.isValid).to.equal(false);
+    expect(result.checks.holderSignatureValid).to.equal(true);
+    expect(result.credentials[0].onChainValid).to.equal(false);
+    expect(result.credentials[1].hashValid).to.equal(false);
+  });
+});
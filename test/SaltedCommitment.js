@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Salted Credential Commitments", function () {
+  let cryptoHelper, vcLib;
+  let didRegistry, credentialStatus;
+  let university, student, employer, universityWallet;
+  let salt, credentialHash;
+
+  const claims = {
+    degree: "Bachelor of Science in Computer Science",
+    university: "MIT",
+    year: 2024,
+    gpa: 3.8
+  };
+
+  before(async function () {
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+    vcLib = await import("../lib/verifiableCredential.js");
+
+    [, university, student, employer] = await ethers.getSigners();
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+
+    universityWallet = ethers.Wallet.createRandom();
+
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+
+    salt = cryptoHelper.generateCredentialSalt();
+    credentialHash = cryptoHelper.hashCredential(claims, cryptoHelper.HashMethod.SALTED, salt);
+    await credentialStatus.connect(university).issueCredential(
+      student.address,
+      credentialHash,
+      "QmSaltedCredential",
+      cryptoHelper.encodeCredentialSchema("university-credential-v1", cryptoHelper.HashMethod.SALTED)
+    );
+  });
+
+  it("Cannot be brute-forced from guessable claims without the salt", function () {
+    const guesses = [];
+    for (let tenths = 0; tenths <= 40; tenths++) {
+      guesses.push({ ...claims, gpa: tenths / 10 });
+    }
+
+    const unsaltedHash = cryptoHelper.hashCredential(claims);
+    expect(guesses.some((guess) => cryptoHelper.hashCredential(guess) === unsaltedHash)).to.equal(true);
+    expect(guesses.some((guess) => cryptoHelper.hashCredential(guess) === credentialHash)).to.equal(false);
+    expect(cryptoHelper.hashCredential(claims, cryptoHelper.HashMethod.SALTED, cryptoHelper.generateCredentialSalt()))
+      .to.not.equal(credentialHash);
+  });
+
+  it("Requires a 32-byte salt for salted hashing", function () {
+    expect(() => cryptoHelper.hashCredential(claims, cryptoHelper.HashMethod.SALTED)).to.throw(/salt/);
+    expect(() => cryptoHelper.hashCredential(claims, cryptoHelper.HashMethod.SALTED, "0x1234")).to.throw(/salt/);
+  });
+
+  it("Records the salted method in the schema marker", async function () {
+    const metadata = await credentialStatus.getCredentialMetadata(credentialHash);
+    expect(cryptoHelper.getHashMethod(metadata.credentialSchema)).to.equal(cryptoHelper.HashMethod.SALTED);
+  });
+
+  it("Verifies the commitment in a view call without sending the credential data", async function () {
+    const dataHash = cryptoHelper.hashCredential(claims, cryptoHelper.HashMethod.JCS);
+    expect(cryptoHelper.computeSaltedCommitment(dataHash, salt)).to.equal(credentialHash);
+
+    const blockBefore = await ethers.provider.getBlockNumber();
+    expect(await credentialStatus.connect(employer).verifyCredentialCommitment(credentialHash, dataHash, salt)).to.equal(true);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+
+    const wrongData = cryptoHelper.hashCredential({ ...claims, gpa: 4 }, cryptoHelper.HashMethod.JCS);
+    expect(await credentialStatus.verifyCredentialCommitment(credentialHash, wrongData, salt)).to.equal(false);
+    expect(await credentialStatus.verifyCredentialCommitment(credentialHash, dataHash, ethers.ZeroHash)).to.equal(false);
+  });
+
+  it("Checks the salt in verifyCompleteCredential", function () {
+    const credentialData = JSON.stringify(claims);
+    const signature = cryptoHelper.signCredential(credentialData, universityWallet.privateKey);
+    const { SALTED } = cryptoHelper.HashMethod;
+
+    const result = cryptoHelper.verifyCompleteCredential(
+      credentialData, signature, universityWallet.address, credentialHash, SALTED, salt
+    );
+    expect(result.isValid).to.equal(true);
+
+    const wrongSalt = cryptoHelper.verifyCompleteCredential(
+      credentialData, signature, universityWallet.address, credentialHash, SALTED, ethers.ZeroHash
+    );
+    expect(wrongSalt.checks.hashValid).to.equal(false);
+
+    const missingSalt = cryptoHelper.verifyCompleteCredential(
+      credentialData, signature, universityWallet.address, credentialHash, SALTED
+    );
+    expect(missingSalt.isValid).to.equal(false);
+    expect(missingSalt.reasons.join(" ")).to.match(/salt/);
+  });
+
+  it("Round-trips a salted Verifiable Credential through its on-chain commitment", async function () {
+    const { chainId } = await ethers.provider.getNetwork();
+    const metadata = await credentialStatus.getCredentialMetadata(credentialHash);
+    const options = { chainId, credentialStatusAddress: credentialStatus.target };
+
+    expect(() => vcLib.fromCommitment(metadata, claims, options)).to.throw(/salt/);
+
+    const vc = vcLib.fromCommitment(metadata, claims, { ...options, salt });
+    expect(vc.credentialStatus.salt).to.equal(salt);
+
+    const commitment = vcLib.toCommitment(vc);
+    expect(commitment.credentialHash).to.equal(credentialHash);
+    expect(ethers.hexlify(commitment.schema)).to.equal(metadata.credentialSchema);
+
+    const tampered = { ...vc, credentialStatus: { ...vc.credentialStatus, salt: ethers.ZeroHash } };
+    expect(() => vcLib.toCommitment(tampered)).to.throw(/does not match/);
+  });
+
+  it("Fails verification once the credential is revoked", async function () {
+    const dataHash = cryptoHelper.hashCredential(claims, cryptoHelper.HashMethod.JCS);
+    await credentialStatus.connect(university).revokeCredential(credentialHash);
+    expect(await credentialStatus.verifyCredentialCommitment(credentialHash, dataHash, salt)).to.equal(false);
+  });
+});
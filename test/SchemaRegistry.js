@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Credential Schema Registry", function () {
+  let cryptoHelper, jsonSchema, schemaLib, storageLib;
+  let didRegistry, credentialStatus;
+  let university, otherUniversity, student, registrar;
+  let storage, published;
+
+  const degreeSchema = {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: "Bachelor's degree",
+    type: "object",
+    required: ["degree", "university", "graduationDate"],
+    additionalProperties: false,
+    properties: {
+      degree: { type: "string", minLength: 2 },
+      university: { type: "string" },
+      graduationDate: { type: "string", format: "date" },
+      honours: { enum: ["none", "cum laude", "magna cum laude", "summa cum laude"] },
+      gpa: { type: "number", minimum: 0, maximum: 4 },
+      courses: {
+        type: "array",
+        uniqueItems: true,
+        items: { type: "object", required: ["code", "grade"], properties: { code: { type: "string", pattern: "^[A-Z]{3}\\d{3}$" }, grade: { enum: ["A", "B", "C", "D", "F"] } } }
+      }
+    }
+  };
+  const claims = { degree: "BSc Computer Science", university: "Schema U", graduationDate: "2024-06-15", gpa: 3.8 };
+
+  before(async function () {
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+    jsonSchema = await import("../lib/jsonSchema.js");
+    schemaLib = await import("../lib/schemaRegistry.js");
+    storageLib = await import("../lib/storage/index.js");
+
+    [, university, otherUniversity, student, registrar] = await ethers.getSigners();
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(otherUniversity).registerIdentity(2);
+    await didRegistry.approveUniversity(otherUniversity.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+
+    storage = storageLib.createStorage({ type: "memory" });
+  });
+
+  it("Publishes a schema document and registers it by ID and version", async function () {
+    published = await schemaLib.publishSchema({
+      credentials: credentialStatus.connect(university), storage, id: "bachelor-degree", version: "1.0", document: degreeSchema
+    });
+    expect(published.reference).to.equal("bachelor-degree@1.0");
+    expect(published.schemaKey).to.equal(await credentialStatus.credentialTypeOf(ethers.toUtf8Bytes("bachelor-degree@1.0;c14n=jcs")));
+    expect(published.documentHash).to.equal(schemaLib.hashSchemaDocument({ ...degreeSchema }));
+
+    const receipt = await ethers.provider.getTransactionReceipt(published.transactionHash);
+    const event = credentialStatus.interface.parseLog(receipt.logs[0]);
+    expect(event.name).to.equal("SchemaRegistered");
+    expect(event.args.issuer).to.equal(university.address);
+    expect(event.args.uri).to.equal(published.uri);
+
+    const fetched = await schemaLib.fetchSchema({ credentials: credentialStatus, storage, issuer: university.address, reference: "bachelor-degree@1.0" });
+    expect(fetched).to.include({ id: "bachelor-degree", version: "1.0", documentHash: published.documentHash });
+    expect(fetched.document).to.deep.equal(degreeSchema);
+    expect(await schemaLib.getRegisteredSchema({ credentials: credentialStatus, issuer: otherUniversity.address, reference: "bachelor-degree@1.0" }))
+      .to.equal(null);
+  });
+
+  it("Rejects invalid or duplicate registrations", async function () {
+    const hash = ethers.id("document");
+    await expect(credentialStatus.connect(university).registerSchema("bachelor-degree", "1.0", "ipfs://Qm", hash))
+      .to.be.revertedWith("CredentialStatus: Schema version already registered");
+    await expect(credentialStatus.connect(university).registerSchema("degree@v1", "1", "ipfs://Qm", hash))
+      .to.be.revertedWith("CredentialStatus: Invalid schema ID");
+    await expect(credentialStatus.connect(university).registerSchema("degree", "", "ipfs://Qm", hash))
+      .to.be.revertedWith("CredentialStatus: Invalid schema version");
+    await expect(credentialStatus.connect(university).registerSchema("degree", "1;c14n=jcs", "ipfs://Qm", hash))
+      .to.be.revertedWith("CredentialStatus: Invalid schema version");
+    await expect(credentialStatus.connect(university).registerSchema("degree", "1", "", hash))
+      .to.be.revertedWith("CredentialStatus: Schema document is required");
+    await expect(credentialStatus.connect(student).registerSchema("degree", "1", "ipfs://Qm", hash))
+      .to.be.revertedWith("CredentialStatus: Caller is not an accredited University");
+
+    // Delegates issue against their University's schemas but cannot register them
+    await credentialStatus.connect(university).authorizeDelegate(registrar.address, 1, 0, []);
+    await expect(credentialStatus.connect(registrar).registerSchema("degree", "1", "ipfs://Qm", hash))
+      .to.be.revertedWith("CredentialStatus: Caller is not an accredited University");
+
+    // Each University has its own namespace
+    await credentialStatus.connect(otherUniversity).registerSchema("bachelor-degree", "1.0", "ipfs://QmOther", hash);
+  });
+
+  it("Only issues credentials referencing a schema the issuer registered", async function () {
+    const schema = cryptoHelper.encodeCredentialSchema("bachelor-degree@1.0");
+    const degree = cryptoHelper.hashCredential(claims);
+    await credentialStatus.connect(university).issueCredential(student.address, degree, "", schema);
+    expect(ethers.toUtf8String((await credentialStatus.getCredentialMetadata(degree)).credentialSchema)).to.equal("bachelor-degree@1.0;c14n=jcs");
+
+    await credentialStatus.connect(registrar).issueCredential(student.address, ethers.id("by the registrar"), "", schema);
+
+    await expect(credentialStatus.connect(university).issueCredential(student.address, ethers.id("unregistered version"), "", cryptoHelper.encodeCredentialSchema("bachelor-degree@2.0")))
+      .to.be.revertedWith("CredentialStatus: Schema is not registered by the issuer");
+    await credentialStatus.connect(otherUniversity).registerSchema("master-degree", "1", "ipfs://Qm", ethers.id("master"));
+    await expect(credentialStatus.connect(university).issueCredential(student.address, ethers.id("someone else's schema"), "", cryptoHelper.encodeCredentialSchema("master-degree@1")))
+      .to.be.revertedWith("CredentialStatus: Schema is not registered by the issuer");
+    await expect(credentialStatus.connect(university).issueCredentialBatch(ethers.id("root"), 2, "", cryptoHelper.encodeCredentialSchema("master-degree@1")))
+      .to.be.revertedWith("CredentialStatus: Schema is not registered by the issuer");
+
+    // Free-form schema names keep working
+    await credentialStatus.connect(university).issueCredential(student.address, ethers.id("legacy"), "", ethers.toUtf8Bytes("university-credential-v1"));
+  });
+
+  it("Reports every field that does not match the schema", function () {
+    expect(jsonSchema.validateAgainstSchema(degreeSchema, claims)).to.deep.equal({ valid: true, errors: [] });
+
+    const { valid, errors } = jsonSchema.validateAgainstSchema(degreeSchema, {
+      degree: "B",
+      graduationDate: "2024-02-30",
+      honours: "with distinction",
+      gpa: 4.2,
+      courses: [{ code: "CSE540", grade: "A" }, { code: "cse101", grade: "E" }],
+      minor: "Mathematics"
+    });
+    expect(valid).to.equal(false);
+    expect(jsonSchema.formatValidationErrors(errors)).to.deep.equal([
+      "university: is required",
+      "degree: must be at least 2 characters",
+      "graduationDate: must be a valid date",
+      'honours: must be one of "none", "cum laude", "magna cum laude", "summa cum laude"',
+      "gpa: must be at most 4",
+      "courses[1].code: must match ^[A-Z]{3}\\d{3}$",
+      'courses[1].grade: must be one of "A", "B", "C", "D", "F"',
+      "minor: is not allowed by the schema"
+    ]);
+    expect(jsonSchema.validateAgainstSchema(degreeSchema, [claims]).errors)
+      .to.deep.equal([{ field: "", keyword: "type", message: "must be object (got array)" }]);
+
+    const error = (() => {
+      try {
+        schemaLib.assertValidCredentialData(degreeSchema, JSON.stringify({ ...claims, gpa: "3.8" }), "bachelor-degree@1.0");
+      } catch (thrown) {
+        return thrown;
+      }
+      return null;
+    })();
+    expect(error.message).to.equal("Credential does not match bachelor-degree@1.0:\n  gpa: must be number (got string)");
+    expect(error.errors).to.deep.equal([{ field: "gpa", keyword: "type", message: "must be number (got string)" }]);
+  });
+
+  it("Refuses schemas it cannot enforce, and documents that do not match their hash", async function () {
+    expect(() => jsonSchema.checkSchemaDocument({ type: "object", properties: { grade: { oneOf: [{ type: "string" }] } } }))
+      .to.throw('Invalid JSON Schema at #/properties/grade/oneOf: unsupported keyword');
+    expect(() => jsonSchema.checkSchemaDocument({ type: "text" })).to.throw(/#\/type: must be one of/);
+    expect(() => jsonSchema.checkSchemaDocument({ type: "string", format: "phone" })).to.throw(/unsupported format "phone"/);
+    try {
+      await schemaLib.publishSchema({ credentials: credentialStatus.connect(university), storage, id: "transcript", version: "1", document: { $ref: "#/$defs/x" } });
+      expect.fail("Expected publishSchema to reject");
+    } catch (error) {
+      expect(error.message).to.contain("unsupported keyword");
+    }
+
+    expect(() => schemaLib.parseSchemaReference("degree@1@2")).to.throw(/expected <id>@<version>/);
+    expect(schemaLib.parseSchemaReference("university-credential-v1;c14n=jcs")).to.equal(null);
+    expect(schemaLib.parseSchemaReference("bachelor-degree@1.0;c14n=jcs")).to.deep.equal({ id: "bachelor-degree", version: "1.0", reference: "bachelor-degree@1.0" });
+
+    // Registered under a URI whose content is a different document
+    const cid = await storage.add(JSON.stringify({ type: "object" }));
+    await credentialStatus.connect(university).registerSchema("transcript", "1", `ipfs://${cid}`, schemaLib.hashSchemaDocument({ type: "array" }));
+    try {
+      await schemaLib.fetchSchema({ credentials: credentialStatus, storage, issuer: university.address, reference: "transcript@1" });
+      expect.fail("Expected fetchSchema to reject");
+    } catch (error) {
+      expect(error.message).to.equal(`Schema transcript@1 at ipfs://${cid} does not match its registered document hash`);
+    }
+  });
+});
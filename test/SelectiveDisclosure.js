@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Selective Disclosure: Salted Merkle Commitments", function () {
+  let sdLib, cryptoHelper;
+  let didRegistry, credentialStatus;
+  let university, student, employer;
+  let credentialTree;
+
+  const claims = {
+    degree: "Bachelor of Science in Computer Science",
+    university: "MIT",
+    year: 2024,
+    gpa: 3.8,
+    honors: "Magna Cum Laude"
+  };
+
+  before(async function () {
+    sdLib = await import("../lib/selectiveDisclosure.js");
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+
+    [, university, student, employer] = await ethers.getSigners();
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+
+    credentialTree = sdLib.buildCredentialTree(claims);
+    await credentialStatus.connect(university).issueCredential(
+      student.address,
+      credentialTree.root,
+      "QmMerkleCredential",
+      sdLib.encodeMerkleSchema("university-credential-v1")
+    );
+  });
+
+  function verifyOnChain(credentialHash, field) {
+    return credentialStatus.connect(employer).verifyDisclosedField(
+      credentialHash, field.name, field.value, field.salt, field.proof
+    );
+  }
+
+  it("Records the Merkle commitment in the schema marker", async function () {
+    const metadata = await credentialStatus.getCredentialMetadata(credentialTree.root);
+    expect(cryptoHelper.getHashMethod(metadata.credentialSchema)).to.equal(cryptoHelper.HashMethod.MERKLE);
+  });
+
+  it("Discloses the degree without revealing the GPA", async function () {
+    const disclosure = sdLib.createDisclosure(credentialTree, ["degree", "university"]);
+    const result = sdLib.verifyDisclosure(disclosure);
+
+    expect(result.isValid).to.equal(true);
+    expect(result.claims).to.deep.equal({ degree: claims.degree, university: "MIT" });
+    expect(JSON.stringify(disclosure)).to.not.contain("3.8");
+
+    for (const field of disclosure.fields) {
+      expect(await verifyOnChain(disclosure.credentialHash, field)).to.equal(true);
+    }
+  });
+
+  it("Rebuilds the same root from the holder's stored salts", function () {
+    const rebuilt = sdLib.buildCredentialTree({ ...claims }, credentialTree.salts);
+    expect(rebuilt.root).to.equal(credentialTree.root);
+    expect(sdLib.buildCredentialTree(claims).root).to.not.equal(credentialTree.root);
+  });
+
+  it("Rejects altered values, wrong salts and revoked credentials", async function () {
+    const [gpa] = sdLib.createDisclosure(credentialTree, ["gpa"]).fields;
+
+    expect(await verifyOnChain(credentialTree.root, { ...gpa, value: "4" })).to.equal(false);
+    expect(await verifyOnChain(credentialTree.root, { ...gpa, salt: ethers.ZeroHash })).to.equal(false);
+    expect(sdLib.verifyDisclosure({ credentialHash: credentialTree.root, fields: [{ ...gpa, value: "4" }] }).invalidFields)
+      .to.deep.equal(["gpa"]);
+
+    await credentialStatus.connect(university).revokeCredential(credentialTree.root);
+    expect(await verifyOnChain(credentialTree.root, gpa)).to.equal(false);
+  });
+});
@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Share Links and QR Codes", function () {
+  let shareLink, qrCode, cryptoHelper, sdLib;
+  let didRegistry, credentialStatus, chainId;
+  let university, student;
+  let salt, saltedHash, credentialTree;
+
+  const claims = { degree: "BSc Computer Science", university: "Share U", year: 2024, gpa: 3.8 };
+  const cid = "QmX8eVbU5xVvvHn4Y2CqKu8R8e1cZuJ5VjD8mK3aNd9pZz";
+  const baseUrl = "https://verify.example.edu/verify.html";
+
+  function contracts() {
+    return { credentials: credentialStatus, registry: didRegistry };
+  }
+
+  // Re-encode a payload's bytes with a valid checksum, to test what the checksum does not cover
+  function withChecksum(bytes) {
+    const body = ethers.getBytes(bytes);
+    const checksum = ethers.getBytes(ethers.keccak256(body)).slice(0, 4);
+    return ethers.encodeBase64(ethers.concat([body, checksum])).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function payloadBytes(encoded) {
+    const base64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
+    const bytes = ethers.getBytes(ethers.decodeBase64(base64.padEnd(Math.ceil(base64.length / 4) * 4, "=")));
+    return bytes.slice(0, bytes.length - 4);
+  }
+
+  before(async function () {
+    shareLink = await import("../lib/shareLink.js");
+    qrCode = await import("../lib/qrCode.js");
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+    sdLib = await import("../lib/selectiveDisclosure.js");
+
+    [, university, student] = await ethers.getSigners();
+    chainId = (await ethers.provider.getNetwork()).chainId;
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+
+    salt = cryptoHelper.generateCredentialSalt();
+    saltedHash = cryptoHelper.hashCredential(claims, cryptoHelper.HashMethod.SALTED, salt);
+    await credentialStatus.connect(university).issueCredential(
+      student.address, saltedHash, cid, cryptoHelper.encodeCredentialSchema("university-credential-v1", cryptoHelper.HashMethod.SALTED)
+    );
+
+    credentialTree = sdLib.buildCredentialTree(claims);
+    await credentialStatus.connect(university).issueCredential(
+      student.address, credentialTree.root, "bafkreidisclosure", sdLib.encodeMerkleSchema("university-credential-v1")
+    );
+  });
+
+  it("Round-trips compact, URL-safe payloads", function () {
+    const statusOnly = shareLink.encodeSharePayload({ chainId, credentialStatus: credentialStatus.target, credentialHash: saltedHash, cid });
+    // version, flags, varint chain ID, address, hash, tagged 34-byte CIDv0 and checksum
+    expect(payloadBytes(statusOnly).length).to.equal(1 + 1 + 3 + 20 + 32 + 35);
+    expect(statusOnly).to.match(/^[A-Za-z0-9_-]+$/);
+
+    const link = shareLink.createShareLink({ chainId, credentialStatus: credentialStatus.target, credentialHash: saltedHash, cid, claims, salt }, `${baseUrl}#old`);
+    expect(link.startsWith(`${baseUrl}#`)).to.equal(true);
+    expect(link.split("#")[1]).to.match(/^[A-Za-z0-9_-]+$/);
+    expect(shareLink.parseShareLink(link)).to.deep.equal({
+      version: 1, chainId, credentialStatus: credentialStatus.target, credentialHash: saltedHash, cid, claims, salt
+    });
+
+    const disclosure = sdLib.createDisclosure(credentialTree, ["degree"]);
+    const decoded = shareLink.parseShareLink(shareLink.encodeSharePayload({
+      chainId: 11155111n, credentialStatus: credentialStatus.target, credentialHash: credentialTree.root, cid: "bafkreidisclosure", disclosure: disclosure.fields
+    }));
+    expect(decoded).to.deep.equal({
+      version: 1, chainId: 11155111n, credentialStatus: credentialStatus.target, credentialHash: credentialTree.root, cid: "bafkreidisclosure", disclosure: disclosure.fields
+    });
+
+    expect(() => shareLink.encodeSharePayload({ chainId, credentialStatus: credentialStatus.target, credentialHash: saltedHash, claims, disclosure: disclosure.fields }))
+      .to.throw(/either whole claims or a disclosure/);
+    expect(() => shareLink.encodeSharePayload({ chainId, credentialStatus: "0x1234", credentialHash: saltedHash })).to.throw(/must be an address/);
+  });
+
+  it("Rejects altered, truncated and unknown payloads", function () {
+    const encoded = shareLink.encodeSharePayload({ chainId, credentialStatus: credentialStatus.target, credentialHash: saltedHash, claims, salt });
+    const middle = Math.floor(encoded.length / 2);
+    const altered = encoded.slice(0, middle) + (encoded[middle] === "A" ? "B" : "A") + encoded.slice(middle + 1);
+
+    expect(() => shareLink.decodeSharePayload(altered)).to.throw(/checksum mismatch/);
+    expect(() => shareLink.decodeSharePayload(encoded.slice(0, -6))).to.throw(/Invalid share payload/);
+    expect(() => shareLink.parseShareLink(`${baseUrl}#not a payload`)).to.throw(/not base64url/);
+
+    const bytes = payloadBytes(encoded);
+    expect(() => shareLink.decodeSharePayload(withChecksum(Uint8Array.of(2, ...bytes.slice(1))))).to.throw(/unsupported version 2/);
+    expect(() => shareLink.decodeSharePayload(withChecksum(Uint8Array.of(1, 0x80, ...bytes.slice(2))))).to.throw(/unknown flags/);
+    expect(() => shareLink.decodeSharePayload(withChecksum(bytes.slice(0, 40)))).to.throw(/truncated/);
+  });
+
+  it("Verifies a shared credential against the chain", async function () {
+    const shared = { chainId, credentialStatus: credentialStatus.target, credentialHash: saltedHash, cid, claims, salt };
+    const report = await shareLink.verifySharedCredential(shareLink.parseShareLink(shareLink.createShareLink(shared, baseUrl)), contracts());
+    expect(report.isValid).to.equal(true);
+    expect(report).to.include({ issuer: university.address, holder: student.address, state: "Valid", method: "salted" });
+    expect(report.claims).to.deep.equal(claims);
+    expect(report.reasons).to.deep.equal([]);
+
+    // Status only: nothing to check the data against, but the credential itself is valid
+    const statusOnly = await shareLink.verifySharedCredential({ chainId, credentialStatus: credentialStatus.target, credentialHash: saltedHash }, contracts());
+    expect(statusOnly.isValid).to.equal(true);
+    expect(statusOnly.checks).to.include({ cidMatches: null, dataValid: null });
+
+    const wrongSalt = await shareLink.verifySharedCredential({ ...shared, salt: cryptoHelper.generateCredentialSalt() }, contracts());
+    expect(wrongSalt.isValid).to.equal(false);
+    expect(wrongSalt.reasons).to.deep.equal(["Credential data hash does not match on-chain hash"]);
+
+    const noSalt = await shareLink.verifySharedCredential({ ...shared, salt: undefined }, contracts());
+    expect(noSalt.reasons).to.deep.equal(["Salted credential: the link does not include the holder's salt"]);
+
+    const wrongCid = await shareLink.verifySharedCredential({ ...shared, cid: "QmSomethingElse" }, contracts());
+    expect(wrongCid.checks.cidMatches).to.equal(false);
+    expect(wrongCid.isValid).to.equal(false);
+
+    const otherChain = await shareLink.verifySharedCredential({ ...shared, chainId: 1n }, contracts());
+    expect(otherChain.checks).to.include({ chainMatches: false, found: false });
+    expect(otherChain.reasons[0]).to.match(/^Link is for CredentialStatus .* on chain 1, not/);
+
+    const unknown = await shareLink.verifySharedCredential({ ...shared, credentialHash: ethers.id("unknown") }, contracts());
+    expect(unknown.reasons).to.deep.equal(["Credential not found on-chain"]);
+  });
+
+  it("Verifies disclosed fields of a Merkle-committed credential", async function () {
+    const disclosure = sdLib.createDisclosure(credentialTree, ["degree", "year"]);
+    const shared = { chainId, credentialStatus: credentialStatus.target, credentialHash: credentialTree.root, cid: "bafkreidisclosure", disclosure: disclosure.fields };
+
+    const report = await shareLink.verifySharedCredential(shareLink.decodeSharePayload(shareLink.encodeSharePayload(shared)), contracts());
+    expect(report.isValid).to.equal(true);
+    expect(report.claims).to.deep.equal({ degree: claims.degree, year: 2024 });
+
+    const inflated = disclosure.fields.map((field) => (field.name === "year" ? { ...field, value: "2025" } : field));
+    const tampered = await shareLink.verifySharedCredential({ ...shared, disclosure: inflated }, contracts());
+    expect(tampered.isValid).to.equal(false);
+    expect(tampered.reasons).to.deep.equal(["Disclosed fields not in the credential: year"]);
+
+    const wholeClaims = await shareLink.verifySharedCredential({ ...shared, disclosure: undefined, claims }, contracts());
+    expect(wholeClaims.reasons).to.deep.equal(["Merkle-committed credential: share disclosed fields instead of whole claims"]);
+
+    await credentialStatus.connect(university).revokeCredential(credentialTree.root);
+    const revoked = await shareLink.verifySharedCredential(shared, contracts());
+    expect(revoked.isValid).to.equal(false);
+    expect(revoked.reasons).to.deep.equal(["Credential is Revoked"]);
+  });
+
+  it("Encodes a readable QR Code", function () {
+    const text = "https://verify.example.edu/verify.html#AQ";
+    const qr = qrCode.createQrCode(text, { errorCorrection: "M" });
+    expect(qr).to.include({ version: 3, size: 29, errorCorrection: "M" });
+
+    // Finder patterns in three corners, and the timing patterns between them
+    for (const [x, y] of [[0, 0], [qr.size - 7, 0], [0, qr.size - 7]]) {
+      expect(qr.modules[y + 3].slice(x, x + 7)).to.deep.equal([true, false, true, true, true, false, true]);
+    }
+    expect(qr.modules[6].slice(8, qr.size - 8)).to.deep.equal(Array.from({ length: qr.size - 16 }, (_, i) => i % 2 === 0));
+
+    // Format information: both copies carry level M (00) and the mask, with a valid BCH code
+    const bit = (x, y) => (qr.modules[y][x] ? 1 : 0);
+    const firstCopy = [0, 1, 2, 3, 4, 5, 7, 8].map((y) => bit(8, y)).concat([7, 5, 4, 3, 2, 1, 0].map((x) => bit(x, 8)));
+    const secondCopy = Array.from({ length: 8 }, (_, i) => bit(qr.size - 1 - i, 8)).concat(Array.from({ length: 7 }, (_, i) => bit(8, qr.size - 7 + i)));
+    expect(secondCopy).to.deep.equal(firstCopy);
+    const format = firstCopy.reduce((value, b, i) => value | (b << i), 0) ^ 0x5412;
+    expect(format >> 10).to.equal(qr.mask);
+    let remainder = format >> 10;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >> 9) * 0x537);
+    expect(format & 0x3ff).to.equal(remainder);
+
+    // Read the codewords back: unmask, walk the zigzag around the function patterns (version 3 has one
+    // alignment pattern at 22,22), then check the Reed-Solomon syndromes and the byte-mode data
+    const MASKS = [
+      (x, y) => (x + y) % 2 === 0, (x, y) => y % 2 === 0, (x) => x % 3 === 0, (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0, (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+      (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0, (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+    ];
+    const isFunction = (x, y) => (x <= 8 && y <= 8) || (x >= qr.size - 8 && y <= 8) || (x <= 8 && y >= qr.size - 8)
+      || x === 6 || y === 6 || (Math.abs(x - 22) <= 2 && Math.abs(y - 22) <= 2);
+    const bits = [];
+    for (let right = qr.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vertical = 0; vertical < qr.size; vertical++) {
+        for (const x of [right, right - 1]) {
+          const y = ((right + 1) & 2) === 0 ? qr.size - 1 - vertical : vertical;
+          if (!isFunction(x, y)) bits.push(bit(x, y) ^ (MASKS[qr.mask](x, y) ? 1 : 0));
+        }
+      }
+    }
+    const codewords = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+    expect(codewords.length).to.equal(70);
+
+    const gfMultiply = (a, b) => {
+      let product = 0;
+      for (let i = 7; i >= 0; i--) {
+        product = (product << 1) ^ ((product >>> 7) * 0x11d);
+        product ^= ((b >>> i) & 1) * a;
+      }
+      return product;
+    };
+    for (let i = 0, alpha = 1; i < 26; i++, alpha = gfMultiply(alpha, 2)) {
+      expect(codewords.reduce((syndrome, codeword) => gfMultiply(syndrome, alpha) ^ codeword, 0), `syndrome ${i}`).to.equal(0);
+    }
+
+    const dataBits = codewords.slice(0, 44).map((codeword) => codeword.toString(2).padStart(8, "0")).join("");
+    expect(dataBits.slice(0, 4)).to.equal("0100");
+    const length = parseInt(dataBits.slice(4, 12), 2);
+    const bytes = Array.from({ length }, (_, i) => parseInt(dataBits.slice(12 + i * 8, 20 + i * 8), 2));
+    expect(Buffer.from(bytes).toString("utf8")).to.equal(text);
+  });
+
+  it("Sizes QR Codes to the link and renders them as SVG and text", function () {
+    const link = shareLink.createShareLink({
+      chainId, credentialStatus: credentialStatus.target, credentialHash: saltedHash, cid, claims, salt
+    }, baseUrl);
+    const qr = qrCode.createQrCode(link, { errorCorrection: "L" });
+    expect(qr.size).to.equal(qr.version * 4 + 17);
+    expect(qrCode.createQrCode(link, { errorCorrection: "H" }).version).to.be.greaterThan(qr.version);
+
+    // Versions 10 and up use a 16-bit length field and carry version information
+    expect(qrCode.createQrCode("x".repeat(1000), { errorCorrection: "L" }).version).to.equal(22);
+    expect(() => qrCode.createQrCode("x".repeat(3000), { errorCorrection: "L" })).to.throw(/Text too long/);
+    expect(() => qrCode.createQrCode(link, { errorCorrection: "X" })).to.throw(/Unknown error correction level/);
+
+    const svg = qrCode.qrCodeToSvg(qr, { moduleSize: 2, margin: 4 });
+    const dimension = (qr.size + 8) * 2;
+    expect(svg).to.match(new RegExp(`^<svg [^>]*width="${dimension}" height="${dimension}"`));
+    const darkModules = qr.modules.flat().filter(Boolean).length;
+    expect(svg.match(/h1v1h-1z/g).length).to.equal(darkModules);
+
+    const lines = qrCode.qrCodeToText(qr, { margin: 2 }).split("\n");
+    expect(lines.length).to.equal(Math.ceil((qr.size + 4) / 2));
+    expect(lines.every((line) => [...line].length === qr.size + 4)).to.equal(true);
+    expect(lines[0]).to.equal("█".repeat(qr.size + 4));
+  });
+});
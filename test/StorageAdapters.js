@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("Storage Adapters: Content-Addressed Credential Storage", function () {
+  let storage, ipfsHelper;
+  let tmpDir;
+
+  before(async function () {
+    storage = await import("../lib/storage/index.js");
+    ipfsHelper = await import("../lib/ipfsHelper.js");
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "credential-blobs-"));
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Computes the same CIDs as `ipfs add`", async function () {
+    expect(await storage.computeCID("hello world")).to.equal("Qmf412jQZiuVUtdgnB36FXFX7xg5V6KEbSJ4dpQuhkLyfD");
+    expect(await storage.computeCID("hello world\n")).to.equal("QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o");
+    expect(await storage.computeCID("hello world", { cidVersion: 1 }))
+      .to.equal("bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e");
+  });
+
+  it("Round-trips content through the in-memory store", async function () {
+    const memory = storage.createStorage({ type: "memory" });
+    const cid = await memory.add('{"degree":"BSc"}');
+
+    expect(cid).to.equal(await storage.computeCID('{"degree":"BSc"}'));
+    expect(await memory.has(cid)).to.equal(true);
+    expect(new TextDecoder().decode(await memory.cat(cid))).to.equal('{"degree":"BSc"}');
+  });
+
+  it("Round-trips content through the filesystem store and rejects tampered blobs", async function () {
+    const filesystem = storage.createStorage({ type: "filesystem", directory: tmpDir, cidVersion: 1 });
+    const cid = await filesystem.add("Bachelor of Computer Science - 2024");
+
+    expect(cid.startsWith("bafk")).to.equal(true);
+    expect(new TextDecoder().decode(await filesystem.cat(cid))).to.equal("Bachelor of Computer Science - 2024");
+
+    fs.writeFileSync(path.join(tmpDir, cid), "Master of Computer Science - 2024");
+    let error;
+    try {
+      await filesystem.cat(cid);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.contain("does not match CID");
+  });
+
+  it("Rejects content from an IPFS node that does not match the CID", async function () {
+    const content = JSON.stringify({ degree: "BSc", university: "MIT" });
+    const cid = await storage.computeCID(content);
+    // A node (or gateway) that answers in chunks, once honestly and once with other content
+    const nodeReturning = (...chunks) => ({
+      async *cat() {
+        for (const chunk of chunks) yield new TextEncoder().encode(chunk);
+      }
+    });
+
+    const honest = storage.createIPFSStorage({ client: nodeReturning(content.slice(0, 10), content.slice(10)) });
+    expect(new TextDecoder().decode(await honest.cat(cid))).to.equal(content);
+
+    const tampered = storage.createIPFSStorage({ client: nodeReturning(content.replace("BSc", "PhD")) });
+    let error;
+    try {
+      await tampered.cat(cid);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).to.contain("does not match CID");
+  });
+
+  it("Uploads and verifies credential integrity through ipfsHelper", async function () {
+    const memory = storage.createMemoryStorage();
+    const credentialData = { degree: "BSc", university: "MIT", year: 2024 };
+
+    const cid = await ipfsHelper.uploadCredentialToIPFS(credentialData, memory);
+    const expectedHash = ipfsHelper.computeCredentialHash(credentialData);
+
+    expect(await ipfsHelper.verifyCredentialIntegrity(cid, expectedHash, memory)).to.equal(true);
+    expect(await ipfsHelper.verifyCredentialIntegrity(cid, ethers.ZeroHash, memory)).to.equal(false);
+  });
+
+  it("Logs through the logger it is given", async function () {
+    const memory = storage.createMemoryStorage();
+    const lines = [];
+    const logger = { log: (...args) => lines.push(["log", ...args]), error: (...args) => lines.push(["error", args[0]]) };
+
+    const cid = await ipfsHelper.uploadCredentialToIPFS({ degree: "BSc" }, memory, { logger });
+    await ipfsHelper.verifyCredentialIntegrity(cid, ethers.ZeroHash, memory, undefined, null, { logger });
+    await ipfsHelper.verifyCredentialIntegrity("QmMissing", ethers.ZeroHash, memory, undefined, null, { logger });
+    expect(lines.map((line) => line.join(" "))).to.deep.equal([
+      `log Credential uploaded to memory: ${cid}`,
+      `log Credential retrieved from memory (CID: ${cid})`,
+      "log Credential integrity check: INVALID",
+      "error Error retrieving from IPFS:",
+      "error Error verifying credential:"
+    ]);
+
+    // Without a logger nothing is printed
+    const printed = [];
+    const { log, error } = console;
+    console.log = (...args) => printed.push(args);
+    console.error = (...args) => printed.push(args);
+    try {
+      await ipfsHelper.uploadCredentialToIPFS({ degree: "MSc" }, memory);
+      await ipfsHelper.verifyCredentialIntegrity("QmMissing", ethers.ZeroHash, memory);
+    } finally {
+      Object.assign(console, { log, error });
+    }
+    expect(printed).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("EIP-712 Credential Signatures: Off-Chain Signing, On-Chain Recovery", function () {
+  let cryptoHelper;
+  let didRegistry, credentialStatus;
+  let owner, student, relayer;
+  let universityWallet, impostorWallet;
+  let domain;
+
+  const schema = ethers.hexlify(ethers.toUtf8Bytes("university-credential-v1;c14n=jcs"));
+
+  before(async function () {
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+
+    [owner, , student, relayer] = await ethers.getSigners();
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+
+    universityWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    impostorWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    for (const wallet of [universityWallet, impostorWallet]) {
+      await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") });
+    }
+
+    await didRegistry.connect(universityWallet).registerIdentity(2);
+    await didRegistry.approveUniversity(universityWallet.address, "");
+    await didRegistry.connect(impostorWallet).registerIdentity(3); // Employer, not a University
+    await didRegistry.connect(student).registerIdentity(1);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    domain = cryptoHelper.getCredentialDomain(chainId, credentialStatus.target);
+  });
+
+  function buildIssuance(label, issuer = universityWallet.address) {
+    return {
+      issuer,
+      holder: student.address,
+      credentialHash: ethers.id(label),
+      ipfsHash: `Qm${label}`,
+      schema
+    };
+  }
+
+  it("Computes the same typed-data digest in JS and Solidity", async function () {
+    const issuance = buildIssuance("digest");
+    const onChain = await credentialStatus.hashCredentialIssuance(
+      issuance.issuer, issuance.holder, issuance.credentialHash, issuance.ipfsHash, issuance.schema
+    );
+
+    expect(onChain).to.equal(ethers.TypedDataEncoder.hash(domain, cryptoHelper.CREDENTIAL_ISSUANCE_TYPES, issuance));
+  });
+
+  it("Lets anyone submit an issuance signed by the University", async function () {
+    const issuance = buildIssuance("relayed");
+    const signature = cryptoHelper.signCredentialIssuance(issuance, universityWallet.privateKey, domain);
+    expect(cryptoHelper.verifyCredentialIssuanceSignature(issuance, signature, domain)).to.equal(true);
+
+    await expect(credentialStatus.connect(relayer).issueCredentialWithSignature(
+      issuance.issuer, issuance.holder, issuance.credentialHash, issuance.ipfsHash, issuance.schema, signature
+    )).to.emit(credentialStatus, "CredentialIssued")
+      .withArgs(issuance.credentialHash, universityWallet.address, student.address, issuance.ipfsHash);
+
+    const metadata = await credentialStatus.getCredentialMetadata(issuance.credentialHash);
+    expect(metadata.issuer).to.equal(universityWallet.address);
+    expect(await credentialStatus.issuerSignatures(issuance.credentialHash)).to.equal(signature);
+    expect(await credentialStatus.isValidIssuerSignature(issuance.credentialHash, signature)).to.equal(true);
+  });
+
+  it("Rejects tampered, misattributed and replayed issuances", async function () {
+    const issuance = buildIssuance("guarded");
+    const signature = cryptoHelper.signCredentialIssuance(issuance, universityWallet.privateKey, domain);
+    const submit = (fields, sig = signature) => credentialStatus.connect(relayer).issueCredentialWithSignature(
+      fields.issuer, fields.holder, fields.credentialHash, fields.ipfsHash, fields.schema, sig
+    );
+
+    await expect(submit({ ...issuance, ipfsHash: "QmSwapped" }))
+      .to.be.revertedWith("CredentialStatus: Invalid issuer signature");
+    await expect(submit({ ...issuance, issuer: impostorWallet.address }))
+      .to.be.revertedWith("CredentialStatus: Invalid issuer signature");
+
+    const impostorIssuance = buildIssuance("impostor", impostorWallet.address);
+    const impostorSignature = cryptoHelper.signCredentialIssuance(impostorIssuance, impostorWallet.privateKey, domain);
+    await expect(submit(impostorIssuance, impostorSignature))
+      .to.be.revertedWith("CredentialStatus: Signer is not an accredited University");
+
+    await submit(issuance);
+    await expect(submit(issuance)).to.be.revertedWith("CredentialStatus: Credential hash already exists");
+  });
+
+  it("Checks a signature against a credential issued directly by the University", async function () {
+    const issuance = buildIssuance("direct");
+    await credentialStatus.connect(universityWallet).issueCredential(
+      issuance.holder, issuance.credentialHash, issuance.ipfsHash, issuance.schema
+    );
+
+    const signature = cryptoHelper.signCredentialIssuance(issuance, universityWallet.privateKey, domain);
+    const otherDomain = cryptoHelper.getCredentialDomain(1n, credentialStatus.target);
+    const wrongChainSignature = cryptoHelper.signCredentialIssuance(issuance, universityWallet.privateKey, otherDomain);
+
+    expect(await credentialStatus.isValidIssuerSignature(issuance.credentialHash, signature)).to.equal(true);
+    expect(await credentialStatus.isValidIssuerSignature(issuance.credentialHash, wrongChainSignature)).to.equal(false);
+  });
+});
@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("W3C Verifiable Credentials: Import/Export", function () {
+  let vcLib;
+  let didRegistry, credentialStatus;
+  let universityWallet, student;
+  let chainId;
+
+  const claims = {
+    degree: "Bachelor of Science in Computer Science",
+    university: "MIT",
+    year: 2024,
+    gpa: 3.8,
+    honors: "Magna Cum Laude"
+  };
+
+  before(async function () {
+    vcLib = await import("../lib/verifiableCredential.js");
+
+    const [owner, , studentSigner] = await ethers.getSigners();
+    student = studentSigner;
+    chainId = (await ethers.provider.getNetwork()).chainId;
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+
+    // The VC proof needs the issuer's private key, so the University uses a fresh wallet
+    universityWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await owner.sendTransaction({ to: universityWallet.address, value: ethers.parseEther("1") });
+
+    await didRegistry.connect(universityWallet).registerIdentity(2);
+    await didRegistry.approveUniversity(universityWallet.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+  });
+
+  function buildCredential(overrides = {}) {
+    return vcLib.createVerifiableCredential({
+      claims,
+      holder: student.address,
+      issuer: universityWallet.address,
+      chainId,
+      credentialStatusAddress: credentialStatus.target,
+      ipfsHash: "QmVgk2aUix6nQUeKJPJfCwasBCV3FEjrNXkh2ZuSqxxXUe",
+      ...overrides
+    });
+  }
+
+  it("Produces a VC Data Model 2.0 document with DIDs and a status entry", function () {
+    const vc = buildCredential();
+
+    expect(vc["@context"]).to.deep.equal(["https://www.w3.org/ns/credentials/v2"]);
+    expect(vc.type).to.deep.equal(["VerifiableCredential", "UniversityDegreeCredential"]);
+    expect(vc.issuer).to.equal(`did:unicred:${chainId}:${universityWallet.address}`);
+    expect(vc.credentialSubject.id).to.equal(`did:unicred:${chainId}:${student.address}`);
+    expect(vc.credentialStatus.contract).to.equal(credentialStatus.target);
+    expect(vcLib.validateVerifiableCredential(vc)).to.deep.equal([]);
+  });
+
+  it("Signs and verifies the embedded issuer proof", function () {
+    const signed = vcLib.signVerifiableCredential(buildCredential(), universityWallet.privateKey);
+    expect(vcLib.verifyVerifiableCredential(signed).isValid).to.equal(true);
+
+    const tampered = { ...signed, credentialSubject: { ...signed.credentialSubject, gpa: 4.0 } };
+    const result = vcLib.verifyVerifiableCredential(tampered);
+    expect(result.isValid).to.equal(false);
+    expect(result.checks.hashValid).to.equal(false);
+    expect(result.checks.proofValid).to.equal(false);
+  });
+
+  it("Round-trips between the VC and the on-chain commitment", async function () {
+    const vc = buildCredential();
+    const commitment = vcLib.toCommitment(vc);
+    expect(commitment.validFrom).to.equal(Math.floor(new Date(vc.validFrom).getTime() / 1000));
+
+    await credentialStatus.connect(universityWallet).issueCredentialWithValidity(
+      commitment.holder,
+      commitment.credentialHash,
+      commitment.ipfsHash,
+      commitment.schema,
+      commitment.validFrom,
+      commitment.validUntil
+    );
+
+    const metadata = await credentialStatus.getCredentialMetadata(commitment.credentialHash);
+    const rebuilt = vcLib.fromCommitment(metadata, commitment.claims, {
+      chainId,
+      credentialStatusAddress: credentialStatus.target
+    });
+
+    expect(rebuilt.issuer).to.equal(vc.issuer);
+    expect(rebuilt.credentialSubject).to.deep.equal(vc.credentialSubject);
+    expect(rebuilt.credentialStatus).to.deep.equal(vc.credentialStatus);
+    expect(rebuilt.relatedResource).to.deep.equal(vc.relatedResource);
+    expect(new Date(rebuilt.validFrom).getTime()).to.equal(Number(metadata.validFrom) * 1000);
+    expect(vcLib.toCommitment(rebuilt)).to.deep.equal(commitment);
+  });
+
+  it("Keeps an unset validity start unset instead of using the issue date", async function () {
+    const vc = buildCredential({ claims: { ...claims, minor: "Mathematics" }, validFrom: null });
+    expect(vc).to.not.have.property("validFrom");
+    expect(vcLib.validateVerifiableCredential(vc)).to.deep.equal([]);
+    const commitment = vcLib.toCommitment(vc);
+    expect(commitment).to.include({ validFrom: 0, validUntil: 0 });
+
+    await credentialStatus.connect(universityWallet).issueCredential(
+      commitment.holder,
+      commitment.credentialHash,
+      commitment.ipfsHash,
+      commitment.schema
+    );
+    const metadata = await credentialStatus.getCredentialMetadata(commitment.credentialHash);
+    expect(metadata.validFrom).to.equal(0n);
+
+    const rebuilt = vcLib.fromCommitment(metadata, commitment.claims, {
+      chainId,
+      credentialStatusAddress: credentialStatus.target
+    });
+    expect(rebuilt).to.deep.equal(vc);
+    expect(vcLib.toCommitment(rebuilt)).to.deep.equal(commitment);
+  });
+
+  it("Rejects claims that do not match the on-chain commitment", async function () {
+    const { credentialHash } = vcLib.toCommitment(buildCredential());
+    const metadata = await credentialStatus.getCredentialMetadata(credentialHash);
+
+    expect(() => vcLib.fromCommitment(metadata, { ...claims, gpa: 4.0 }, {
+      chainId,
+      credentialStatusAddress: credentialStatus.target
+    })).to.throw("do not match");
+  });
+});
@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("HTTP Verification Service", function () {
+  let cryptoHelper, serviceLib;
+  let didRegistry, credentialStatus;
+  let university, student, employer, stranger;
+  let server, baseUrl;
+  let salt, saltedHash, plainHash, signature;
+
+  const claims = { degree: "BSc Computer Science", university: "MIT", year: 2024, gpa: 3.8 };
+  const transcript = { course: "CSE540", grade: "A" };
+
+  async function request(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body === undefined ? {} : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : (typeof body === "string" ? body : JSON.stringify(body))
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async function () {
+    cryptoHelper = await import("../lib/cryptoHelper.js");
+    serviceLib = await import("../lib/verificationService.js");
+
+    [, university, student, employer, stranger] = await ethers.getSigners();
+
+    didRegistry = await ethers.deployContract("DIDRegistry");
+    credentialStatus = await ethers.deployContract("CredentialStatus", [didRegistry.target]);
+    await didRegistry.connect(university).registerIdentity(2);
+    await didRegistry.approveUniversity(university.address, "");
+    await didRegistry.connect(student).registerIdentity(1);
+    await didRegistry.connect(employer).registerIdentity(3);
+
+    const { HashMethod } = cryptoHelper;
+    salt = cryptoHelper.generateCredentialSalt();
+    saltedHash = cryptoHelper.hashCredential(claims, HashMethod.SALTED, salt);
+    await credentialStatus.connect(university).issueCredential(
+      student.address, saltedHash, "QmSalted", cryptoHelper.encodeCredentialSchema("university-credential-v1", HashMethod.SALTED)
+    );
+
+    plainHash = cryptoHelper.hashCredential(transcript);
+    await credentialStatus.connect(university).issueCredential(
+      student.address, plainHash, "QmTranscript", cryptoHelper.encodeCredentialSchema("transcript-v1")
+    );
+    signature = await university.signMessage(JSON.stringify(transcript));
+
+    // Read-only: the service only needs a provider
+    const service = serviceLib.createVerificationService({
+      registry: didRegistry.connect(ethers.provider),
+      credentials: credentialStatus.connect(ethers.provider)
+    });
+    server = serviceLib.createVerificationServer(service);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  it("Returns a credential's metadata and status", async function () {
+    const { status, body } = await request("GET", `/credentials/${saltedHash}`);
+    expect(status).to.equal(200);
+    expect(body).to.include({
+      credentialHash: saltedHash,
+      issuer: university.address,
+      holder: student.address,
+      ipfsHash: "QmSalted",
+      hashMethod: "salted",
+      state: "Valid",
+      valid: true
+    });
+
+    expect(await request("GET", `/credentials/${saltedHash}/status`))
+      .to.deep.equal({ status: 200, body: { credentialHash: saltedHash, state: "Valid", valid: true } });
+  });
+
+  it("Returns 404 for unknown credentials and 400 for malformed hashes", async function () {
+    const unknown = await request("GET", `/credentials/${ethers.ZeroHash}/status`);
+    expect(unknown.status).to.equal(404);
+    expect(unknown.body.error).to.contain("not found");
+
+    expect((await request("GET", "/credentials/0x1234")).status).to.equal(400);
+  });
+
+  it("Verifies a salted credential with the holder's salt", async function () {
+    const { status, body } = await request("POST", "/verify", { credential: claims, salt });
+    expect(status).to.equal(200);
+    expect(body).to.deep.equal({
+      isValid: true,
+      credentialHash: saltedHash,
+      method: "salted",
+      checks: {
+        found: true,
+        hashValid: true,
+        onChainValid: true,
+        issuerRegistered: true,
+        issuerAccreditedAtIssue: true,
+        issuerAccredited: true,
+        signatureValid: null
+      },
+      reasons: []
+    });
+
+    const noSalt = await request("POST", "/verify", { credential: claims, credentialHash: saltedHash });
+    expect(noSalt.status).to.equal(422);
+    expect(noSalt.body.reasons.join(" ")).to.contain("salt");
+  });
+
+  it("Checks the issuer's signature when one is given", async function () {
+    const signed = await request("POST", "/verify", { credential: transcript, signature });
+    expect(signed.status).to.equal(200);
+    expect(signed.body.checks.signatureValid).to.equal(true);
+
+    const forgedSignature = await stranger.signMessage(JSON.stringify(transcript));
+    const forged = await request("POST", "/verify", { credential: transcript, signature: forgedSignature });
+    expect(forged.status).to.equal(422);
+    expect(forged.body.checks).to.include({ hashValid: true, signatureValid: false });
+    expect(forged.body.reasons).to.deep.equal(["Signature verification failed"]);
+  });
+
+  it("Rejects tampered data and malformed requests", async function () {
+    const tampered = await request("POST", "/verify", { credential: { ...claims, gpa: 4.0 }, credentialHash: saltedHash, salt });
+    expect(tampered.status).to.equal(422);
+    expect(tampered.body.reasons).to.deep.equal(["Credential data hash does not match on-chain hash"]);
+
+    const notFound = await request("POST", "/verify", { credential: { ...transcript, grade: "A+" } });
+    expect(notFound.status).to.equal(404);
+    expect(notFound.body.checks.found).to.equal(false);
+
+    expect((await request("POST", "/verify", "{not json")).status).to.equal(400);
+    expect((await request("POST", "/verify", { salt })).status).to.equal(400);
+    expect((await request("POST", "/verify", { credential: claims, salt: "0x01" })).status).to.equal(400);
+  });
+
+  it("Returns 423 Locked while a credential is suspended", async function () {
+    await credentialStatus.connect(university).suspendCredential(plainHash, 3, "https://example.edu/case/1");
+
+    const status = await request("GET", `/credentials/${plainHash}/status`);
+    expect(status).to.deep.equal({ status: 423, body: { credentialHash: plainHash, state: "Suspended", valid: false } });
+
+    const verified = await request("POST", "/verify", { credential: transcript });
+    expect(verified.status).to.equal(423);
+    expect(verified.body.reasons).to.deep.equal(["Credential is Suspended"]);
+
+    await credentialStatus.connect(university).reinstateCredential(plainHash, 4, "");
+    const { body } = await request("GET", `/credentials/${plainHash}`);
+    expect(body.state).to.equal("Valid");
+    expect(body.statusHistory.map((change) => change.reason)).to.deep.equal(["InvestigationPending", "InvestigationCleared"]);
+    expect(body.statusHistory[0].reasonURI).to.equal("https://example.edu/case/1");
+  });
+
+  it("Returns 410 Gone once a credential is revoked", async function () {
+    await credentialStatus.connect(university).revokeCredential(plainHash);
+
+    const status = await request("GET", `/credentials/${plainHash}/status`);
+    expect(status).to.deep.equal({ status: 410, body: { credentialHash: plainHash, state: "Revoked", valid: false } });
+
+    const verified = await request("POST", "/verify", { credential: transcript, signature });
+    expect(verified.status).to.equal(410);
+    expect(verified.body.checks).to.include({ hashValid: true, onChainValid: false });
+    expect(verified.body.reasons).to.deep.equal(["Credential is Revoked"]);
+  });
+
+  it("Looks up identities by address", async function () {
+    expect(await request("GET", `/identities/${employer.address.toLowerCase()}`)).to.deep.equal({
+      status: 200,
+      body: { address: employer.address, did: `did:unicred:31337:${employer.address}`, role: "Employer", registered: true }
+    });
+    expect((await request("GET", `/identities/${university.address}`)).body.accreditation).to.equal("Accredited");
+    expect((await request("GET", `/identities/${stranger.address}`)).status).to.equal(404);
+    expect((await request("GET", "/identities/not-an-address")).status).to.equal(400);
+  });
+
+  it("Returns 404 for unknown endpoints and 405 for wrong methods", async function () {
+    expect((await request("GET", "/credentials")).status).to.equal(404);
+    const wrongMethod = await request("DELETE", `/credentials/${saltedHash}`);
+    expect(wrongMethod.status).to.equal(405);
+    expect(wrongMethod.body.error).to.contain("DELETE");
+  });
+});